@@ -31,8 +31,41 @@ function generateKeyPair() {
   });
 }
 
+// EC and Ed25519 key pairs, one per algorithm of the non RSA test tokens
+const SIGNING_KEYS = {
+  es256: { alg: 'ES256', kid: 'test-key-es256', type: 'ec', options: { namedCurve: 'P-256' } },
+  es384: { alg: 'ES384', kid: 'test-key-es384', type: 'ec', options: { namedCurve: 'P-384' } },
+  eddsa: { alg: 'EdDSA', kid: 'test-key-ed25519', type: 'ed25519', options: {} },
+};
+
+function generateSigningKeyPair(name) {
+  const { type, options } = SIGNING_KEYS[name];
+  return crypto.generateKeyPairSync(type, {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+}
+
+// jsonwebtoken has no EdDSA, sign by hand
+function signEdDSA(payload, privateKey, kid) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const unsignedToken = `${encode({ alg: 'EdDSA', typ: 'JWT', kid })}.${encode(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(unsignedToken), privateKey).toString('base64url');
+  return `${unsignedToken}.${signature}`;
+}
+
+function signWith(name, payload, testKeys) {
+  const { alg, kid } = SIGNING_KEYS[name];
+  const { privateKey } = testKeys[name];
+  return alg === 'EdDSA'
+    ? signEdDSA(payload, privateKey, kid)
+    : jwt.sign(payload, privateKey, { algorithm: alg, keyid: kid });
+}
+
 // Create test tokens with different scenarios
-async function createTestTokens(privateKey, passportData) {
+async function createTestTokens(testKeys, passportData) {
+  const { privateKey } = testKeys;
   const now = Math.floor(Date.now() / 1000);
   const oneHour = 3600;
 
@@ -128,17 +161,39 @@ async function createTestTokens(privateKey, passportData) {
       },
       privateKey,
       { algorithm: passportData.algorithms[0], keyid: passportData.keys[0].kid }
-    )
+    ),
   };
 
+  // Same valid user, signed with each EC / Ed25519 key
+  for (const name of Object.keys(SIGNING_KEYS)) {
+    tokens[`${name}User`] = signWith(name, {
+      userId: `${name}-user-222`,
+      userName: `${SIGNING_KEYS[name].alg} User`,
+      sub: `${name}-user-222`,
+      iss: passportData.iss,
+      aud: passportData.aud,
+      exp: now + oneHour,
+      iat: now,
+      nbf: now,
+      jti: uuidv4(),      // Unique token ID
+    }, testKeys);
+  }
+
   return tokens;
 }
 
 // Generate JWKS file
-function generateJWKS(publicKey) {
-  const key = crypto.createPublicKey(publicKey);
+function generateJWKS(testKeys) {
+  const key = crypto.createPublicKey(testKeys.publicKey);
   const jwk = key.export({ format: 'jwk' });
 
+  const signingKeys = Object.entries(SIGNING_KEYS).map(([name, { alg, kid }]) => ({
+    ...crypto.createPublicKey(testKeys[name].publicKey).export({ format: 'jwk' }), // kty, crv, x (, y)
+    use: 'sig',
+    kid,
+    alg,
+  }));
+
   return {
     keys: [
       {
@@ -149,7 +204,8 @@ function generateJWKS(publicKey) {
         n: jwk.n,
         e: jwk.e,
         //   publicKey: publicKey // Include PEM format for convenience
-      }
+      },
+      ...signingKeys,
     ]
   };
 }
@@ -160,7 +216,11 @@ export async function testValidation({ testTokens, testKeys }) {
 
   for (const [name, token] of Object.entries(testTokens)) {
     try {
-      const payload = jwt.verify(token, testKeys.publicKey, { algorithms: ['RS256'] });
+      const signingKey = Object.keys(SIGNING_KEYS).find(key => name === `${key}User`);
+      if (signingKey === 'eddsa') continue; // no EdDSA in jsonwebtoken
+      const { publicKey } = signingKey ? testKeys[signingKey] : testKeys;
+      const algorithms = [signingKey ? SIGNING_KEYS[signingKey].alg : 'RS256'];
+      const payload = jwt.verify(token, publicKey, { algorithms });
       if (debug) console.log(`✅ ${name}: VALID - User: ${payload.userId || payload.sub}`);
       if (debug) console.log(`   Expires: ${new Date(payload.exp * 1000).toISOString()}`);
     } catch (error) {
@@ -218,8 +278,21 @@ async function generateTestPKI() {
 
   }
 
+  // Keys files of before the EC / Ed25519 tokens get them added
+  const missingKeys = Object.keys(SIGNING_KEYS).filter(name => !testKeys[name]);
+  if (missingKeys.length > 0) {
+    if (debug) console.log(`🔑 Generating ${missingKeys.join(', ')} key pairs...`);
+    missingKeys.forEach(name => {
+      testKeys[name] = generateSigningKeyPair(name);
+    });
+    await fs.writeFile(
+      keysFilePath,
+      JSON.stringify(testKeys, null, 2)
+    );
+  }
+
   if (debug) console.log('📁 Generating JWKS...');
-  const jwks = generateJWKS(testKeys.publicKey);
+  const jwks = generateJWKS(testKeys);
 
   // Save files
   await fs.writeFile(
@@ -233,7 +306,7 @@ async function generateTestPKI() {
     roles: ['user', 'admin'],
     iss: "https://com-socket.dev",
     aud: ['http://localhost:3001'],
-    algorithms: ['RS256'],
+    algorithms: ['RS256', ...Object.values(SIGNING_KEYS).map(({ alg }) => alg)],
     ignoreNotBefore: false,
     ignoreExpiration: false,
   };
@@ -248,7 +321,7 @@ async function generateTestPKI() {
 
 
   if (debug) console.log('🎫 Creating test tokens...');
-  testTokens = await createTestTokens(testKeys.privateKey, passportData);
+  testTokens = await createTestTokens(testKeys, passportData);
 
   await fs.writeFile(
     tokensFilePath,
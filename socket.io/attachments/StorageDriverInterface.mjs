@@ -0,0 +1,19 @@
+/**
+ * Where attachment bytes live. Keys are opaque, metadata (MIME type, owner...)
+ * is kept by the persistence layer.
+ */
+export class StorageDriverInterface {
+  // Store `data` (Buffer) under `key`, replacing any previous content
+  async put(key, data) {
+    throw new Error('Method "put" must be implemented');
+  }
+
+  // Readable stream of the content, or null when the key is unknown
+  async get(key) {
+    throw new Error('Method "get" must be implemented');
+  }
+
+  async delete(key) {
+    throw new Error('Method "delete" must be implemented');
+  }
+}
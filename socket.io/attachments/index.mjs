@@ -0,0 +1,166 @@
+import sharp from 'sharp';
+
+import { LocalStorageDriver } from './storageLocal.mjs';
+import { ATTACHMENT_INLINE_MIME_TYPES } from '../userManager/schemas.mjs';
+import { debug, ATTACHMENT_MAX_BYTES, ATTACHMENT_THUMBNAIL_SIZE } from '../config.mjs';
+
+export { StorageDriverInterface } from './StorageDriverInterface.mjs';
+export { LocalStorageDriver };
+
+// Storage drivers, selected with ATTACHMENTS_STORAGE
+export const storageDrivers = {
+  local: () => new LocalStorageDriver(),
+};
+
+const THUMBNAIL_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Leading bytes of the types we serve inline, a mismatch means the declared type lies
+const SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+};
+
+export const matchesSignature = (mimeType, data) => {
+  const signatures = SIGNATURES[mimeType];
+  if (!signatures) return true;
+  return signatures.some(bytes => bytes.every((byte, i) => data[i] === byte));
+};
+
+const thumbnailKey = (attachmentId) => `${attachmentId}-thumb`;
+
+// The bytes of an attachment, and of its thumbnail, once its record is deleted
+export const deleteAttachmentFiles = async (storage, { attachmentId, hasThumbnail }) => {
+  await storage.delete(attachmentId);
+  if (hasThumbnail) await storage.delete(thumbnailKey(attachmentId));
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Reads the request body, rejecting as soon as it grows over maxBytes
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(Object.assign(new Error('Attachment larger than declared'), { statusCode: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+/**
+ * HTTP side of attachments, mounted by the root middleware under /attachments:
+ *
+ *  PUT /attachments/:id            upload, `Authorization: Bearer <uploadToken>` from createAttachmentUpload
+ *  GET /attachments/:id            download
+ *  GET /attachments/:id/thumbnail  preview of an image
+ *
+ * Attachment ids are random, whoever got one in a message can download it.
+ */
+export const createAttachmentsMiddleware = ({ users, storage }) => {
+  const upload = async (req, res, attachmentId) => {
+    const uploadToken = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const attachment = await users.getPendingAttachment(attachmentId, uploadToken);
+    if (!attachment) {
+      return sendJson(res, 403, { error: 'Invalid or expired upload' });
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== attachment.mimeType) {
+      return sendJson(res, 415, { error: `Content-Type must be ${attachment.mimeType}` });
+    }
+
+    const data = await readBody(req, Math.min(attachment.size, ATTACHMENT_MAX_BYTES));
+    if (data.length === 0) {
+      return sendJson(res, 400, { error: 'Empty attachment' });
+    }
+    if (!matchesSignature(attachment.mimeType, data)) {
+      return sendJson(res, 415, { error: `Content is not ${attachment.mimeType}` });
+    }
+
+    await storage.put(attachmentId, data);
+
+    let hasThumbnail = false;
+    if (THUMBNAIL_MIME_TYPES.includes(attachment.mimeType)) {
+      try {
+        const thumbnail = await sharp(data)
+          .resize(ATTACHMENT_THUMBNAIL_SIZE, ATTACHMENT_THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .webp()
+          .toBuffer();
+        await storage.put(thumbnailKey(attachmentId), thumbnail);
+        hasThumbnail = true;
+      } catch (error) {
+        // the image is still sent, as a plain file
+        console.warn(`No thumbnail for attachment ${attachmentId}:`, error.message);
+      }
+    }
+
+    const ready = await users.markAttachmentReady(attachmentId, { size: data.length, hasThumbnail });
+    if (debug) console.log(`Attachment ${attachmentId} uploaded (${data.length} bytes)`);
+
+    sendJson(res, 201, {
+      attachmentId,
+      fileName: ready.fileName,
+      mimeType: ready.mimeType,
+      size: ready.size,
+      url: `/attachments/${attachmentId}`,
+      thumbnailUrl: hasThumbnail ? `/attachments/${attachmentId}/thumbnail` : null,
+    });
+  };
+
+  const download = async (req, res, attachmentId, thumbnail) => {
+    const attachment = await users.getAttachment(attachmentId);
+    if (!attachment || (thumbnail && !attachment.hasThumbnail)) {
+      return sendJson(res, 404, { error: 'Not Found' });
+    }
+
+    const stream = await storage.get(thumbnail ? thumbnailKey(attachmentId) : attachmentId);
+    if (!stream) {
+      return sendJson(res, 404, { error: 'Not Found' });
+    }
+
+    const inline = thumbnail || ATTACHMENT_INLINE_MIME_TYPES.includes(attachment.mimeType);
+    const fileName = encodeURIComponent(attachment.fileName);
+    res.writeHead(200, {
+      'Content-Type': thumbnail ? 'image/webp' : attachment.mimeType,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${fileName}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=31536000, immutable',
+    });
+    stream.pipe(res);
+  };
+
+  return async (req, res) => {
+    const match = req.url.split('?')[0].match(/^\/attachments\/([^/]+)(\/thumbnail)?$/);
+    try {
+      if (!match) {
+        return sendJson(res, 404, { error: 'Not Found' });
+      }
+      const [, attachmentId, thumbnail] = match;
+
+      if (req.method === 'PUT' && !thumbnail) {
+        return await upload(req, res, attachmentId);
+      }
+      if (req.method === 'GET') {
+        return await download(req, res, attachmentId, Boolean(thumbnail));
+      }
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+    } catch (error) {
+      console.error(`Attachment request ${req.method} ${req.url} failed:`, error.message);
+      if (!res.headersSent) {
+        sendJson(res, error.statusCode || 500, { error: error.message });
+      }
+    }
+  };
+};
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+
+import { StorageDriverInterface } from './StorageDriverInterface.mjs';
+import { ATTACHMENTS_DIR } from '../config.mjs';
+
+/**
+ * Local filesystem storage, one file per key under rootDir
+ */
+export class LocalStorageDriver extends StorageDriverInterface {
+  constructor(rootDir = ATTACHMENTS_DIR) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  _path(key) {
+    if (!/^[A-Za-z0-9._-]+$/.test(key) || key.startsWith('.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.rootDir, key);
+  }
+
+  async put(key, data) {
+    const filePath = this._path(key);
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+  }
+
+  async get(key) {
+    const filePath = this._path(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this._path(key), { force: true });
+  }
+}
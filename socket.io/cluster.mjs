@@ -0,0 +1,46 @@
+import pg from 'pg';
+import { createAdapter } from '@socket.io/postgres-adapter';
+
+import { debug } from './config.mjs';
+import { getPoolOptions } from './userManager/persistPostgres.mjs';
+
+const { Pool } = pg;
+
+/**
+ * Socket.IO adapters, selected with CLUSTER_ADAPTER.
+ * Each one installs itself on `io` and returns its cleanup function.
+ */
+
+// Single node: the default in-memory adapter of Socket.IO
+export const memoryAdapter = async () => async () => { };
+
+// Several nodes on the same database, emits travel through LISTEN/NOTIFY
+export const postgresAdapter = async (io) => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required for the postgres cluster adapter');
+  }
+  const pool = new Pool(getPoolOptions(process.env.DATABASE_URL));
+  pool.on('error', (err) => {
+    console.error('Unexpected cluster adapter pool error:', err);
+  });
+
+  // payloads over the NOTIFY 8000 bytes limit go through this table
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS socket_io_attachments (
+      id BIGSERIAL UNIQUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      payload BYTEA
+    );
+  `);
+
+  io.adapter(createAdapter(pool));
+  if (debug) console.log('✅ Socket.IO postgres adapter installed');
+
+  return async () => {
+    await pool.end();
+  };
+};
+
+const clusterAdapters = { memory: memoryAdapter, postgres: postgresAdapter };
+
+export default clusterAdapters;
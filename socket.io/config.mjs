@@ -4,12 +4,49 @@ import dotenv from 'dotenv';
 dotenv.config({ path: process.env.NODE_ENV === 'test' ? './.env.test' : './.env' });
 
 export const PASSPORT_PATH = process.env.PASSPORT_PATH || './passport.json';
+export const DEFAULT_TENANT = 'default'; // tenant of the users of passports without one
 export const debug = process.env.NODE_ENV !== 'production';
 export const PUBLIC_MESSAGE_USER_ID = 'EVERY_ONE_ONLINE';
 export const PUBLIC_MESSAGE_EXPIRE_DAYS = 30;
 export const PRIVATE_MESSAGE_DELIVER_EXPIRE_DAYS = 30;
 export const SOCKET_MIDDLEWARE = process.env.SOCKET_MIDDLEWARE || 'testMiddleware';
+// testMiddleware takes the userId, roles, tenant, jti and exp of the handshake auth in tests or with this opt-in only, 'test-user' with role 'user' of DEFAULT_TENANT otherwise
+export const TEST_MIDDLEWARE_CLAIMS = process.env.NODE_ENV === 'test' || process.env.TEST_MIDDLEWARE_CLAIMS === 'true';
 export const INACTIVITY_THRESHOLD = 60 * 60 * 1000; // 1 hour (in milliseconds)
 export const INACTIVITY_CHECK_INTERVAL = 60 * 1000; // 1 minute (in milliseconds)
 export const DEFAULT_REQUEST_TIMEOUT = 5000;
-export const MESSAGE_ACKNOWLEDGEMENT_TIMEOUT = 10000; // 10 sec....time to up remote client && return ack('receive')
\ No newline at end of file
+export const MESSAGE_ACKNOWLEDGEMENT_TIMEOUT = 10000; // 10 sec....time to up remote client && return ack('receive')
+export const PENDING_MESSAGES_PAGE_SIZE = 100; // pending messages read per query when redelivering a backlog
+// Pending messages not acknowledged are pushed again after 5s, 10s, 20s... up to 5 minutes apart
+export const PENDING_REDELIVERY_BASE_DELAY_MS = parseInt(process.env.PENDING_REDELIVERY_BASE_DELAY_MS, 10) || 5000;
+export const PENDING_REDELIVERY_MAX_DELAY_MS = 5 * 60 * 1000;
+export const PENDING_REDELIVERY_MAX_ATTEMPTS = 10; // then on the next connection only
+export const PENDING_EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000; // pending messages past PRIVATE_MESSAGE_DELIVER_EXPIRE_DAYS become failed
+export const DISAPPEARING_MESSAGES_CHECK_INTERVAL = 15 * 1000; // messages past their conversation TTL (expiresAt) are deleted
+export const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15; // senders can edit their messages this long after sending
+export const CLUSTER_ADAPTER = process.env.CLUSTER_ADAPTER || 'memory'; // 'postgres' lets several server nodes reach each other sockets
+export const CLUSTER_NODE_ID = process.env.CLUSTER_NODE_ID || null; // defaults to a random id per process
+export const PRESENCE_HEARTBEAT_INTERVAL = 10 * 1000; // each node marks itself alive in the shared presence
+export const PRESENCE_NODE_TIMEOUT = 30 * 1000; // the sockets of a node silent this long are purged
+export const ATTACHMENTS_STORAGE = process.env.ATTACHMENTS_STORAGE || 'local'; // storage driver of attachment bytes
+export const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || './uploads'; // local storage driver root
+export const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024; // 10 MB
+export const ATTACHMENT_UPLOAD_EXPIRE_MINUTES = 15; // pending uploads must complete within
+export const ATTACHMENT_THUMBNAIL_SIZE = 256; // px, longest side of image thumbnails
+export const RATE_LIMIT_STORAGE = process.env.RATE_LIMIT_STORAGE || 'memory'; // 'postgresql' shares the buckets between cluster nodes
+// Token buckets per event and role (see socket.io/rateLimit), '*' matches any event / role, null is unlimited
+export const RATE_LIMITS = Object.freeze({
+  '*': { '*': { capacity: 60, refillPerSecond: 20 } },
+  sendMessage: { '*': { capacity: 20, refillPerSecond: 2 } },
+  sendGroupMessage: { '*': { capacity: 20, refillPerSecond: 2 } },
+  resendMessage: { '*': { capacity: 20, refillPerSecond: 2 } },
+  broadcastPublicMessage: { '*': { capacity: 10, refillPerSecond: 0.5 }, admin: { capacity: 30, refillPerSecond: 2 } },
+  typing: { '*': { capacity: 30, refillPerSecond: 5 } },
+  stopTyping: { '*': { capacity: 30, refillPerSecond: 5 } },
+  createAttachmentUpload: { '*': { capacity: 10, refillPerSecond: 0.5 } },
+});
+export const RATE_LIMIT_MAX_VIOLATIONS = 20; // rate limited calls tolerated per window before disconnecting the socket
+export const RATE_LIMIT_VIOLATION_WINDOW_MS = 60 * 1000;
+export const TOKEN_EXPIRY_WARNING_SECONDS = 30; // token_expiring is emitted this long before the token exp
+export const TOKEN_EXPIRY_GRACE_SECONDS = 60; // sockets are disconnected this long after exp without reauthenticate (same clock skew as verifyToken)
+export const ONE_TIME_TOKEN_MAX_LIFETIME_SECONDS = parseInt(process.env.ONE_TIME_TOKEN_MAX_LIFETIME_SECONDS, 10) || 0; // tokens living this long at most (exp - iat) are accepted once per jti, 0 disables
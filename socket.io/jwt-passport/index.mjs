@@ -2,7 +2,7 @@
 import jwksRsa from 'jwks-rsa';
 const { JwksClient } = jwksRsa;
 //import JwksClient from 'jwks-rsa';
-import { createVerify, createPublicKey } from 'crypto'; // Import for signature verification
+import { verify, createPublicKey } from 'crypto'; // Import for signature verification
 import { Mutex } from 'async-mutex';
 
 // Mutex to protect clientCache access
@@ -13,7 +13,7 @@ const debug = false; process.env.NODE_ENV !== 'production';
 const clientCache = new Map();
 
 
-import { algSchema, jwksKeySchema, passportSchema } from './schemas.mjs';
+import { algSchema, jwksKeySchema, passportSchema, supportedAlgorithms } from './schemas.mjs';
 
 // Add this function to clear the cache
 export function clearJwksClientCache() {
@@ -56,7 +56,7 @@ function getKey(header, client) {
         if (debug) console.error(`Error fetching key for kid '${header.kid}' from JWKS:`, err.message);
         return reject(err);
       }
-      // jwks-rsa typically provides the key object with methods/properties
+      // jwks-rsa typically provides the key object with methods/properties (RSA, EC and OKP keys alike)
       // Prioritize getPublicKey() method, fallback to rsaPublicKey property.
       const signingKey = key?.getPublicKey ? key.getPublicKey() : key?.rsaPublicKey || key;
       if (!signingKey) {
@@ -67,15 +67,28 @@ function getKey(header, client) {
   });
 }
 
+// Node.js crypto parameters of each JWS algorithm, and the key type it must be verified with.
+// ECDSA signatures of JWTs are the raw r || s (ieee-p1363), not DER.
+const CRYPTO_ALGORITHMS = {
+  'RS256': { digest: 'RSA-SHA256', keyTypes: ['rsa'] },
+  'RS384': { digest: 'RSA-SHA384', keyTypes: ['rsa'] },
+  'RS512': { digest: 'RSA-SHA512', keyTypes: ['rsa'] },
+  'ES256': { digest: 'sha256', keyTypes: ['ec'], namedCurve: 'prime256v1', dsaEncoding: 'ieee-p1363' },
+  'ES384': { digest: 'sha384', keyTypes: ['ec'], namedCurve: 'secp384r1', dsaEncoding: 'ieee-p1363' },
+  'ES512': { digest: 'sha512', keyTypes: ['ec'], namedCurve: 'secp521r1', dsaEncoding: 'ieee-p1363' },
+  'EdDSA': { digest: null, keyTypes: ['ed25519', 'ed448'] },
+};
+
 // --- Core Cryptographic Signature Verification ---
 /**
  * Verifies the cryptographic signature of a JWT.
  *
  * @param {string} token The complete JWT string.
  * @param {string} publicKey The public key string (PEM format) for verification.
- * @param {string} algorithm The algorithm specified in the token header (e.g., 'RS256').
+ * @param {string} algorithm The algorithm specified in the token header (e.g., 'RS256', 'ES256', 'EdDSA').
  * @returns {{ header: Object, payload: Object }} The decoded header and payload if verification is successful.
- * @throws {Error} If verification fails (malformed token, invalid signature, unsupported algorithm, invalid key).
+ * @throws {Error} If verification fails (malformed token, invalid signature, unsupported algorithm, invalid key
+ *                 or a key of another type than the algorithm).
  */
 export function cryptVerify(token, publicKey, algorithm) {
   try {
@@ -96,14 +109,7 @@ export function cryptVerify(token, publicKey, algorithm) {
     }
 
     // 3. Algorithm Validation (Basic)
-    const supportedCryptoAlgorithms = {
-      'RS256': 'RSA-SHA256',
-      'RS384': 'RSA-SHA384',
-      'RS512': 'RSA-SHA512',
-      // Add others if needed, map to Node.js crypto names
-      // 'ES256': 'SHA256', // ECDSA needs different handling
-    };
-    const cryptoAlgorithm = supportedCryptoAlgorithms[algorithm];
+    const cryptoAlgorithm = CRYPTO_ALGORITHMS[algorithm];
     if (!cryptoAlgorithm) {
       throw new Error(`Unsupported algorithm for cryptVerify: ${algorithm}`);
     }
@@ -113,16 +119,26 @@ export function cryptVerify(token, publicKey, algorithm) {
       throw new Error('Invalid public key provided for signature verification');
     }
 
+    // The key must be of the algorithm type, an RSA key cannot verify an ES256 token
+    let keyObject;
+    try {
+      keyObject = createPublicKey(publicKey);
+    } catch (keyError) {
+      throw new Error(`Invalid public key provided for signature verification: ${keyError.message}`);
+    }
+    const { namedCurve } = keyObject.asymmetricKeyDetails || {};
+    if (!cryptoAlgorithm.keyTypes.includes(keyObject.asymmetricKeyType)
+      || (cryptoAlgorithm.namedCurve && cryptoAlgorithm.namedCurve !== namedCurve)) {
+      throw new Error(`Key type mismatch: ${algorithm} cannot be verified with a ${namedCurve || keyObject.asymmetricKeyType} key`);
+    }
+
     // 5. Signature Verification using Node.js Crypto
-    const unsignedToken = `${headerB64}.${payloadB64}`;
+    const unsignedToken = Buffer.from(`${headerB64}.${payloadB64}`, 'utf8');
     // Decode the signature from base64url
     const signatureBuffer = Buffer.from(signatureB64, 'base64url');
 
-    const verifier = createVerify(cryptoAlgorithm);
-    verifier.update(unsignedToken, 'utf8'); // Specify encoding
-    verifier.end(); // Finalize data input
-
-    const isValid = verifier.verify(publicKey, signatureBuffer); // crypto handles base64 internally if needed
+    const key = cryptoAlgorithm.dsaEncoding ? { key: keyObject, dsaEncoding: cryptoAlgorithm.dsaEncoding } : keyObject;
+    const isValid = verify(cryptoAlgorithm.digest, unsignedToken, key, signatureBuffer);
 
     if (!isValid) {
       throw new Error('Invalid token signature');
@@ -138,6 +154,7 @@ export function cryptVerify(token, publicKey, algorithm) {
       error.message.startsWith('Failed to decode') ||
       error.message.startsWith('Unsupported algorithm') ||
       error.message.startsWith('Invalid public key') ||
+      error.message.startsWith('Key type mismatch') ||
       error.message === 'Invalid token signature') {
       // Re-throw specific errors as-is for upstream handling
       throw error;
@@ -148,31 +165,36 @@ export function cryptVerify(token, publicKey, algorithm) {
   }
 }
 
+// Public members of each JWK key type
+const JWK_MEMBERS = {
+  RSA: ['n', 'e'],
+  EC: ['crv', 'x', 'y'],
+  OKP: ['crv', 'x'],
+};
+
 /**
- * Converts a JSON Web Key (JWK) with `.n` and `.e` into a PEM-formatted public key.
+ * Converts a JSON Web Key (JWK) into a PEM-formatted public key:
+ * RSA (`.n`, `.e`), EC (`.crv`, `.x`, `.y`) or OKP (`.crv`, `.x`).
  *
- * @param {string} n - The Base64 URL-safe encoded modulus of the RSA public key.
- * @param {string} e - The Base64 URL-safe encoded public exponent.
- * @param {string} kty - The key type (e.g., 'RSA').
+ * @param {Object} jwk - The passport key.
  * @returns {string} - The PEM-formatted public key.
  */
-function jwkToPem(n, e, kty = 'RSA') {
+function jwkToPem(jwk = {}) {
   try {
-    // Input validation
-    if (!n || !e || typeof n !== 'string' || typeof e !== 'string') {
-      throw new Error('Invalid input: "n" and "e" must be non-empty strings.');
+    const { kty } = jwk;
+    const members = JWK_MEMBERS[kty];
+    if (!members) {
+      throw new Error(`Unsupported key type: "${kty}". Only "RSA", "EC" and "OKP" are supported.`);
     }
-    if (kty !== 'RSA') {
-      throw new Error(`Unsupported key type: "${kty}". Only "RSA" is currently supported.`);
+    // Input validation
+    const missing = members.filter(member => !jwk[member] || typeof jwk[member] !== 'string');
+    if (missing.length > 0) {
+      throw new Error(`Invalid input: ${missing.map(member => `"${member}"`).join(', ')} must be non-empty strings.`);
     }
 
-    // Create the public key using Node.js crypto module
+    // Create the public key using Node.js crypto module, from the raw Base64 URL-safe members
     const publicKey = createPublicKey({
-      key: {
-        kty,
-        n, // Pass the raw Base64 URL-safe string
-        e, // Pass the raw Base64 URL-safe string
-      },
+      key: Object.fromEntries([['kty', kty], ...members.map(member => [member, jwk[member]])]),
       format: 'jwk', // Specify JWK format for input
     });
 
@@ -218,6 +240,93 @@ function jwtDecode(token) {
   }
 }
 
+// --- Roles ---
+// Role of the tokens without a `roles` / `role` claim
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * Roles claimed by a token payload: the `roles` array, else the single `role`, else DEFAULT_ROLE.
+ *
+ * @param {Object} payload - The decoded token payload.
+ * @returns {string[]}
+ */
+export function tokenRoles(payload = {}) {
+  if (Array.isArray(payload?.roles)) return payload.roles.filter(role => typeof role === 'string');
+  if (typeof payload?.role === 'string' && payload.role) return [payload.role];
+  return [DEFAULT_ROLE];
+}
+
+// --- Claims ---
+// Mapping of the passports without `claims`, or of the claims they leave out
+export const DEFAULT_CLAIMS = Object.freeze({
+  userId: ['userId', 'sub'],
+  userName: ['userName', 'name'],
+  required: ['userId'],
+});
+
+const CLAIM_TEMPLATE = /\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}/g;
+
+// String value of the claim at a dotted path, undefined when missing or empty
+function claimAt(payload, path) {
+  const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), payload);
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+// A path, or a template resolving only when all its paths do
+function resolveClaimSource(payload, source) {
+  if (!source.includes('{{')) return claimAt(payload, source);
+
+  let missing = false;
+  const value = source.replace(CLAIM_TEMPLATE, (_, path) => {
+    const claim = claimAt(payload, path);
+    if (claim === undefined) missing = true;
+    return claim ?? '';
+  });
+  return missing ? undefined : value.trim();
+}
+
+/**
+ * Maps the token claims to the user fields, with the passport `claims` block:
+ * each field is a dotted path, a template (`{{given_name}} {{family_name}}`) or a list of them tried in order.
+ *
+ * @param {Object} payload - The decoded token payload.
+ * @param {Object} [claims] - The passport claims mapping, DEFAULT_CLAIMS for what it leaves out.
+ * @returns {{ user: { userId: string|undefined, userName: string|undefined }, missing: string[] }}
+ *          missing lists the required fields no source resolved.
+ */
+export function mapClaims(payload, claims = {}) {
+  const mapping = { ...DEFAULT_CLAIMS, ...claims };
+  const user = {};
+  for (const field of ['userId', 'userName']) {
+    const sources = [].concat(mapping[field]);
+    user[field] = sources.reduce((value, source) => value ?? resolveClaimSource(payload, source), undefined);
+  }
+  const missing = mapping.required.filter(field => user[field] === undefined);
+  return { user, missing };
+}
+
+// --- Issuers ---
+/**
+ * Picks the passport of a token among several trusted issuers, by the token `iss`.
+ * A single passport (not an array) is returned as is, verifyToken checks its issuer.
+ *
+ * @param {Object|Object[]} passports - One passport or a list of them, one per issuer.
+ * @param {string} token - The JWT string, not verified yet.
+ * @returns {Object|null} - The passport, null when no passport trusts the token issuer.
+ */
+export function selectPassport(passports, token) {
+  if (!Array.isArray(passports)) return passports;
+
+  let iss;
+  try {
+    iss = jwtDecode(token).payload.iss;
+  } catch {
+    return null;
+  }
+  return passports.find(passport => passport.iss?.trim() === iss) || null;
+}
+
 // --- Main Token Verification Function ---
 /**
  * Verifies a JWT token against a passport configuration.
@@ -225,7 +334,9 @@ function jwtDecode(token) {
  * @param {string} token - The JWT string to verify.
  * @param {Object} passport - The passport object containing validation rules.
  * @returns {Promise<boolean|Object>} - Returns false if verification fails,
- *                                      or an object { header, payload } if successful.
+ *                                      or an object { header, payload, roles, user } if successful,
+ *                                      roles being the token roles allowed by passport.roles,
+ *                                      user the { userId, userName } mapped by passport.claims.
  */
 
 export function verifyToken(token, passport) {
@@ -236,6 +347,8 @@ export function verifyToken(token, passport) {
       details: {},
       header: null,
       payload: null,
+      roles: [],
+      user: null,
     };
 
     try {
@@ -301,7 +414,7 @@ export function verifyToken(token, passport) {
           if (debug) console.error(`No matching key found in passport for kid: ${kid}`);
           return reject(result); // Reject with structured error
         }
-        publicKey = jwkToPem(key.n, key.e, key.kty);
+        publicKey = jwkToPem(key);
 
       } else {
         // Fetch public key from JWKS if passport.keys is not provided
@@ -335,7 +448,6 @@ export function verifyToken(token, passport) {
       }
 
       // --- Step 5: Validate Algorithm ---
-      const supportedAlgorithms = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
       if (!supportedAlgorithms.includes(alg)) {
         result.reason = 'Unsupported algorithm';
         result.details.algorithm = alg;
@@ -407,6 +519,32 @@ export function verifyToken(token, passport) {
         }
       }
 
+      // --- Step 8: Validate Roles ---
+      const claimedRoles = tokenRoles(decoded.payload);
+      const allowedRoles = passport.roles
+        ? claimedRoles.filter(role => passport.roles.includes(role))
+        : claimedRoles;
+      if (allowedRoles.length === 0) {
+        result.reason = 'Role not allowed';
+        result.details.expected = passport.roles;
+        result.details.actual = claimedRoles;
+        if (debug) console.error(`Role not allowed. Expected one of [${passport.roles.join(', ')}], Token has [${claimedRoles.join(', ')}]`);
+        return reject(result); // Reject with structured error
+      }
+      result.roles = allowedRoles;
+
+      // --- Step 9: Map the user claims ---
+      const { user, missing } = mapClaims(decoded.payload, passport.claims);
+      if (missing.length > 0) {
+        const mapping = { ...DEFAULT_CLAIMS, ...passport.claims };
+        result.reason = `Missing required claim: ${missing.join(', ')}`;
+        result.details.missing = missing;
+        result.details.expected = Object.fromEntries(missing.map(field => [field, [].concat(mapping[field])]));
+        if (debug) console.error(`${result.reason}. Expected one of ${JSON.stringify(result.details.expected)}`);
+        return reject(result); // Reject with structured error
+      }
+      result.user = user;
+
       // --- Success ---
       result.valid = true;
       result.reason = 'Token successfully verified';
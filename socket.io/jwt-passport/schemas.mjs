@@ -1,19 +1,61 @@
 import Joi from 'joi';
 // Supported algorithms for JWT validation
-const supportedAlgorithms = ['RS256', 'RS384', 'RS512']; // TODO: Add 'ES256', 'ES384', 'ES512' later
+const supportedAlgorithms = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+// Curves of the EC (ES*) and OKP (EdDSA) keys
+const ecCurves = ['P-256', 'P-384', 'P-521'];
+const okpCurves = ['Ed25519', 'Ed448'];
 
 
 // Algorithm schema
 const algSchema = Joi.string().valid(...supportedAlgorithms);
 
-// JWKS Key schema
+// JWKS Key schema: RSA keys have n / e, EC keys crv / x / y, OKP keys crv / x
 const jwksKeySchema = Joi.object({
-  kty: Joi.string().valid('RSA').required(),
+  kty: Joi.string().valid('RSA', 'EC', 'OKP').required(),
   use: Joi.string().valid('sig').required(),
   kid: Joi.string().required(),
   alg: algSchema.required(),
-  n: Joi.string().required(),
-  e: Joi.string().required(),
+  n: Joi.string().when('kty', { is: 'RSA', then: Joi.required(), otherwise: Joi.forbidden() }),
+  e: Joi.string().when('kty', { is: 'RSA', then: Joi.required(), otherwise: Joi.forbidden() }),
+  crv: Joi.string()
+    .when('kty', { is: 'EC', then: Joi.valid(...ecCurves).required() })
+    .when('kty', { is: 'OKP', then: Joi.valid(...okpCurves).required() })
+    .when('kty', { is: 'RSA', then: Joi.forbidden() }),
+  x: Joi.string().when('kty', { is: 'RSA', then: Joi.forbidden(), otherwise: Joi.required() }),
+  y: Joi.string().when('kty', { is: 'EC', then: Joi.required(), otherwise: Joi.forbidden() }),
+});
+
+// Claim mapping: a dotted path (`sub`, `user.id`) or a template of paths (`{{given_name}} {{family_name}}`),
+// or a list of them, the first one resolving wins
+const CLAIM_PATH = '[\\w$-]+(?:\\.[\\w$-]+)*';
+const claimPathPattern = new RegExp(`^${CLAIM_PATH}$`);
+const claimTemplatePattern = new RegExp(`^(?:[^{}]*\\{\\{\\s*${CLAIM_PATH}\\s*\\}\\})+[^{}]*$`);
+
+const claimSourceSchema = Joi.alternatives()
+  .try(
+    Joi.string().pattern(claimPathPattern),
+    Joi.string().pattern(claimTemplatePattern),
+  )
+  .messages({
+    'alternatives.match': '{{#label}} must be a dotted claim path or a template of claim paths',
+  });
+
+const claimMappingSchema = Joi.alternatives().try(
+  claimSourceSchema,
+  Joi.array().items(claimSourceSchema).min(1),
+);
+
+const mappedClaims = ['userId', 'userName'];
+
+const claimsSchema = Joi.object({
+  userId: claimMappingSchema.optional(),
+  userName: claimMappingSchema.optional(),
+  required: Joi.array()
+    .items(Joi.string().valid(...mappedClaims))
+    .unique()
+    .optional()
+    .description('Mapped claims a token must resolve, userId by default'),
 });
 
 const passportSchema = Joi.object({
@@ -21,9 +63,6 @@ const passportSchema = Joi.object({
     .items(jwksKeySchema)
     .optional()
     .description('Array of JWKS keys for token validation'),
-  roles: Joi.array()
-    .items(Joi.string())
-    .optional(),
   iss: Joi.string()
     .uri()
     .optional()
@@ -48,7 +87,7 @@ const passportSchema = Joi.object({
   algorithms: Joi.array()
     .items(algSchema.clone())
     .optional()
-    .description('Allowed algorithms, e.g., RS256'),
+    .description('Allowed algorithms, e.g., RS256, ES256 or EdDSA'),
   nbf: Joi.number()
     .optional()
     .description('Not Before claim'),
@@ -62,10 +101,25 @@ const passportSchema = Joi.object({
     .items(Joi.string().valid('user', 'admin'))
     .optional()
     .description('Allowed roles'),
+  tenant: Joi.string()
+    .optional()
+    .description('Tenant of the users authenticated by this passport'),
+  claims: claimsSchema
+    .optional()
+    .description('Token claims holding the userId and userName'),
 })
   .or('keys', 'iss') // Ensure either `keys` or `iss` is provided, but not both
   .messages({
     'object.or': 'Either "keys" or "iss" must be provided to recover the public key',
   });
 
-export { algSchema, jwksKeySchema, passportSchema, supportedAlgorithms };
\ No newline at end of file
+// Several trusted issuers, the passport of a token is picked by its iss
+const passportsSchema = Joi.array()
+  .items(passportSchema.keys({ iss: Joi.string().uri().required() }))
+  .min(1)
+  .unique('iss')
+  .messages({
+    'array.unique': 'Each passport must have its own issuer (iss)',
+  });
+
+export { algSchema, jwksKeySchema, claimsSchema, passportSchema, passportsSchema, supportedAlgorithms };
\ No newline at end of file
@@ -1,26 +1,49 @@
-import { verifyToken } from './jwt-passport/index.mjs';
-import { PASSPORT_PATH, debug } from './config.mjs';
+import { verifyToken, tokenRoles, selectPassport } from './jwt-passport/index.mjs';
+import { createPassportStore } from './passportStore.mjs';
+import { PASSPORT_PATH, DEFAULT_TENANT, ONE_TIME_TOKEN_MAX_LIFETIME_SECONDS, TEST_MIDDLEWARE_CLAIMS, debug } from './config.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
-// Load passport data dynamically
+// Active passport(s), re-read on reload without restarting the server (see passportStore)
+export const passportStore = createPassportStore({ path: new URL(PASSPORT_PATH, import.meta.url) });
+
+/**
+ * The user id of a token subject in its tenant: `${tenant}:${userId}`, the bare userId in DEFAULT_TENANT.
+ * Users, messages, blocks, sanctions and revocations are all keyed by it, so the same subject in two
+ * tenants (e.g. staging and production issuers) are two users.
+ */
+export const tenantUserId = (tenant, userId) =>
+  !tenant || tenant === DEFAULT_TENANT ? userId : `${tenant}:${userId}`;
+
+// Load passport data: one passport, or a list of them, one per trusted issuer
 const loadPassportData = async () => {
-  if (PASSPORT_PATH) {
-    try {
-      return await import(PASSPORT_PATH, { with: { type: 'json' } }).then((module) => module.default);
-    } catch (error) {
-      throw error;
-    }
-  } else {
+  if (!PASSPORT_PATH) {
     throw new Error('Passport configuration is missing');
   }
+  return passportStore.get();
 };
 
-// Token validation function
+// Token validation function, with the passport of the token issuer
+// expiresAt (ms) is when the socket must have renewed the token, null when the passport ignores expiration
+// Expiration is enforced unless the passport sets ignoreExpiration (verifyToken ignores it by default)
 const validateContentToken = async (token) => {
-  const passport = await loadPassportData();
+  const passport = selectPassport(await loadPassportData(), token);
+  if (!passport) {
+    throw Object.assign(new Error('Unknown issuer'), { reason: 'Unknown issuer' });
+  }
+
+  const ignoreExpiration = passport.ignoreExpiration ?? false;
+  const result = await verifyToken(token, { ...passport, ignoreExpiration });
+  if (!result || !result.valid) return false;
 
-  const result = await verifyToken(token, passport);
-  return result && result.valid ? Object.freeze(result) : false;
+  const { exp } = result.payload;
+  const tenant = passport.tenant || DEFAULT_TENANT;
+  return Object.freeze({
+    ...result,
+    expiresAt: !ignoreExpiration && exp ? exp * 1000 : null,
+    tenant,
+    userId: tenantUserId(tenant, result.user.userId),
+    userName: result.user.userName,
+  });
 };
 
 /**
@@ -49,9 +72,8 @@ export const passportMiddleware = async (socket, next) => {
       return next(new Error(`Authentication failed: ${error.reason}`));
     }
 
-    // Extract user information from the token
-    const userId = decodedToken.payload.userId;
-    const userName = decodedToken.payload.userName;
+    // Extract user information from the token, with the passport claims mapping
+    const { userId, userName, tenant } = decodedToken;
 
     // Attach user information to the socket
     const user = {
@@ -62,7 +84,10 @@ export const passportMiddleware = async (socket, next) => {
 
     socket.user = Object.freeze({
       ...user,
+      tenant,
+      roles: Object.freeze([...decodedToken.roles]),
       payload: decodedToken.payload,
+      expiresAt: decodedToken.expiresAt,
     });
 
     // Emit an event to notify the client of successful authentication
@@ -72,7 +97,7 @@ export const passportMiddleware = async (socket, next) => {
     });
 
     if (debug) {
-      console.log(`User ${userName} (${userId}) authenticated successfully`);
+      console.log(`User ${userName} (${userId}) of tenant ${tenant} authenticated successfully`);
     }
 
     // Proceed to the next middleware
@@ -86,12 +111,20 @@ export const passportMiddleware = async (socket, next) => {
 /**
  * Test Middleware - no token, no validation
  * Connects as Authenticated and attaches their information to the socket.
+ * The userId, roles, exp (seconds), tenant, jti and iat may be given in the handshake auth
+ * (`{ userId, roles: ['admin'], exp, tenant, jti, iat }`), 'test-user', 'user', no expiration and DEFAULT_TENANT by default.
+ * They are all ignored unless TEST_MIDDLEWARE_CLAIMS (NODE_ENV 'test' or the opt-in).
+ * The socket userId is the one of the tenant (see tenantUserId).
  * Does NOT add the user to the system.
  */
 export const testMiddleware = async (socket, next) => {
   try {
+    const auth = TEST_MIDDLEWARE_CLAIMS ? socket.handshake.auth || {} : {};
+    const tenant = auth.tenant || DEFAULT_TENANT;
+
     // Simulate a hardcoded user for testing purposes
-    const userId = 'test-user';
+    const sub = auth.userId || 'test-user';
+    const userId = tenantUserId(tenant, sub);
     const userName = "Test name";
 
     // Attach user information to the socket
@@ -101,9 +134,14 @@ export const testMiddleware = async (socket, next) => {
       state: 'authenticated',
     };
 
+    const roles = tokenRoles(auth);
+
     socket.user = Object.freeze({
       ...user,
-      payload: {},
+      tenant,
+      roles: Object.freeze(roles),
+      payload: { sub, jti: auth.jti, iat: auth.iat, exp: auth.exp },
+      expiresAt: auth.exp ? auth.exp * 1000 : null,
     });
 
     if (debug) {
@@ -118,4 +156,141 @@ export const testMiddleware = async (socket, next) => {
   }
 };
 
+/**
+ * Passport re-authentication of a live socket
+ * Verifies the fresh token as the handshake does and renews socket.user roles, payload and expiresAt.
+ * The token must be of the socket user and tenant.
+ *
+ * @param {Socket} socket - An authenticated socket.
+ * @param {Object} data - `{ token }`.
+ * @param {Function} [check] - async (renewedUser) => void, throws to refuse the token (see checkToken).
+ * @returns {Promise<Object>} - The renewed socket.user.
+ */
+export const passportReauthenticate = async (socket, { token } = {}, check = null) => {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Authentication failed: Missing token');
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await validateContentToken(token);
+  } catch (error) {
+    if (debug) console.error(`Error re-authenticating user for socket ${socket.id}: ${error.reason}`);
+    throw new Error(`Authentication failed: ${error.reason}`);
+  }
+  if (!decodedToken) {
+    throw new Error('Authentication failed: Invalid token');
+  }
+  if (decodedToken.userId !== socket.user?.userId || decodedToken.tenant !== socket.user?.tenant) {
+    throw new Error('Authentication failed: Token belongs to another user');
+  }
+
+  const renewed = Object.freeze({
+    ...socket.user,
+    roles: Object.freeze([...decodedToken.roles]),
+    payload: decodedToken.payload,
+    expiresAt: decodedToken.expiresAt,
+  });
+  if (check) await check(renewed);
+  socket.user = renewed;
+  return socket.user;
+};
+
+/**
+ * Test re-authentication - no token, no validation
+ * Takes the same `{ userId, roles, exp, jti, iat }` as the test middleware handshake auth (see TEST_MIDDLEWARE_CLAIMS).
+ */
+export const testReauthenticate = async (socket, auth = {}, check = null) => {
+  const data = TEST_MIDDLEWARE_CLAIMS ? auth : {};
+  if ((data.tenant && data.tenant !== socket.user?.tenant)
+    || (data.userId && tenantUserId(socket.user?.tenant, data.userId) !== socket.user?.userId)) {
+    throw new Error('Authentication failed: Token belongs to another user');
+  }
+
+  const renewed = Object.freeze({
+    ...socket.user,
+    roles: Object.freeze(tokenRoles(data)),
+    payload: { sub: socket.user?.payload?.sub, jti: data.jti, iat: data.iat, exp: data.exp },
+    expiresAt: data.exp ? data.exp * 1000 : null,
+  });
+  if (check) await check(renewed);
+  socket.user = renewed;
+  return socket.user;
+};
+
+// Re-authentication of each auth middleware, selected with SOCKET_MIDDLEWARE as well
+export const reauthenticators = {
+  passportMiddleware: passportReauthenticate,
+  testMiddleware: testReauthenticate,
+};
+
+/**
+ * Refuses revoked tokens, and the replay of one-time tokens: the ones with a jti living
+ * ONE_TIME_TOKEN_MAX_LIFETIME_SECONDS at most (exp - iat).
+ *
+ * @param {Object} user - socket.user of the token.
+ * @param {Object} tokens - { getTokenRevocation, consumeOneTimeToken } of the userManager.
+ */
+export const checkToken = async (user, { getTokenRevocation, consumeOneTimeToken }) => {
+  const { jti, sub, iat, exp } = user.payload || {};
+
+  // the subject revocations are of the tenant user ids
+  const revocation = await getTokenRevocation({ jti, sub: sub && tenantUserId(user.tenant, sub), userId: user.userId, iat });
+  if (revocation) {
+    throw new Error('Authentication failed: Token revoked');
+  }
+
+  const oneTime = ONE_TIME_TOKEN_MAX_LIFETIME_SECONDS > 0 && jti && iat && exp
+    && exp - iat <= ONE_TIME_TOKEN_MAX_LIFETIME_SECONDS;
+  if (oneTime && !(await consumeOneTimeToken(jti, exp * 1000))) {
+    throw new Error('Authentication failed: Token already used');
+  }
+};
+
+/**
+ * Runs the given auth middleware, then refuses revoked or replayed tokens (see checkToken).
+ * The user id and token jti are kept in socket.data, to find their sockets on every cluster node.
+ *
+ * @param {Function} middleware - passportMiddleware or testMiddleware.
+ * @param {Object} tokens - { getTokenRevocation, consumeOneTimeToken } of the userManager.
+ */
+export const withRevocationCheck = (middleware, tokens) => async (socket, next) => {
+  await middleware(socket, async (error) => {
+    if (error) return next(error);
+    try {
+      await checkToken(socket.user, tokens);
+      socket.data.userId = socket.user.userId;
+      socket.data.jti = socket.user.payload?.jti || null;
+      next();
+    } catch (checkError) {
+      const message = checkError.message.startsWith('Authentication failed')
+        ? checkError.message
+        : `Authentication failed: ${checkError.message}`;
+      next(new Error(message));
+    }
+  });
+};
+
+/**
+ * Runs the given auth middleware, then refuses the handshake of banned users.
+ *
+ * @param {Function} middleware - passportMiddleware or testMiddleware.
+ * @param {Function} getActiveBan - async (userId) => ban or null.
+ */
+export const withBanCheck = (middleware, getActiveBan) => async (socket, next) => {
+  await middleware(socket, async (error) => {
+    if (error) return next(error);
+    try {
+      const ban = await getActiveBan(socket.user.userId);
+      if (ban) {
+        const until = ban.until ? ` until ${new Date(ban.until).toISOString()}` : '';
+        return next(new Error(`Authentication failed: User banned${until}`));
+      }
+      next();
+    } catch (banError) {
+      next(new Error(`Authentication failed: ${banError.message}`));
+    }
+  });
+};
+
 export default { passportMiddleware, testMiddleware };
\ No newline at end of file
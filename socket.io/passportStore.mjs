@@ -0,0 +1,97 @@
+import { readFile } from 'fs/promises';
+import { watch as watchFs } from 'fs';
+import { basename, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { Mutex } from 'async-mutex';
+import { passportSchema, passportsSchema } from './jwt-passport/schemas.mjs';
+import { clearJwksClientCache } from './jwt-passport/index.mjs';
+
+// Editors write a file in several steps, one reload once they are done
+const RELOAD_DEBOUNCE_MS = 100;
+
+// One passport, or a list of them, one per trusted issuer
+export const validatePassports = (passports) => {
+  const isList = Array.isArray(passports);
+  const { error } = (isList ? passportsSchema : passportSchema).validate(passports);
+  if (error) throw new Error(`Invalid ${isList ? 'passports' : 'passport'}: ${error.message}`);
+  return passports;
+};
+
+const issuersOf = (passports) => [passports].flat().map(p => p.iss).filter(Boolean).sort();
+
+/**
+ * Active passport(s), read from the passport file on first use and re-read on reload.
+ * A reload validates the new file before swapping it in: on failure the previous passport stays active.
+ * The JWKS clients are flushed when the issuers change.
+ *
+ * @param {Object} options
+ * @param {string|URL} options.path - Passport JSON file.
+ * @param {number} [options.debounceMs] - Delay between a file change and the reload when watching.
+ */
+export const createPassportStore = ({ path, debounceMs = RELOAD_DEBOUNCE_MS }) => {
+  const filePath = path instanceof URL ? fileURLToPath(path) : path;
+  const mutex = new Mutex();
+  let active = null;
+  let watcher = null;
+  let debounceTimer = null;
+
+  const _load = async () => {
+    const passports = validatePassports(JSON.parse(await readFile(filePath, 'utf8')));
+
+    const previous = active;
+    active = passports;
+    if (previous && issuersOf(previous).join() !== issuersOf(passports).join()) {
+      clearJwksClientCache();
+    }
+    return passports;
+  };
+
+  const get = async () => active ?? mutex.runExclusive(async () => active ?? _load());
+
+  const reload = async () => mutex.runExclusive(async () => {
+    const passports = await _load();
+    return {
+      issuers: issuersOf(passports),
+      reloadedAt: new Date().toISOString(),
+    };
+  });
+
+  // For the file watcher and SIGHUP: logs instead of throwing
+  const tryReload = async (source) => {
+    try {
+      const { issuers } = await reload();
+      console.log(`Passport reloaded (${source}), issuers: ${issuers.join(', ') || 'none'}`);
+      return true;
+    } catch (error) {
+      console.error(`Passport reload (${source}) failed, keeping the previous one: ${error.message}`);
+      return false;
+    }
+  };
+
+  // The directory is watched, files replaced by a rename would not be followed otherwise
+  const watch = () => {
+    if (watcher) return;
+    const fileName = basename(filePath);
+    watcher = watchFs(dirname(filePath), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => tryReload('file change'), debounceMs);
+    });
+    watcher.on('error', (error) => console.error(`Passport watcher error: ${error.message}`));
+    watcher.unref();
+  };
+
+  const unwatch = () => {
+    clearTimeout(debounceTimer);
+    watcher?.close();
+    watcher = null;
+  };
+
+  return {
+    get,
+    reload,
+    tryReload,
+    watch,
+    unwatch,
+  };
+};
@@ -0,0 +1,86 @@
+/**
+ * Redelivery of the pending messages of connected sockets. deliver runs redeliver right away and,
+ * while some messages remain not acknowledged, again with an exponential backoff: baseDelayMs,
+ * twice as long on each attempt up to maxDelayMs, maxAttempts times at most. One run at a time per
+ * socket: deliver during a run returns its result, otherwise it runs again and starts the backoff over.
+ *
+ * @param {Object} options
+ * @param {Function} options.redeliver - async (socketId) => ({ total, delivered, remaining }).
+ * @param {number} options.baseDelayMs - Delay before the first retry.
+ * @param {number} options.maxDelayMs - Longest delay between two retries.
+ * @param {number} options.maxAttempts - Retries before giving up, until the next deliver / schedule.
+ */
+export const createPendingRedelivery = ({ redeliver, baseDelayMs, maxDelayMs, maxAttempts }) => {
+  const sockets = new Map(); // socketId -> { attempt, timer, running }
+
+  const _retryLater = (socketId, state) => {
+    if (state.attempt >= maxAttempts) {
+      sockets.delete(socketId);
+      return;
+    }
+    const delay = Math.min(baseDelayMs * 2 ** state.attempt, maxDelayMs);
+    state.attempt += 1;
+    state.timer = setTimeout(() => _run(socketId), delay);
+  };
+
+  const _run = async (socketId) => {
+    const state = sockets.get(socketId);
+    if (!state) return null;
+    state.timer = null;
+
+    state.running = (async () => {
+      try {
+        const result = await redeliver(socketId);
+        if (sockets.get(socketId) !== state) return result; // cancelled meanwhile
+        if (result.remaining > 0) {
+          _retryLater(socketId, state);
+        } else {
+          sockets.delete(socketId);
+        }
+        return result;
+      } catch (error) {
+        console.error(`Pending messages redelivery to ${socketId} failed: ${error.message}`);
+        if (sockets.get(socketId) === state) _retryLater(socketId, state);
+        return null;
+      } finally {
+        state.running = null;
+      }
+    })();
+    return state.running;
+  };
+
+  const cancel = (socketId) => {
+    clearTimeout(sockets.get(socketId)?.timer);
+    sockets.delete(socketId);
+  };
+
+  // Now, the result of the run ({ total, delivered, remaining }, null on failure)
+  const deliver = async (socketId) => {
+    const running = sockets.get(socketId)?.running;
+    if (running) return running;
+    cancel(socketId);
+    sockets.set(socketId, { attempt: 0, timer: null, running: null });
+    return _run(socketId);
+  };
+
+  // Later, with the backoff, e.g. after a live delivery that was not acknowledged
+  const schedule = (socketId) => {
+    if (sockets.has(socketId)) return;
+    const state = { attempt: 0, timer: null, running: null };
+    sockets.set(socketId, state);
+    _retryLater(socketId, state);
+  };
+
+  const clear = () => {
+    sockets.forEach(state => clearTimeout(state.timer));
+    sockets.clear();
+  };
+
+  return {
+    deliver,
+    schedule,
+    cancel,
+    clear,
+    size: () => sockets.size,
+  };
+};
@@ -0,0 +1,27 @@
+/**
+ * Token buckets shared by every node of the cluster.
+ *
+ * A bucket holds up to `capacity` tokens and gets `refillPerSecond` back over time,
+ * each accepted call takes `cost` of them. Consuming must be atomic per key.
+ */
+export class RateLimitStoreInterface {
+  async init() {
+    throw new Error('Method "init" must be implemented');
+  }
+
+  /**
+   * @returns {Promise<{ allowed: boolean, remaining: number, retryAfter: number }>}
+   *   retryAfter: milliseconds before `cost` tokens are available again (0 when allowed)
+   */
+  async consume(key, { capacity, refillPerSecond }, cost = 1) {
+    throw new Error('Method "consume" must be implemented');
+  }
+
+  async reset() {
+    throw new Error('Method "reset" must be implemented');
+  }
+
+  async close() {
+    throw new Error('Method "close" must be implemented');
+  }
+}
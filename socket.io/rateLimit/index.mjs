@@ -0,0 +1,65 @@
+import { MemoryRateLimitStore } from './rateLimitMemory.mjs';
+import { PostgresRateLimitStore } from './rateLimitPostgres.mjs';
+
+export { RateLimitStoreInterface } from './RateLimitStoreInterface.mjs';
+export { MemoryRateLimitStore, PostgresRateLimitStore };
+
+// Stores, selected with RATE_LIMIT_STORAGE
+export const rateLimitStores = {
+  memory: () => new MemoryRateLimitStore(),
+  postgresql: () => new PostgresRateLimitStore(),
+};
+
+export const RATE_LIMITED = 'RATE_LIMITED';
+
+/**
+ * Limit of an event for the given roles: the event rules then the '*' ones,
+ * the first role with a rule wins, '*' is any role. `null` means unlimited.
+ */
+export const resolveLimit = (limits, eventName, roles = []) => {
+  for (const rules of [limits[eventName], limits['*']]) {
+    if (!rules) continue;
+    const role = roles.find(r => r in rules);
+    if (role !== undefined) return rules[role];
+    if ('*' in rules) return rules['*'];
+  }
+  return null;
+};
+
+/**
+ * Token bucket per user and event. Every rejected call also takes a token
+ * from the user "violations" bucket: once it is empty the caller should disconnect the socket.
+ *
+ * @param {Object} options
+ * @param {RateLimitStoreInterface} options.store
+ * @param {Object} options.limits - { [eventName | '*']: { [role | '*']: { capacity, refillPerSecond } | null } }
+ * @param {number} options.maxViolations - rejected calls tolerated per violationWindowMs
+ * @param {number} options.violationWindowMs
+ */
+export const createRateLimiter = ({ store, limits, maxViolations, violationWindowMs }) => {
+  const violationLimit = {
+    capacity: maxViolations,
+    refillPerSecond: maxViolations / (violationWindowMs / 1000),
+  };
+
+  /**
+   * @returns {Promise<{ allowed: boolean, retryAfter: number, disconnect: boolean }>}
+   */
+  const check = async (eventName, userKey, roles = []) => {
+    const limit = resolveLimit(limits, eventName, roles);
+    if (!limit) return { allowed: true, retryAfter: 0, disconnect: false };
+
+    const { allowed, retryAfter } = await store.consume(`${userKey}:${eventName}`, limit);
+    if (allowed) return { allowed, retryAfter, disconnect: false };
+
+    const violation = await store.consume(`${userKey}:violations`, violationLimit);
+    return { allowed, retryAfter, disconnect: !violation.allowed };
+  };
+
+  return {
+    check,
+    init: () => store.init(),
+    reset: () => store.reset(),
+    close: () => store.close(),
+  };
+};
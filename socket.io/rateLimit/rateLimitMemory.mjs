@@ -0,0 +1,52 @@
+import { RateLimitStoreInterface } from './RateLimitStoreInterface.mjs';
+
+const MAX_BUCKETS = 10000; // full buckets are dropped past this size
+
+/**
+ * Refill then take `cost` tokens, shared by the stores: returns the new bucket and the verdict
+ */
+export const takeTokens = (bucket, { capacity, refillPerSecond }, cost, now) => {
+  const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+  const tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+
+  if (tokens >= cost) {
+    return { bucket: { tokens: tokens - cost, updatedAt: now }, allowed: true, remaining: Math.floor(tokens - cost), retryAfter: 0 };
+  }
+  const retryAfter = refillPerSecond > 0 ? Math.ceil(((cost - tokens) / refillPerSecond) * 1000) : Infinity;
+  return { bucket: { tokens, updatedAt: now }, allowed: false, remaining: 0, retryAfter };
+};
+
+/**
+ * Process-local buckets, for single node deployments and tests
+ */
+export class MemoryRateLimitStore extends RateLimitStoreInterface {
+  constructor() {
+    super();
+    this.buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerSecond }
+  }
+
+  async init() { }
+
+  async consume(key, limit, cost = 1) {
+    const now = Date.now();
+    const previous = this.buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+    const { bucket, ...verdict } = takeTokens(previous, limit, cost, now);
+    this.buckets.set(key, { ...bucket, ...limit });
+
+    if (this.buckets.size > MAX_BUCKETS) this._prune(now);
+    return verdict;
+  }
+
+  _prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      const { tokens } = takeTokens(bucket, bucket, 0, now).bucket;
+      if (tokens >= bucket.capacity) this.buckets.delete(key);
+    }
+  }
+
+  async reset() {
+    this.buckets.clear();
+  }
+
+  async close() { }
+}
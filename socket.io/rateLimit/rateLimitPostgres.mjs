@@ -0,0 +1,79 @@
+import pg from 'pg';
+
+import { RateLimitStoreInterface } from './RateLimitStoreInterface.mjs';
+import { takeTokens } from './rateLimitMemory.mjs';
+import { getPoolOptions } from '../userManager/persistPostgres.mjs';
+import { debug } from '../config.mjs';
+
+const { Pool } = pg;
+
+/**
+ * Buckets in the `rate_limit_buckets` table, so every node counts the same calls.
+ * The row is locked while it is refilled and consumed, the database clock is the reference.
+ */
+export class PostgresRateLimitStore extends RateLimitStoreInterface {
+  constructor(options = {}) {
+    super();
+    const connectionString = options.connectionString || process.env.DATABASE_URL;
+    if (!connectionString) {
+      throw new Error('DATABASE_URL is required for PostgresRateLimitStore');
+    }
+
+    this.pool = new Pool(getPoolOptions(connectionString));
+    this.pool.on('error', (err) => {
+      console.error('Unexpected rate limit pool error:', err);
+    });
+  }
+
+  async init() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        key VARCHAR(255) PRIMARY KEY,
+        tokens DOUBLE PRECISION NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    if (debug) console.log('✅ Rate limits shared through Postgres');
+  }
+
+  async consume(key, limit, cost = 1) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (key) DO NOTHING
+      `, [key, limit.capacity]);
+
+      const { rows: [row] } = await client.query(`
+        SELECT tokens, (EXTRACT(EPOCH FROM updated_at) * 1000)::float8 AS "updatedAt",
+          (EXTRACT(EPOCH FROM NOW()) * 1000)::float8 AS now
+        FROM rate_limit_buckets
+        WHERE key = $1
+        FOR UPDATE
+      `, [key]);
+
+      const { bucket, ...verdict } = takeTokens(row, limit, cost, row.now);
+      await client.query(
+        'UPDATE rate_limit_buckets SET tokens = $2, updated_at = to_timestamp($3 / 1000.0) WHERE key = $1',
+        [key, bucket.tokens, bucket.updatedAt]
+      );
+      await client.query('COMMIT');
+      return verdict;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => { });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async reset() {
+    await this.pool.query('DELETE FROM rate_limit_buckets');
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
@@ -2,20 +2,42 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import pTimeout from 'p-timeout';
 import { userManager } from './userManager/index.mjs';
+import { RequestError } from './userManager/errors.mjs';
 import {
   SOCKET_MIDDLEWARE,
   INACTIVITY_CHECK_INTERVAL,
   INACTIVITY_THRESHOLD,
   MESSAGE_ACKNOWLEDGEMENT_TIMEOUT,
   DEFAULT_REQUEST_TIMEOUT,
-  PUBLIC_MESSAGE_USER_ID
+  PUBLIC_MESSAGE_USER_ID,
+  CLUSTER_ADAPTER,
+  ATTACHMENTS_STORAGE,
+  RATE_LIMIT_STORAGE,
+  RATE_LIMITS,
+  RATE_LIMIT_MAX_VIOLATIONS,
+  RATE_LIMIT_VIOLATION_WINDOW_MS,
+  TOKEN_EXPIRY_WARNING_SECONDS,
+  TOKEN_EXPIRY_GRACE_SECONDS,
+  PENDING_MESSAGES_PAGE_SIZE,
+  PENDING_REDELIVERY_BASE_DELAY_MS,
+  PENDING_REDELIVERY_MAX_DELAY_MS,
+  PENDING_REDELIVERY_MAX_ATTEMPTS,
+  PENDING_EXPIRY_CHECK_INTERVAL,
+  DISAPPEARING_MESSAGES_CHECK_INTERVAL,
 } from './config.mjs';
 
 import { typingSchema } from 'a-socket/userManager/schemas.mjs';
 
-import authMiddleware from 'a-socket/middleware-auth.mjs';
+import authMiddleware, { withBanCheck, withRevocationCheck, checkToken, reauthenticators, passportStore } from 'a-socket/middleware-auth.mjs';
+import clusterAdapters from 'a-socket/cluster.mjs';
+import { createAttachmentsMiddleware, deleteAttachmentFiles, storageDrivers } from 'a-socket/attachments/index.mjs';
+import { createRateLimiter, rateLimitStores, RATE_LIMITED } from 'a-socket/rateLimit/index.mjs';
+import { createTokenExpiryWatcher } from 'a-socket/tokenExpiry.mjs';
+import { createPendingRedelivery } from 'a-socket/pendingRedelivery.mjs';
 
 const auth_middleware = authMiddleware[SOCKET_MIDDLEWARE];
+const reauthenticate = reauthenticators[SOCKET_MIDDLEWARE];
+const cluster_adapter = clusterAdapters[CLUSTER_ADAPTER];
 
 // Allowed origins for CORS
 export const allowedOrigins = [
@@ -28,9 +50,43 @@ export const allowedOrigins = [
 export const users = userManager({
   io: null, // Will be set after io initialization
   defaultStorage: process.env.USER_MANAGER_PERSIST || 'memory',
+  presenceStorage: process.env.USER_MANAGER_PRESENCE || 'memory',
   maxTotalConnections: parseInt(process.env.MAX_TOTAL_CONNECTIONS, 10) || 1000,
 });
 
+if (!storageDrivers[ATTACHMENTS_STORAGE]) {
+  throw new Error(`Unknown ATTACHMENTS_STORAGE: ${ATTACHMENTS_STORAGE}`);
+}
+const attachmentStorage = storageDrivers[ATTACHMENTS_STORAGE]();
+const attachmentsMiddleware = createAttachmentsMiddleware({
+  users,
+  storage: attachmentStorage,
+});
+
+if (!rateLimitStores[RATE_LIMIT_STORAGE]) {
+  throw new Error(`Unknown RATE_LIMIT_STORAGE: ${RATE_LIMIT_STORAGE}`);
+}
+export const rateLimiter = createRateLimiter({
+  store: rateLimitStores[RATE_LIMIT_STORAGE](),
+  limits: RATE_LIMITS,
+  maxViolations: RATE_LIMIT_MAX_VIOLATIONS,
+  violationWindowMs: RATE_LIMIT_VIOLATION_WINDOW_MS,
+});
+
+// Sockets must renew their token (reauthenticate event) before it expires
+export const tokenExpiry = createTokenExpiryWatcher({
+  warnBeforeMs: TOKEN_EXPIRY_WARNING_SECONDS * 1000,
+  graceMs: TOKEN_EXPIRY_GRACE_SECONDS * 1000,
+  onExpiring: (socket, expiresAt) => {
+    socket.emit('token_expiring', { expiresAt: new Date(expiresAt).toISOString() });
+  },
+  onExpired: (socket, expiresAt) => {
+    console.warn(`Token of ${socket.user?.userId} (${socket.id}) expired at ${new Date(expiresAt).toISOString()}, disconnecting`);
+    socket.emit('token_expired', { expiresAt: new Date(expiresAt).toISOString() });
+    socket.disconnect(true);
+  },
+});
+
 // Create HTTP server
 const createHttpServer = () => {
   return createServer(rootMiddleware);
@@ -49,7 +105,7 @@ const rootMiddleware = (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
 
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
 
@@ -72,6 +128,11 @@ const rootMiddleware = (req, res) => {
     return;
   }
 
+  if (req.url.startsWith('/attachments/')) {
+    attachmentsMiddleware(req, res);
+    return;
+  }
+
   res.writeHead(404, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ error: 'Not Found' }));
 };
@@ -113,6 +174,32 @@ const _registerEventHandlers = (socket, handlers) => {
   });
 };
 
+/**
+ * Roles allowed to call an event: a list, or a function of the event data and the calling user
+ * returning the list (null when anyone may). Events not listed are open to every authenticated user.
+ */
+export const EVENT_PERMISSIONS = {
+  // metrics of another user
+  getUserConnectionMetrics: ({ userId }, user) => (userId && userId !== user?.userId ? ['admin'] : null),
+  // moderation
+  kickUser: ['admin'],
+  muteUser: ['admin'],
+  unmuteUser: ['admin'],
+  banUser: ['admin'],
+  unbanUser: ['admin'],
+  removePublicMessage: ['admin'],
+  getModerationOverview: ['admin'],
+  getAuditLog: ['admin'],
+  revokeToken: ['admin'],
+  revokeUserTokens: ['admin'],
+  reloadPassport: ['admin'],
+};
+
+const _requiredRoles = (eventName, data, user) => {
+  const permission = EVENT_PERMISSIONS[eventName];
+  return typeof permission === 'function' ? permission(data, user) : permission || null;
+};
+
 /**
  * Registers a single event handler with customizable properties.
  *
@@ -128,7 +215,7 @@ const registerEventHandler = (socket, { eventName, eventHandler, eventAck = fals
 };
 
 /**
- * Creates a wrapper for an event handler with validation, timeout, and acknowledgment support.
+ * Creates a wrapper for an event handler with rate limiting, validation, timeout, and acknowledgment support.
  *
  * @param {string} eventName - The name of the event.
  * @param {Function} eventHandler - The function to handle the event.
@@ -154,14 +241,37 @@ function createEventHandler(eventName, eventHandler, eventAck = false, timeout =
       const user = await users.getUserBySocketId(this.id);
       console.info('>>> ', [eventName], 'user:', [user?.state, user?.userId]);
 
-      // Step 3: Execute the event handler with a timeout
+      // Step 3: Token bucket per user and event, for the token roles
+      const roles = this.user?.roles || [];
+      const limit = await rateLimiter.check(eventName, user?.userId || this.id, roles);
+      if (!limit.allowed) {
+        _respondOrFallback(callback, this, {
+          success: false,
+          event: eventName,
+          error: RATE_LIMITED,
+          retryAfter: limit.retryAfter, // ms
+        });
+        if (limit.disconnect) {
+          console.warn('>>> ', `[${eventName}]`, `Disconnecting ${user?.userId || this.id}: too many rate limited calls`);
+          this.disconnect(true);
+        }
+        return;
+      }
+
+      // Step 4: Role based permission
+      const requiredRoles = _requiredRoles(eventName, data, user);
+      if (requiredRoles && !requiredRoles.some(role => roles.includes(role))) {
+        throw new RequestError(`Permission denied: ${eventName} requires role ${requiredRoles.join(' or ')}`);
+      }
+
+      // Step 5: Execute the event handler with a timeout
       const result = await withTimeout(
         eventHandler(this, data, callback),
         'Request timed out',
         timeout
       );
 
-      // Step 4: Handle successful response
+      // Step 6: Handle successful response
       const successResponse = {
         success: true,
         event: eventName,
@@ -177,7 +287,7 @@ function createEventHandler(eventName, eventHandler, eventAck = false, timeout =
 
       return result;
     } catch (error) {
-      // Step 5: Log and handle errors
+      // Step 7: Log and handle errors
       console.error('>>> ', `[${eventName}]`, 'Error:', error.message);
       users._incrementErrors();
 
@@ -194,8 +304,10 @@ function createEventHandler(eventName, eventHandler, eventAck = false, timeout =
         _respondOrFallback(callback, this, errorResponse);
       }
 
-      // Step 6: Re-throw only unexpected or critical errors
-      if (!['Request timed out', 'Invalid data'].includes(error.message)) {
+      // Step 8: Re-throw only unexpected or critical errors, refused requests were answered above
+      if (!['Request timed out', 'Invalid data'].includes(error.message)
+        && !(error instanceof RequestError)
+        && !error.message.startsWith('Authentication failed')) {
         throw error;
       }
     }
@@ -236,8 +348,130 @@ const io = new Server(httpServer, {
 // Update user manager with io instance
 users.setIO(io);
 
+const TEST_DISABLE_ACK = process.env.NODE_ENV === 'test';
+
+/**
+ * Push a message to a recipient socket with receiveMessage and wait for its 'received' ack.
+ * @returns {Promise<string|Object>} - The socketId once acknowledged, { sockId, success: false, reason } otherwise.
+ */
+const deliverWithAck = async (sockId, msg) => {
+  try {
+    return await withTimeout(
+      new Promise((resolve) => {
+        const deliveryMsg = { ...msg, direction: 'incoming', status: 'delivery' };
+        io.to(sockId).emit('receiveMessage', deliveryMsg, (ack) => {
+          if (!TEST_DISABLE_ACK && ack === 'received') {
+            console.log(`Acknowledgment received from socket ${sockId}`);
+            resolve(sockId);
+          } else {
+            console.log(`Acknowledgment failed from socket ${sockId}`);
+            resolve({ sockId, success: false });
+          }
+        });
+      }),
+      'Timeout - fail to ACK recipient delivery',
+      MESSAGE_ACKNOWLEDGEMENT_TIMEOUT
+    );
+  } catch (error) {
+    console.log(`Delivery timeout for socket ${sockId}`);
+    return { sockId, success: false, reason: 'timeout' };
+  }
+};
+
+/**
+ * Push the pending backlog of the socket user, oldest first, with the ack based delivery of sendMessage.
+ * Acknowledged messages become delivered and their sender is notified (updateMessageStatus, messageReceipts).
+ */
+const redeliverPendingMessages = async (socketId) => {
+  const pending = await users.getPendingMessages(socketId);
+
+  let delivered = 0;
+  for (let start = 0; start < pending.length; start += PENDING_MESSAGES_PAGE_SIZE) {
+    delivered += await redeliverPendingBatch(socketId, pending.slice(start, start + PENDING_MESSAGES_PAGE_SIZE));
+  }
+
+  return { total: pending.length, delivered, remaining: pending.length - delivered };
+};
+
+// At most PENDING_MESSAGES_PAGE_SIZE messages in flight: emitted in order, their acks are awaited together
+const redeliverPendingBatch = async (socketId, pending) => {
+  const results = await Promise.all(pending.map(msg => deliverWithAck(socketId, msg)));
+
+  let delivered = 0;
+  for (const [i, msg] of pending.entries()) {
+    const acked = typeof results[i] === 'string';
+    const { message, ...deliveredTo } = await users.storePendingMessageReceipt(socketId, msg.messageId, {
+      status: acked ? 'delivered' : 'failed',
+      reason: acked ? null : (results[i].reason || 'not_acknowledged'),
+    });
+    if (!acked) continue;
+    delivered += 1;
+
+    const senderSockets = (await users.getUserSockets(message.sender.userId)) || [];
+    senderSockets.forEach(sock => {
+      io.to(sock.socketId).emit('updateMessageStatus', { ...message, direction: 'outgoing' });
+      io.to(sock.socketId).emit('messageReceipts', {
+        messageId: message.messageId,
+        delivered: deliveredTo.delivered,
+        devices: deliveredTo.devices,
+      });
+    });
+    io.to(socketId).emit('updateMessageStatus', { ...message, direction: 'incoming' });
+  }
+
+  return delivered;
+};
+
+/**
+ * Scheduled job: pending private messages past PRIVATE_MESSAGE_DELIVER_EXPIRE_DAYS become failed and
+ * their sender sockets get updateMessageStatus. Every cluster node runs it, a message expires once.
+ * @returns {Promise<number>} - The number of expired messages.
+ */
+export const expireUndeliveredMessages = async () => {
+  const expired = await users.expirePendingMessages();
+  for (const msg of expired) {
+    const senderSockets = (await users.getUserSockets(msg.sender.userId)) || [];
+    senderSockets.forEach(sock => io.to(sock.socketId).emit('updateMessageStatus', msg));
+  }
+  return expired.length;
+};
+
+/**
+ * Scheduled job: disappearing messages past their expiresAt are deleted, both copies, with the files
+ * of the attachments no other message uses, and the sockets of both parties get messagesExpired
+ * with their messageIds.
+ * @returns {Promise<number>} - The number of deleted messages.
+ */
+export const expireDisappearingMessages = async () => {
+  const { messages: expired, attachments } = await users.deleteExpiredMessages();
+  for (const attachment of attachments) {
+    await deleteAttachmentFiles(attachmentStorage, attachment).catch((error) => {
+      console.error(`Error deleting the files of attachment ${attachment.attachmentId}:`, error.message);
+    });
+  }
+  const messageIdsByUser = new Map();
+  expired.forEach(({ messageId, senderId, recipientId }) => {
+    [senderId, recipientId].forEach(userId => {
+      messageIdsByUser.set(userId, [...(messageIdsByUser.get(userId) || []), messageId]);
+    });
+  });
+  for (const [userId, messageIds] of messageIdsByUser) {
+    const emitSockets = (await users.getUserSockets(userId)) || [];
+    emitSockets.forEach(sock => io.to(sock.socketId).emit('messagesExpired', { messageIds }));
+  }
+  return expired.length;
+};
+
+// Pending messages are pushed on connection, then retried with a backoff while not acknowledged
+export const pendingRedelivery = createPendingRedelivery({
+  redeliver: redeliverPendingMessages,
+  baseDelayMs: PENDING_REDELIVERY_BASE_DELAY_MS,
+  maxDelayMs: PENDING_REDELIVERY_MAX_DELAY_MS,
+  maxAttempts: PENDING_REDELIVERY_MAX_ATTEMPTS,
+});
+
 // Apply middleware
-io.use(auth_middleware);
+io.use(withBanCheck(withRevocationCheck(auth_middleware, users), users.getActiveBan));
 
 io.use(async (socket, next) => {
   try {
@@ -280,10 +514,14 @@ io.use(async (socket, next) => {
 // Connection handler
 io.on('connection', (socket) => {
   console.log(`User connected with socketId: ${socket.id}`);
+  tokenExpiry.watch(socket);
+  pendingRedelivery.deliver(socket.id);
 
   // Handle disconnection
   socket.on('disconnect', (reason) => {
     console.log(`User ${socket.id} disconnected: ${reason}`);
+    tokenExpiry.unwatch(socket);
+    pendingRedelivery.cancel(socket.id);
     users.disconnectUser(socket.id).then((user) => {
       console.log(`User ${socket.user?.userName} (${socket.user?.userId}) disconnected`);
     }).catch((error) => {
@@ -291,13 +529,45 @@ io.on('connection', (socket) => {
     });
   });
 
-  const TEST_DISABLE_ACK = process.env.NODE_ENV === 'test';
-  // Helper function to update message status
+
+  // Notify every socket (device) of the given users
+  const _notifyUsers = async (userIds, emitName, data) => {
+    for (const userId of userIds || []) {
+      const emitSockets = (await users.getUserSockets(userId)) || [];
+      emitSockets.forEach(sock => io.to(sock.socketId).emit(emitName, data));
+    }
+  };
+
+  // Notify every socket of both parties of a message. Sender sockets get the "outgoing" copy,
+  // recipient ones (user, group members or public room) the "incoming" one
+  const _notifyMessageParties = async (msg, emitName) => {
+    const senderSockets = (await users.getUserSockets(msg.sender.userId)) || [];
+    senderSockets.forEach(sock => io.to(sock.socketId).emit(emitName, { ...msg, direction: 'outgoing' }));
+
+    if (msg.type === 'public') {
+      io.to(PUBLIC_MESSAGE_USER_ID)
+        .except(senderSockets.map(sock => sock.socketId))
+        .emit(emitName, { ...msg, direction: 'incoming' });
+      return;
+    }
+
+    const recipientSockets = msg.type === 'group'
+      ? await users.getGroupSockets(msg.recipientId, msg.sender.userId)
+      : await users.getUserSockets(msg.recipientId);
+    (recipientSockets || []).forEach(sock => io.to(sock.socketId).emit(emitName, { ...msg, direction: 'incoming' }));
+  };
+
+  // Typing indicators are not sent to the users who blocked the typist
+  const _isTypingBlocked = async (socket, recipientId) => {
+    const user = await users.getUserBySocketId(socket.id);
+    return !!user && !!recipientId && await users.isBlockedBy(recipientId, user.userId);
+  };
 
   const handlers = {
     // UI typing
     typing: async (socket, data) => {
       //const ret = await users.typingIndicator(socket.id, { isTyping: true, recipientId: data?.recipientId });
+      if (await _isTypingBlocked(socket, data?.recipientId)) return;
       const emitSockets = await users.getUserSockets(data.recipientId);
       (emitSockets || []).forEach((sock) => {
         io.to(sock.socketId).emit('typing', data?.recipientId);
@@ -306,6 +576,7 @@ io.on('connection', (socket) => {
     },
     stopTyping: async (socket, data) => {
       //const ret = await users.typingIndicator(socket.id, { isTyping: false, recipientId: data?.recipientId });
+      if (await _isTypingBlocked(socket, data?.recipientId)) return;
       const emitSockets = await users.getUserSockets(data.recipientId);
       (emitSockets || []).forEach((sock) => {
         io.to(sock.socketId).emit('stopTyping', data?.recipientId);
@@ -336,8 +607,8 @@ io.on('connection', (socket) => {
     },
     getPublicMessages: async (socket) =>
       await users.getPublicMessages(socket.id),
-    broadcastPublicMessage: async (socket, { content }) =>
-      await users.broadcastPublicMessage(socket.id, content),
+    broadcastPublicMessage: async (socket, { content, replyTo, attachments }) =>
+      await users.broadcastPublicMessage(socket.id, content, { replyTo, attachments }),
     // Complete server socket handler for getUserConversation
 
     getUsersList: async (socket, options) => {
@@ -353,10 +624,13 @@ io.on('connection', (socket) => {
     },
     getActiveUsers: async (socket, options) =>
       await users.getActiveUsers(socket.id, options),
-    getUserConnectionMetrics: async (socket, userId) =>
-      await users.getUserConnectionMetrics(userId),
+    getUserConnectionMetrics: async (socket, { userId }) => {
+      const user = await users.getUserBySocketId(socket.id);
+      return await users.getUserConnectionMetrics(userId || user.userId);
+    },
+    // Push the pending backlog again now, also done on connection
     getAndDeliverPendingMessages: async (socket) =>
-      await users.getAndDeliverPendingMessages(socket.id),
+      await pendingRedelivery.deliver(socket.id),
     getUserConversation: async (socket, options) => {
       try {
         // Call the user service to get conversation messages
@@ -368,16 +642,27 @@ io.on('connection', (socket) => {
           data: {
             messages: conversationData.messages.map(msg => ({
               id: msg.id,
+              messageId: msg.messageId,
               senderId: msg.senderId,
               recipientId: msg.recipientId,
               content: msg.content,
               timestamp: msg.timestamp,
               status: msg.status,
               type: msg.type,
-              direction: msg.direction
+              direction: msg.direction,
+              editedAt: msg.editedAt || null,
+              deletedAt: msg.deletedAt || null,
+              reactions: msg.reactions || [],
+              replyTo: msg.replyTo || null,
+              replyCount: msg.replyCount || 0,
+              attachments: msg.attachments || [],
+              expiresAt: msg.expiresAt || null,
+              cursor: msg.cursor || null,
             })),
             total: conversationData.total,
             hasMore: conversationData.hasMore,
+            prevCursor: conversationData.prevCursor || null,
+            nextCursor: conversationData.nextCursor || null,
             context: conversationData.context || null
           },
           options: options // Echo back the options for client reference
@@ -410,7 +695,8 @@ io.on('connection', (socket) => {
               startedAt: u.startedAt,
               lastMessageAt: u.lastMessageAt,
               incoming: u.incoming,
-              outgoing: u.outgoing
+              outgoing: u.outgoing,
+              ...(u.group ? { group: u.group } : {}),
             }))
           });
         });
@@ -422,108 +708,251 @@ io.on('connection', (socket) => {
         });
       }
     },
+
+    // Groups
+    createGroup: async (socket, options) => {
+      const group = await users.createGroup(socket.id, options);
+      await _notifyUsers(group.members.map(m => m.userId), 'groupUpdated', group);
+      return group;
+    },
+    renameGroup: async (socket, options) => {
+      const group = await users.renameGroup(socket.id, options);
+      await _notifyUsers(group.members.map(m => m.userId), 'groupUpdated', group);
+      return group;
+    },
+    deleteGroup: async (socket, options) => {
+      const res = await users.deleteGroup(socket.id, options);
+      await _notifyUsers(res.memberIds, 'groupDeleted', { groupId: res.groupId });
+      return res;
+    },
+    addGroupMembers: async (socket, options) => {
+      const group = await users.addGroupMembers(socket.id, options);
+      await _notifyUsers(group.members.map(m => m.userId), 'groupUpdated', group);
+      return group;
+    },
+    removeGroupMembers: async (socket, options) => {
+      const res = await users.removeGroupMembers(socket.id, options);
+      await _notifyUsers(res.removed, 'groupDeleted', { groupId: res.groupId });
+      await _notifyUsers(res.group.members.map(m => m.userId), 'groupUpdated', res.group);
+      return res;
+    },
+    setGroupMemberRole: async (socket, options) => {
+      const group = await users.setGroupMemberRole(socket.id, options);
+      await _notifyUsers(group.members.map(m => m.userId), 'groupUpdated', group);
+      return group;
+    },
+    getUserGroups: async (socket) =>
+      await users.getUserGroups(socket.id),
+
+    // Message edits
+    editMessage: async (socket, options) => {
+      const msg = await users.editMessage(socket.id, options);
+      await _notifyMessageParties(msg, 'messageEdited');
+      return msg;
+    },
+    getMessageEditHistory: async (socket, options) =>
+      await users.getMessageEditHistory(socket.id, options),
+    getMessageReceipts: async (socket, options) =>
+      await users.getMessageReceipts(socket.id, options),
+    toggleReaction: async (socket, options) => {
+      const reaction = await users.toggleReaction(socket.id, options);
+      await _notifyMessageParties(reaction, 'messageReaction');
+      return reaction;
+    },
+    // Fresh token before the current one expires, see token_expiring
+    reauthenticate: async (socket, data) => {
+      const user = await reauthenticate(socket, data, (renewed) => checkToken(renewed, users));
+      socket.data.jti = user.payload?.jti || null;
+      tokenExpiry.watch(socket);
+      return {
+        userId: user.userId,
+        roles: user.roles,
+        expiresAt: user.expiresAt ? new Date(user.expiresAt).toISOString() : null,
+      };
+    },
+    searchMessages: async (socket, options) =>
+      await users.searchMessages(socket.id, options),
+    createAttachmentUpload: async (socket, options) =>
+      await users.createAttachmentUpload(socket.id, options),
+    // Block list
+    blockUser: async (socket, options) =>
+      await users.blockUser(socket.id, options),
+    unblockUser: async (socket, options) =>
+      await users.unblockUser(socket.id, options),
+    getBlockedUsers: async (socket) =>
+      await users.getBlockedUsers(socket.id),
+    // Disappearing messages, both parties see the new setting
+    setConversationTtl: async (socket, options) => {
+      const setting = await users.setConversationTtl(socket.id, options);
+      await _notifyUsers([setting.setBy], 'conversationTtl', setting);
+      await _notifyUsers([setting.otherPartyId], 'conversationTtl', { ...setting, otherPartyId: setting.setBy });
+      return setting;
+    },
+    getConversationTtl: async (socket, options) =>
+      await users.getConversationTtl(socket.id, options),
+    // Moderation (admin only, see EVENT_PERMISSIONS)
+    kickUser: async (socket, options) =>
+      await users.kickUser(socket.id, options),
+    muteUser: async (socket, options) =>
+      await users.muteUser(socket.id, options),
+    unmuteUser: async (socket, options) =>
+      await users.unmuteUser(socket.id, options),
+    banUser: async (socket, options) =>
+      await users.banUser(socket.id, options),
+    unbanUser: async (socket, options) =>
+      await users.unbanUser(socket.id, options),
+    removePublicMessage: async (socket, options) => {
+      const msg = await users.removePublicMessage(socket.id, options);
+      await _notifyMessageParties(msg, 'messageDeleted');
+      return msg;
+    },
+    getModerationOverview: async (socket) =>
+      await users.getModerationOverview(socket.id),
+    getAuditLog: async (socket, options) =>
+      await users.getAuditLog(socket.id, options),
+    revokeToken: async (socket, options) =>
+      await users.revokeToken(socket.id, options),
+    revokeUserTokens: async (socket, options) =>
+      await users.revokeUserTokens(socket.id, options),
+    // Re-read the passport file, the previous passport stays active when the new one is invalid
+    reloadPassport: async () => {
+      try {
+        return { reloaded: true, ...(await passportStore.reload()) };
+      } catch (error) {
+        console.error(`Passport reload (reloadPassport) failed, keeping the previous one: ${error.message}`);
+        return { reloaded: false, error: error.message };
+      }
+    },
+    deleteMessage: async (socket, options) => {
+      const msg = await users.deleteMessage(socket.id, options);
+      if (msg.scope === 'everyone') {
+        await _notifyMessageParties(msg, 'messageDeleted');
+      } else {
+        // only the caller devices drop their copy
+        const user = await users.getUserBySocketId(socket.id);
+        const emitSockets = (await users.getUserSockets(user.userId)) || [];
+        emitSockets.forEach(sock => io.to(sock.socketId).emit('messageDeleted', msg));
+      }
+      return msg;
+    },
   };
   _registerEventHandlers(socket, handlers);
 
 
-  const sendMessageHandler = async (socket, { recipientId, content }) => {
-    let msg;
-    try {
-      // Step 1: Validate input
-      if (!recipientId || !content) {
-        throw new Error('Recipient ID and message content are required.');
-      }
+  /**
+   * Notify a freshly stored message and try to deliver it with acknowledgment.
+   * Shared by private and group messages: the sender gets the "outgoing" copy,
+   * every recipient socket the "incoming" one.
+   *
+   * @param {Socket} socket - The sender socket.
+   * @param {Object} msg - The persisted message ("sent" status).
+   * @param {Array} emitSockets - Recipient sockets ({ socketId }).
+   * @returns {Promise<Object>} - The message with its last persisted status.
+   */
+  const notifyAndDeliverMessage = async (socket, msg, emitSockets) => {
+    // Notify sender and recipient of the "sent" message
+    // only the sender sends a message. 
+    //          - the sender upon sending he has a new "outgoing" message. 
+    //          - the receiver, receive the "incoming" message.
+    const notifyMessage = (emitName, status) => {
+      io.to(socket.id).emit(emitName, { ...msg, status, direction: "outgoing" });
+      emitSockets.forEach(sock => {
+        io.to(sock.socketId).emit(emitName, { ...msg, status, direction: "incoming" });
+      });
+    };
 
-      // Step 2: define support for inner functions
-      // Create | persisted message with "sent" status
-      msg = await users.sendMessage(socket.id, recipientId, content);
-      // Normalize emitSockets for notify* func*
-      const emitSockets = (await users.getUserSockets(recipientId)) || [];
+    /// >>>>>>>> ACTION START HEAR
 
+    // 1. Notify "sent" status
+    notifyMessage('receivedMessage', 'sent');  //+ means server receive message and persisted for async delivery
 
+    const updateMessageAndNotify = async (status) => {
+      console.log(`Updating message status to "${status}" for messageId: ${msg.messageId}`);
+      const updateMsg = await users.updateMessageStatus(socket.id, msg.messageId, status);
 
-      // Notify sender and recipient of the "sent" message
-      // only the sender sends a message. 
-      //          - the sender upon sending he has a new "outgoing" message. 
-      //          - the receiver, receive the "incoming" message.
-      const notifyMessage = (emitName, status) => {
-        io.to(socket.id).emit(emitName, { ...msg, status, direction: "outgoing" });
-        emitSockets.forEach(sock => {
-          io.to(sock.socketId).emit(emitName, { ...msg, status, direction: "incoming" });
-        });
-      };
+      notifyMessage('updateMessageStatus', updateMsg.status);
+      return updateMsg;
+    };
 
-      /// >>>>>>>> ACTION START HEAR
+    // 2: Update message status to "pending"
+    try {
+      msg = await updateMessageAndNotify('pending');
+    } catch (error) {
+      notifyMessage('updateMessageStatus', 'error');
+      return msg;
+    }
 
-      // 1. Notify "sent" status
-      notifyMessage('receivedMessage', 'sent');  //+ means server receive message and persisted for async delivery
 
-      const updateMessageAndNotify = async (status) => {
-        console.log(status);
-        console.log(`Updating message status to "${status}" for messageId: ${msg.messageId}`);
-        const updateMsg = await users.updateMessageStatus(socket.id, msg.messageId, status);
+    // 3: Attempt delivery with timeout handling
 
-        notifyMessage('updateMessageStatus', updateMsg.status);
-        return updateMsg;
-      };
 
-      // 2: Update message status to "pending"
+    console.log(`Attempting delivery to ${emitSockets.length} socket(s)`);
+
+    const results = await Promise.all(emitSockets.map(({ socketId: sockId }) => deliverWithAck(sockId, msg)));
+    const successfulDeliveries = results.filter(result => typeof result === 'string');
+
+    console.log(`Delivery completed: ${successfulDeliveries.length}/${emitSockets.length} successful`);
+
+    // Step 4: One receipt per recipient socket, the sender sees which devices got the message
+    const receipts = results.map((result, i) => ({
+      recipientId: emitSockets[i].userId || msg.recipientId,
+      socketId: emitSockets[i].socketId,
+      sessionId: emitSockets[i].sessionId || null,
+      status: typeof result === 'string' ? 'delivered' : 'failed',
+      reason: typeof result === 'string' ? null : (result.reason || 'not_acknowledged'),
+    }));
+    let deliveredTo = null;
+    if (receipts.length > 0) {
       try {
-        msg = await updateMessageAndNotify('pending');
+        const { delivered, devices } = await users.storeMessageReceipts(socket.id, msg.messageId, receipts);
+        deliveredTo = { delivered, devices };
+        io.to(socket.id).emit('messageReceipts', { messageId: msg.messageId, ...deliveredTo });
       } catch (error) {
-        notifyMessage('updateMessageStatus', 'error');
-        return msg;
+        console.error(`Error storing receipts of messageId ${msg.messageId}:`, error.message);
       }
+    }
 
+    // Step 5: Update message status based on delivery results
+    if (successfulDeliveries.length > 0) {
+      msg = { ...(await updateMessageAndNotify('delivered')), deliveredTo };
+    } else {
+      // not persisting invalid server state. but can notify the client of a error on delivering with ACK          
+      notifyMessage('updateMessageStatus', 'error');
+      // still pending: the recipient sockets of this node get it again with the backoff
+      if (msg.type === 'private') {
+        emitSockets
+          .filter(sock => io.sockets.sockets.has(sock.socketId))
+          .forEach(sock => pendingRedelivery.schedule(sock.socketId));
+      }
+    }
 
-      // 3: Attempt delivery with timeout handling
-
-
-      console.log(`Attempting delivery to ${emitSockets.length} socket(s)`);
-
-      const deliveryAttempts = emitSockets.map(async (sockId) => {
-        try {
-          const result = await withTimeout(
-            new Promise((resolve) => {
-              const deliveryMsg = { ...msg, direction: 'incoming', status: 'delivery' };
-              io.to(sockId).emit('receiveMessage', deliveryMsg, (ack) => {
-                if (!TEST_DISABLE_ACK && ack === 'received') {
-                  console.log(`Acknowledgment received from socket ${sockId}`);
-                  resolve(sockId);
-                } else {
-                  console.log(`Acknowledgment failed from socket ${sockId}`);
-                  resolve({ sockId, success: false });
-                }
-              });
-            }, 'Timeout - fail to ACK recipient delivery')
-          );
-          return result;
-        } catch (error) {
-          console.log(`Delivery timeout for socket ${sockId}`);
-          return { sockId, success: false, reason: 'timeout' };
-        }
-      });
-
-      const results = await Promise.all(deliveryAttempts);
-      const successfulDeliveries = results.filter(result => typeof result === 'string');
+    return msg;
+  };
 
-      console.log(`Delivery completed: ${successfulDeliveries.length}/${emitSockets.length} successful`);
+  const sendMessageHandler = async (socket, { recipientId, content, replyTo, attachments, clientMessageId }) => {
+    let msg;
+    try {
+      // Step 1: Validate input
+      if (!recipientId || !content) {
+        throw new RequestError('Recipient ID and message content are required.');
+      }
 
-      // Step 5: Update message status based on delivery results
-      if (successfulDeliveries.length > 0) {
-        msg = await updateMessageAndNotify('delivered');
-      } else {
-        // not persisting invalid server state. but can notify the client of a error on delivering with ACK          
-        notifyMessage('updateMessageStatus', 'error');
+      // Step 2: Create | persisted message with "sent" status
+      msg = await users.sendMessage(socket.id, recipientId, content, { replyTo, attachments, clientMessageId });
+      // A retry (same clientMessageId) gets the stored message and its current status, delivered once
+      if (msg.duplicate) {
+        return msg;
       }
+      // Normalize emitSockets for notify* func*
+      const emitSockets = (await users.getUserSockets(recipientId)) || [];
 
-      return msg;
+      return await notifyAndDeliverMessage(socket, msg, emitSockets);
     } catch (error) {
       console.error('Error in sendMessage:', error.message);
 
-      // Handle critical errors (e.g., missing recipient ID or content)
-      if (error.message.includes('Recipient ID') || error.message.includes('content')) {
-        throw error; // Re-throw critical errors
+      // Not stored (missing recipient ID or content, blocked or muted sender...): answered { success: false }
+      if (!msg) {
+        throw error;
       }
 
       // For non-critical errors (e.g., delivery failures), return gracefully
@@ -531,6 +960,26 @@ io.on('connection', (socket) => {
       return { ...msg, status: 'pending', error: error.message };
     }
   }
+
+  // A failed (expired) message goes through the sendMessage delivery again
+  const resendMessageHandler = async (socket, options) => {
+    const msg = await users.resendMessage(socket.id, options);
+    const emitSockets = (await users.getUserSockets(msg.recipientId)) || [];
+
+    return await notifyAndDeliverMessage(socket, msg, emitSockets);
+  };
+
+  /**
+   * Group messages fan out to every member socket, except the sender ones,
+   * through the same receivedMessage / updateMessageStatus / receiveMessage flow.
+   */
+  const sendGroupMessageHandler = async (socket, { groupId, content }) => {
+    const msg = await users.sendGroupMessage(socket.id, { groupId, content });
+    const emitSockets = (await users.getGroupSockets(groupId, msg.sender.userId)) || [];
+
+    return await notifyAndDeliverMessage(socket, msg, emitSockets);
+  };
+
   // Register 'sendMessage' event
   registerEventHandler(socket, {
     eventName: 'sendMessage',
@@ -539,6 +988,22 @@ io.on('connection', (socket) => {
     timeout: MESSAGE_ACKNOWLEDGEMENT_TIMEOUT // 10 seconds
   });
 
+  // Register 'resendMessage' event
+  registerEventHandler(socket, {
+    eventName: 'resendMessage',
+    eventHandler: resendMessageHandler,
+    eventAck: true,
+    timeout: MESSAGE_ACKNOWLEDGEMENT_TIMEOUT
+  });
+
+  // Register 'sendGroupMessage' event
+  registerEventHandler(socket, {
+    eventName: 'sendGroupMessage',
+    eventHandler: sendGroupMessageHandler,
+    eventAck: true,
+    timeout: MESSAGE_ACKNOWLEDGEMENT_TIMEOUT
+  });
+
 });
 
 // Cleanup intervals
@@ -577,11 +1042,45 @@ const gracefulShutdown = () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
+// Passport rotation without dropping the connections
+process.on('SIGHUP', () => passportStore.tryReload('SIGHUP'));
+
 
 // Start server
 // Export the start/stop functions
-export const startServer = () => {
+let closeClusterAdapter = null;
+let expiryInterval = null;
+let disappearingInterval = null;
+
+export const startServer = async () => {
   const PORT = process.env.PORT || 3001;
+
+  if (!cluster_adapter) {
+    throw new Error(`Unknown CLUSTER_ADAPTER: ${CLUSTER_ADAPTER}`);
+  }
+
+  // Shared presence and adapter first, so this node sees the others before accepting sockets
+  await users.initPresence();
+  await rateLimiter.init();
+  closeClusterAdapter = await cluster_adapter(io);
+  if (SOCKET_MIDDLEWARE === 'passportMiddleware') {
+    passportStore.watch();
+  }
+  expiryInterval = setInterval(() => {
+    expireUndeliveredMessages().then((expiredCount) => {
+      if (expiredCount > 0) {
+        console.log(`Expired ${expiredCount} undelivered messages`);
+      }
+    }).catch((error) => {
+      console.error(`Message expiry error: ${error.message}`);
+    });
+  }, PENDING_EXPIRY_CHECK_INTERVAL);
+  disappearingInterval = setInterval(() => {
+    expireDisappearingMessages().catch((error) => {
+      console.error(`Disappearing messages error: ${error.message}`);
+    });
+  }, DISAPPEARING_MESSAGES_CHECK_INTERVAL);
+
   return new Promise((resolve, reject) => {
     httpServer.listen(PORT, '0.0.0.0', (err) => {
       if (err) {
@@ -595,8 +1094,8 @@ export const startServer = () => {
   });
 };
 
-export const stopServer = () => {
-  return new Promise((resolve) => {
+export const stopServer = async () => {
+  await new Promise((resolve) => {
     if (httpServer.listening) {
       httpServer.close(() => {
         console.log('Server stopped');
@@ -606,6 +1105,20 @@ export const stopServer = () => {
       resolve();
     }
   });
+
+  if (closeClusterAdapter) {
+    await closeClusterAdapter();
+    closeClusterAdapter = null;
+  }
+  await users.closePresence();
+  await rateLimiter.close();
+  tokenExpiry.clear();
+  pendingRedelivery.clear();
+  clearInterval(expiryInterval);
+  expiryInterval = null;
+  clearInterval(disappearingInterval);
+  disappearingInterval = null;
+  passportStore.unwatch();
 };
 
 if (process.env.NODE_ENV !== 'test') {
@@ -0,0 +1,56 @@
+// setTimeout delays above this overflow and fire at once
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Watches the token expiration of authenticated sockets (`socket.user.expiresAt`, ms).
+ * onExpiring is called warnBeforeMs ahead of the expiration so the client can `reauthenticate`,
+ * onExpired graceMs after it when the token was not renewed. Watching a socket again,
+ * after a re-authentication, replaces its timers.
+ *
+ * @param {Object} options
+ * @param {number} options.warnBeforeMs - Delay before expiration of the warning.
+ * @param {number} options.graceMs - Delay after expiration before giving up on the socket.
+ * @param {Function} options.onExpiring - (socket, expiresAt) => void.
+ * @param {Function} options.onExpired - (socket, expiresAt) => void.
+ */
+export const createTokenExpiryWatcher = ({ warnBeforeMs, graceMs, onExpiring, onExpired }) => {
+  const timers = new Map(); // socketId -> timeouts
+
+  const unwatch = (socket) => {
+    (timers.get(socket.id) || []).forEach(clearTimeout);
+    timers.delete(socket.id);
+  };
+
+  const watch = (socket) => {
+    unwatch(socket);
+    const expiresAt = socket.user?.expiresAt;
+    if (!expiresAt) return;
+
+    const now = Date.now();
+    const expireDelay = Math.max(0, expiresAt + graceMs - now);
+    if (expireDelay > MAX_TIMEOUT) {
+      // far away, check again later
+      timers.set(socket.id, [setTimeout(() => watch(socket), MAX_TIMEOUT)]);
+      return;
+    }
+
+    const warnTimer = setTimeout(() => onExpiring(socket, expiresAt), Math.max(0, expiresAt - warnBeforeMs - now));
+    const expireTimer = setTimeout(() => {
+      timers.delete(socket.id);
+      onExpired(socket, expiresAt);
+    }, expireDelay);
+    timers.set(socket.id, [warnTimer, expireTimer]);
+  };
+
+  const clear = () => {
+    timers.forEach(socketTimers => socketTimers.forEach(clearTimeout));
+    timers.clear();
+  };
+
+  return {
+    watch,
+    unwatch,
+    clear,
+    size: () => timers.size,
+  };
+};
@@ -1,3 +1,6 @@
+// Code of the storeMessage error when the sender already stored a message with this clientMessageId
+export const DUPLICATE_CLIENT_MESSAGE_ID = 'DUPLICATE_CLIENT_MESSAGE_ID';
+
 export class PersistenceInterface {
   async storeUser(user) {
     throw new Error('Method "storeUser" must be implemented');
@@ -31,4 +34,140 @@ export class PersistenceInterface {
   async cleanupOldMessages(maxAge) {
     throw new Error('Method "cleanupOldMessages" must be implemented');
   }
-}
\ No newline at end of file
+
+  async expirePendingMessages(pendingSince) {
+    throw new Error('Method "expirePendingMessages" must be implemented');
+  }
+
+  async storeGroup(group) {
+    throw new Error('Method "storeGroup" must be implemented');
+  }
+
+  async getGroup(groupId) {
+    throw new Error('Method "getGroup" must be implemented');
+  }
+
+  async deleteGroup(groupId) {
+    throw new Error('Method "deleteGroup" must be implemented');
+  }
+
+  async getUserGroups(userId) {
+    throw new Error('Method "getUserGroups" must be implemented');
+  }
+
+  async storeGroupMembers(groupId, members) {
+    throw new Error('Method "storeGroupMembers" must be implemented');
+  }
+
+  async removeGroupMembers(groupId, userIds) {
+    throw new Error('Method "removeGroupMembers" must be implemented');
+  }
+
+  async editMessage(userId, messageId, content, editableSince) {
+    throw new Error('Method "editMessage" must be implemented');
+  }
+
+  async getMessageEditHistory(messageId) {
+    throw new Error('Method "getMessageEditHistory" must be implemented');
+  }
+
+  async deleteMessage(userId, messageId, scope) {
+    throw new Error('Method "deleteMessage" must be implemented');
+  }
+
+  async toggleReaction(userId, messageId, emoji) {
+    throw new Error('Method "toggleReaction" must be implemented');
+  }
+
+  async getReactions(messageIds) {
+    throw new Error('Method "getReactions" must be implemented');
+  }
+
+  async getMessageByClientId(senderId, clientMessageId) {
+    throw new Error('Method "getMessageByClientId" must be implemented');
+  }
+
+  async storeMessageReceipts(messageId, receipts) {
+    throw new Error('Method "storeMessageReceipts" must be implemented');
+  }
+
+  async getMessageReceipts(messageIds) {
+    throw new Error('Method "getMessageReceipts" must be implemented');
+  }
+
+  async setConversationTtl(userId, otherPartyId, ttlSeconds) {
+    throw new Error('Method "setConversationTtl" must be implemented');
+  }
+
+  async getConversationTtl(userId, otherPartyId) {
+    throw new Error('Method "getConversationTtl" must be implemented');
+  }
+
+  async deleteExpiredMessages(now) {
+    throw new Error('Method "deleteExpiredMessages" must be implemented');
+  }
+
+  async getReplyCounts(messageIds) {
+    throw new Error('Method "getReplyCounts" must be implemented');
+  }
+
+  async searchMessages(userId, options) {
+    throw new Error('Method "searchMessages" must be implemented');
+  }
+
+  async getConversationPage(userId, options) {
+    throw new Error('Method "getConversationPage" must be implemented');
+  }
+
+  async storeAttachment(attachment) {
+    throw new Error('Method "storeAttachment" must be implemented');
+  }
+
+  async getAttachment(attachmentId) {
+    throw new Error('Method "getAttachment" must be implemented');
+  }
+
+  async storeSanction(sanction) {
+    throw new Error('Method "storeSanction" must be implemented');
+  }
+
+  async deleteSanction(userId, type) {
+    throw new Error('Method "deleteSanction" must be implemented');
+  }
+
+  async getActiveSanctions(userId) {
+    throw new Error('Method "getActiveSanctions" must be implemented');
+  }
+
+  async storeAuditEntry(entry) {
+    throw new Error('Method "storeAuditEntry" must be implemented');
+  }
+
+  async getAuditLog(options) {
+    throw new Error('Method "getAuditLog" must be implemented');
+  }
+
+  async blockUser(userId, blockedUserId) {
+    throw new Error('Method "blockUser" must be implemented');
+  }
+
+  async unblockUser(userId, blockedUserId) {
+    throw new Error('Method "unblockUser" must be implemented');
+  }
+
+  async getBlockedUsers(userId) {
+    throw new Error('Method "getBlockedUsers" must be implemented');
+  }
+
+  async storeRevocation(revocation) {
+    throw new Error('Method "storeRevocation" must be implemented');
+  }
+
+  async getRevocations(keys) {
+    throw new Error('Method "getRevocations" must be implemented');
+  }
+
+  async storeUsedToken(jti, expiresAt) {
+    throw new Error('Method "storeUsedToken" must be implemented');
+  }
+}
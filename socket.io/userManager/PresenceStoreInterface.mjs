@@ -0,0 +1,31 @@
+/**
+ * Presence shared by every node of the cluster.
+ *
+ * `users` (userId -> user with its sockets) and `sockets` (socketId -> userId) are
+ * Map-like collections: reads are synchronous, writes go through set/delete/clear.
+ * A user object mutated in place must be set again to reach the other nodes.
+ */
+export class PresenceStoreInterface {
+  constructor() {
+    this.users = null;
+    this.sockets = null;
+  }
+
+  // Whether the socket is held by this node, the other nodes take care of theirs
+  isLocalSocket(/* socketId */) {
+    throw new Error('Method "isLocalSocket" must be implemented');
+  }
+
+  async init() {
+    throw new Error('Method "init" must be implemented');
+  }
+
+  // Resolves once the pending writes are visible to the other nodes
+  async flush() {
+    throw new Error('Method "flush" must be implemented');
+  }
+
+  async close() {
+    throw new Error('Method "close" must be implemented');
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * A request refused for an expected reason: invalid options, unknown user or message, missing
+ * permission, muted or blocked sender... The server answers it in the { success: false } ack and
+ * keeps running, any other error is unexpected (see createEventHandler in server.mjs).
+ */
+export class RequestError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'RequestError';
+  }
+}
@@ -5,6 +5,10 @@ import { v4 as uuidv4 } from 'uuid';
 
 import {
   INACTIVITY_THRESHOLD,
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_UPLOAD_EXPIRE_MINUTES,
+  DEFAULT_TENANT,
 } from '../config.mjs';
 
 // Import schemas
@@ -26,21 +30,58 @@ import {
   getConversationsListUOptionsSchema,
   getConversationsListPOptionsSchema,
   MESSAGE_STATUS_ORDERED,
+  clientMessageIdSchema,
+  GROUP_ROLES_ORDERED,
+  createGroupOptionsSchema,
+  renameGroupOptionsSchema,
+  deleteGroupOptionsSchema,
+  addGroupMembersOptionsSchema,
+  removeGroupMembersOptionsSchema,
+  setGroupMemberRoleOptionsSchema,
+  sendGroupMessageOptionsSchema,
+  editMessageOptionsSchema,
+  getMessageEditHistoryOptionsSchema,
+  deleteMessageOptionsSchema,
+  toggleReactionOptionsSchema,
+  searchMessagesOptionsSchema,
+  attachmentIdsSchema,
+  createAttachmentUploadOptionsSchema,
+  kickUserOptionsSchema,
+  muteUserOptionsSchema,
+  banUserOptionsSchema,
+  liftSanctionOptionsSchema,
+  removePublicMessageOptionsSchema,
+  getAuditLogOptionsSchema,
+  blockUserOptionsSchema,
+  revokeTokenOptionsSchema,
+  revokeUserTokensOptionsSchema,
+  messageReceiptSchema,
+  getMessageReceiptsOptionsSchema,
+  resendMessageOptionsSchema,
+  setConversationTtlOptionsSchema,
+  getConversationTtlOptionsSchema,
 } from './schemas.mjs';
 
 
+import { DUPLICATE_CLIENT_MESSAGE_ID } from './PersistenceInterface.mjs';
+import { RequestError } from './errors.mjs';
 import { MemoryPersistence } from './persistMemory.mjs';
 import { PostgresPersistence } from './persistPostgres.mjs';
+import { MemoryPresenceStore } from './presenceMemory.mjs';
+import { PostgresPresenceStore } from './presencePostgres.mjs';
 
 
 import {
   debug,
   PUBLIC_MESSAGE_USER_ID,
   PUBLIC_MESSAGE_EXPIRE_DAYS,
+  PRIVATE_MESSAGE_DELIVER_EXPIRE_DAYS,
+  PENDING_MESSAGES_PAGE_SIZE,
 } from '../config.mjs';
 
 
 import { cleanupOldMessages as cleanupOldMessagesUtil } from './messageCleanupUtils.mjs';
+import { buildDefaultConversation } from './persistPostgres-helpers.mjs';
 
 
 const cleanupOldMessages = (threshold = 7 * 24 * 60 * 60 * 1000) => {
@@ -51,7 +92,7 @@ const cleanupOldMessages = (threshold = 7 * 24 * 60 * 60 * 1000) => {
 function normalizeTimestamp(timestamp) {
   const date = new Date(timestamp);
   if (isNaN(date.getTime())) {
-    throw new Error(`Invalid timestamp: ${timestamp}`);
+    throw new RequestError(`Invalid timestamp: ${timestamp}`);
   }
   return date.toISOString();
 }
@@ -83,7 +124,7 @@ const messageContextDefault = () => ({
 
 
 export const userManager = (options = {}) => {
-  const { defaultStorage = 'memory', maxTotalConnections = 1000 } = options;
+  const { defaultStorage = 'memory', presenceStorage = 'memory', maxTotalConnections = 1000 } = options;
   // set socket instance
   let __io = options.io;
   const setIO = (io) => {
@@ -113,10 +154,15 @@ export const userManager = (options = {}) => {
   }
 
 
+  // Presence, shared between the cluster nodes when presenceStorage is 'postgresql'
+  const presence = presenceStorage === 'postgresql'
+    ? new PostgresPresenceStore()
+    : new MemoryPresenceStore();
+
   // Maps for tracking users, sockets, and messages
-  const the_users = new Map(); // userId -> user data 
+  const the_users = presence.users; // userId -> user data 
 
-  const activeUsers = new Map(); // socketId -> userid to retrive the user data
+  const activeUsers = presence.sockets; // socketId -> userid to retrive the user data
 
   const userConversations = new Map(); // userId -> Map(conversationPartnerId -> messages[])
 
@@ -135,6 +181,8 @@ export const userManager = (options = {}) => {
 
   const generateMessageId = () => `msg-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
 
+  const generateGroupId = () => `grp-${uuidv4()}`;
+
   /**
    * Safe operation wrapper for error handling (supports both sync and async operations)
    */
@@ -148,8 +196,8 @@ export const userManager = (options = {}) => {
       if (debug) console.error(message);
       _incrementErrors();
 
-      // Create a new error with a custom message
-      const newError = new Error(message);
+      // Create a new error with a custom message, refusals stay refusals
+      const newError = error instanceof RequestError ? new RequestError(message) : new Error(message);
       newError.operation = operation;
       newError.cause = error;
       throw newError;
@@ -195,7 +243,7 @@ export const userManager = (options = {}) => {
     return safeOperation(async () => {
       // Validate input parameters
       if (!socketId || typeof socketId !== 'string') {
-        throw new Error('Invalid socketId provided');
+        throw new RequestError('Invalid socketId provided');
       }
 
       if (debug) {
@@ -205,11 +253,12 @@ export const userManager = (options = {}) => {
       // Check connection limits
       if (activeConnections >= MAX_TOTAL_CONNECTIONS) {
         console.warn(`Connection limit exceeded for socketId: ${socketId}`);
-        throw new Error(`Connection limit exceeded. Maximum allowed connections: ${MAX_TOTAL_CONNECTIONS}`);
+        throw new RequestError(`Connection limit exceeded. Maximum allowed connections: ${MAX_TOTAL_CONNECTIONS}`);
       }
 
-      // Retrieve existing user and socket information
-      const userId = activeUsers.get(socketId);
+      // Retrieve existing user (with the sockets of its other devices) and socket information
+      const previousUserId = activeUsers.get(socketId);
+      const userId = userData.userId || previousUserId;
       const _u = userId ? the_users.get(userId) : null;
       const _sockets = _u?.sockets || [];
       const _socket = _sockets.find((s) => s.socketId === socketId);
@@ -242,6 +291,7 @@ export const userManager = (options = {}) => {
       const user = {
         userId: userData.userId || null,
         userName: userData.userName || 'Anonymous',
+        tenant: userData.tenant || _u?.tenant || DEFAULT_TENANT,
         sockets: sockets,
         connectedAt: _connectedAt,
         lastActivity: lastActivity,
@@ -257,9 +307,17 @@ export const userManager = (options = {}) => {
         throw error;
       }
 
-      // Update in-memory stores
+      // A socket of another user until now (re-stored with a new userId) leaves its sockets
+      const _previous = previousUserId && previousUserId !== user.userId ? the_users.get(previousUserId) : null;
+      if (_previous) {
+        const previousSockets = (_previous.sockets || []).filter((s) => s.socketId !== socketId);
+        the_users.set(previousUserId, { ..._previous, sockets: previousSockets, state: reduceUserSocketsState(previousSockets) });
+      }
+
+      // Update the presence stores
       the_users.set(user.userId, user);
       activeUsers.set(socketId, user.userId);
+      await presence.flush();
 
       // Increment connection counters
       totalConnections++;
@@ -319,6 +377,7 @@ export const userManager = (options = {}) => {
       // Update the user's state based on remaining sockets
       user.lastActivity = Date.now();
       user.state = reduceUserSocketsState(user.sockets);
+      the_users.set(user.userId, user);
 
       // Check if the user has been inactive for more than INACTIVITY_THRESHOLD
       const currentTime = Date.now();
@@ -326,13 +385,14 @@ export const userManager = (options = {}) => {
 
 
       // Call persistence hook for user disconnection        
-      return await persistence.storeUser(user).then(u => {
+      return await persistence.storeUser(user).then(async u => {
         if (user.sockets.length === 0) {
           activeUsers.delete(socketId);
           activeConnections--;
           disconnections++;
           //return null
         }
+        await presence.flush();
 
         // Log the disconnection
         if (debug) console.log(
@@ -414,13 +474,13 @@ export const userManager = (options = {}) => {
     return safeOperation(async () => {
       // Step 1: Validate socketId
       if (!socketId || typeof socketId !== 'string') {
-        throw new Error('Invalid socketId provided');
+        throw new RequestError('Invalid socketId provided');
       }
 
       // Step 2: Retrieve the user associated with the socketId
       const user = await getUserBySocketId(socketId);
       if (!user) {
-        throw new Error(`No user found for socketId: ${socketId}`);
+        throw new RequestError(`No user found for socketId: ${socketId}`);
       }
 
       // Step 3: Validate user data
@@ -428,7 +488,7 @@ export const userManager = (options = {}) => {
 
       // Step 4: Ensure the user is authenticated
       if (user.state !== 'authenticated') {
-        throw new Error(`User ${user.userId} is not authenticated`);
+        throw new RequestError(`User ${user.userId} is not authenticated`);
       }
 
       // Return the authenticated user
@@ -547,7 +607,7 @@ export const userManager = (options = {}) => {
       // Step 2: Validate the options against the schema
       const { error: optionsError, value: validatedOptions } = userQuerySchema.validate(options);
       if (optionsError) {
-        throw new Error(`Invalid options: ${optionsError.details.map(d => d.message).join(', ')}`);
+        throw new RequestError(`Invalid options: ${optionsError.details.map(d => d.message).join(', ')}`);
       }
 
       // Step 3: Destructure validated options with defaults applied
@@ -561,8 +621,11 @@ export const userManager = (options = {}) => {
         console.log(`Loaded users: ${JSON.stringify(Array.from(the_users.values()))}`);
       }
 
-      // Step 5: Retrieve all users from memory
-      let filteredUsers = Array.from(the_users.values());
+      // Step 5: Retrieve the users of the same tenant from memory, but the ones this user blocked
+      const tenant = user.tenant || DEFAULT_TENANT;
+      const blockedIds = new Set((await persistence.getBlockedUsers(user.userId)).map(b => b.userId));
+      let filteredUsers = Array.from(the_users.values())
+        .filter(u => (u.tenant || DEFAULT_TENANT) === tenant && !blockedIds.has(u.userId));
 
       // Apply filters
       if (states && states.length > 0) {
@@ -618,7 +681,7 @@ export const userManager = (options = {}) => {
       if (_optionsError) {
         const errorMessage = `Invalid user options: ${_optionsError.message}`;
         console.error({ error: _optionsError }, errorMessage);
-        throw new Error(errorMessage); // Throw a meaningful error for invalid options
+        throw new RequestError(errorMessage); // Throw a meaningful error for invalid options
       }
 
 
@@ -634,7 +697,9 @@ export const userManager = (options = {}) => {
       }
 
       // Step 5: Load user conversations from persistence
-      const respUserConversations = await persistence.getUserConversationsList(validOptions);
+      const respUserConversations = validOptions.type === 'group'
+        ? await _getGroupConversationsList(user, validOptions)
+        : await persistence.getUserConversationsList(validOptions);
 
       // Step 6: Format and validate results
       const userConversations = respUserConversations
@@ -648,6 +713,7 @@ export const userManager = (options = {}) => {
           incoming: s.incoming,
           outgoing: s.outgoing,
           lastMessageAt: s.lastMessageAt,
+          ...(s.group ? { group: s.group } : {}),
         }))
         .filter(s => s !== null); // Exclude invalid entries
 
@@ -662,10 +728,26 @@ export const userManager = (options = {}) => {
     }, `Error getting getUserConversationsList for socketId: ${socketId}`);
   };
 
+  // The message stored for this clientMessageId, a retry must target the same recipient
+  const _getStoredRetry = async (user, recipientId, clientMessageId) => {
+    const stored = await persistence.getMessageByClientId(user.userId, clientMessageId);
+    if (!stored) return null;
+    if (stored.recipientId !== recipientId) {
+      throw new RequestError(`clientMessageId ${clientMessageId} was already used for another recipient`);
+    }
+    return { ...stored, direction: 'outgoing', duplicate: true };
+  };
+
   /**
   * Send a message to a recipient
+  * @param {Object} [options]
+  * @param {string} [options.replyTo] - parent messageId, must belong to this conversation
+  * @param {string[]} [options.attachments] - attachmentIds uploaded by the sender
+  * @param {string} [options.clientMessageId] - id generated by the client: a retry returns the message
+  *   already stored, with its current status and `duplicate: true`
+  * With disappearing messages on in the conversation (setConversationTtl), the message gets its expiresAt.
   */
-  const sendMessage = async (socketId, recipientId, content) => {
+  const sendMessage = async (socketId, recipientId, content, options = {}) => {
     return safeOperation(async () => {
       // Step 1: Validate the sender
       const user = await validateUserBySocketId(socketId);
@@ -682,8 +764,31 @@ export const userManager = (options = {}) => {
         return ret;
       }
 
-      // Step 3: Generate a unique messageId
+      // Step 3: A retry of a message already stored (its ack was lost) does not store it again
+      const { error: clientIdError, value: clientMessageId = null } = clientMessageIdSchema.allow(null).validate(options.clientMessageId);
+      if (clientIdError) {
+        throw new RequestError(`Invalid clientMessageId: ${clientIdError.message}`);
+      }
+      const stored = clientMessageId && await _getStoredRetry(user, recipientId, clientMessageId);
+      if (stored) return stored;
+
+      await _failMuted(user);
+      if (await isBlockedBy(recipientId, user.userId)) {
+        throw new RequestError(`User ${recipientId} does not accept messages from you`);
+      }
+
+      // Step 4: A reply must point to a message of this same conversation
+      const replyTo = options.replyTo || null;
+      if (replyTo) {
+        await _failInvisibleParent(user, replyTo, parent =>
+          parent.type === 'private' && [parent.sender.userId, parent.recipientId].includes(recipientId));
+      }
+      const attachments = await _resolveAttachments(user, options.attachments);
+
+      // Step 5: Generate a unique messageId
       const messageId = generateMessageId();
+      const ttl = await persistence.getConversationTtl(user.userId, recipientId);
+      const expiresAt = ttl?.ttlSeconds ? new Date(Date.now() + ttl.ttlSeconds * 1000).toISOString() : null;
 
       // Create the base message object
       const simple_message = {
@@ -695,17 +800,29 @@ export const userManager = (options = {}) => {
         type: 'private',
         //    createdAt: getHighPrecisionISO(),
         readAt: null,
+        replyTo,
+        attachments,
+        clientMessageId,
+        expiresAt,
       };
 
       // Validate the message against the schema
       const { valid, errors, data: ___msg } = validateEventData(baseMessageSchema, simple_message);
       if (!valid) {
         const errorMessage = errors.map(e => e.message).join(', ');
-        throw new Error(`Validation failed: ${errorMessage}`);
+        throw new RequestError(`Validation failed: ${errorMessage}`);
       }
 
       // Store the message in both sender's and recipient's conversations
-      await _storeMessage(recipientId, { ...___msg, direction: 'incoming', status: 'sent' });
+      try {
+        await _storeMessage(recipientId, { ...___msg, direction: 'incoming', status: 'sent' });
+      } catch (error) {
+        // the same retry stored it in between, on this node or another one
+        const retried = error.cause?.code === DUPLICATE_CLIENT_MESSAGE_ID
+          && await _getStoredRetry(user, recipientId, clientMessageId);
+        if (retried) return retried;
+        throw error;
+      }
       const msg = await _storeMessage(user.userId, { ...___msg, direction: 'outgoing', status: 'sent' });
 
       // Return the message with its final status      
@@ -727,10 +844,10 @@ export const userManager = (options = {}) => {
       const userId = user.userId;
 
       if (typeof messageId !== 'string') {
-        throw new Error('Invalid messageId provided');
+        throw new RequestError('Invalid messageId provided');
       }
       if (!MESSAGE_STATUS_ORDERED.filter(s => s !== MESSAGE_STATUS_ORDERED[0]).includes(newStatus)) {
-        throw new Error(`Invalid newState: ${newStatus}`);
+        throw new RequestError(`Invalid newState: ${newStatus}`);
       }
 
 
@@ -743,105 +860,124 @@ export const userManager = (options = {}) => {
     }, `Error updating message state for socketId user: ${socketId}`);
   };
 
-  const getAndDeliverPendingMessages = async (socketId) => {
+  /**
+   * Pending incoming private messages of the socket user, oldest first, see expirePendingMessages
+   * for the older ones. The server pushes them with receiveMessage on connection.
+   */
+  const getPendingMessages = async (socketId) => {
     return safeOperation(async () => {
-      // Step 1: Validate the user associated with the socketId
       const user = await _failInsecureSocketId(socketId);
-      const userId = user.userId;
-
-      // Step 2 - Mandatory arguments
-      const direction = 'incoming';
-      const status = 'pending';        // we want on delivery pendeng, first is find the previous state, right? :)
-      const type = 'private';
 
-      // Step 2: Define the query options
-      const options = {
-        limit: 50, // Maximum number of messages to retrieve
-        offset: 0, // Start from the first message
-        since: null, // Optional: Ignore messages older than a certain date
-        until: null, // Optional: Ignore messages newer than a certain date
-        messageIds: null, // Optional: Filter by specific message IDs
-        direction, // Incoming messages
-        status, // Pending messages
-        type, // Private messages
-        senderId: null, // Optional: Filter by specific sender
-        otherPartyId: userId, // Filter messages for the current user
-        unreadOnly: true, // Only retrieve unread messages
-      };
+      const pending = [];
+      for (let offset = 0, hasMore = true; hasMore; offset += PENDING_MESSAGES_PAGE_SIZE) {
+        const page = await _getMessages(user.userId, {
+          type: 'private',
+          direction: 'incoming',
+          status: 'pending',
+          recipientId: user.userId,
+          limit: PENDING_MESSAGES_PAGE_SIZE,
+          offset,
+        });
+        pending.push(...page.messages);
+        hasMore = page.hasMore;
+      }
 
-      // Step 3: Apply time-based policies (if applicable)
-      const sinceDate = new Date();
-      sinceDate.setDate(sinceDate.getDate() - 7); // Ignore messages older than 7 days
-      options.since = sinceDate.toISOString();
+      return pending.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }, `Error retrieving pending messages for socketId: ${socketId}`);
+  };
 
-      // Step 4: Validate the options against the schema
-      const { error: optionsError, value: validOptions } = getMessagesUOptionsSchema.validate(options);
-      if (optionsError) {
-        throw new Error(`Invalid options: ${optionsError.message}`);
-      }
+  /**
+   * Scheduled job: private messages still pending PRIVATE_MESSAGE_DELIVER_EXPIRE_DAYS after their
+   * last update become failed, a terminal status until the sender resends them (resendMessage).
+   * @returns {Promise<Object[]>} - The outgoing copies of the expired messages.
+   */
+  const expirePendingMessages = async () => {
+    return safeOperation(async () => {
+      const pendingSince = new Date();
+      pendingSince.setDate(pendingSince.getDate() - PRIVATE_MESSAGE_DELIVER_EXPIRE_DAYS);
 
-      // Debugging logs
-      if (debug) {
-        console.log(`Fetching pending messages for userId: ${userId} with options:`, validOptions);
-      }
-
-      // Step 5: Retrieve pending messages
-      const messagesResult = await _getMessages(userId, validOptions);
-      const pendingMessages = messagesResult.messages.filter(msg => msg.status === 'pending');
-      const totalPending = pendingMessages.length;
-
-      // Step 5: Process each pending message
-      const deliveredMessageIds = [];
-      const undeliveredMessageIds = [];
-      const failedMessageIds = [];
-
-      for (const msg of pendingMessages) {
-        try {
-          // Validate the message structure
-          const { valid, errors } = validateEventData(baseMessageSchema, msg);
-          if (!valid) {
-            console.error(`Invalid message ${msg.messageId}:`, errors.map(e => e.message).join(', '));
-            failedMessageIds.push(msg.messageId);
-            continue;
-          }
+      const expired = await persistence.expirePendingMessages(pendingSince.toISOString());
+      return expired.map(msg => ({ ...msg, direction: 'outgoing' }));
+    }, 'Error expiring pending messages');
+  };
 
-          // Check if the recipient is online
-          const recipientSockets = Array.from(the_users.get(msg.recipientId)?.sockets || []);
-          if (recipientSockets.length > 0) {
-            // Update the message status to 'delivered'
-            msg.status = 'delivered';
+  /**
+   * Send a failed (expired) private message again: both copies go back to sent, and the server
+   * delivers it as a new one, with the same messageId.
+   */
+  const resendMessage = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { messageId } } = resendMessageOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
 
-            // Emit the message to the recipient's sockets
-            recipientSockets.forEach(socket => {
-              __io.to(socket.socketId).emit(`${msg.type}_message`, { ...msg, direction: 'incoming' });
-            });
+      const { messages: [msg] } = await persistence.getMessages(user.userId, {
+        type: 'private',
+        direction: 'outgoing',
+        messageIds: [messageId],
+        limit: 1,
+      });
+      if (!msg || msg.deletedAt) {
+        throw new RequestError(`Message ${messageId} not found`);
+      }
+      if (msg.status !== 'failed') {
+        throw new RequestError(`Message ${messageId} is ${msg.status}, only failed messages can be resent`);
+      }
+      await _failMuted(user);
+      if (await isBlockedBy(msg.recipientId, user.userId)) {
+        throw new RequestError(`User ${msg.recipientId} does not accept messages from you`);
+      }
 
-            // Store the updated message
-            await _storeMessage(userId, { ...msg, direction: 'incoming' });
-            await _storeMessage(msg.sender.userId, { ...msg, direction: 'outgoing' });
+      const updated = await persistence.updateMessageStatus(user.userId, messageId, 'sent', 'failed');
+      if (!updated) {
+        throw new RequestError(`Message ${messageId} was not resent`);
+      }
+      return { ...msg, status: 'sent', direction: 'outgoing' };
+    }, `Error resending message for socketId: ${socketId}`);
+  };
 
-            // Add the message ID to the list of delivered messages
-            deliveredMessageIds.push(msg.messageId);
-          } else {
-            // Recipient is offline - skip delivery
-            undeliveredMessageIds.push(msg.messageId);
-            continue;
-          }
-        } catch (error) {
-          console.error(`Failed to deliver pending message ${msg.messageId}:`, error.message);
-          failedMessageIds.push(msg.messageId);
-        }
+  /**
+   * Receipt of a pending message pushed to the socket (a recipient device). An acknowledged
+   * message moves from pending to delivered, both its incoming and outgoing copies.
+   * @returns {Promise<Object>} - { messageId, receipts, delivered, devices, message } with the outgoing copy
+   */
+  const storePendingMessageReceipt = async (socketId, messageId, { status, reason = null } = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { messages: [msg] } = await _getMessages(user.userId, {
+        type: 'private',
+        direction: 'incoming',
+        recipientId: user.userId,
+        messageIds: [messageId],
+      });
+      if (!msg) {
+        throw new RequestError(`Message ${messageId} not found`);
       }
 
-      // Return the result
-      return {
-        delivered: deliveredMessageIds,
-        total: totalPending,
-        failed: failedMessageIds.length,
-        undelivered: undeliveredMessageIds.length,
-        pendingMessages: pendingMessages.filter(m => m.status === 'pending'), // Include all processed messages
-      };
-    }, `Error retrieving pending messages for socketId: ${socketId}`);
+      const sock = (the_users.get(user.userId)?.sockets || []).find(s => s.socketId === socketId);
+      const { error, value: receipt } = messageReceiptSchema.validate({
+        recipientId: user.userId,
+        socketId,
+        sessionId: sock?.sessionId || null,
+        status,
+        reason,
+      });
+      if (error) {
+        throw new RequestError(`Invalid receipt: ${error.message}`);
+      }
+      const receipts = await persistence.storeMessageReceipts(messageId, [receipt]);
+
+      let message = { ...msg, direction: 'outgoing' };
+      if (status === 'delivered' && msg.status === 'pending') {
+        // the Postgres backend returns the updated rows without their sender
+        const updated = await persistence.updateMessageStatus(msg.sender.userId, messageId, 'delivered', 'pending');
+        const outgoing = updated?.find(m => m.direction === 'outgoing');
+        message = { ...message, status: 'delivered', updatedAt: outgoing?.updatedAt || message.updatedAt };
+      }
+      return { ..._receiptsResult(messageId, receipts), message };
+    }, `Error storing pending message receipt for socketId: ${socketId}`);
   };
 
 
@@ -866,7 +1002,7 @@ export const userManager = (options = {}) => {
       // Step 2: Validate input options against the schema
       const { error: optionsError, value: validOps } = markMessagesAsReadOptionsSchema.validate(options);
       if (optionsError) {
-        throw new Error(`Invalid options: ${optionsError.message}`);
+        throw new RequestError(`Invalid options: ${optionsError.message}`);
       }
 
       const { direction, senderId: conversationPartnerId, messageIds } = validOps;
@@ -919,7 +1055,7 @@ export const userManager = (options = {}) => {
   const _TO_DELETE_loadUserMessages = async (userId) => {
     return safeOperation(async () => {
       if (!userId || typeof userId !== 'string') {
-        throw new Error('Invalid userId provided');
+        throw new RequestError('Invalid userId provided');
       }
 
       // Fetch messages from persistence
@@ -956,7 +1092,7 @@ export const userManager = (options = {}) => {
   const _storeMessage = async (userId, message) => {
     return safeOperation(async () => {
       if (!userId || typeof userId !== 'string') {
-        throw new Error('Invalid userId provided');
+        throw new RequestError('Invalid userId provided');
       }
 
       message.status = message.status || 'sent';
@@ -968,7 +1104,7 @@ export const userManager = (options = {}) => {
       const { valid, errors, data: msg } = validateEventData(persistMessageSchema, message);
       if (!valid) {
         const errorMessage = errors.map(e => e.message).join(', ');
-        throw new Error(`Validation failed: ${errorMessage}`);
+        throw new RequestError(`Validation failed: ${errorMessage}`);
       }
 
       // Store the message in the persistence layer
@@ -988,7 +1124,7 @@ export const userManager = (options = {}) => {
   const _getUserSockets = async (userId) => {
     return safeOperation(() => {
       if (!userId || typeof userId !== 'string') {
-        throw new Error('Invalid userId provided');
+        throw new RequestError('Invalid userId provided');
       }
 
       const user = the_users.get(userId);
@@ -1006,7 +1142,7 @@ export const userManager = (options = {}) => {
     return safeOperation(async () => {
       // Step 1: Validate userId
       if (!userId || typeof userId !== 'string') {
-        throw new Error('Invalid userId provided');
+        throw new RequestError('Invalid userId provided');
       }
 
       const normalizedOptions = getNormalizedOptions(options);
@@ -1014,7 +1150,7 @@ export const userManager = (options = {}) => {
       // Step 3: Validate options against schema
       const { value: validOps, error: optionsError } = getMessagesUOptionsSchema.validate(normalizedOptions);
       if (optionsError) {
-        throw new Error(`Invalid options: ${optionsError.message}`);
+        throw new RequestError(`Invalid options: ${optionsError.message}`);
       }
 
       // Step 4: Determine the userId for the query
@@ -1069,11 +1205,13 @@ export const userManager = (options = {}) => {
 
       // Step 3: Extract options
       const { state = null } = options;
+      const tenant = user.tenant || DEFAULT_TENANT;
 
-      // Step 4: Retrieve all active users
+      // Step 4: Retrieve the active users of the same tenant
       const activeUsersList = Array.from(activeUsers.values())
         .map(activeUserId => the_users.get(activeUserId))
         .filter(user => {
+          if ((user.tenant || DEFAULT_TENANT) !== tenant) return false;
           // Filter by state if provided
           if (state && user.state !== state) return false;
           return true;
@@ -1095,7 +1233,7 @@ export const userManager = (options = {}) => {
   const getUserConnectionMetrics = (userId) => {
     return safeOperation(() => {
       if (!userId || typeof userId !== 'string') {
-        throw new Error('Invalid userId provided');
+        throw new RequestError('Invalid userId provided');
       }
 
       // Retrieve the user object
@@ -1123,9 +1261,16 @@ export const userManager = (options = {}) => {
   };
 
 
-  const broadcastPublicMessage = (socketId, content) => {
+  const broadcastPublicMessage = (socketId, content, options = {}) => {
     return safeOperation(async () => {
       const user = await _failInsecureSocketId(socketId);
+      await _failMuted(user);
+
+      const replyTo = options.replyTo || null;
+      if (replyTo) {
+        await _failInvisibleParent(user, replyTo, parent => parent.type === 'public');
+      }
+      const attachments = await _resolveAttachments(user, options.attachments);
 
       const messageId = generateMessageId();
       const recipientId = PUBLIC_MESSAGE_USER_ID; // Special ID for public messages
@@ -1142,11 +1287,13 @@ export const userManager = (options = {}) => {
         //    updated_at: getHighPrecisionISO(),
         readAt: null,
         direction: 'outgoing',
+        replyTo,
+        attachments,
       };
 
       const { valid, errors, data: msg } = validateEventData(baseMessageSchema, enrichedMessage);
       if (!valid) {
-        throw new Error(`Invalid message: ${errors.map(e => e.message).join(', ')}`);
+        throw new RequestError(`Invalid message: ${errors.map(e => e.message).join(', ')}`);
       }
 
       // Store the message for the sender
@@ -1168,6 +1315,676 @@ export const userManager = (options = {}) => {
     }, `Error broadcasting public message for socketId: ${socketId}`);
   };
 
+  /**
+   * Edit the content of a message sent by the user, within MESSAGE_EDIT_WINDOW_MINUTES.
+   * Both copies are updated, the previous content goes to the edit history.
+   */
+  const editMessage = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { messageId, content } } = editMessageOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+
+      const editableSince = new Date(Date.now() - MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000);
+      const copies = await persistence.editMessage(user.userId, messageId, content, editableSince);
+      if (!copies || copies.length === 0) {
+        throw new RequestError(`Message ${messageId} not found or no longer editable`);
+      }
+
+      const msg = copies.find(m => m.direction === 'outgoing') || copies[0];
+      return { ...msg, direction: 'outgoing' };
+    }, `Error editing message for socketId: ${socketId}`);
+  };
+
+  /**
+   * Previous versions of a message, oldest first. Only parties of the message can read them.
+   */
+  const getMessageEditHistory = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { messageId } } = getMessageEditHistoryOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+
+      const history = await persistence.getMessageEditHistory(messageId);
+      if (history.length === 0) return [];
+
+      const { editedBy, recipientId } = history[0];
+      const isParty = [editedBy, recipientId].includes(user.userId)
+        || recipientId === PUBLIC_MESSAGE_USER_ID
+        // group messages are addressed to the groupId
+        || (await persistence.getGroup(recipientId))?.members.some(m => m.userId === user.userId);
+      if (!isParty) {
+        throw new RequestError(`Message ${messageId} not found`);
+      }
+      return history;
+    }, `Error getting edit history for socketId: ${socketId}`);
+  };
+
+  /**
+   * Delete a message.
+   * scope "me" removes the caller copy only, the other party keeps his.
+   * scope "everyone" (sender only) replaces both copies by a tombstone, returned by getUserConversation.
+   */
+  const deleteMessage = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { messageId, scope } } = deleteMessageOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+
+      const copies = await persistence.deleteMessage(user.userId, messageId, scope);
+      if (!copies || copies.length === 0) {
+        throw new RequestError(`Message ${messageId} not found`);
+      }
+
+      const msg = copies.find(m => m.direction === 'outgoing') || copies[0];
+      return { ...msg, scope };
+    }, `Error deleting message for socketId: ${socketId}`);
+  };
+
+  /**
+   * Attach the aggregated reactions ([{ emoji, count, userIds }]) and the reply count to each message
+   */
+  const _withMessageAggregates = async (messages) => {
+    const messageIds = messages.map(m => m.messageId);
+    const [reactions, replyCounts] = await Promise.all([
+      persistence.getReactions(messageIds),
+      persistence.getReplyCounts(messageIds),
+    ]);
+    return messages.map(m => ({
+      ...m,
+      reactions: reactions[m.messageId] || [],
+      replyCount: replyCounts[m.messageId] || 0,
+    }));
+  };
+
+  /**
+   * A message the user can see: one of his own copies, or a public message
+   */
+  const _findVisibleMessage = async (user, messageId) => {
+    const lookups = [
+      [user.userId, { type: 'private', messageIds: [messageId], limit: 1 }],
+      [PUBLIC_MESSAGE_USER_ID, { type: 'public', direction: 'incoming', messageIds: [messageId], limit: 1 }],
+    ];
+    for (const [ownerId, options] of lookups) {
+      const { messages } = await persistence.getMessages(ownerId, options);
+      const msg = messages.find(m => !m.deletedAt);
+      if (msg) return msg;
+    }
+    return null;
+  };
+
+  /**
+   * Throws unless the reply parent is visible to the user and accepted by `belongsHere`
+   */
+  const _failInvisibleParent = async (user, replyTo, belongsHere) => {
+    const parent = await _findVisibleMessage(user, replyTo);
+    if (!parent || !belongsHere(parent)) {
+      throw new RequestError(`Parent message ${replyTo} not found`);
+    }
+    return parent;
+  };
+
+  const attachmentUrl = (attachmentId) => `/attachments/${attachmentId}`;
+
+  /**
+   * Reserve an attachment, the bytes are then sent to `uploadUrl` (PUT)
+   * with the `uploadToken` as bearer, before `expiresAt`.
+   */
+  const createAttachmentUpload = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { fileName, mimeType, size } } = createAttachmentUploadOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+      if (size > ATTACHMENT_MAX_BYTES) {
+        throw new RequestError(`Attachment too large: ${size} bytes, max ${ATTACHMENT_MAX_BYTES}`);
+      }
+
+      const now = Date.now();
+      const attachment = await persistence.storeAttachment({
+        attachmentId: `att-${uuidv4()}`,
+        ownerId: user.userId,
+        fileName,
+        mimeType,
+        size,
+        status: 'pending',
+        uploadToken: uuidv4(),
+        hasThumbnail: false,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ATTACHMENT_UPLOAD_EXPIRE_MINUTES * 60 * 1000).toISOString(),
+      });
+
+      return {
+        attachmentId: attachment.attachmentId,
+        uploadUrl: attachmentUrl(attachment.attachmentId),
+        uploadToken: attachment.uploadToken,
+        expiresAt: attachment.expiresAt,
+      };
+    }, `Error creating attachment upload for socketId: ${socketId}`);
+  };
+
+  /**
+   * The pending attachment an upload request may write, null unless the token matches in time
+   */
+  const getPendingAttachment = async (attachmentId, uploadToken) => {
+    const attachment = await persistence.getAttachment(attachmentId);
+    if (!attachment || attachment.status !== 'pending' || !uploadToken) return null;
+    if (attachment.uploadToken !== uploadToken) return null;
+    if (new Date(attachment.expiresAt).getTime() < Date.now()) return null;
+    return attachment;
+  };
+
+  /**
+   * Bytes are stored: the attachment can be downloaded and sent, the token is spent
+   */
+  const markAttachmentReady = async (attachmentId, { size, hasThumbnail = false }) => {
+    const attachment = await persistence.getAttachment(attachmentId);
+    if (!attachment) {
+      throw new RequestError(`Attachment ${attachmentId} not found`);
+    }
+    return persistence.storeAttachment({
+      ...attachment,
+      size,
+      hasThumbnail,
+      status: 'ready',
+      uploadToken: null,
+      expiresAt: null,
+    });
+  };
+
+  /**
+   * A downloadable attachment, null while its upload is pending
+   */
+  const getAttachment = async (attachmentId) => {
+    const attachment = await persistence.getAttachment(attachmentId);
+    return attachment && attachment.status === 'ready' ? attachment : null;
+  };
+
+  /**
+   * Attachments carried by a new message: uploaded and owned by the sender
+   */
+  const _resolveAttachments = async (user, attachmentIds = []) => {
+    const { error, value: ids } = attachmentIdsSchema.validate(attachmentIds || []);
+    if (error) {
+      throw new RequestError(`Invalid attachments: ${error.message}`);
+    }
+
+    return Promise.all(ids.map(async (attachmentId) => {
+      const attachment = await getAttachment(attachmentId);
+      if (!attachment || attachment.ownerId !== user.userId) {
+        throw new RequestError(`Attachment ${attachmentId} not found`);
+      }
+      return {
+        attachmentId,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        url: attachmentUrl(attachmentId),
+        thumbnailUrl: attachment.hasThumbnail ? `${attachmentUrl(attachmentId)}/thumbnail` : null,
+      };
+    }));
+  };
+
+  /**
+   * Block list: a blocked user cannot send private messages nor typing indicators
+   * to the blocker, and is hidden from the blocker users list.
+   */
+  const blockUser = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { userId } } = blockUserOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+      if (userId === user.userId) {
+        throw new RequestError('Users cannot block themselves');
+      }
+
+      await persistence.blockUser(user.userId, userId);
+      return { userId, blocked: true };
+    }, `Error blocking user for socketId: ${socketId}`);
+  };
+
+  const unblockUser = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { userId } } = blockUserOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+
+      await persistence.unblockUser(user.userId, userId);
+      return { userId, blocked: false };
+    }, `Error unblocking user for socketId: ${socketId}`);
+  };
+
+  const getBlockedUsers = async (socketId) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      return persistence.getBlockedUsers(user.userId);
+    }, `Error getting blocked users for socketId: ${socketId}`);
+  };
+
+  // True when `userId` blocked `otherUserId`
+  const isBlockedBy = async (userId, otherUserId) => {
+    const blocked = await persistence.getBlockedUsers(userId);
+    return blocked.some(b => b.userId === otherUserId);
+  };
+
+  /**
+   * Disappearing messages: either participant of a private conversation sets how long its new
+   * messages are kept (one of CONVERSATION_TTL_SECONDS, null turns it off). Messages already sent
+   * keep their expiresAt.
+   * @returns {Promise<Object>} - { otherPartyId, ttlSeconds, setBy, updatedAt }
+   */
+  const setConversationTtl = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { otherPartyId, ttlSeconds } } = setConversationTtlOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+      if (otherPartyId === user.userId || !the_users.has(otherPartyId)) {
+        throw new RequestError(`No user found for userId: ${otherPartyId}`);
+      }
+
+      const setting = await persistence.setConversationTtl(user.userId, otherPartyId, ttlSeconds);
+      return { otherPartyId, ...setting };
+    }, `Error setting conversation TTL for socketId: ${socketId}`);
+  };
+
+  // Off (ttlSeconds null) until a participant sets it
+  const getConversationTtl = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { otherPartyId } } = getConversationTtlOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+
+      const setting = await persistence.getConversationTtl(user.userId, otherPartyId);
+      return { otherPartyId, ttlSeconds: null, setBy: null, updatedAt: null, ...setting };
+    }, `Error getting conversation TTL for socketId: ${socketId}`);
+  };
+
+  /**
+   * Scheduled job: hard deletes the messages past their expiresAt, both copies, and the attachment
+   * records no other message uses (their files are left to the storage driver of the caller).
+   * @returns {Promise<Object>} - { messages: { messageId, senderId, recipientId } of the deleted messages,
+   *   attachments: { attachmentId, hasThumbnail } of the deleted attachments }.
+   */
+  const deleteExpiredMessages = async () => {
+    return safeOperation(async () => {
+      return persistence.deleteExpiredMessages(new Date().toISOString());
+    }, 'Error deleting expired messages');
+  };
+
+  /**
+   * Moderation, admin only (see EVENT_PERMISSIONS in server.mjs).
+   * Every action is written to the audit log.
+   */
+  const _validateModerationOptions = (schema, options) => {
+    const { error, value } = schema.validate(options);
+    if (error) {
+      throw new RequestError(`Invalid options: ${error.message}`);
+    }
+    return value;
+  };
+
+  const _failSelfModeration = (admin, userId) => {
+    if (admin.userId === userId) {
+      throw new RequestError('Admins cannot moderate themselves');
+    }
+  };
+
+  const _audit = async (admin, action, targetId, reason, details = {}) => {
+    return persistence.storeAuditEntry({
+      auditId: `aud-${uuidv4()}`,
+      action,
+      actorId: admin.userId,
+      targetId,
+      reason,
+      details,
+      createdAt: new Date().toISOString(),
+    });
+  };
+
+  const _sanctionUntil = (minutes) => (minutes ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null);
+
+  // Tell the user sockets, then close them and drop them from presence
+  // the authenticated sockets keep their user id in socket.data, on every cluster node
+  const _disconnectAllSockets = async (userId, notice) => {
+    const sockets = (await __io?.fetchSockets() || []).filter(sock => sock.data?.userId === userId);
+    for (const sock of sockets) {
+      sock.emit('moderation', notice);
+      sock.disconnect(true);
+      await disconnectUser(sock.id);
+    }
+    return sockets.map(sock => sock.id);
+  };
+
+  const getActiveBan = async (userId) => {
+    const sanctions = await persistence.getActiveSanctions(userId);
+    return sanctions.find(s => s.type === 'ban') || null;
+  };
+
+  const _failMuted = async (user) => {
+    const sanctions = await persistence.getActiveSanctions(user.userId);
+    const mute = sanctions.find(s => s.type === 'mute');
+    if (mute) {
+      throw new RequestError(`User ${user.userId} is muted until ${new Date(mute.until).toISOString()}`);
+    }
+  };
+
+  const kickUser = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const { userId, reason } = _validateModerationOptions(kickUserOptionsSchema, options);
+      _failSelfModeration(admin, userId);
+
+      const socketIds = await _disconnectAllSockets(userId, { action: 'kick', reason });
+      await _audit(admin, 'kick', userId, reason, { sockets: socketIds.length });
+      return { userId, action: 'kick', sockets: socketIds };
+    }, `Error kicking user for socketId: ${socketId}`);
+  };
+
+  const muteUser = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const { userId, minutes, reason } = _validateModerationOptions(muteUserOptionsSchema, options);
+      _failSelfModeration(admin, userId);
+
+      const sanction = await persistence.storeSanction({
+        userId,
+        type: 'mute',
+        until: _sanctionUntil(minutes),
+        reason,
+        createdBy: admin.userId,
+        createdAt: new Date().toISOString(),
+      });
+      const sockets = (await _getUserSockets(userId)) || [];
+      sockets.forEach(sock => __io?.to(sock.socketId).emit('moderation', { action: 'mute', until: sanction.until, reason }));
+
+      await _audit(admin, 'mute', userId, reason, { until: sanction.until });
+      return sanction;
+    }, `Error muting user for socketId: ${socketId}`);
+  };
+
+  const banUser = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const { userId, minutes, reason } = _validateModerationOptions(banUserOptionsSchema, options);
+      _failSelfModeration(admin, userId);
+
+      const sanction = await persistence.storeSanction({
+        userId,
+        type: 'ban',
+        until: _sanctionUntil(minutes),
+        reason,
+        createdBy: admin.userId,
+        createdAt: new Date().toISOString(),
+      });
+      await _disconnectAllSockets(userId, { action: 'ban', until: sanction.until, reason });
+
+      await _audit(admin, 'ban', userId, reason, { until: sanction.until });
+      return sanction;
+    }, `Error banning user for socketId: ${socketId}`);
+  };
+
+  const _liftSanction = (type, action) => async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const { userId } = _validateModerationOptions(liftSanctionOptionsSchema, options);
+
+      const lifted = await persistence.deleteSanction(userId, type);
+      if (!lifted) {
+        throw new RequestError(`No ${type} found for userId: ${userId}`);
+      }
+      await _audit(admin, action, userId, '');
+      return { userId, action };
+    }, `Error on ${action} for socketId: ${socketId}`);
+  };
+  const unmuteUser = _liftSanction('mute', 'unmute');
+  const unbanUser = _liftSanction('ban', 'unban');
+
+  /**
+   * Leave a tombstone on a public message, whoever sent it
+   */
+  const removePublicMessage = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const { messageId, reason } = _validateModerationOptions(removePublicMessageOptionsSchema, options);
+
+      const { messages } = await persistence.getMessages(PUBLIC_MESSAGE_USER_ID, {
+        type: 'public', direction: 'incoming', messageIds: [messageId], limit: 1,
+      });
+      const msg = messages.find(m => !m.deletedAt);
+      if (!msg) {
+        throw new RequestError(`Public message ${messageId} not found`);
+      }
+
+      const copies = await persistence.deleteMessage(msg.sender.userId, messageId, 'everyone');
+      await _audit(admin, 'removePublicMessage', messageId, reason, { senderId: msg.sender.userId });
+
+      const removed = copies.find(m => m.direction === 'incoming') || copies[0];
+      return { ...removed, scope: 'everyone' };
+    }, `Error removing public message for socketId: ${socketId}`);
+  };
+
+  /**
+   * Online users with their active sanctions, and every active sanction (offline users included),
+   * of the admin tenant
+   */
+  const getModerationOverview = async (socketId) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const ofTenant = (u) => (u?.tenant || DEFAULT_TENANT) === (admin.tenant || DEFAULT_TENANT);
+      const sanctions = (await persistence.getActiveSanctions(null))
+        .filter(s => ofTenant(the_users.get(s.userId)));
+
+      const onlineUsers = Array.from(the_users.values())
+        .filter(u => ofTenant(u) && ['connected', 'authenticated'].includes(u.state))
+        .map(u => ({
+          userId: u.userId,
+          userName: u.userName,
+          state: u.state,
+          connections: (u.sockets || []).length,
+          sanctions: sanctions.filter(s => s.userId === u.userId),
+        }));
+
+      return { users: onlineUsers, sanctions };
+    }, `Error getting moderation overview for socketId: ${socketId}`);
+  };
+
+  const getAuditLog = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      await _failInsecureSocketId(socketId);
+      return persistence.getAuditLog(_validateModerationOptions(getAuditLogOptionsSchema, options));
+    }, `Error getting audit log for socketId: ${socketId}`);
+  };
+
+  /**
+   * Token revocation, admin only. A revoked token is refused at the handshake and on reauthenticate,
+   * the sockets using it are disconnected right away.
+   */
+  const revokeToken = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const { jti, expiresAt, reason } = _validateModerationOptions(revokeTokenOptionsSchema, options);
+
+      const revocation = await persistence.storeRevocation({
+        kind: 'jti',
+        key: jti,
+        revokedAt: new Date().toISOString(),
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        reason,
+        revokedBy: admin.userId,
+      });
+
+      // the authenticated sockets keep their token jti in socket.data, on every cluster node
+      const sockets = (await __io?.fetchSockets() || []).filter(sock => sock.data?.jti === jti);
+      for (const sock of sockets) {
+        sock.emit('moderation', { action: 'revoke', reason });
+        sock.disconnect(true);
+        await disconnectUser(sock.id);
+      }
+
+      await _audit(admin, 'revokeToken', jti, reason, { sockets: sockets.length });
+      return { ...revocation, sockets: sockets.map(sock => sock.id) };
+    }, `Error revoking token for socketId: ${socketId}`);
+  };
+
+  // Every token of the user issued until now, the next sign-in gets a fresh one
+  const revokeUserTokens = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const admin = await _failInsecureSocketId(socketId);
+      const { userId, reason } = _validateModerationOptions(revokeUserTokensOptionsSchema, options);
+      _failSelfModeration(admin, userId);
+
+      const revocation = await persistence.storeRevocation({
+        kind: 'sub',
+        key: userId,
+        revokedAt: new Date().toISOString(),
+        expiresAt: null,
+        reason,
+        revokedBy: admin.userId,
+      });
+      const socketIds = await _disconnectAllSockets(userId, { action: 'revoke', reason });
+
+      await _audit(admin, 'revokeUserTokens', userId, reason, { sockets: socketIds.length });
+      return { ...revocation, sockets: socketIds };
+    }, `Error revoking user tokens for socketId: ${socketId}`);
+  };
+
+  /**
+   * Revocation of a token, by its jti or its subject (sub claim or mapped userId).
+   * A subject revocation only applies to the tokens issued (iat) before it.
+   *
+   * @param {Object} token - { jti, sub, userId, iat } of the token.
+   * @returns {Promise<Object|null>}
+   */
+  const getTokenRevocation = async ({ jti = null, sub = null, userId = null, iat = null } = {}) => {
+    const subjects = [...new Set([sub, userId].filter(Boolean))];
+    const revocations = await persistence.getRevocations({ jti, subjects });
+    return revocations.find(r => r.kind === 'jti'
+      || !iat || iat * 1000 <= new Date(r.revokedAt).getTime()) || null;
+  };
+
+  // One-time tokens: false when the jti was already used
+  const consumeOneTimeToken = async (jti, expiresAt) => persistence.storeUsedToken(jti, expiresAt);
+
+  /**
+   * Toggle the user reaction on a private or public message, one per emoji and user.
+   */
+  const toggleReaction = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { messageId, emoji } } = toggleReactionOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+
+      const msg = await _findVisibleMessage(user, messageId);
+      if (!msg) {
+        throw new RequestError(`Message ${messageId} not found`);
+      }
+
+      const added = await persistence.toggleReaction(user.userId, messageId, emoji);
+      const reactions = (await persistence.getReactions([messageId]))[messageId] || [];
+
+      return {
+        messageId,
+        type: msg.type,
+        sender: msg.sender,
+        recipientId: msg.recipientId,
+        userId: user.userId,
+        emoji,
+        added,
+        reactions,
+      };
+    }, `Error toggling reaction for socketId: ${socketId}`);
+  };
+
+  // Only the sender (his outgoing copy) sees the delivery receipts
+  const _failNotSender = async (user, messageId) => {
+    for (const type of ['private', 'group']) {
+      const { messages } = await persistence.getMessages(user.userId, { type, direction: 'outgoing', messageIds: [messageId], limit: 1 });
+      if (messages.some(m => !m.deletedAt)) return;
+    }
+    throw new RequestError(`Message ${messageId} not found`);
+  };
+
+  const _receiptsResult = (messageId, receipts) => ({
+    messageId,
+    receipts,
+    delivered: receipts.filter(r => r.status === 'delivered').length,
+    devices: receipts.length,
+  });
+
+  /**
+   * Store the delivery receipts of a message sent by the socket user, one per recipient socket.
+   * The message status is not changed: it is delivered as soon as one socket acked.
+   * @returns {Promise<Object>} - { messageId, receipts, delivered, devices }
+   */
+  const storeMessageReceipts = async (socketId, messageId, receipts = []) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      await _failNotSender(user, messageId);
+
+      const validReceipts = receipts.map(receipt => {
+        const { error, value } = messageReceiptSchema.validate(receipt);
+        if (error) {
+          throw new RequestError(`Invalid receipt: ${error.message}`);
+        }
+        return value;
+      });
+
+      const stored = await persistence.storeMessageReceipts(messageId, validReceipts);
+      return _receiptsResult(messageId, stored);
+    }, `Error storing message receipts for socketId: ${socketId}`);
+  };
+
+  /**
+   * Delivery receipts of a message sent by the socket user, e.g. delivered to 2 of 3 devices.
+   */
+  const getMessageReceipts = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value: { messageId } } = getMessageReceiptsOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+      await _failNotSender(user, messageId);
+
+      const receipts = (await persistence.getMessageReceipts([messageId]))[messageId] || [];
+      return _receiptsResult(messageId, receipts);
+    }, `Error getting message receipts for socketId: ${socketId}`);
+  };
+
+  /**
+   * Full-text search in the messages the user owns (his incoming and outgoing copies).
+   * Results are paginated, each message carries a `snippet` with the matches highlighted.
+   */
+  const searchMessages = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { error, value } = searchMessagesOptionsSchema.validate(options);
+      if (error) {
+        throw new RequestError(`Invalid options: ${error.message}`);
+      }
+
+      const result = await persistence.searchMessages(user.userId, value);
+      return { ...result, query: value.query };
+    }, `Error searching messages for socketId: ${socketId}`);
+  };
+
   /**
    * Retrieve public messages for a user with optional filters
    */
@@ -1194,17 +2011,53 @@ export const userManager = (options = {}) => {
       // Validate the options against the schema
       const { error, value: validatedOptions } = getMessagesUOptionsSchema.validate(options);
       if (error) {
-        throw new Error(`Invalid options: ${error.message}`);
+        throw new RequestError(`Invalid options: ${error.message}`);
       }
 
       // Retrieve public messages from the global storage
       const result = await _getMessages(PUBLIC_MESSAGE_USER_ID, validatedOptions);
       //const result = await _getMessages(user.userId, validatedOptions);
 
-      return result;
+      return { ...result, messages: await _withMessageAggregates(result.messages) };
     }, `Error retrieving public messages for socketId: ${socketId}`);
   };
 
+  /**
+   * Keyset page of a conversation: `before` (null for the latest page) or `after` a cursor.
+   * prevCursor is set when older messages remain, nextCursor when newer ones remain.
+   */
+  const _getConversationPage = async (user, userOptions) => {
+    const { type, threadOf, before = null, after = null } = userOptions;
+    if (type === 'group') {
+      await _getGroupForMember(userOptions.otherPartyId, user.userId);
+    }
+    const otherPartyId = type === 'public' ? PUBLIC_MESSAGE_USER_ID : userOptions.otherPartyId;
+
+    const { messages, hasMore } = await persistence.getConversationPage(user.userId, {
+      type,
+      otherPartyId,
+      threadOf,
+      ...(after ? { after } : { before }),
+      limit: userOptions.limit || 20,
+    });
+
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+    const olderRemain = after ? true : hasMore;
+    const newerRemain = after ? hasMore : before !== null;
+
+    return {
+      context: { type, otherPartyId, threadOf, before, after },
+      messages: await _withMessageAggregates(type === 'private' ? messages : messages.map(m => ({
+        ...m,
+        direction: m.sender.userId === user.userId ? 'outgoing' : 'incoming',
+      }))),
+      hasMore: olderRemain,
+      prevCursor: olderRemain ? (first?.cursor || after) : null,
+      nextCursor: newerRemain ? (last?.cursor || before) : null,
+    };
+  };
+
   /*
   * retrive socketId user History
   */
@@ -1214,8 +2067,20 @@ export const userManager = (options = {}) => {
       // Step 1: Validate the socketId and user association
       const user = await _failInsecureSocketId(socketId);
       options.userId = user.userId;
+      const keysetPagination = 'before' in options || 'after' in options;
+      if (keysetPagination && options.type === 'public') {
+        options.otherPartyId = PUBLIC_MESSAGE_USER_ID;
+      }
       // Step 2: get Joi default options to merge with user options
-      const { value: userOptions } = getUserConversationPOptionsSchema.validate(options);
+      const { value: userOptions, error: optionsError } = getUserConversationPOptionsSchema.validate(options);
+
+      // Keyset pagination, stable while new messages arrive
+      if (keysetPagination) {
+        if (optionsError) {
+          throw new RequestError(`Invalid options: ${optionsError.message}`);
+        }
+        return _getConversationPage(user, userOptions);
+      }
 
       // Step 3: Handle private messages (fetch both incoming and outgoing)
       if (userOptions.type === 'private') {
@@ -1231,10 +2096,11 @@ export const userManager = (options = {}) => {
           direction: 'incoming',
           senderId: userOptions.otherPartyId || null,
           recipientId: user.userId, // Sender is the other party
+          replyTo: userOptions.threadOf,
         };
         const { value: iops, error: iOpsError } = getMessagesUOptionsSchema.validate(incomingOps);
         if (iOpsError) {
-          throw new Error(`Invalid incoming message options: ${iOpsError.message}`);
+          throw new RequestError(`Invalid incoming message options: ${iOpsError.message}`);
         }
         const incomingMessagesResult = await persistence.getMessages(userOptions.otherPartyId, iops);
 
@@ -1250,10 +2116,11 @@ export const userManager = (options = {}) => {
           unreadOnly: false,
           senderId: user.userId,
           recipientId: userOptions.otherPartyId, // Recipient is the other party
+          replyTo: userOptions.threadOf,
         };
         const { value: oops, error: oOpsError } = getMessagesUOptionsSchema.validate(outgoingOps);
         if (oOpsError) {
-          throw new Error(`Invalid incoming message options: ${oOpsError.message}`);
+          throw new RequestError(`Invalid incoming message options: ${oOpsError.message}`);
         }
         const outgoingMessagesResult = await persistence.getMessages(user.userId, oops);
 
@@ -1270,7 +2137,7 @@ export const userManager = (options = {}) => {
 
         // Construct the response
         const response = {
-          messages: paginatedMessages,
+          messages: await _withMessageAggregates(paginatedMessages),
           total: allMessages.length,
           hasMore: end < allMessages.length,
         };
@@ -1283,7 +2150,41 @@ export const userManager = (options = {}) => {
         return response;
       }
 
-      // Step 4: Handle public messages (unchanged)
+      // Step 4: Handle group messages (stored once under the groupId, like public ones)
+      if (userOptions.type === 'group') {
+        await _getGroupForMember(userOptions.otherPartyId, user.userId);
+
+        const gops = {
+          limit: userOptions.limit,
+          offset: userOptions.offset,
+          status: userOptions.status,
+          since: null,
+          until: null,
+          unreadOnly: false,
+          type: 'group',
+          direction: 'incoming',
+          recipientId: userOptions.otherPartyId,
+          replyTo: userOptions.threadOf,
+        };
+        const { error: e, value: validatedGOptions } = getMessagesUOptionsSchema.validate(gops);
+        if (e) {
+          throw new RequestError(`Invalid options: ${e.message}`);
+        }
+
+        const messagesResult = await persistence.getMessages(userOptions.otherPartyId, validatedGOptions);
+        const messages = [...messagesResult.messages]
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+          .map(m => ({ ...m, direction: m.sender.userId === user.userId ? 'outgoing' : 'incoming' }));
+
+        return {
+          context: gops,
+          messages: await _withMessageAggregates(messages),
+          total: messagesResult.total,
+          hasMore: messagesResult.hasMore,
+        };
+      }
+
+      // Step 5: Handle public messages (unchanged)
       if (userOptions.type === 'public') {
         const iops = {
           limit: userOptions.limit,
@@ -1295,21 +2196,22 @@ export const userManager = (options = {}) => {
           type: 'public',
           direction: 'incoming',
           otherPartyId: PUBLIC_MESSAGE_USER_ID, // Special ID for public messages
+          replyTo: userOptions.threadOf,
         };
 
         // Validate the options
         const { error: e, value: validatedMOptions } = getMessagesUOptionsSchema.validate(iops);
         if (e) {
-          throw new Error(`Invalid options: ${e.message}`);
+          throw new RequestError(`Invalid options: ${e.message}`);
         }
 
-        // Fetch public messages
-        const messagesResult = await persistence.getMessages(user.userId, validatedMOptions);
+        // Fetch public messages, stored under PUBLIC_MESSAGE_USER_ID
+        const messagesResult = await persistence.getMessages(PUBLIC_MESSAGE_USER_ID, validatedMOptions);
 
         // Construct the response
         const response = {
           context: iops,
-          messages: messagesResult.messages,
+          messages: await _withMessageAggregates(messagesResult.messages),
           total: messagesResult.total,
           hasMore: messagesResult.hasMore,
         };
@@ -1325,23 +2227,251 @@ export const userManager = (options = {}) => {
   };
 
 
+  /**
+   * Groups
+   * Group messages follow the public message model: one "outgoing" copy for the
+   * sender and one "incoming" copy stored under the groupId, read by every member.
+   */
+
+  /**
+   * Load a group and ensure userId is a member holding at least minRole.
+   */
+  const _getGroupForMember = async (groupId, userId, minRole = 'member') => {
+    const group = await persistence.getGroup(groupId);
+    if (!group) {
+      throw new RequestError(`Group ${groupId} not found`);
+    }
+    const member = group.members.find(m => m.userId === userId);
+    if (!member) {
+      throw new RequestError(`User ${userId} is not a member of group ${groupId}`);
+    }
+    if (GROUP_ROLES_ORDERED.indexOf(member.role) < GROUP_ROLES_ORDERED.indexOf(minRole)) {
+      throw new RequestError(`User ${userId} requires role "${minRole}" in group ${groupId}`);
+    }
+    return { group, member };
+  };
+
+  const _validateGroupOptions = (schema, options) => {
+    const { error, value } = schema.validate(options);
+    if (error) {
+      throw new RequestError(`Invalid options: ${error.message}`);
+    }
+    return value;
+  };
+
+  const _failUnknownUsers = (userIds) => {
+    const unknown = userIds.filter(userId => !the_users.has(userId));
+    if (unknown.length > 0) {
+      throw new RequestError(`No user found for userId: ${unknown.join(', ')}`);
+    }
+  };
+
+  const createGroup = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { name, memberIds } = _validateGroupOptions(createGroupOptionsSchema, options);
+
+      const otherMemberIds = memberIds.filter(userId => userId !== user.userId);
+      _failUnknownUsers(otherMemberIds);
+
+      return await persistence.storeGroup({
+        groupId: generateGroupId(),
+        name,
+        ownerId: user.userId,
+        members: [
+          { userId: user.userId, role: 'owner' },
+          ...otherMemberIds.map(userId => ({ userId, role: 'member' })),
+        ],
+      });
+    }, `Error creating group for socketId: ${socketId}`);
+  };
+
+  const renameGroup = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { groupId, name } = _validateGroupOptions(renameGroupOptionsSchema, options);
+      const { group } = await _getGroupForMember(groupId, user.userId, 'admin');
+
+      return await persistence.storeGroup({ groupId, name, ownerId: group.ownerId });
+    }, `Error renaming group for socketId: ${socketId}`);
+  };
+
+  const deleteGroup = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { groupId } = _validateGroupOptions(deleteGroupOptionsSchema, options);
+      const { group } = await _getGroupForMember(groupId, user.userId, 'owner');
+
+      await persistence.deleteGroup(groupId);
+      return { groupId, deleted: true, memberIds: group.members.map(m => m.userId) };
+    }, `Error deleting group for socketId: ${socketId}`);
+  };
+
+  const addGroupMembers = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { groupId, memberIds, role } = _validateGroupOptions(addGroupMembersOptionsSchema, options);
+      const { group } = await _getGroupForMember(groupId, user.userId, role === 'admin' ? 'owner' : 'admin');
+
+      // Existing members keep their role, use setGroupMemberRole to change it
+      const newMemberIds = memberIds.filter(userId => !group.members.some(m => m.userId === userId));
+      _failUnknownUsers(newMemberIds);
+
+      return await persistence.storeGroupMembers(groupId, newMemberIds.map(userId => ({ userId, role })));
+    }, `Error adding group members for socketId: ${socketId}`);
+  };
+
+  /**
+   * Admins remove members, the owner removes anyone but himself, every member can leave.
+   */
+  const removeGroupMembers = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { groupId, memberIds } = _validateGroupOptions(removeGroupMembersOptionsSchema, options);
+      const { group, member: me } = await _getGroupForMember(groupId, user.userId);
+      const myRank = GROUP_ROLES_ORDERED.indexOf(me.role);
+
+      memberIds.forEach(userId => {
+        const target = group.members.find(m => m.userId === userId);
+        if (!target) {
+          throw new RequestError(`User ${userId} is not a member of group ${groupId}`);
+        }
+        if (target.role === 'owner') {
+          throw new RequestError(`The group owner cannot be removed from group ${groupId}, delete the group instead`);
+        }
+        if (userId !== user.userId && myRank <= GROUP_ROLES_ORDERED.indexOf(target.role)) {
+          throw new RequestError(`User ${user.userId} cannot remove ${target.role} ${userId} from group ${groupId}`);
+        }
+      });
+
+      const removed = await persistence.removeGroupMembers(groupId, memberIds);
+      return { groupId, removed, group: await persistence.getGroup(groupId) };
+    }, `Error removing group members for socketId: ${socketId}`);
+  };
+
+  const setGroupMemberRole = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { groupId, userId, role } = _validateGroupOptions(setGroupMemberRoleOptionsSchema, options);
+      const { group } = await _getGroupForMember(groupId, user.userId, 'owner');
+
+      if (!group.members.some(m => m.userId === userId && m.role !== 'owner')) {
+        throw new RequestError(`User ${userId} is not a member of group ${groupId}`);
+      }
+
+      return await persistence.storeGroupMembers(groupId, [{ userId, role }]);
+    }, `Error setting group member role for socketId: ${socketId}`);
+  };
+
+  const getUserGroups = async (socketId) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      return await persistence.getUserGroups(user.userId);
+    }, `Error getting groups for socketId: ${socketId}`);
+  };
+
+  /**
+   * Sockets of every group member, optionally without one user (usually the sender)
+   */
+  const getGroupSockets = async (groupId, excludeUserId = null) => {
+    return safeOperation(async () => {
+      const group = await persistence.getGroup(groupId);
+      if (!group) return [];
+      return group.members
+        .filter(m => m.userId !== excludeUserId)
+        .flatMap(m => (the_users.get(m.userId)?.sockets || []).map(sock => ({ ...sock, userId: m.userId })));
+    }, `Error getting sockets for groupId: ${groupId}`);
+  };
+
+  const sendGroupMessage = async (socketId, options = {}) => {
+    return safeOperation(async () => {
+      const user = await _failInsecureSocketId(socketId);
+      const { groupId, content } = _validateGroupOptions(sendGroupMessageOptionsSchema, options);
+      await _getGroupForMember(groupId, user.userId);
+      await _failMuted(user);
+
+      const { valid, errors, data: ___msg } = validateEventData(baseMessageSchema, {
+        messageId: generateMessageId(),
+        content,
+        sender: { userId: user.userId, userName: user.userName },
+        recipientId: groupId,
+        status: 'sent',
+        type: 'group',
+        readAt: null,
+      });
+      if (!valid) {
+        throw new RequestError(`Validation failed: ${errors.map(e => e.message).join(', ')}`);
+      }
+
+      await _storeMessage(groupId, { ...___msg, direction: 'incoming' });
+      const msg = await _storeMessage(user.userId, { ...___msg, direction: 'outgoing' });
+
+      return { ...msg, direction: 'outgoing' };
+    }, `Error sending group message for socketId: ${socketId}`);
+  };
+
+  /**
+   * Group entries for getUserConversationsList({ type: 'group' })
+   */
+  const _getGroupConversationsList = async (user, options) => {
+    const groups = await persistence.getUserGroups(user.userId);
+    // the stats of every group conversation in one query, however many the user joined
+    const stats = groups.length
+      ? await persistence.getUserConversationsList({
+        ...options,
+        otherPartyIds: groups.map(group => group.groupId),
+        offset: 0,
+        limit: groups.length,
+      })
+      : [];
+
+    return groups
+      .map(group => {
+        const s = stats.find(c => c.otherPartyId === group.groupId)
+          || buildDefaultConversation(user.userId, group.groupId);
+        const createdAt = new Date(group.createdAt).getTime();
+        return {
+          ...s,
+          userId: user.userId,
+          userName: user.userName,
+          otherPartyId: group.groupId,
+          otherPartyName: group.name,
+          types: ['group'],
+          startedAt: s.startedAt ?? createdAt,
+          lastMessageAt: s.lastMessageAt ?? createdAt,
+          incoming: s.incoming,
+          outgoing: s.outgoing,
+          group: {
+            groupId: group.groupId,
+            name: group.name,
+            ownerId: group.ownerId,
+            role: group.members.find(m => m.userId === user.userId)?.role,
+            members: group.members,
+          },
+        };
+      })
+      .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+      .slice(options.offset, options.offset + options.limit);
+  };
+
   const updateUserState = async (userId, newState) => {
     return safeOperation(async () => {
       // Step 1: Retrieve the user by userId
       const user = the_users.get(userId);
       if (!user) {
-        throw new Error(`User with ID ${userId} not found`);
+        throw new RequestError(`User with ID ${userId} not found`);
       }
 
       // Step 2: Validate the new state
       const validStates = ['connected', 'disconnected', 'authenticated', 'offline'];
       if (!validStates.includes(newState)) {
-        throw new Error(`Invalid state: ${newState}`);
+        throw new RequestError(`Invalid state: ${newState}`);
       }
 
       // Step 3: Update the user's state
       user.state = newState;
       user.lastActivity = Date.now();
+      the_users.set(userId, user);
 
       // Step 4: Persist the updated user (if applicable)
       await persistence.storeUser(user); // Uncomment if using persistence
@@ -1367,10 +2497,11 @@ export const userManager = (options = {}) => {
           continue; // Skip invalid users
         }
 
-        // Remove invalid sockets
+        // Remove invalid sockets (of this node)
         user.sockets = user.sockets.filter(
-          (socket) => socket && typeof socket.lastActivity === 'number'
+          (socket) => socket && (typeof socket.lastActivity === 'number' || !presence.isLocalSocket(socket.socketId))
         );
+        the_users.set(userId, user);
 
         if (user.sockets.length === 0) {
           console.warn(`No valid sockets remaining for user ${userId}. Removing user.`);
@@ -1387,6 +2518,11 @@ export const userManager = (options = {}) => {
             console.warn(`Invalid socket data for userId: ${userId}`);
             continue; // Skip invalid sockets
           }
+          // Every cluster node checks its own sockets only
+          if (!presence.isLocalSocket(socket.socketId)) {
+            hasActiveSockets = true;
+            continue;
+          }
 
           // Check if the socket is inactive
           if (currentTime - socket.lastActivity > INACTIVITY_THRESHOLD) {
@@ -1407,6 +2543,7 @@ export const userManager = (options = {}) => {
         // If no active sockets remain, transition the user to offline
         if (!hasActiveSockets && user.state !== 'offline') {
           user.state = 'offline';
+          the_users.set(userId, user);
 
           try {
             await persistence.storeUser({
@@ -1448,7 +2585,12 @@ export const userManager = (options = {}) => {
     getConnectionMetrics,
     //
     markMessagesAsRead, // Add this function to the public API
-    getAndDeliverPendingMessages,
+    getPendingMessages,
+    expirePendingMessages,
+    resendMessage,
+    setConversationTtl,
+    getConversationTtl,
+    deleteExpiredMessages,
     //
     getActiveUsers,     // Add this function to the public API
     getUserConnectionMetrics,
@@ -1463,6 +2605,54 @@ export const userManager = (options = {}) => {
     getUserSockets: _getUserSockets,
     updateMessageStatus,
     getUserConversationsList,
+    // groups
+    createGroup,
+    renameGroup,
+    deleteGroup,
+    addGroupMembers,
+    removeGroupMembers,
+    setGroupMemberRole,
+    getUserGroups,
+    getGroupSockets,
+    sendGroupMessage,
+    // edits
+    editMessage,
+    getMessageEditHistory,
+    deleteMessage,
+    toggleReaction,
+    searchMessages,
+    // delivery receipts
+    storeMessageReceipts,
+    storePendingMessageReceipt,
+    getMessageReceipts,
+    // block list
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    isBlockedBy,
+    // moderation
+    kickUser,
+    muteUser,
+    unmuteUser,
+    banUser,
+    unbanUser,
+    removePublicMessage,
+    getModerationOverview,
+    getAuditLog,
+    getActiveBan,
+    // token revocation
+    revokeToken,
+    revokeUserTokens,
+    getTokenRevocation,
+    consumeOneTimeToken,
+    // attachments
+    createAttachmentUpload,
+    getPendingAttachment,
+    markAttachmentReady,
+    getAttachment,
+    // cluster
+    initPresence: () => presence.init(),
+    closePresence: () => presence.close(),
     //storeMessage: _storeMessage,
     // Testing purposes    
 
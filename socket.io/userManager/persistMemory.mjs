@@ -1,5 +1,5 @@
 
-import { PersistenceInterface } from './PersistenceInterface.mjs'
+import { PersistenceInterface, DUPLICATE_CLIENT_MESSAGE_ID } from './PersistenceInterface.mjs'
 
 
 import {
@@ -23,9 +23,14 @@ import {
   getUserConversationUOptionsSchema,
   getMessagesUOptionsSchema,
   activeUserSchema,
-  userQuerySchema
+  userQuerySchema,
+  getConversationsListPOptionsSchema,
+  searchMessagesOptionsSchema,
+  conversationPageOptionsSchema,
 } from './schemas.mjs';
 
+import { validateOptions, buildDefaultConversation, encodeMessageCursor, decodeMessageCursor, tokenize, buildSearchSnippet } from './persistPostgres-helpers.mjs';
+
 function sanitizeObject(obj) {
   const seen = new WeakSet();
   return JSON.parse(
@@ -47,6 +52,21 @@ export class MemoryPersistence extends PersistenceInterface {
     super();
     this.users = new Map(); // Tracks users (userId -> user data)
     this.messages = new Map(); // Tracks messages (userId -> array of messages)
+    this.groups = new Map(); // Tracks groups (groupId -> group with members Map)
+    this.messageEdits = new Map(); // messageId -> previous versions, oldest first
+    this.receipts = new Map(); // messageId -> Map(socketId -> delivery receipt)
+    this.clientMessageIds = new Map(); // `${senderId}:${direction}:${clientMessageId}` -> { ownerId, messageId }
+    this.reactions = new Map(); // messageId -> Map(emoji -> Set(userId))
+    this.searchIndex = new Map(); // token -> Set(messageId), both copies share their content
+    this.messageTokens = new Map(); // messageId -> Set(token), to unindex edited/deleted content
+    this.replies = new Map(); // parent messageId -> Map(reply messageId -> tombstone), both copies share their replyTo
+    this.attachments = new Map(); // attachmentId -> attachment record
+    this.sanctions = new Map(); // `${userId}:${type}` -> ban / mute
+    this.auditLog = []; // moderation actions, oldest first
+    this.blocks = new Map(); // userId -> Map(blockedUserId -> blockedAt)
+    this.revocations = new Map(); // `${kind}:${key}` -> token revocation
+    this.usedTokens = new Map(); // jti -> expiresAt (ms) of one-time tokens
+    this.conversationSettings = new Map(); // sorted `${userA}:${userB}` -> { ttlSeconds, setBy, updatedAt }
     console.log('✅ Using in-memory persistence (development mode)');
   }
 
@@ -116,6 +136,10 @@ export class MemoryPersistence extends PersistenceInterface {
       status: message.status,
       timestamp: message.timestamp,
       readAt: message.readAt,
+      replyTo: message.replyTo || null,
+      attachments: message.attachments || [],
+      clientMessageId: message.clientMessageId || null,
+      expiresAt: message.expiresAt ? new Date(message.expiresAt).toISOString() : null,
       meta: JSON.stringify({ // Fixed syntax here
         ...sanitizedMetadata,
       }),
@@ -133,6 +157,32 @@ export class MemoryPersistence extends PersistenceInterface {
       m => m.messageId === normalizedMessage.messageId && m.direction === normalizedMessage.direction
     );
 
+    // One message per sender and clientMessageId, like the Postgres unique index
+    const clientKey = normalizedMessage.clientMessageId
+      && `${normalizedMessage.sender.userId}:${normalizedMessage.direction}:${normalizedMessage.clientMessageId}`;
+    if (clientKey && this.clientMessageIds.get(clientKey)?.messageId
+      && this.clientMessageIds.get(clientKey).messageId !== normalizedMessage.messageId) {
+      throw Object.assign(
+        new Error(`Duplicate clientMessageId: ${normalizedMessage.clientMessageId}`),
+        { code: DUPLICATE_CLIENT_MESSAGE_ID },
+      );
+    }
+
+    // createdAt is set on first persistence only, like the Postgres backend
+    const now = new Date().toISOString();
+    normalizedMessage.createdAt = existingMessageIndex !== -1
+      ? userMessages[existingMessageIndex].createdAt
+      : now;
+    normalizedMessage.updatedAt = now;
+    normalizedMessage.editedAt = message.editedAt
+      ?? (existingMessageIndex !== -1 ? userMessages[existingMessageIndex].editedAt : null)
+      ?? null;
+    normalizedMessage.deletedAt = message.deletedAt
+      ?? (existingMessageIndex !== -1 ? userMessages[existingMessageIndex].deletedAt : null)
+      ?? null;
+    if (normalizedMessage.deletedAt) normalizedMessage.content = ''; // tombstones never get their content back
+    normalizedMessage.timestamp = normalizedMessage.timestamp || normalizedMessage.createdAt;
+
     if (existingMessageIndex !== -1) {
       // Update the existing message
       userMessages[existingMessageIndex] = normalizedMessage;
@@ -140,6 +190,11 @@ export class MemoryPersistence extends PersistenceInterface {
       // Add the new message
       userMessages.push(normalizedMessage);
     }
+    if (clientKey) {
+      this.clientMessageIds.set(clientKey, { ownerId: userId, messageId: normalizedMessage.messageId });
+    }
+    this._indexMessage(normalizedMessage.messageId, normalizedMessage.content);
+    this._indexReply(normalizedMessage.replyTo, normalizedMessage.messageId, !!normalizedMessage.deletedAt);
 
     // Log the operation
     if (debug) {
@@ -178,13 +233,21 @@ export class MemoryPersistence extends PersistenceInterface {
       direction = null,
       unreadOnly = false,
       otherPartyId = null,
+      messageIds = null,
+      senderId = null,
+      recipientId = null,
+      replyTo = null,
     } = validOps;
 
-    // Determine the recipientId for the query
-    const recipientId = type === 'public' ? PUBLIC_MESSAGE_USER_ID : userId;
+    // Copies are stored under their owner: incoming ones under the recipient,
+    // outgoing ones under the sender (mirrors the Postgres recipient_id / sender_id filters)
+    const ownerId = type === 'public' ? PUBLIC_MESSAGE_USER_ID
+      : (direction === 'incoming' && recipientId) ? recipientId
+        : (direction === 'outgoing' && senderId) ? senderId
+          : userId;
 
     // Fetch user messages from persistence
-    const userMessages = this.messages.get(recipientId) || [];
+    const userMessages = this.messages.get(ownerId) || [];
 
     // Apply filters
     let filteredMessages = userMessages.filter(msg => {
@@ -192,6 +255,10 @@ export class MemoryPersistence extends PersistenceInterface {
       if (unreadOnly && msg.readAt) return false;
       if (direction && msg.direction !== direction) return false;
       if (type && msg.type !== type) return false;
+      if (messageIds && !messageIds.includes(msg.messageId)) return false;
+      if (replyTo && !this.replies.get(replyTo)?.has(msg.messageId)) return false;
+      if (senderId && msg.sender.userId !== senderId) return false;
+      if (recipientId && msg.recipientId !== recipientId) return false;
       if (since && new Date(msg.timestamp) < new Date(since)) return false;
       if (until && new Date(msg.timestamp) > new Date(until)) return false;
       if (type !== 'public' && otherPartyId && (
@@ -222,7 +289,7 @@ export class MemoryPersistence extends PersistenceInterface {
 
     // Debugging logs
     if (debug) {
-      console.log(`Fetched ${userMessages.length} messages for userId: ${recipientId}`);
+      console.log(`Fetched ${userMessages.length} messages for userId: ${ownerId}`);
       console.log(`Filtered ${filteredMessages.length} messages after applying options`);
     }
 
@@ -235,29 +302,39 @@ export class MemoryPersistence extends PersistenceInterface {
   }
 
 
-  async updateMessageStatus(userId, messageIds, status) {
-    if (!this.messages.has(userId)) {
-      console.warn(`No messages found for userId: ${userId}`);
-      return [];
+  /**
+   * Update both the incoming and outgoing copies of a message sent by userId.
+   * Mirrors the Postgres backend: only copies currently in fromStatus are moved.
+   */
+  async updateMessageStatus(userId, messageId, status, fromStatus = null) {
+    const messageIds = Array.isArray(messageId) ? messageId : [messageId];
+    const updatedMessages = [];
+
+    for (const userMessages of this.messages.values()) {
+      userMessages.forEach(msg => {
+        if (!messageIds.includes(msg.messageId)) return;
+        if (msg.sender.userId !== userId) return;
+        if (fromStatus && msg.status !== fromStatus) return;
+        msg.status = status; // Update the status
+        msg.updatedAt = new Date().toISOString();
+        updatedMessages.push({ ...msg }); // Track updated messages
+      });
     }
 
-    const userMessages = this.messages.get(userId);
-    const updatedMessageIds = [];
-
-    userMessages.forEach(msg => {
-      if (Array.isArray(messageIds) && messageIds.includes(msg.messageId)) {
-        msg.status = status; // Update the status
-        updatedMessageIds.push(msg.messageId); // Track updated messages
-      }
-    });
+    if (updatedMessages.length === 0) {
+      console.warn(
+        `No messages updated for userId: ${userId}, messageId: ${messageIds.join(', ')}, fromStatus: ${fromStatus}, toStatus: ${status}`
+      );
+      return null;
+    }
 
     if (debug) {
       console.log(
-        `Updated status to "${status}" for messages: ${updatedMessageIds.join(', ')} for userId: ${userId}`
+        `Updated status to "${status}" for messages: ${messageIds.join(', ')} for userId: ${userId}`
       );
     }
 
-    return updatedMessageIds;
+    return updatedMessages;
   }
 
   async markMessagesAsRead(userId, options) {
@@ -341,7 +418,11 @@ export class MemoryPersistence extends PersistenceInterface {
       const originalLength = messages.length;
       this.messages.set(
         userId,
-        messages.filter(msg => new Date(msg.timestamp) >= cutoff)
+        messages.filter(msg => {
+          if (new Date(msg.timestamp) >= cutoff) return true;
+          this._unindexReply(msg.replyTo, msg.messageId);
+          return false;
+        })
       );
       cleaned += originalLength - this.messages.get(userId).length;
     }
@@ -349,6 +430,28 @@ export class MemoryPersistence extends PersistenceInterface {
     return cleaned;
   }
 
+  /**
+   * Move the private messages pending since before pendingSince (their last update) to failed,
+   * both copies. Returns the outgoing copies.
+   */
+  async expirePendingMessages(pendingSince) {
+    const cutoff = new Date(pendingSince);
+    const now = new Date().toISOString();
+    const expired = [];
+
+    for (const userMessages of this.messages.values()) {
+      userMessages.forEach(msg => {
+        if (msg.type !== 'private' || msg.status !== 'pending') return;
+        if (new Date(msg.updatedAt || msg.timestamp) >= cutoff) return;
+        msg.status = 'failed';
+        msg.updatedAt = now;
+        if (msg.direction === 'outgoing') expired.push({ ...msg });
+      });
+    }
+
+    return expired;
+  }
+
   async getUnreadMessages(userId, options = {}) {
     const { conversationPartnerId, direction, messageIds } = options;
 
@@ -383,5 +486,567 @@ export class MemoryPersistence extends PersistenceInterface {
     });
   }
 
+  /**
+   * Conversations list for a user, same shape as PostgresPersistence.getUserConversationsList
+   */
+  async getUserConversationsList(options = {}) {
+    const { userId, type, limit = 10, offset = 0, otherPartyId, otherPartyIds } = validateOptions(options, getConversationsListPOptionsSchema);
+
+    const conversations = new Map(); // otherPartyId -> conversation
+    const userNames = new Map();
+
+    for (const msg of this.messages.get(userId) || []) {
+      if (type && msg.type !== type) continue;
+      const partyId = msg.direction === 'outgoing' ? msg.recipientId : msg.sender.userId;
+      if (otherPartyId && partyId !== otherPartyId) continue;
+      if (otherPartyIds && !otherPartyIds.includes(partyId)) continue;
+      userNames.set(msg.sender.userId, msg.sender.userName);
+
+      if (!conversations.has(partyId)) {
+        conversations.set(partyId, buildDefaultConversation(userId, partyId));
+      }
+      const conversation = conversations.get(partyId);
+      const createdAt = new Date(msg.createdAt).getTime();
+      const stats = conversation[msg.direction];
+
+      if (!conversation.types.includes(msg.type)) conversation.types.push(msg.type);
+      conversation.startedAt = Math.min(conversation.startedAt ?? createdAt, createdAt);
+      conversation.lastMessageAt = Math.max(conversation.lastMessageAt ?? createdAt, createdAt);
+      stats.firstMessageAt = conversation.startedAt;
+      stats.lastMessageAt = Math.max(stats.lastMessageAt ?? createdAt, createdAt);
+      stats.sent++;
+      if (!msg.readAt && ['sent', 'delivered'].includes(msg.status)) stats.unread++;
+      if (msg.readAt) stats.read++;
+      if (msg.status === 'pending') stats.pending++;
+      if (['sent', 'delivered'].includes(msg.status)) stats.delivered++;
+    }
+
+    return Array.from(conversations.values())
+      .map(({ metadata, ...conversation }) => ({
+        ...conversation,
+        userName: userNames.get(userId) || this.users.get(userId)?.userName || null,
+        otherPartyName: userNames.get(conversation.otherPartyId) || this.users.get(conversation.otherPartyId)?.userName || null,
+      }))
+      .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+      .slice(offset, offset + limit);
+  }
+
+  /**
+   * Groups
+   */
+  async storeGroup(group) {
+    if (!group || !group.groupId) {
+      throw new Error('Invalid group data provided');
+    }
+    const existingGroup = this.groups.get(group.groupId);
+    const now = new Date().toISOString();
+    this.groups.set(group.groupId, {
+      groupId: group.groupId,
+      name: group.name,
+      ownerId: group.ownerId,
+      createdAt: existingGroup?.createdAt || now,
+      updatedAt: now,
+      members: existingGroup?.members || new Map(),
+    });
+
+    if (group.members) {
+      await this.storeGroupMembers(group.groupId, group.members);
+    }
+    return this.getGroup(group.groupId);
+  }
+
+  async getGroup(groupId) {
+    const group = this.groups.get(groupId);
+    if (!group) return null;
+    return {
+      ...group,
+      members: Array.from(group.members.values()).map(m => ({ ...m })),
+    };
+  }
+
+  async deleteGroup(groupId) {
+    const deleted = this.groups.delete(groupId);
+    // Group messages are stored under the groupId, like public messages under PUBLIC_MESSAGE_USER_ID
+    (this.messages.get(groupId) || []).forEach(msg => this._unindexReply(msg.replyTo, msg.messageId));
+    this.messages.delete(groupId);
+    return deleted;
+  }
+
+  async getUserGroups(userId) {
+    const groups = [];
+    for (const group of this.groups.values()) {
+      if (group.members.has(userId)) {
+        groups.push(await this.getGroup(group.groupId));
+      }
+    }
+    return groups;
+  }
+
+  async storeGroupMembers(groupId, members = []) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw new Error(`Group ${groupId} not found`);
+    }
+    members.forEach(member => {
+      const existing = group.members.get(member.userId);
+      group.members.set(member.userId, {
+        userId: member.userId,
+        role: member.role || existing?.role || 'member',
+        joinedAt: existing?.joinedAt || new Date().toISOString(),
+      });
+    });
+    group.updatedAt = new Date().toISOString();
+    return this.getGroup(groupId);
+  }
+
+  async removeGroupMembers(groupId, userIds = []) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw new Error(`Group ${groupId} not found`);
+    }
+    const removed = userIds.filter(userId => group.members.delete(userId));
+    group.updatedAt = new Date().toISOString();
+    return removed;
+  }
+
+  /**
+   * Edit the content of every copy of a message sent by userId,
+   * keeping the previous version in the edit history.
+   * Returns the updated copies, or null when nothing is editable (mirrors Postgres).
+   */
+  async editMessage(userId, messageId, content, editableSince) {
+    const copies = [];
+    for (const userMessages of this.messages.values()) {
+      userMessages.forEach(msg => {
+        if (msg.messageId === messageId && msg.sender.userId === userId && !msg.deletedAt
+          && new Date(msg.createdAt) >= new Date(editableSince)) {
+          copies.push(msg);
+        }
+      });
+    }
+    if (copies.length === 0) return null;
+
+    const now = new Date().toISOString();
+    const history = this.messageEdits.get(messageId) || [];
+    history.push({
+      messageId,
+      content: copies[0].content,
+      editedBy: userId,
+      recipientId: copies[0].recipientId,
+      editedAt: now,
+    });
+    this.messageEdits.set(messageId, history);
+
+    copies.forEach(msg => {
+      msg.content = content;
+      msg.editedAt = now;
+      msg.updatedAt = now;
+    });
+    this._indexMessage(messageId, content);
+    return copies.map(msg => ({ ...msg }));
+  }
+
+  async getMessageEditHistory(messageId) {
+    return (this.messageEdits.get(messageId) || []).map(edit => ({ ...edit }));
+  }
+
+  /**
+   * scope "me": remove the copy owned by userId (outgoing if he sent it, incoming if he received it).
+   * scope "everyone": turn every copy sent by userId into a tombstone and drop its edit history.
+   * Returns the affected copies, or null when nothing matched (mirrors Postgres).
+   */
+  async deleteMessage(userId, messageId, scope = 'me') {
+    const copies = [];
+
+    if (scope === 'me') {
+      const userMessages = this.messages.get(userId) || [];
+      this.messages.set(userId, userMessages.filter(msg => {
+        if (msg.messageId !== messageId) return true;
+        copies.push({ ...msg });
+        return false;
+      }));
+      // the reply is gone once no copy is left
+      const replyTo = copies[0]?.replyTo;
+      if (replyTo && !Array.from(this.messages.values()).some(msgs => msgs.some(msg => msg.messageId === messageId))) {
+        this._unindexReply(replyTo, messageId);
+      }
+      return copies.length > 0 ? copies : null;
+    }
+
+    const now = new Date().toISOString();
+    for (const userMessages of this.messages.values()) {
+      userMessages.forEach(msg => {
+        if (msg.messageId === messageId && msg.sender.userId === userId && !msg.deletedAt) {
+          msg.content = '';
+          msg.deletedAt = now;
+          msg.updatedAt = now;
+          this._indexReply(msg.replyTo, messageId, true);
+          copies.push({ ...msg });
+        }
+      });
+    }
+    if (copies.length === 0) return null;
+
+    this.messageEdits.delete(messageId);
+    this._indexMessage(messageId, '');
+    return copies;
+  }
+
+  /**
+   * Add the user reaction, or remove it when he already reacted with this emoji.
+   * Returns true when the reaction was added.
+   */
+  async toggleReaction(userId, messageId, emoji) {
+    if (!this.reactions.has(messageId)) {
+      this.reactions.set(messageId, new Map());
+    }
+    const byEmoji = this.reactions.get(messageId);
+    const userIds = byEmoji.get(emoji) || new Set();
+
+    const added = !userIds.has(userId);
+    if (added) {
+      userIds.add(userId);
+    } else {
+      userIds.delete(userId);
+    }
+
+    if (userIds.size > 0) {
+      byEmoji.set(emoji, userIds);
+    } else {
+      byEmoji.delete(emoji);
+    }
+    return added;
+  }
+
+  /**
+   * Reactions of each message: { [messageId]: [{ emoji, count, userIds }] }
+   */
+  async getReactions(messageIds = []) {
+    const result = {};
+    messageIds.forEach(messageId => {
+      const byEmoji = this.reactions.get(messageId);
+      if (!byEmoji || byEmoji.size === 0) return;
+      result[messageId] = Array.from(byEmoji.entries()).map(([emoji, userIds]) => ({
+        emoji,
+        count: userIds.size,
+        userIds: Array.from(userIds),
+      }));
+    });
+    return result;
+  }
+
+  /**
+   * The message a sender already stored with this clientMessageId, his outgoing copy first
+   */
+  async getMessageByClientId(senderId, clientMessageId) {
+    for (const direction of ['outgoing', 'incoming']) {
+      const { ownerId, messageId } = this.clientMessageIds.get(`${senderId}:${direction}:${clientMessageId}`) || {};
+      const found = (this.messages.get(ownerId) || []).find(m => m.messageId === messageId && m.direction === direction);
+      if (found) return { ...found };
+    }
+    return null;
+  }
+
+  /**
+   * One receipt per recipient socket, a later attempt replaces it unless the socket already got the message.
+   * Returns the receipts of the message.
+   */
+  async storeMessageReceipts(messageId, receipts = []) {
+    if (!this.receipts.has(messageId)) {
+      this.receipts.set(messageId, new Map());
+    }
+    const bySocket = this.receipts.get(messageId);
+    const updatedAt = new Date().toISOString();
+
+    receipts.forEach(receipt => {
+      if (bySocket.get(receipt.socketId)?.status === 'delivered') return;
+      bySocket.set(receipt.socketId, { ...receipt, updatedAt });
+    });
+    return Array.from(bySocket.values()).map(r => ({ ...r }));
+  }
+
+  /**
+   * Delivery receipts of each message: { [messageId]: [{ recipientId, socketId, sessionId, status, reason, updatedAt }] }
+   */
+  async getMessageReceipts(messageIds = []) {
+    const result = {};
+    messageIds.forEach(messageId => {
+      const bySocket = this.receipts.get(messageId);
+      if (!bySocket || bySocket.size === 0) return;
+      result[messageId] = Array.from(bySocket.values()).map(r => ({ ...r }));
+    });
+    return result;
+  }
+
+  /**
+   * Number of (not deleted) replies of each parent: { [messageId]: count }
+   */
+  async getReplyCounts(messageIds = []) {
+    return Object.fromEntries(messageIds
+      .map(messageId => [messageId, Array.from(this.replies.get(messageId)?.values() || []).filter(tombstone => !tombstone).length])
+      .filter(([, count]) => count > 0));
+  }
+
+  /**
+   * (Re)index a reply under its parent, tombstones stay indexed but are not counted
+   */
+  _indexReply(replyTo, messageId, tombstone) {
+    if (!replyTo) return;
+    if (!this.replies.has(replyTo)) this.replies.set(replyTo, new Map());
+    this.replies.get(replyTo).set(messageId, tombstone);
+  }
+
+  _unindexReply(replyTo, messageId) {
+    const replies = replyTo && this.replies.get(replyTo);
+    if (!replies) return;
+    replies.delete(messageId);
+    if (replies.size === 0) this.replies.delete(replyTo);
+  }
+
+  /**
+   * (Re)index the content of a message in the token index
+   */
+  _indexMessage(messageId, content) {
+    (this.messageTokens.get(messageId) || new Set()).forEach(token => {
+      const ids = this.searchIndex.get(token);
+      ids?.delete(messageId);
+      if (ids?.size === 0) this.searchIndex.delete(token);
+    });
+
+    const tokens = new Set(tokenize(content));
+    tokens.forEach(token => {
+      if (!this.searchIndex.has(token)) this.searchIndex.set(token, new Set());
+      this.searchIndex.get(token).add(messageId);
+    });
+    this.messageTokens.set(messageId, tokens);
+  }
+
+  /**
+   * Search the copies owned by userId (his incoming and outgoing messages),
+   * every word of the query must match. Newest first, with highlighted snippets.
+   */
+  async searchMessages(userId, options = {}) {
+    const { error, value } = searchMessagesOptionsSchema.validate(options);
+    if (error) {
+      throw new Error(`Invalid options: ${error.message}`);
+    }
+    const { query, otherPartyId, type, since, until, limit, offset } = value;
+
+    const tokens = Array.from(new Set(tokenize(query)));
+    const candidates = tokens.length === 0 ? new Set() : tokens
+      .map(token => this.searchIndex.get(token) || new Set())
+      .reduce((acc, ids) => new Set([...acc].filter(id => ids.has(id))));
+
+    const found = (this.messages.get(userId) || []).filter(msg => {
+      if (!candidates.has(msg.messageId) || msg.deletedAt) return false;
+      if (type && msg.type !== type) return false;
+      if (since && new Date(msg.createdAt) < new Date(since)) return false;
+      if (until && new Date(msg.createdAt) > new Date(until)) return false;
+      if (otherPartyId) {
+        const otherParty = msg.direction === 'incoming' ? msg.sender.userId : msg.recipientId;
+        if (otherParty !== otherPartyId) return false;
+      }
+      return true;
+    }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.messageId.localeCompare(a.messageId));
+
+    return {
+      messages: found.slice(offset, offset + limit).map(msg => ({
+        ...msg,
+        snippet: buildSearchSnippet(msg.content, tokens),
+      })),
+      total: found.length,
+      hasMore: found.length > offset + limit,
+    };
+  }
+
+  /**
+   * Keyset page of a conversation, ordered by (createdAt, messageId).
+   * private: the copies owned by userId exchanged with otherPartyId,
+   * group / public: the incoming copies stored under otherPartyId.
+   * Returns the page in chronological order, each message with its `cursor`,
+   * and hasMore when more messages exist beyond the page in the requested direction.
+   */
+  async getConversationPage(userId, options = {}) {
+    const { type, otherPartyId, threadOf, before, after, limit } = validateOptions(options, conversationPageOptionsSchema);
+    const cursor = before || after ? decodeMessageCursor(before || after) : null;
+
+    const compare = (a, b) => a.createdAt.localeCompare(b.createdAt) || a.messageId.localeCompare(b.messageId);
+    const ownerMessages = this.messages.get(type === 'private' ? userId : otherPartyId) || [];
+
+    const conversation = ownerMessages.filter(msg => {
+      if (msg.type !== type) return false;
+      if (threadOf && !this.replies.get(threadOf)?.has(msg.messageId)) return false;
+      if (type !== 'private') return msg.direction === 'incoming' && msg.recipientId === otherPartyId;
+      return msg.direction === 'incoming'
+        ? msg.sender.userId === otherPartyId
+        : msg.recipientId === otherPartyId;
+    });
+
+    const matching = conversation
+      .filter(msg => !cursor || (after ? compare(msg, cursor) > 0 : compare(msg, cursor) < 0))
+      .sort(compare);
+
+    // before (or no cursor): the newest ones older than the cursor, after: the oldest newer ones
+    const page = after ? matching.slice(0, limit) : matching.slice(-limit);
+
+    return {
+      messages: page.map(msg => ({ ...msg, cursor: encodeMessageCursor(msg.createdAt, msg.messageId) })),
+      hasMore: matching.length > limit,
+    };
+  }
+
+  async storeAttachment(attachment) {
+    this.attachments.set(attachment.attachmentId, { ...attachment });
+    return { ...attachment };
+  }
+
+  async getAttachment(attachmentId) {
+    const attachment = this.attachments.get(attachmentId);
+    return attachment ? { ...attachment } : null;
+  }
+
+  // One sanction per user and type, a new one replaces the previous
+  async storeSanction(sanction) {
+    this.sanctions.set(`${sanction.userId}:${sanction.type}`, { ...sanction });
+    return { ...sanction };
+  }
+
+  async deleteSanction(userId, type) {
+    return this.sanctions.delete(`${userId}:${type}`);
+  }
+
+  /**
+   * Sanctions not expired yet, of one user or of everyone when userId is null
+   */
+  async getActiveSanctions(userId = null) {
+    const now = Date.now();
+    return Array.from(this.sanctions.values())
+      .filter(s => userId === null || s.userId === userId)
+      .filter(s => s.until === null || new Date(s.until).getTime() > now)
+      .map(s => ({ ...s }));
+  }
+
+  async storeAuditEntry(entry) {
+    this.auditLog.push({ ...entry });
+    return { ...entry };
+  }
+
+  // Newest first
+  async getAuditLog({ action, targetId, limit = 50, offset = 0 } = {}) {
+    const entries = this.auditLog
+      .filter(e => !action || e.action === action)
+      .filter(e => !targetId || e.targetId === targetId)
+      .reverse();
+    return {
+      entries: entries.slice(offset, offset + limit).map(e => ({ ...e })),
+      total: entries.length,
+    };
+  }
+
+  // Returns false when the user was already blocked
+  async blockUser(userId, blockedUserId) {
+    if (!this.blocks.has(userId)) {
+      this.blocks.set(userId, new Map());
+    }
+    const blocked = this.blocks.get(userId);
+    if (blocked.has(blockedUserId)) return false;
+    blocked.set(blockedUserId, new Date().toISOString());
+    return true;
+  }
+
+  async unblockUser(userId, blockedUserId) {
+    return this.blocks.get(userId)?.delete(blockedUserId) || false;
+  }
+
+  async getBlockedUsers(userId) {
+    const blocked = this.blocks.get(userId) || new Map();
+    return Array.from(blocked.entries()).map(([blockedUserId, blockedAt]) => ({ userId: blockedUserId, blockedAt }));
+  }
+
+  // Disappearing messages of a private conversation, one setting per pair of users
+  async setConversationTtl(userId, otherPartyId, ttlSeconds) {
+    const setting = { ttlSeconds, setBy: userId, updatedAt: new Date().toISOString() };
+    this.conversationSettings.set([userId, otherPartyId].sort().join(':'), setting);
+    return { ...setting };
+  }
+
+  async getConversationTtl(userId, otherPartyId) {
+    const setting = this.conversationSettings.get([userId, otherPartyId].sort().join(':'));
+    return setting ? { ...setting } : null;
+  }
+
+  /**
+   * Hard delete the messages past their expiresAt, both copies, with their edits, reactions, receipts
+   * and the attachment records no other message uses.
+   * Returns { messages: one { messageId, senderId, recipientId } per deleted message,
+   * attachments: { attachmentId, hasThumbnail } of the deleted attachment records }.
+   */
+  async deleteExpiredMessages(now) {
+    const cutoff = new Date(now);
+    const expired = new Map();
+    const attachmentIds = new Set();
+
+    for (const [ownerId, messages] of this.messages.entries()) {
+      this.messages.set(ownerId, messages.filter(msg => {
+        if (!msg.expiresAt || new Date(msg.expiresAt) > cutoff) return true;
+        expired.set(msg.messageId, { messageId: msg.messageId, senderId: msg.sender.userId, recipientId: msg.recipientId });
+        (msg.attachments || []).forEach(attachment => attachmentIds.add(attachment.attachmentId));
+        this._unindexReply(msg.replyTo, msg.messageId);
+        return false;
+      }));
+    }
+
+    expired.forEach((msg, messageId) => {
+      this.messageEdits.delete(messageId);
+      this.reactions.delete(messageId);
+      this.receipts.delete(messageId);
+      this._indexMessage(messageId, '');
+      this.messageTokens.delete(messageId);
+    });
+
+    // the same attachment may be sent in several messages
+    if (attachmentIds.size > 0) {
+      for (const messages of this.messages.values()) {
+        messages.forEach(msg => (msg.attachments || []).forEach(attachment => attachmentIds.delete(attachment.attachmentId)));
+      }
+    }
+    const attachments = [...attachmentIds]
+      .filter(attachmentId => this.attachments.has(attachmentId))
+      .map(attachmentId => {
+        const { hasThumbnail = false } = this.attachments.get(attachmentId);
+        this.attachments.delete(attachmentId);
+        return { attachmentId, hasThumbnail };
+      });
+
+    return { messages: Array.from(expired.values()), attachments };
+  }
+
+  // One revocation per kind (jti / sub) and key, a new one replaces the previous
+  async storeRevocation(revocation) {
+    this.revocations.set(`${revocation.kind}:${revocation.key}`, { ...revocation });
+    return { ...revocation };
+  }
+
+  /**
+   * Revocations not expired yet of the given { jti, subjects }
+   */
+  async getRevocations({ jti = null, subjects = [] } = {}) {
+    const now = Date.now();
+    const keys = [...(jti ? [`jti:${jti}`] : []), ...subjects.map(sub => `sub:${sub}`)];
+    return keys
+      .map(key => this.revocations.get(key))
+      .filter(r => r && (r.expiresAt === null || new Date(r.expiresAt).getTime() > now))
+      .map(r => ({ ...r }));
+  }
 
-}
\ No newline at end of file
+  // Returns false when the token was already used
+  async storeUsedToken(jti, expiresAt) {
+    const now = Date.now();
+    for (const [usedJti, usedUntil] of this.usedTokens) {
+      if (usedUntil <= now) this.usedTokens.delete(usedJti);
+    }
+    if (this.usedTokens.has(jti)) return false;
+    this.usedTokens.set(jti, expiresAt);
+    return true;
+  }
+}
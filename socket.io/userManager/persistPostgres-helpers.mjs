@@ -1,3 +1,5 @@
+import { SEARCH_HIGHLIGHT } from './schemas.mjs';
+
 /**
  * Validates input options against a schema.
  * @param {Object} options - Input options.
@@ -13,6 +15,61 @@ export function validateOptions(options, schema) {
     return value;
 }
 
+/**
+ * Keyset pagination cursor of a message, opaque to clients.
+ * @param {string} createdAt - Creation timestamp, at the backend full precision.
+ * @param {string} messageId - Tie breaker between messages created at the same time.
+ * @returns {string} base64url cursor.
+ */
+export function encodeMessageCursor(createdAt, messageId) {
+    return Buffer.from(JSON.stringify([createdAt, messageId])).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - A cursor built by encodeMessageCursor.
+ * @returns {{ createdAt: string, messageId: string }}
+ * @throws {Error} If the cursor is malformed.
+ */
+export function decodeMessageCursor(cursor) {
+    try {
+        const [createdAt, messageId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof messageId !== 'string' || Number.isNaN(Date.parse(createdAt))) {
+            throw new Error('malformed');
+        }
+        return { createdAt, messageId };
+    } catch {
+        throw new Error(`Invalid cursor: ${cursor}`);
+    }
+}
+
+// Lowercased words and numbers, in any script
+export function tokenize(text = '') {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Search snippet of both backends: up to `maxWords` words around the first match, the words
+ * matching one of the query tokens wrapped in SEARCH_HIGHLIGHT. The words are HTML escaped,
+ * only the markers are tags.
+ * @param {string} content - Message content.
+ * @param {string[]} tokens - Query tokens (see tokenize).
+ * @returns {string} HTML snippet.
+ */
+export function buildSearchSnippet(content, tokens, maxWords = 20) {
+    const words = content.split(/\s+/).filter(Boolean);
+    const isMatch = word => tokenize(word).some(t => tokens.includes(t));
+    const first = Math.max(words.findIndex(isMatch), 0);
+    const start = Math.max(0, Math.min(first - Math.floor(maxWords / 4), words.length - maxWords));
+    const end = Math.min(words.length, start + maxWords);
+    const snippet = words.slice(start, end)
+        .map(word => isMatch(word) ? `${SEARCH_HIGHLIGHT.start}${escapeHtml(word)}${SEARCH_HIGHLIGHT.stop}` : escapeHtml(word))
+        .join(' ');
+    return `${start > 0 ? '... ' : ''}${snippet}${end < words.length ? ' ...' : ''}`;
+}
+
 const DEFAULT_MESSAGE_STATS = {
     firstMessageAt: null,
     lastMessageAt: null,
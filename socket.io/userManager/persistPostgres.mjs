@@ -1,6 +1,6 @@
 
-import { PersistenceInterface } from './PersistenceInterface.mjs'
-import { validateOptions, buildDefaultConversation, processConversationRow, getMessageStats } from './persistPostgres-helpers.mjs'
+import { PersistenceInterface, DUPLICATE_CLIENT_MESSAGE_ID } from './PersistenceInterface.mjs'
+import { validateOptions, buildDefaultConversation, processConversationRow, getMessageStats, encodeMessageCursor, decodeMessageCursor, tokenize, buildSearchSnippet } from './persistPostgres-helpers.mjs'
 // userPersistent.mjs
 import pg from 'pg';
 const { Pool } = pg;
@@ -10,6 +10,7 @@ import {
   debug,
   PUBLIC_MESSAGE_USER_ID,
   PUBLIC_MESSAGE_EXPIRE_DAYS,
+  DEFAULT_TENANT,
 } from '../config.mjs';
 
 // Import schemas
@@ -29,6 +30,8 @@ import {
   userQuerySchema,
   statusSchema,
   getConversationsListPOptionsSchema,
+  searchMessagesOptionsSchema,
+  conversationPageOptionsSchema,
   MESSAGE_STATUS_ORDERED
 } from './schemas.mjs';
 
@@ -37,6 +40,52 @@ const connectionString = process.env.DATABASE_URL;
 
 console.log("NODE_ENV", process.env.NODE_ENV,)
 
+// Columns of a message row, aliased to the message fields (see rowToMessage)
+const MESSAGE_COLUMNS = `
+  message_id AS "messageId",
+  sender_id AS "senderId",
+  sender_name AS "senderName",
+  recipient_id AS "recipientId",
+  content,
+  message_type AS "type",
+  direction,
+  status,
+  created_at AS "createdAt",
+  updated_at AS "updatedAt",
+  read_at AS "readAt",
+  edited_at AS "editedAt",
+  deleted_at AS "deletedAt",
+  reply_to AS "replyTo",
+  attachments,
+  client_message_id AS "clientMessageId",
+  expires_at AS "expiresAt",
+  metadata
+`;
+
+// A message row of MESSAGE_COLUMNS, shaped as the messages of the memory backend
+const rowToMessage = (row) => ({
+  messageId: row.messageId,
+  sender: {
+    userId: row.senderId,
+    userName: row.senderName,
+  },
+  recipientId: row.recipientId,
+  content: row.content,
+  type: row.type,
+  direction: row.direction,
+  status: row.status,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt,
+  readAt: row.readAt,
+  editedAt: row.editedAt,
+  deletedAt: row.deletedAt,
+  replyTo: row.replyTo,
+  attachments: row.attachments || [],
+  clientMessageId: row.clientMessageId,
+  expiresAt: row.expiresAt,
+  metadata: row.metadata || {},
+});
+
 function sanitizeObject(obj) {
   const seen = new WeakSet(); // To track circular references
 
@@ -61,7 +110,7 @@ function sanitizeObject(obj) {
   }
 }
 
-const getPoolOptions = (connectionString) => {
+export const getPoolOptions = (connectionString) => {
   const environment = process.env.NODE_ENV || 'development';
 
   const configs = {
@@ -175,13 +224,16 @@ export class PostgresPersistence extends PersistenceInterface {
               connected_at TIMESTAMPTZ DEFAULT NOW(),
               last_activity TIMESTAMPTZ DEFAULT NOW(),
               state VARCHAR(20) DEFAULT 'disconnected',
+              tenant VARCHAR(100) DEFAULT 'default' NOT NULL,
               metadata JSONB DEFAULT '{}'
           );
+          ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS tenant VARCHAR(100) DEFAULT 'default' NOT NULL;
       `);
       await this.pool.query(`
           -- users
           CREATE INDEX IF NOT EXISTS idx_user_sessions_state ON user_sessions(state);
           CREATE INDEX IF NOT EXISTS idx_user_sessions_activity ON user_sessions(last_activity);
+          CREATE INDEX IF NOT EXISTS idx_user_sessions_tenant ON user_sessions(tenant);
           
       `);
 
@@ -199,9 +251,24 @@ export class PostgresPersistence extends PersistenceInterface {
             created_at TIMESTAMPTZ DEFAULT NOW(),
             updated_at TIMESTAMPTZ DEFAULT NOW(),
             read_at TIMESTAMPTZ NULL,
+            edited_at TIMESTAMPTZ NULL,
+            deleted_at TIMESTAMPTZ NULL,
+            reply_to VARCHAR(100) NULL,
+            attachments JSONB DEFAULT '[]' NOT NULL,
+            client_message_id VARCHAR(100) NULL,
+            expires_at TIMESTAMPTZ NULL,
+            search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(content, ''))) STORED,
             metadata JSONB DEFAULT '{}' NULL,
             CONSTRAINT idx_messages_unique_entry UNIQUE (message_id, direction)
-        )
+        );
+        ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ NULL;
+        ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ NULL;
+        ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to VARCHAR(100) NULL;
+        ALTER TABLE messages ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]' NOT NULL;
+        ALTER TABLE messages ADD COLUMN IF NOT EXISTS client_message_id VARCHAR(100) NULL;
+        ALTER TABLE messages ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ NULL;
+        ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+          GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(content, ''))) STORED;
     `);
 
 
@@ -217,6 +284,19 @@ export class PostgresPersistence extends PersistenceInterface {
             -- Critical for ORDER BY performance
             CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
             
+            -- Full-text search
+            CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING GIN(search_vector);
+
+            -- Threaded replies lookups
+            CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to) WHERE reply_to IS NOT NULL;
+
+            -- Retries of sendMessage: one message per sender and clientMessageId
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_client_message_id
+              ON messages(sender_id, client_message_id, direction) WHERE client_message_id IS NOT NULL;
+
+            -- Disappearing messages
+            CREATE INDEX IF NOT EXISTS idx_messages_expires_at ON messages(expires_at) WHERE expires_at IS NOT NULL;
+
             -- Composite index for conversation lookups
             CREATE INDEX IF NOT EXISTS idx_messages_conversation_lookup 
               ON messages(sender_id, recipient_id, created_at DESC);
@@ -229,6 +309,137 @@ export class PostgresPersistence extends PersistenceInterface {
       `);
 
 
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS groups (
+            group_id VARCHAR(100) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            owner_id VARCHAR(100) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            metadata JSONB DEFAULT '{}'
+        );
+        CREATE TABLE IF NOT EXISTS group_members (
+            group_id VARCHAR(100) NOT NULL REFERENCES groups(group_id) ON DELETE CASCADE,
+            user_id VARCHAR(100) NOT NULL,
+            role VARCHAR(10) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+            joined_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (group_id, user_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS message_edits (
+            id SERIAL PRIMARY KEY,
+            message_id VARCHAR(100) NOT NULL,
+            content TEXT NOT NULL,
+            edited_by VARCHAR(100) NOT NULL,
+            recipient_id VARCHAR(100) NOT NULL,
+            edited_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id, edited_at);
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS message_reactions (
+            message_id VARCHAR(100) NOT NULL,
+            user_id VARCHAR(100) NOT NULL,
+            emoji VARCHAR(16) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (message_id, user_id, emoji)
+        );
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS message_receipts (
+            message_id VARCHAR(100) NOT NULL,
+            socket_id VARCHAR(100) NOT NULL,
+            recipient_id VARCHAR(100) NOT NULL,
+            session_id VARCHAR(100) NULL,
+            status VARCHAR(10) NOT NULL CHECK (status IN ('delivered', 'failed')),
+            reason VARCHAR(50) NULL,
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (message_id, socket_id)
+        );
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS attachments (
+            attachment_id VARCHAR(100) PRIMARY KEY,
+            owner_id VARCHAR(100) NOT NULL,
+            file_name VARCHAR(255) NOT NULL,
+            mime_type VARCHAR(255) NOT NULL,
+            size BIGINT NOT NULL,
+            status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'ready')),
+            upload_token VARCHAR(100) NULL,
+            has_thumbnail BOOLEAN DEFAULT FALSE,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            expires_at TIMESTAMPTZ NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_attachments_owner ON attachments(owner_id);
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS user_sanctions (
+            user_id VARCHAR(100) NOT NULL,
+            type VARCHAR(10) NOT NULL CHECK (type IN ('ban', 'mute')),
+            until TIMESTAMPTZ NULL,
+            reason TEXT NOT NULL DEFAULT '',
+            created_by VARCHAR(100) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (user_id, type)
+        );
+        CREATE TABLE IF NOT EXISTS moderation_audit_log (
+            audit_id VARCHAR(100) PRIMARY KEY,
+            action VARCHAR(30) NOT NULL,
+            actor_id VARCHAR(100) NOT NULL,
+            target_id VARCHAR(100) NOT NULL,
+            reason TEXT NOT NULL DEFAULT '',
+            details JSONB DEFAULT '{}',
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_created_at ON moderation_audit_log(created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_target ON moderation_audit_log(target_id);
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS user_blocks (
+            user_id VARCHAR(100) NOT NULL,
+            blocked_user_id VARCHAR(100) NOT NULL,
+            blocked_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (user_id, blocked_user_id)
+        );
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS conversation_settings (
+            user_a VARCHAR(100) NOT NULL,
+            user_b VARCHAR(100) NOT NULL,
+            ttl_seconds INTEGER NULL,
+            set_by VARCHAR(100) NOT NULL,
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (user_a, user_b),
+            CHECK (user_a < user_b)
+        );
+      `);
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS token_revocations (
+            kind VARCHAR(10) NOT NULL CHECK (kind IN ('jti', 'sub')),
+            key VARCHAR(255) NOT NULL,
+            revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            expires_at TIMESTAMPTZ NULL,
+            reason TEXT NOT NULL DEFAULT '',
+            revoked_by VARCHAR(100) NOT NULL,
+            PRIMARY KEY (kind, key)
+        );
+        CREATE TABLE IF NOT EXISTS used_tokens (
+            jti VARCHAR(255) PRIMARY KEY,
+            expires_at TIMESTAMPTZ NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_used_tokens_expires_at ON used_tokens(expires_at);
+      `);
+
       if (debug) console.log('✅ Database tables initialized');
 
       // Display table contents for debugging
@@ -245,7 +456,7 @@ export class PostgresPersistence extends PersistenceInterface {
 
     try {
       // Validate the incoming user data against the schema
-      const { userId, userName, sockets, sessionId, connectedAt, lastActivity, state, ...metadata } = user;
+      const { userId, userName, sockets, sessionId, connectedAt, lastActivity, state, tenant, ...metadata } = user;
 
       // Ensure metadata is serializable
       const sanitizedMetadata = sanitizeObject(metadata);
@@ -260,16 +471,18 @@ export class PostgresPersistence extends PersistenceInterface {
         connected_at, 
         last_activity, 
         state, 
-        metadata
+        metadata,
+        tenant
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       ON CONFLICT (user_id) 
       DO UPDATE SET 
         user_name = EXCLUDED.user_name,
         sockets = EXCLUDED.sockets, --- do not >>>>>COALESCE(user_sessions.sockets, '[]'::JSONB), ---- never merge || EXCLUDED.sockets, -- Merge sockets array
         last_activity = EXCLUDED.last_activity,
         state = EXCLUDED.state,
-        metadata = EXCLUDED.metadata
+        metadata = EXCLUDED.metadata,
+        tenant = EXCLUDED.tenant
     `;
 
       // Prepare the values for the query
@@ -282,7 +495,8 @@ export class PostgresPersistence extends PersistenceInterface {
         state,
         JSON.stringify({
           ...sanitizedMetadata,
-        })
+        }),
+        tenant || DEFAULT_TENANT,
       ];
 
 
@@ -431,7 +645,7 @@ export class PostgresPersistence extends PersistenceInterface {
     await this.ensureInitialized(); // Ensure the database is initialized
 
     try {
-      const { messageId, sender, recipientId, content, type, status, readAt } = message;
+      const { messageId, sender, recipientId, content, type, status, readAt, replyTo = null, attachments = [], clientMessageId = null, expiresAt = null } = message;
 
       // Ensure metadata is serializable
       const sanitizedMetadata = sanitizeObject(message.metadata || {});
@@ -456,9 +670,13 @@ export class PostgresPersistence extends PersistenceInterface {
           created_at,   
           updated_at, 
           read_at, 
-          metadata
+          metadata,
+          reply_to,
+          attachments,
+          client_message_id,
+          expires_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         ON CONFLICT (message_id, direction) 
         DO UPDATE SET         
           status = EXCLUDED.status,
@@ -483,7 +701,11 @@ export class PostgresPersistence extends PersistenceInterface {
         readAt ? new Date(readAt) : null, // Handle null readAt
         JSON.stringify({
           ...sanitizedMetadata,
-        })
+        }),
+        replyTo,
+        JSON.stringify(attachments),
+        clientMessageId,
+        expiresAt ? new Date(expiresAt) : null,
       ];
 
       // Execute the query
@@ -496,6 +718,9 @@ export class PostgresPersistence extends PersistenceInterface {
       // Return the message object
       return message;
     } catch (error) {
+      if (error.code === '23505' && error.constraint === 'idx_messages_client_message_id') {
+        throw Object.assign(new Error(`Duplicate clientMessageId: ${message.clientMessageId}`), { code: DUPLICATE_CLIENT_MESSAGE_ID });
+      }
       console.error('Error in storeMessage:', error.message);
       throw error; // Re-throw the error for upstream handling
     }
@@ -625,7 +850,8 @@ export class PostgresPersistence extends PersistenceInterface {
         //  'session_id as "sessionId"',
         'connected_at as "connectedAt"',
         'last_activity as "lastActivity"',
-        'state'
+        'state',
+        'tenant'
       ];
 
       if (include.includes('metadata')) {
@@ -656,6 +882,7 @@ export class PostgresPersistence extends PersistenceInterface {
         connectedAt: new Date(row.connectedAt).getTime(), // Convert to Unix epoch milliseconds
         lastActivity: new Date(row.lastActivity).getTime(), // Convert to Unix epoch milliseconds
         state: row.state,
+        tenant: row.tenant,
         ...(typeof row.metadata !== 'string' ? null : { metadata: row.metadata }),
       }));
     } catch (error) {
@@ -725,7 +952,7 @@ export class PostgresPersistence extends PersistenceInterface {
       console.log(options);
       // Validate input options
       const validOptions = validateOptions(options, getConversationsListPOptionsSchema);
-      const { userId, type, limit = 10, offset = 0, include = [] } = validOptions;
+      const { userId, type, limit = 10, offset = 0, include = [], otherPartyId, otherPartyIds } = validOptions;
 
       // Build SQL query
       const whereClauses = [
@@ -734,9 +961,17 @@ export class PostgresPersistence extends PersistenceInterface {
       ];
       const params = [userId];
       if (type) {
-        whereClauses.push('message_type = $2');
+        whereClauses.push(`message_type = $${params.length + 1}`);
         params.push(type)
       }
+      if (otherPartyId) {
+        whereClauses.push(`(CASE WHEN sender_id = $1 THEN recipient_id ELSE sender_id END) = $${params.length + 1}`);
+        params.push(otherPartyId);
+      }
+      if (otherPartyIds) {
+        whereClauses.push(`(CASE WHEN sender_id = $1 THEN recipient_id ELSE sender_id END) = ANY($${params.length + 1})`);
+        params.push(otherPartyIds);
+      }
 
       const selectFields = `
         CASE 
@@ -777,7 +1012,7 @@ export class PostgresPersistence extends PersistenceInterface {
           ELSE sender_id 
         END
       ORDER BY "lastMessageAt" DESC
-      LIMIT $3 OFFSET $4
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `;
 
       console.log('Outgoing stats SQL:', getMessageStats('sender_id', 'out_', 'outgoing').join(', '));
@@ -857,6 +1092,7 @@ export class PostgresPersistence extends PersistenceInterface {
       until = null,
       type = null,
       messageIds = null,
+      replyTo = null,
       direction = null,
       unreadOnly = false,
       senderId = null,
@@ -870,23 +1106,25 @@ export class PostgresPersistence extends PersistenceInterface {
 
       // Construct the base query
       let query = `
-      SELECT 
-        message_id AS "messageId",
-        sender_id AS "senderId",
-        sender_name AS "senderName",
-        recipient_id AS "recipientId",
-        content,
-        message_type AS "type",
-        direction,
-        status,
-        created_at as createdAt,
-        updated_at as updatedAt,
-        read_at AS "readAt",
-        metadata
+      SELECT ${MESSAGE_COLUMNS}
       FROM messages
-      WHERE recipient_id = $1
     `;
-      const params = [recipientId];
+      // Without recipientId, return the copies owned by _userId:
+      // the incoming ones he received and the outgoing ones he sent
+      query += recipientId
+        ? ` WHERE recipient_id = $1`
+        : ` WHERE ((direction = 'incoming' AND recipient_id = $1) OR (direction = 'outgoing' AND sender_id = $1))`;
+      const params = [recipientId || _userId];
+
+      if (messageIds) {
+        query += ` AND message_id = ANY($${params.length + 1})`;
+        params.push(messageIds);
+      }
+
+      if (replyTo) {
+        query += ` AND reply_to = $${params.length + 1}`;
+        params.push(replyTo);
+      }
 
       // Add filters dynamically
       if (type) {
@@ -941,36 +1179,22 @@ export class PostgresPersistence extends PersistenceInterface {
       
       */
 
-      // Add sorting and pagination
-      query += ` ORDER BY updated_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-      params.push(limit, offset);
+      // Add sorting and pagination, one row past the page tells whether there are more
+      query += ` ORDER BY updated_at DESC, message_id LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+      params.push(limit + 1, offset);
 
       // Execute the query
       console.log(query, params);
       const result = await this.pool.query(query, params);
+      const rows = result.rows.slice(0, limit);
 
       // Transform the rows into the desired format
-      const messages = result.rows.map(row => ({
-        messageId: row.messageId,
-        sender: {
-          userId: row.senderId,
-          userName: row.senderName,
-        },
-        recipientId: row.recipientId,
-        content: row.content,
-        type: row.type,
-        direction: row.direction,
-        status: row.status,
-        createdAt: row.createdAt,
-        updatedAt: row.updatedAt,
-        readAt: row.readAt,
-        metadata: row.metadata || {},
-      }));
+      const messages = rows.map(rowToMessage);
 
       // Return the paginated result
       return {
         messages,
-        total: result.rowCount,
+        total: rows.length,
         hasMore: result.rowCount > limit,
       };
     } catch (error) {
@@ -1013,6 +1237,38 @@ export class PostgresPersistence extends PersistenceInterface {
     }
   }
 
+  /**
+   * Move the private messages pending since before pendingSince (their last update) to failed,
+   * both copies. Returns the outgoing copies.
+   */
+  async expirePendingMessages(pendingSince) {
+    await this.ensureInitialized();
+
+    const result = await this.pool.query(`
+      UPDATE messages
+      SET status = 'failed', updated_at = NOW()
+      WHERE status = 'pending'
+        AND message_type = 'private'
+        AND updated_at < $1
+      RETURNING
+        message_id AS "messageId",
+        sender_id AS "senderId",
+        sender_name AS "senderName",
+        recipient_id AS "recipientId",
+        content,
+        message_type AS "type",
+        direction,
+        status,
+        created_at AS "createdAt",
+        updated_at AS "updatedAt",
+        client_message_id AS "clientMessageId"
+    `, [new Date(pendingSince)]);
+
+    return result.rows
+      .filter(row => row.direction === 'outgoing')
+      .map(({ senderId, senderName, ...row }) => ({ ...row, sender: { userId: senderId, userName: senderName } }));
+  }
+
   async updateMessageStatus(userId, messageId, status, fromStatus) {
     await this.ensureInitialized(); // Ensure the database is initialized
 
@@ -1025,18 +1281,7 @@ export class PostgresPersistence extends PersistenceInterface {
         WHERE status = $2 
           AND message_id = $3
           AND sender_id = $4 
-        RETURNING   
-          message_id AS "messageId",
-          sender_id AS "senderId",
-          sender_name AS "senderName",
-          recipient_id AS "recipientId",
-          content,
-          message_type AS "type",
-          direction,
-          status,
-          created_at as createdAt,
-          updated_at as updatedAt,
-          read_at AS "readAt";
+        RETURNING ${MESSAGE_COLUMNS};
       `;
       const values = [status, fromStatus, messageId, userId, new Date()];
 
@@ -1063,7 +1308,7 @@ export class PostgresPersistence extends PersistenceInterface {
         );
       }
 
-      return result.rows; // Return all updated rows for visibility
+      return result.rows.map(rowToMessage); // Return all updated rows for visibility
     } catch (error) {
       console.error(
         `Failed to update message status for userId: ${userId}, messageId: ${messageId}, fromStatus: ${fromStatus}, toStatus: ${status}`,
@@ -1092,6 +1337,867 @@ export class PostgresPersistence extends PersistenceInterface {
     }
   }
 
+  /**
+   * Groups
+   */
+  async storeGroup(group) {
+    await this.ensureInitialized();
 
-}
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        INSERT INTO groups (group_id, name, owner_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (group_id)
+        DO UPDATE SET
+          name = EXCLUDED.name,
+          owner_id = EXCLUDED.owner_id,
+          updated_at = NOW()
+      `, [group.groupId, group.name, group.ownerId]);
+
+      for (const member of group.members || []) {
+        await client.query(`
+          INSERT INTO group_members (group_id, user_id, role)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (group_id, user_id) DO UPDATE SET role = EXCLUDED.role
+        `, [group.groupId, member.userId, member.role || 'member']);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in storeGroup:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getGroup(group.groupId);
+  }
+
+  // Groups with their members, one row per group
+  async _queryGroups(where, params) {
+    const result = await this.pool.query(`
+      SELECT
+        g.group_id AS "groupId",
+        g.name,
+        g.owner_id AS "ownerId",
+        g.created_at AS "createdAt",
+        g.updated_at AS "updatedAt",
+        COALESCE(
+          JSON_AGG(
+            JSON_BUILD_OBJECT('userId', m.user_id, 'role', m.role, 'joinedAt', m.joined_at)
+            ORDER BY m.joined_at
+          ) FILTER (WHERE m.user_id IS NOT NULL),
+          '[]'
+        ) AS members
+      FROM groups g
+      LEFT JOIN group_members m ON m.group_id = g.group_id
+      WHERE ${where}
+      GROUP BY g.group_id
+      ORDER BY g.created_at
+    `, params);
+    return result.rows;
+  }
+
+  async getGroup(groupId) {
+    await this.ensureInitialized();
+    try {
+      const [group] = await this._queryGroups('g.group_id = $1', [groupId]);
+      return group || null;
+    } catch (error) {
+      console.error('Error in getGroup:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteGroup(groupId) {
+    await this.ensureInitialized();
+    try {
+      // group_members rows go with ON DELETE CASCADE, messages are stored under the groupId
+      await this.pool.query(`DELETE FROM messages WHERE message_type = 'group' AND recipient_id = $1`, [groupId]);
+      const result = await this.pool.query('DELETE FROM groups WHERE group_id = $1', [groupId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error in deleteGroup:', error.message);
+      throw error;
+    }
+  }
+
+  async getUserGroups(userId) {
+    await this.ensureInitialized();
+    try {
+      return await this._queryGroups('g.group_id IN (SELECT group_id FROM group_members WHERE user_id = $1)', [userId]);
+    } catch (error) {
+      console.error('Error in getUserGroups:', error.message);
+      throw error;
+    }
+  }
+
+  async storeGroupMembers(groupId, members = []) {
+    await this.ensureInitialized();
+    try {
+      for (const member of members) {
+        await this.pool.query(`
+          INSERT INTO group_members (group_id, user_id, role)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (group_id, user_id) DO UPDATE SET role = EXCLUDED.role
+        `, [groupId, member.userId, member.role || 'member']);
+      }
+      await this.pool.query('UPDATE groups SET updated_at = NOW() WHERE group_id = $1', [groupId]);
+      return this.getGroup(groupId);
+    } catch (error) {
+      console.error('Error in storeGroupMembers:', error.message);
+      throw error;
+    }
+  }
+
+  async removeGroupMembers(groupId, userIds = []) {
+    await this.ensureInitialized();
+    try {
+      const result = await this.pool.query(
+        'DELETE FROM group_members WHERE group_id = $1 AND user_id = ANY($2) RETURNING user_id',
+        [groupId, userIds]
+      );
+      await this.pool.query('UPDATE groups SET updated_at = NOW() WHERE group_id = $1', [groupId]);
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      console.error('Error in removeGroupMembers:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit the content of both copies of a message sent by userId,
+   * keeping the previous version in message_edits.
+   * Returns the updated rows, or null when nothing is editable.
+   */
+  async editMessage(userId, messageId, content, editableSince) {
+    await this.ensureInitialized();
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        INSERT INTO message_edits (message_id, content, edited_by, recipient_id)
+        SELECT DISTINCT ON (message_id) message_id, content, sender_id, recipient_id
+        FROM messages
+        WHERE message_id = $1 AND sender_id = $2 AND created_at >= $3 AND deleted_at IS NULL
+      `, [messageId, userId, new Date(editableSince)]);
+
+      const result = await client.query(`
+        UPDATE messages
+        SET content = $4, edited_at = NOW(), updated_at = NOW()
+        WHERE message_id = $1 AND sender_id = $2 AND created_at >= $3 AND deleted_at IS NULL
+        RETURNING
+          message_id AS "messageId",
+          sender_id AS "senderId",
+          sender_name AS "senderName",
+          recipient_id AS "recipientId",
+          content,
+          message_type AS "type",
+          direction,
+          status,
+          created_at AS "createdAt",
+          updated_at AS "updatedAt",
+          read_at AS "readAt",
+          edited_at AS "editedAt";
+      `, [messageId, userId, new Date(editableSince), content]);
+
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query('COMMIT');
+      return result.rows.map(({ senderId, senderName, ...row }) => ({
+        ...row,
+        sender: { userId: senderId, userName: senderName },
+      }));
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to edit message ${messageId} for userId: ${userId}`, error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMessageEditHistory(messageId) {
+    await this.ensureInitialized();
+
+    const result = await this.pool.query(`
+      SELECT
+        message_id AS "messageId",
+        content,
+        edited_by AS "editedBy",
+        recipient_id AS "recipientId",
+        edited_at AS "editedAt"
+      FROM message_edits
+      WHERE message_id = $1
+      ORDER BY edited_at ASC, id ASC
+    `, [messageId]);
+    return result.rows;
+  }
+
+  /**
+   * scope "me": delete the row owned by userId (outgoing if he sent it, incoming if he received it).
+   * scope "everyone": tombstone both rows sent by userId and drop the edit history.
+   * Returns the affected rows, or null when nothing matched.
+   */
+  async deleteMessage(userId, messageId, scope = 'me') {
+    await this.ensureInitialized();
 
+    const returning = `
+      RETURNING
+        message_id AS "messageId",
+        sender_id AS "senderId",
+        sender_name AS "senderName",
+        recipient_id AS "recipientId",
+        content,
+        message_type AS "type",
+        direction,
+        status,
+        created_at AS "createdAt",
+        updated_at AS "updatedAt",
+        read_at AS "readAt",
+        edited_at AS "editedAt",
+        deleted_at AS "deletedAt";
+    `;
+    const toMessage = ({ senderId, senderName, ...row }) => ({
+      ...row,
+      sender: { userId: senderId, userName: senderName },
+    });
+
+    try {
+      if (scope === 'me') {
+        const result = await this.pool.query(`
+          DELETE FROM messages
+          WHERE message_id = $1
+            AND ((direction = 'outgoing' AND sender_id = $2) OR (direction = 'incoming' AND recipient_id = $2))
+          ${returning}
+        `, [messageId, userId]);
+        return result.rowCount > 0 ? result.rows.map(toMessage) : null;
+      }
+
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await client.query(`
+          UPDATE messages
+          SET content = '', deleted_at = NOW(), updated_at = NOW()
+          WHERE message_id = $1 AND sender_id = $2 AND deleted_at IS NULL
+          ${returning}
+        `, [messageId, userId]);
+
+        if (result.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+
+        await client.query('DELETE FROM message_edits WHERE message_id = $1', [messageId]);
+        await client.query('COMMIT');
+        return result.rows.map(toMessage);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error(`Failed to delete message ${messageId} (${scope}) for userId: ${userId}`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add the user reaction, or remove it when he already reacted with this emoji.
+   * Returns true when the reaction was added.
+   */
+  async toggleReaction(userId, messageId, emoji) {
+    await this.ensureInitialized();
+
+    const removed = await this.pool.query(`
+      DELETE FROM message_reactions
+      WHERE message_id = $1 AND user_id = $2 AND emoji = $3
+    `, [messageId, userId, emoji]);
+    if (removed.rowCount > 0) return false;
+
+    await this.pool.query(`
+      INSERT INTO message_reactions (message_id, user_id, emoji)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+    `, [messageId, userId, emoji]);
+    return true;
+  }
+
+  /**
+   * Reactions of each message: { [messageId]: [{ emoji, count, userIds }] }
+   */
+  async getReactions(messageIds = []) {
+    await this.ensureInitialized();
+    if (messageIds.length === 0) return {};
+
+    const result = await this.pool.query(`
+      SELECT
+        message_id AS "messageId",
+        emoji,
+        COUNT(*)::int AS count,
+        ARRAY_AGG(user_id ORDER BY created_at) AS "userIds"
+      FROM message_reactions
+      WHERE message_id = ANY($1)
+      GROUP BY message_id, emoji
+      ORDER BY message_id, MIN(created_at)
+    `, [messageIds]);
+
+    return result.rows.reduce((acc, { messageId, ...reaction }) => {
+      (acc[messageId] = acc[messageId] || []).push(reaction);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * The message a sender already stored with this clientMessageId, his outgoing copy first
+   */
+  async getMessageByClientId(senderId, clientMessageId) {
+    await this.ensureInitialized();
+
+    const result = await this.pool.query(`
+      SELECT ${MESSAGE_COLUMNS}
+      FROM messages
+      WHERE sender_id = $1 AND client_message_id = $2
+      ORDER BY direction = 'outgoing' DESC
+      LIMIT 1
+    `, [senderId, clientMessageId]);
+
+    return result.rows[0] ? rowToMessage(result.rows[0]) : null;
+  }
+
+  /**
+   * One receipt per recipient socket, a later attempt replaces it unless the socket already got the message.
+   * Returns the receipts of the message.
+   */
+  async storeMessageReceipts(messageId, receipts = []) {
+    await this.ensureInitialized();
+
+    for (const { recipientId, socketId, sessionId, status, reason } of receipts) {
+      await this.pool.query(`
+        INSERT INTO message_receipts (message_id, socket_id, recipient_id, session_id, status, reason, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT (message_id, socket_id) DO UPDATE
+        SET status = EXCLUDED.status, reason = EXCLUDED.reason, updated_at = EXCLUDED.updated_at
+        WHERE message_receipts.status <> 'delivered'
+      `, [messageId, socketId, recipientId, sessionId ?? null, status, reason ?? null]);
+    }
+
+    return (await this.getMessageReceipts([messageId]))[messageId] || [];
+  }
+
+  /**
+   * Delivery receipts of each message: { [messageId]: [{ recipientId, socketId, sessionId, status, reason, updatedAt }] }
+   */
+  async getMessageReceipts(messageIds = []) {
+    await this.ensureInitialized();
+    if (messageIds.length === 0) return {};
+
+    const result = await this.pool.query(`
+      SELECT
+        message_id AS "messageId",
+        recipient_id AS "recipientId",
+        socket_id AS "socketId",
+        session_id AS "sessionId",
+        status,
+        reason,
+        updated_at AS "updatedAt"
+      FROM message_receipts
+      WHERE message_id = ANY($1)
+      ORDER BY message_id, updated_at
+    `, [messageIds]);
+
+    return result.rows.reduce((acc, { messageId, updatedAt, ...receipt }) => {
+      (acc[messageId] = acc[messageId] || []).push({ ...receipt, updatedAt: updatedAt.toISOString() });
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Number of (not deleted) replies of each parent: { [messageId]: count }
+   */
+  async getReplyCounts(messageIds = []) {
+    await this.ensureInitialized();
+    if (messageIds.length === 0) return {};
+
+    const result = await this.pool.query(`
+      SELECT reply_to AS "messageId", COUNT(DISTINCT message_id)::int AS count
+      FROM messages
+      WHERE reply_to = ANY($1) AND deleted_at IS NULL
+      GROUP BY reply_to
+    `, [messageIds]);
+
+    return Object.fromEntries(result.rows.map(row => [row.messageId, row.count]));
+  }
+
+  /**
+   * Search the copies owned by userId (his incoming and outgoing messages),
+   * every word of the query must match. Newest first, with the snippets of the memory backend
+   * (see buildSearchSnippet).
+   * The 'simple' text search config keeps words as typed, like the memory token index.
+   */
+  async searchMessages(userId, options = {}) {
+    await this.ensureInitialized();
+
+    const { error, value } = searchMessagesOptionsSchema.validate(options);
+    if (error) {
+      throw new Error(`Invalid options: ${error.message}`);
+    }
+    const { query, otherPartyId, type, since, until, limit, offset } = value;
+
+    const params = [userId, query];
+    let where = `
+      WHERE ((direction = 'incoming' AND recipient_id = $1) OR (direction = 'outgoing' AND sender_id = $1))
+        AND deleted_at IS NULL
+        AND search_vector @@ plainto_tsquery('simple', $2)`;
+
+    if (otherPartyId) {
+      params.push(otherPartyId);
+      where += ` AND ((direction = 'incoming' AND sender_id = $${params.length}) OR (direction = 'outgoing' AND recipient_id = $${params.length}))`;
+    }
+    if (type) {
+      params.push(type);
+      where += ` AND message_type = $${params.length}`;
+    }
+    if (since) {
+      params.push(new Date(since).toISOString());
+      where += ` AND created_at >= $${params.length}`;
+    }
+    if (until) {
+      params.push(new Date(until).toISOString());
+      where += ` AND created_at <= $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    const result = await this.pool.query(`
+      SELECT
+        message_id AS "messageId",
+        sender_id AS "senderId",
+        sender_name AS "senderName",
+        recipient_id AS "recipientId",
+        content,
+        message_type AS "type",
+        direction,
+        status,
+        created_at AS "createdAt",
+        updated_at AS "updatedAt",
+        read_at AS "readAt",
+        edited_at AS "editedAt",
+        reply_to AS "replyTo",
+        attachments,
+        COUNT(*) OVER() AS total
+      FROM messages
+      ${where}
+      ORDER BY created_at DESC, message_id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0;
+    const tokens = Array.from(new Set(tokenize(query)));
+    return {
+      messages: result.rows.map(row => ({
+        messageId: row.messageId,
+        sender: { userId: row.senderId, userName: row.senderName },
+        recipientId: row.recipientId,
+        content: row.content,
+        type: row.type,
+        direction: row.direction,
+        status: row.status,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+        readAt: row.readAt,
+        editedAt: row.editedAt,
+        replyTo: row.replyTo,
+        attachments: row.attachments || [],
+        snippet: buildSearchSnippet(row.content, tokens),
+      })),
+      total,
+      hasMore: total > offset + limit,
+    };
+  }
+
+  /**
+   * Keyset page of a conversation, ordered by (created_at, message_id).
+   * private: one UNION query over the incoming and outgoing copies owned by userId,
+   * both arms served by idx_messages_conversation_lookup (sender_id, recipient_id, created_at).
+   * group / public: the incoming copies stored under otherPartyId.
+   * Cursors carry created_at with its microseconds, so row comparisons stay exact.
+   */
+  async getConversationPage(userId, options = {}) {
+    await this.ensureInitialized();
+
+    const { type, otherPartyId, threadOf, before, after, limit } = validateOptions(options, conversationPageOptionsSchema);
+    const cursor = before || after ? decodeMessageCursor(before || after) : null;
+
+    const params = [otherPartyId, type];
+    if (type === 'private') params.push(userId);
+    let extra = '';
+    if (cursor) {
+      params.push(cursor.createdAt, cursor.messageId);
+      extra += ` AND (created_at, message_id) ${after ? '>' : '<'} ($${params.length - 1}::timestamptz, $${params.length})`;
+    }
+    if (threadOf) {
+      params.push(threadOf);
+      extra += ` AND reply_to = $${params.length}`;
+    }
+
+    const columns = `
+        message_id AS "messageId",
+        sender_id AS "senderId",
+        sender_name AS "senderName",
+        recipient_id AS "recipientId",
+        content,
+        message_type AS "type",
+        direction,
+        status,
+        created_at AS "createdAt",
+        to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS "cursorAt",
+        updated_at AS "updatedAt",
+        read_at AS "readAt",
+        edited_at AS "editedAt",
+        deleted_at AS "deletedAt",
+        reply_to AS "replyTo",
+        attachments,
+        client_message_id AS "clientMessageId",
+        expires_at AS "expiresAt",
+        metadata`;
+
+    const conversation = type === 'private'
+      ? `(SELECT ${columns} FROM messages
+            WHERE sender_id = $1 AND recipient_id = $3 AND direction = 'incoming' AND message_type = $2${extra})
+          UNION ALL
+          (SELECT ${columns} FROM messages
+            WHERE sender_id = $3 AND recipient_id = $1 AND direction = 'outgoing' AND message_type = $2${extra})`
+      : `SELECT ${columns} FROM messages
+            WHERE recipient_id = $1 AND direction = 'incoming' AND message_type = $2${extra}`;
+
+    // before (or no cursor): the newest ones older than the cursor, after: the oldest newer ones
+    const order = after ? 'ASC' : 'DESC';
+    params.push(limit + 1);
+    const result = await this.pool.query(`
+      SELECT * FROM (${conversation}) conversation
+      ORDER BY "createdAt" ${order}, "messageId" ${order}
+      LIMIT $${params.length}
+    `, params);
+
+    const rows = result.rows.slice(0, limit);
+    if (!after) rows.reverse();
+
+    return {
+      messages: rows.map(row => ({
+        messageId: row.messageId,
+        sender: { userId: row.senderId, userName: row.senderName },
+        recipientId: row.recipientId,
+        content: row.content,
+        type: row.type,
+        direction: row.direction,
+        status: row.status,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+        readAt: row.readAt,
+        editedAt: row.editedAt,
+        deletedAt: row.deletedAt,
+        replyTo: row.replyTo,
+        attachments: row.attachments || [],
+        clientMessageId: row.clientMessageId,
+        expiresAt: row.expiresAt,
+        metadata: row.metadata || {},
+        cursor: encodeMessageCursor(row.cursorAt, row.messageId),
+      })),
+      hasMore: result.rows.length > limit,
+    };
+  }
+
+  async storeAttachment(attachment) {
+    await this.ensureInitialized();
+    const { attachmentId, ownerId, fileName, mimeType, size, status, uploadToken = null,
+      hasThumbnail = false, createdAt, expiresAt = null } = attachment;
+
+    await this.pool.query(`
+      INSERT INTO attachments (
+        attachment_id, owner_id, file_name, mime_type, size, status, upload_token, has_thumbnail, created_at, expires_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (attachment_id)
+      DO UPDATE SET
+        size = EXCLUDED.size,
+        status = EXCLUDED.status,
+        upload_token = EXCLUDED.upload_token,
+        has_thumbnail = EXCLUDED.has_thumbnail,
+        expires_at = EXCLUDED.expires_at
+    `, [attachmentId, ownerId, fileName, mimeType, size, status, uploadToken, hasThumbnail,
+      new Date(createdAt), expiresAt ? new Date(expiresAt) : null]);
+
+    return { ...attachment };
+  }
+
+  async getAttachment(attachmentId) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(`
+      SELECT
+        attachment_id AS "attachmentId",
+        owner_id AS "ownerId",
+        file_name AS "fileName",
+        mime_type AS "mimeType",
+        size::int AS size,
+        status,
+        upload_token AS "uploadToken",
+        has_thumbnail AS "hasThumbnail",
+        created_at AS "createdAt",
+        expires_at AS "expiresAt"
+      FROM attachments
+      WHERE attachment_id = $1
+    `, [attachmentId]);
+
+    return result.rows[0] || null;
+  }
+
+  // One sanction per user and type, a new one replaces the previous
+  async storeSanction(sanction) {
+    await this.ensureInitialized();
+    const { userId, type, until, reason, createdBy, createdAt } = sanction;
+    await this.pool.query(`
+      INSERT INTO user_sanctions (user_id, type, until, reason, created_by, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id, type)
+      DO UPDATE SET
+        until = EXCLUDED.until,
+        reason = EXCLUDED.reason,
+        created_by = EXCLUDED.created_by,
+        created_at = EXCLUDED.created_at
+    `, [userId, type, until ? new Date(until) : null, reason, createdBy, new Date(createdAt)]);
+    return { ...sanction };
+  }
+
+  async deleteSanction(userId, type) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(
+      'DELETE FROM user_sanctions WHERE user_id = $1 AND type = $2',
+      [userId, type]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Sanctions not expired yet, of one user or of everyone when userId is null
+   */
+  async getActiveSanctions(userId = null) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(`
+      SELECT
+        user_id AS "userId",
+        type,
+        until,
+        reason,
+        created_by AS "createdBy",
+        created_at AS "createdAt"
+      FROM user_sanctions
+      WHERE ($1::VARCHAR IS NULL OR user_id = $1)
+        AND (until IS NULL OR until > NOW())
+      ORDER BY created_at DESC
+    `, [userId]);
+    return result.rows;
+  }
+
+  async storeAuditEntry(entry) {
+    await this.ensureInitialized();
+    const { auditId, action, actorId, targetId, reason, details = {}, createdAt } = entry;
+    await this.pool.query(`
+      INSERT INTO moderation_audit_log (audit_id, action, actor_id, target_id, reason, details, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [auditId, action, actorId, targetId, reason, JSON.stringify(details), new Date(createdAt)]);
+    return { ...entry };
+  }
+
+  // Newest first
+  async getAuditLog({ action = null, targetId = null, limit = 50, offset = 0 } = {}) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(`
+      SELECT
+        audit_id AS "auditId",
+        action,
+        actor_id AS "actorId",
+        target_id AS "targetId",
+        reason,
+        details,
+        created_at AS "createdAt",
+        COUNT(*) OVER()::int AS total
+      FROM moderation_audit_log
+      WHERE ($1::VARCHAR IS NULL OR action = $1)
+        AND ($2::VARCHAR IS NULL OR target_id = $2)
+      ORDER BY created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [action, targetId, limit, offset]);
+
+    return {
+      entries: result.rows.map(({ total, ...entry }) => entry),
+      total: result.rows.length > 0 ? result.rows[0].total : 0,
+    };
+  }
+
+  // Returns false when the user was already blocked
+  async blockUser(userId, blockedUserId) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(`
+      INSERT INTO user_blocks (user_id, blocked_user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id, blocked_user_id) DO NOTHING
+    `, [userId, blockedUserId]);
+    return result.rowCount > 0;
+  }
+
+  async unblockUser(userId, blockedUserId) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(
+      'DELETE FROM user_blocks WHERE user_id = $1 AND blocked_user_id = $2',
+      [userId, blockedUserId]
+    );
+    return result.rowCount > 0;
+  }
+
+  async getBlockedUsers(userId) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(`
+      SELECT blocked_user_id AS "userId", blocked_at AS "blockedAt"
+      FROM user_blocks
+      WHERE user_id = $1
+      ORDER BY blocked_at
+    `, [userId]);
+    return result.rows;
+  }
+
+  // Disappearing messages of a private conversation, one setting per pair of users
+  async setConversationTtl(userId, otherPartyId, ttlSeconds) {
+    await this.ensureInitialized();
+    const [userA, userB] = [userId, otherPartyId].sort();
+    const result = await this.pool.query(`
+      INSERT INTO conversation_settings (user_a, user_b, ttl_seconds, set_by, updated_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (user_a, user_b)
+      DO UPDATE SET ttl_seconds = EXCLUDED.ttl_seconds, set_by = EXCLUDED.set_by, updated_at = EXCLUDED.updated_at
+      RETURNING ttl_seconds AS "ttlSeconds", set_by AS "setBy", updated_at AS "updatedAt"
+    `, [userA, userB, ttlSeconds, userId]);
+    return result.rows[0];
+  }
+
+  async getConversationTtl(userId, otherPartyId) {
+    await this.ensureInitialized();
+    const [userA, userB] = [userId, otherPartyId].sort();
+    const result = await this.pool.query(`
+      SELECT ttl_seconds AS "ttlSeconds", set_by AS "setBy", updated_at AS "updatedAt"
+      FROM conversation_settings
+      WHERE user_a = $1 AND user_b = $2
+    `, [userA, userB]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Hard delete the messages past their expiresAt, both copies, with their edits, reactions, receipts
+   * and the attachment records no other message uses.
+   * Returns { messages: one { messageId, senderId, recipientId } per deleted message,
+   * attachments: { attachmentId, hasThumbnail } of the deleted attachment records }.
+   */
+  async deleteExpiredMessages(now) {
+    await this.ensureInitialized();
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        DELETE FROM messages
+        WHERE expires_at IS NOT NULL AND expires_at <= $1
+        RETURNING message_id AS "messageId", sender_id AS "senderId", recipient_id AS "recipientId", attachments
+      `, [new Date(now)]);
+
+      const expired = [...new Map(result.rows.map(({ messageId, senderId, recipientId }) =>
+        [messageId, { messageId, senderId, recipientId }])).values()];
+      const messageIds = expired.map(row => row.messageId);
+      if (messageIds.length > 0) {
+        await client.query('DELETE FROM message_edits WHERE message_id = ANY($1)', [messageIds]);
+        await client.query('DELETE FROM message_reactions WHERE message_id = ANY($1)', [messageIds]);
+        await client.query('DELETE FROM message_receipts WHERE message_id = ANY($1)', [messageIds]);
+      }
+
+      // the same attachment may be sent in several messages
+      const attachmentIds = [...new Set(result.rows.flatMap(row => (row.attachments || []).map(a => a.attachmentId)))];
+      let attachments = [];
+      if (attachmentIds.length > 0) {
+        const deleted = await client.query(`
+          DELETE FROM attachments a
+          WHERE a.attachment_id = ANY($1)
+            AND NOT EXISTS (
+              SELECT 1 FROM messages m
+              WHERE m.attachments @> jsonb_build_array(jsonb_build_object('attachmentId', a.attachment_id))
+            )
+          RETURNING attachment_id AS "attachmentId", has_thumbnail AS "hasThumbnail"
+        `, [attachmentIds]);
+        attachments = deleted.rows;
+      }
+      await client.query('COMMIT');
+      return { messages: expired, attachments };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in deleteExpiredMessages:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // One revocation per kind (jti / sub) and key, a new one replaces the previous
+  async storeRevocation(revocation) {
+    await this.ensureInitialized();
+    const { kind, key, revokedAt, expiresAt, reason, revokedBy } = revocation;
+    await this.pool.query(`
+      INSERT INTO token_revocations (kind, key, revoked_at, expires_at, reason, revoked_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (kind, key)
+      DO UPDATE SET
+        revoked_at = EXCLUDED.revoked_at,
+        expires_at = EXCLUDED.expires_at,
+        reason = EXCLUDED.reason,
+        revoked_by = EXCLUDED.revoked_by
+    `, [kind, key, new Date(revokedAt), expiresAt ? new Date(expiresAt) : null, reason, revokedBy]);
+    return { ...revocation };
+  }
+
+  /**
+   * Revocations not expired yet of the given { jti, subjects }
+   */
+  async getRevocations({ jti = null, subjects = [] } = {}) {
+    await this.ensureInitialized();
+    const result = await this.pool.query(`
+      SELECT
+        kind,
+        key,
+        revoked_at AS "revokedAt",
+        expires_at AS "expiresAt",
+        reason,
+        revoked_by AS "revokedBy"
+      FROM token_revocations
+      WHERE ((kind = 'jti' AND key = $1) OR (kind = 'sub' AND key = ANY($2)))
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [jti, subjects]);
+    return result.rows;
+  }
+
+  // Returns false when the token was already used, the primary key settles concurrent handshakes
+  async storeUsedToken(jti, expiresAt) {
+    await this.ensureInitialized();
+    await this.pool.query('DELETE FROM used_tokens WHERE expires_at <= NOW()');
+    const result = await this.pool.query(`
+      INSERT INTO used_tokens (jti, expires_at)
+      VALUES ($1, $2)
+      ON CONFLICT (jti) DO NOTHING
+    `, [jti, new Date(expiresAt)]);
+    return result.rowCount > 0;
+  }
+}
@@ -0,0 +1,22 @@
+import { PresenceStoreInterface } from './PresenceStoreInterface.mjs';
+
+/**
+ * Process-local presence, for single node deployments and tests
+ */
+export class MemoryPresenceStore extends PresenceStoreInterface {
+  constructor() {
+    super();
+    this.users = new Map(); // userId -> user data
+    this.sockets = new Map(); // socketId -> userId
+  }
+
+  isLocalSocket() {
+    return true;
+  }
+
+  async init() { }
+
+  async flush() { }
+
+  async close() { }
+}
@@ -0,0 +1,301 @@
+import pg from 'pg';
+import { v4 as uuidv4 } from 'uuid';
+
+import { PresenceStoreInterface } from './PresenceStoreInterface.mjs';
+import { getPoolOptions } from './persistPostgres.mjs';
+import { debug, CLUSTER_NODE_ID, PRESENCE_HEARTBEAT_INTERVAL, PRESENCE_NODE_TIMEOUT } from '../config.mjs';
+
+const { Pool } = pg;
+
+const PRESENCE_CHANNEL = 'presence';
+
+/**
+ * Local copy of one presence collection, written through to the store.
+ * Changes made by the other nodes are applied with `_apply` / `_applyClear`.
+ */
+class ReplicatedMap extends Map {
+  constructor(store, collection) {
+    super();
+    this.store = store;
+    this.collection = collection;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.store._write(this.collection, 'set', key, value);
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    this.store._write(this.collection, 'delete', key);
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.store._write(this.collection, 'clear');
+  }
+
+  _apply(key, value) {
+    if (value === undefined) super.delete(key);
+    else super.set(key, value);
+  }
+
+  _applyClear() {
+    super.clear();
+  }
+}
+
+/**
+ * Presence shared through Postgres. Users (without their sockets) are stored in `presence_users`,
+ * and each socket in its own `presence_sockets` row tagged with the node holding it, so two nodes
+ * updating the sockets of one user never overwrite each other. Writes are announced with NOTIFY,
+ * the other nodes LISTEN and read the user back. Reads never hit the database.
+ *
+ * Every node refreshes its heartbeat in `presence_nodes`; the sockets of a node silent for
+ * PRESENCE_NODE_TIMEOUT (a crashed process) are purged by the others.
+ */
+export class PostgresPresenceStore extends PresenceStoreInterface {
+  constructor(options = {}) {
+    super();
+    const connectionString = options.connectionString || process.env.DATABASE_URL;
+    if (!connectionString) {
+      throw new Error('DATABASE_URL is required for PostgresPresenceStore');
+    }
+
+    this.nodeId = options.nodeId || CLUSTER_NODE_ID || uuidv4();
+    this.pool = new Pool(getPoolOptions(connectionString));
+    this.pool.on('error', (err) => {
+      console.error('Unexpected presence pool error:', err);
+    });
+
+    this.users = new ReplicatedMap(this, 'users');
+    this.sockets = new ReplicatedMap(this, 'sockets');
+    this.remoteSockets = new Set(); // socketIds held by the other nodes
+    this.listener = null;
+    this.heartbeat = null;
+    this.pending = Promise.resolve(); // writes are sent in order
+  }
+
+  isLocalSocket(socketId) {
+    return !this.remoteSockets.has(socketId);
+  }
+
+  async init() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS presence_users (
+        user_id VARCHAR(255) PRIMARY KEY,
+        value JSONB NOT NULL,
+        node_id VARCHAR(100) NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS presence_sockets (
+        socket_id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        value JSONB NULL,
+        node_id VARCHAR(100) NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_presence_sockets_user_id ON presence_sockets(user_id);
+      CREATE INDEX IF NOT EXISTS idx_presence_sockets_node_id ON presence_sockets(node_id);
+      CREATE TABLE IF NOT EXISTS presence_nodes (
+        node_id VARCHAR(100) PRIMARY KEY,
+        heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await this._beat();
+
+    this.listener = await this.pool.connect();
+    this.listener.on('notification', (msg) => {
+      this._onNotification(msg.payload).catch(error => {
+        console.error('Failed to apply presence change:', error.message);
+      });
+    });
+    await this.listener.query(`LISTEN ${PRESENCE_CHANNEL}`);
+
+    const { rows } = await this.pool.query('SELECT user_id AS "userId" FROM presence_users');
+    await Promise.all(rows.map(row => this._refreshUser(row.userId)));
+    const { rows: sockets } = await this.pool.query(
+      'SELECT socket_id AS "socketId", user_id AS "userId", node_id AS "nodeId" FROM presence_sockets'
+    );
+    sockets.forEach(row => this._applySocket(row.socketId, row));
+
+    this.heartbeat = setInterval(() => {
+      this._beat().catch(error => {
+        console.error('Presence heartbeat failed:', error.message);
+      });
+    }, PRESENCE_HEARTBEAT_INTERVAL);
+
+    if (debug) console.log(`✅ Presence shared through Postgres (node ${this.nodeId}, ${rows.length} users)`);
+  }
+
+  _notify(payload) {
+    return this.pool.query('SELECT pg_notify($1, $2)', [
+      PRESENCE_CHANNEL,
+      JSON.stringify({ nodeId: this.nodeId, ...payload }),
+    ]);
+  }
+
+  _write(collection, op, key = null, value = undefined) {
+    // the value as of now, the caller may keep mutating it
+    const snapshot = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    this.pending = this.pending.then(async () => {
+      const userIds = collection === 'users' ? [key] : [];
+      if (collection === 'users' && op === 'set') {
+        await this._writeUser(key, snapshot);
+      } else if (collection === 'users' && op === 'delete') {
+        // the user row stays while the sockets of another node remain
+        await this.pool.query('DELETE FROM presence_sockets WHERE user_id = $1 AND node_id = $2', [key, this.nodeId]);
+        await this.pool.query(`
+          DELETE FROM presence_users u
+          WHERE u.user_id = $1 AND NOT EXISTS (SELECT 1 FROM presence_sockets s WHERE s.user_id = u.user_id)
+        `, [key]);
+      } else if (collection === 'sockets' && op === 'set') {
+        this.remoteSockets.delete(key);
+        await this.pool.query(`
+          INSERT INTO presence_sockets (socket_id, user_id, node_id, updated_at)
+          VALUES ($1, $2, $3, NOW())
+          ON CONFLICT (socket_id)
+          DO UPDATE SET user_id = EXCLUDED.user_id, node_id = EXCLUDED.node_id, updated_at = NOW()
+        `, [key, snapshot, this.nodeId]);
+        userIds.push(snapshot);
+      } else if (collection === 'sockets' && op === 'delete') {
+        const { rows } = await this.pool.query(
+          'DELETE FROM presence_sockets WHERE socket_id = $1 RETURNING user_id AS "userId"', [key]
+        );
+        userIds.push(...rows.map(row => row.userId));
+      } else {
+        await this.pool.query(collection === 'users' ? 'DELETE FROM presence_users' : 'DELETE FROM presence_sockets');
+      }
+      await this._notify({ collection, op, key, userIds });
+    }).catch(error => {
+      console.error(`Failed to share presence ${op} ${collection}/${key}:`, error.message);
+    });
+  }
+
+  // The user fields, and the sockets of this node, the ones of the other nodes are theirs to write
+  async _writeUser(userId, user) {
+    const { sockets = [], ...fields } = user;
+    const ownSockets = sockets.filter(sock => sock?.socketId && this.isLocalSocket(sock.socketId));
+
+    await this.pool.query(`
+      INSERT INTO presence_users (user_id, value, node_id, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (user_id)
+      DO UPDATE SET value = EXCLUDED.value, node_id = EXCLUDED.node_id, updated_at = NOW()
+    `, [userId, JSON.stringify(fields), this.nodeId]);
+    for (const sock of ownSockets) {
+      await this.pool.query(`
+        INSERT INTO presence_sockets (socket_id, user_id, value, node_id, updated_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (socket_id)
+        DO UPDATE SET user_id = EXCLUDED.user_id, value = EXCLUDED.value, updated_at = NOW()
+      `, [sock.socketId, userId, JSON.stringify(sock), this.nodeId]);
+    }
+    await this.pool.query(`
+      DELETE FROM presence_sockets
+      WHERE user_id = $1 AND node_id = $2 AND value IS NOT NULL AND NOT (socket_id = ANY($3))
+    `, [userId, this.nodeId, ownSockets.map(sock => sock.socketId)]);
+  }
+
+  // Reads the user and every socket of it back, whichever node wrote them
+  async _refreshUser(userId) {
+    const [{ rows: users }, { rows: sockets }] = await Promise.all([
+      this.pool.query('SELECT value FROM presence_users WHERE user_id = $1', [userId]),
+      this.pool.query(`
+        SELECT socket_id AS "socketId", user_id AS "userId", value, node_id AS "nodeId"
+        FROM presence_sockets WHERE user_id = $1 ORDER BY updated_at
+      `, [userId]),
+    ]);
+
+    sockets.forEach(row => this._applySocket(row.socketId, row));
+    for (const [socketId, socketUserId] of this.sockets.entries()) {
+      if (socketUserId === userId && !sockets.some(row => row.socketId === socketId)) {
+        this._applySocket(socketId, null);
+      }
+    }
+    this.users._apply(userId, users.length > 0
+      ? { ...users[0].value, sockets: sockets.filter(row => row.value).map(row => row.value) }
+      : undefined);
+  }
+
+  _applySocket(socketId, row) {
+    if (!row) {
+      this.remoteSockets.delete(socketId);
+      this.sockets._apply(socketId, undefined);
+      return;
+    }
+    if (row.nodeId !== this.nodeId) this.remoteSockets.add(socketId);
+    this.sockets._apply(socketId, row.userId);
+  }
+
+  // NOTIFY payloads are limited to 8000 bytes, so the users are read back from the tables
+  async _onNotification(payload) {
+    const { nodeId, collection, op, key, userIds = [] } = JSON.parse(payload);
+    if (nodeId === this.nodeId) return;
+
+    if (op === 'clear') {
+      if (collection === 'sockets') this.remoteSockets.clear();
+      this._collection(collection)._applyClear();
+      return;
+    }
+    if (collection === 'sockets' && op === 'delete') {
+      this._applySocket(key, null);
+    }
+    await Promise.all(userIds.map(userId => this._refreshUser(userId)));
+  }
+
+  _collection(name) {
+    return name === 'users' ? this.users : this.sockets;
+  }
+
+  // Keeps this node alive, and purges the sockets of the nodes that stopped beating
+  async _beat() {
+    await this.pool.query(`
+      INSERT INTO presence_nodes (node_id, heartbeat_at) VALUES ($1, NOW())
+      ON CONFLICT (node_id) DO UPDATE SET heartbeat_at = NOW()
+    `, [this.nodeId]);
+
+    const { rows } = await this.pool.query(`
+      DELETE FROM presence_sockets s
+      WHERE NOT EXISTS (
+        SELECT 1 FROM presence_nodes n
+        WHERE n.node_id = s.node_id AND n.heartbeat_at > NOW() - make_interval(secs => $1)
+      )
+      RETURNING socket_id AS "socketId", user_id AS "userId"
+    `, [PRESENCE_NODE_TIMEOUT / 1000]);
+    await this.pool.query(`
+      DELETE FROM presence_nodes WHERE heartbeat_at <= NOW() - make_interval(secs => $1)
+    `, [PRESENCE_NODE_TIMEOUT / 1000]);
+    if (rows.length === 0) return;
+
+    // users left without any socket are gone with their node
+    const userIds = [...new Set(rows.map(row => row.userId))];
+    await this.pool.query(`
+      DELETE FROM presence_users u
+      WHERE u.user_id = ANY($1) AND NOT EXISTS (SELECT 1 FROM presence_sockets s WHERE s.user_id = u.user_id)
+    `, [userIds]);
+    if (debug) console.log(`Purged ${rows.length} presence sockets of stopped nodes`);
+
+    rows.forEach(row => this._applySocket(row.socketId, null));
+    await Promise.all(userIds.map(userId => this._refreshUser(userId)));
+    await this._notify({ collection: 'sockets', op: 'purge', key: null, userIds });
+  }
+
+  async flush() {
+    await this.pending;
+  }
+
+  async close() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    await this.flush();
+    if (this.listener) {
+      await this.listener.query(`UNLISTEN ${PRESENCE_CHANNEL}`).catch(() => { });
+      this.listener.release();
+      this.listener = null;
+    }
+    await this.pool.end();
+  }
+}
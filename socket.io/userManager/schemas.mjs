@@ -20,9 +20,38 @@ export const socketIdsSchema = Joi.array().items(socketIdSchema).default([]).req
 export const sessionIdSchema = Joi.string().description('Unique session ID generated for the user');
 
 export const messageIdSchema = Joi.string().optional().max(50).description('Unique message identifier');
+export const clientMessageIdSchema = Joi.string().min(1).max(100).description('Message identifier generated by the sender client, to deduplicate retries');
 export const contentSchema = Joi.string().min(1).max(5000).required().description('Message content');
 
+// Attachments
+// Types a browser would run when opened from our origin
+export const ATTACHMENT_BLOCKED_MIME_TYPES = Object.freeze([
+  'text/html', 'application/xhtml+xml', 'image/svg+xml', 'text/javascript', 'application/javascript',
+  'application/x-msdownload', 'application/x-sh',
+]);
+// Served inline (previews), every other type is served as a download
+export const ATTACHMENT_INLINE_MIME_TYPES = Object.freeze([
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf',
+]);
+export const MAX_MESSAGE_ATTACHMENTS = 10;
+export const attachmentIdSchema = Joi.string().pattern(/^att-[0-9a-f-]{36}$/).description('Unique attachment identifier');
+export const attachmentIdsSchema = Joi.array().items(attachmentIdSchema).max(MAX_MESSAGE_ATTACHMENTS).unique().default([]);
+export const mimeTypeSchema = Joi.string().lowercase()
+  .pattern(/^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/, 'type/subtype')
+  .invalid(...ATTACHMENT_BLOCKED_MIME_TYPES)
+  .description('MIME type of an attachment');
+export const messageAttachmentSchema = Joi.object({
+  attachmentId: attachmentIdSchema.required(),
+  fileName: Joi.string().max(255).required(),
+  mimeType: mimeTypeSchema.required(),
+  size: Joi.number().integer().min(1).required().description('Size in bytes'),
+  url: Joi.string().required(),
+  thumbnailUrl: Joi.string().optional().allow(null).description('Only for images'),
+}).description('Attachment as carried by a message');
+
 export const MESSAGE_STATUS_ORDERED = Object.freeze(['sent', 'pending', 'delivered', 'read', 'failed']);
+export const MESSAGE_TYPES = Object.freeze(['private', 'public', 'group']);
+export const messageTypeSchema = Joi.string().valid(...MESSAGE_TYPES).description('Message type');
 export const statusSchema = Joi.string()
   .valid(...MESSAGE_STATUS_ORDERED)
   .default('sent')
@@ -192,7 +221,7 @@ export const getMessagesUOptionsSchema = Joi.object({
   // filter set conversations
   messageIds: Joi.array().items(messageIdSchema).optional().allow(null).default(null).description('Filter messages by message id'),
 
-  type: Joi.string().valid('private', 'public').required().default('private').description('Filter messages by type'),
+  type: messageTypeSchema.required().default('private').description('Filter messages by type'),
 
   senderId: userIdSchema.optional().allow(null).default(null).description('options Filter messages by senderId'),
   recipientId: Joi.string().optional().allow(null).default(null).description('option Filter messages for incoming messages'),
@@ -201,16 +230,24 @@ export const getMessagesUOptionsSchema = Joi.object({
   direction: directionSchema.optional(),
   unreadOnly: Joi.boolean().optional().default(false).description('Retrieve only unread messages'),
   otherPartyId: userIdSchema.optional().allow(null).default(null).description('Used only with type: "public". option Filter messages where the specified other party is either the sender or receiverId for'),
+  replyTo: messageIdSchema.optional().allow(null).default(null).description('option Filter replies to this parent messageId'),
 }).description('Options for fetching messages');
 
 
+// Opaque keyset pagination cursor (created_at + messageId of a message)
+export const messageCursorSchema = Joi.string().max(500).description('Opaque message cursor');
+
 export const getUserConversationUOptionsSchema = Joi.object({
   limit: Joi.number().integer().min(0).max(100).default(20), // Number of messages to fetch
   offset: Joi.number().integer().min(0).default(0), // Offset for pagination
-  type: Joi.string().optional().allow(null).valid('private', 'public').default('private'), // Type of messages to fetch
+  type: messageTypeSchema.optional().allow(null).default('private'), // Type of messages to fetch
   status: statusSchema.optional().allow(null).default(null),
   otherPartyId: userIdSchema.required().default(null).description('option Filter messages where the specified other party is either the sender or receiverId'),
-});
+  threadOf: messageIdSchema.optional().allow(null).default(null).description('option Return only the replies to this parent messageId'),
+  // Giving one of them (before: null for the latest page) switches from offset to keyset pagination
+  before: messageCursorSchema.optional().allow(null).description('option Messages older than this cursor (prevCursor)'),
+  after: messageCursorSchema.optional().allow(null).description('option Messages newer than this cursor (nextCursor)'),
+}).oxor('before', 'after');
 export const getUserConversationPOptionsSchema = getUserConversationUOptionsSchema.clone().keys({
   userId: userIdSchema.required().allow(null).default(null).description('option Filter userId oucoming,incoming messages'),
 });
@@ -222,20 +259,24 @@ export const baseMessageSchema = Joi.object({
   recipientId: userIdSchema.required().description('Recipient user ID'),
   content: contentSchema.required(),
   status: statusSchema.required(),
-  type: Joi.string()
-    .valid('private', 'public')
+  type: messageTypeSchema
     .required()
-    .description('Message type')
     .default('private'),
   // Optional fields - exactly matching the interface
   direction: directionSchema.optional(),
   status: statusSchema.required(),
   readAt: readAtSchema.optional(),
+  replyTo: messageIdSchema.optional().allow(null).description('Parent messageId when the message is a threaded reply'),
+  attachments: Joi.array().items(messageAttachmentSchema).max(MAX_MESSAGE_ATTACHMENTS).optional(),
+  clientMessageId: clientMessageIdSchema.optional().allow(null),
+  expiresAt: timestampSchema.optional().allow(null).description('Disappearing messages: hard deleted past this date'),
 });
 
 export const persistMessageSchema = baseMessageSchema.clone().keys({
   createdAt: timestampSchema.description('Message creation timestamp in ISO format'),
   updatedAt: timestampSchema.description('Message creation timestamp in ISO format'),
+  editedAt: timestampSchema.optional().allow(null).description('Last content edit timestamp in ISO format'),
+  deletedAt: timestampSchema.optional().allow(null).description('Set on tombstones, messages deleted for everyone'),
 })
 
 // Mark Messages as Read Schemas
@@ -371,19 +412,16 @@ export const schemas = {
       senderId: userIdSchema.required(),
       recipientId: userIdSchema.required(),
       content: contentSchema.required(),
+      replyTo: messageIdSchema.optional().allow(null),
+      attachments: attachmentIdsSchema.optional(),
     }),
     out: baseMessageSchema,
   },
-  getAndDeliverPendingMessages: {
+  getPendingMessages: {
     in: Joi.object({
-      userId: userIdSchema.required(),
+      socketId: socketIdSchema.required(),
     }),
-    out: Joi.object({
-      delivered: Joi.number().integer().min(0).required(),
-      total: Joi.number().integer().min(0).required(),
-      failed: Joi.number().integer().min(0).required(),
-      pendingMessages: Joi.array().items(baseMessageSchema).required(),
-    }).description('Result of delivering pending messages'),
+    out: Joi.array().items(baseMessageSchema).description('Pending incoming private messages, oldest first'),
   },
   loadUserMessages: {
     in: Joi.object({
@@ -455,13 +493,217 @@ export const getConversationsListUOptionsSchema = Joi.object({
   offset: Joi.number().integer().min(0).default(0),
   include: Joi.array().items(Joi.string().valid('metadata')).allow(null).default([]),
   otherPartyId: userIdSchema.optional().description('optional. filter result to one specific user conversation'),
-  type: Joi.string().optional().allow(null).valid('private', 'public').default('private')
+  type: messageTypeSchema.optional().allow(null).default('private')
     .description('optional. filter result to one type of user conversation'),
 });
 // P=Persistence
 export const getConversationsListPOptionsSchema = getConversationsListUOptionsSchema.clone().keys({
   userId: userIdSchema.required().allow(null).default(null).description('the requesting user'),
-  include: Joi.array().items(Joi.string().valid('metadata')).allow(null).default([])
+  include: Joi.array().items(Joi.string().valid('metadata')).allow(null).default([]),
+  limit: Joi.number().integer().min(1).default(10), // no max, e.g. one entry per group of the user
+  otherPartyIds: Joi.array().items(userIdSchema).optional().description('optional. filter result to these conversations'),
+});
+
+// Groups
+export const GROUP_ROLES_ORDERED = Object.freeze(['member', 'admin', 'owner']);
+export const groupIdSchema = Joi.string().min(1).max(100).description('Unique identifier for the group');
+export const groupNameSchema = Joi.string().trim().min(1).max(255).description('Group display name');
+export const groupRoleSchema = Joi.string().valid(...GROUP_ROLES_ORDERED).description('Member role inside a group');
+// "owner" is held by the group creator only, it can't be granted
+const assignableGroupRoleSchema = Joi.string().valid('member', 'admin').description('Assignable member role');
+
+export const groupMemberSchema = Joi.object({
+  userId: userIdSchema.required(),
+  role: groupRoleSchema.required().default('member'),
+  joinedAt: timestampSchema.optional(),
+}).description('Group member');
+
+export const groupSchema = Joi.object({
+  groupId: groupIdSchema.required(),
+  name: groupNameSchema.required(),
+  ownerId: userIdSchema.required(),
+  members: Joi.array().items(groupMemberSchema).default([]),
+  createdAt: timestampSchema.optional(),
+  updatedAt: timestampSchema.optional(),
+}).description('Group conversation');
+
+export const createGroupOptionsSchema = Joi.object({
+  name: groupNameSchema.required(),
+  memberIds: Joi.array().items(userIdSchema).unique().max(256).default([])
+    .description('Initial members besides the creator (joined as "member")'),
+});
+
+export const renameGroupOptionsSchema = Joi.object({
+  groupId: groupIdSchema.required(),
+  name: groupNameSchema.required(),
+});
+
+export const deleteGroupOptionsSchema = Joi.object({
+  groupId: groupIdSchema.required(),
+});
+
+export const addGroupMembersOptionsSchema = Joi.object({
+  groupId: groupIdSchema.required(),
+  memberIds: Joi.array().items(userIdSchema).unique().min(1).max(256).required(),
+  role: assignableGroupRoleSchema.default('member')
+    .description('Role for the new members'),
+});
+
+export const removeGroupMembersOptionsSchema = Joi.object({
+  groupId: groupIdSchema.required(),
+  memberIds: Joi.array().items(userIdSchema).unique().min(1).max(256).required(),
+});
+
+export const setGroupMemberRoleOptionsSchema = Joi.object({
+  groupId: groupIdSchema.required(),
+  userId: userIdSchema.required(),
+  role: assignableGroupRoleSchema.required(),
+});
+
+export const sendGroupMessageOptionsSchema = Joi.object({
+  groupId: groupIdSchema.required(),
+  content: contentSchema.required(),
+});
+
+// Message edits
+export const editMessageOptionsSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+  content: contentSchema.required(),
+});
+
+export const getMessageEditHistoryOptionsSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+});
+
+export const messageEditSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+  content: contentSchema.required().description('Content before the edit'),
+  editedBy: userIdSchema.required(),
+  recipientId: userIdSchema.required(),
+  editedAt: timestampSchema.required(),
+}).description('Previous version of an edited message');
+
+// Message deletion
+export const DELETE_MESSAGE_SCOPES = Object.freeze(['me', 'everyone']);
+export const deleteMessageOptionsSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+  scope: Joi.string().valid(...DELETE_MESSAGE_SCOPES).default('me')
+    .description('"me" removes the caller copy only, "everyone" leaves a tombstone on both copies (sender only)'),
+});
+
+// Message reactions
+export const REACTION_EMOJIS = Object.freeze(['👍', '❤️', '😂', '😮', '😢', '🙏']);
+export const toggleReactionOptionsSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+  emoji: Joi.string().valid(...REACTION_EMOJIS).required().description('One of REACTION_EMOJIS'),
+});
+
+// Delivery receipts: one per recipient socket, independent of the message status (see MESSAGE_STATUS_ORDERED)
+export const RECEIPT_STATUSES = Object.freeze(['delivered', 'failed']);
+export const messageReceiptSchema = Joi.object({
+  recipientId: userIdSchema.required(),
+  socketId: socketIdSchema.required(),
+  sessionId: sessionIdSchema.allow(null).default(null),
+  status: Joi.string().valid(...RECEIPT_STATUSES).required(),
+  reason: Joi.string().max(50).allow(null).default(null).description('Why the delivery failed, e.g. timeout'),
+});
+
+export const getMessageReceiptsOptionsSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+});
+
+// A private message that expired undelivered (failed)
+export const resendMessageOptionsSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+});
+
+// Disappearing messages of a private conversation, null turns them off
+export const CONVERSATION_TTL_SECONDS = Object.freeze([60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60]);
+export const setConversationTtlOptionsSchema = Joi.object({
+  otherPartyId: userIdSchema.required(),
+  ttlSeconds: Joi.number().integer().valid(...CONVERSATION_TTL_SECONDS).allow(null).required().description('One of CONVERSATION_TTL_SECONDS'),
+});
+
+export const getConversationTtlOptionsSchema = Joi.object({
+  otherPartyId: userIdSchema.required(),
+});
+
+export const createAttachmentUploadOptionsSchema = Joi.object({
+  fileName: Joi.string().trim().min(1).max(255).pattern(/^[^\\/\0]+$/, 'file name').required(),
+  mimeType: mimeTypeSchema.required(),
+  size: Joi.number().integer().min(1).required().description('Size in bytes, checked against ATTACHMENT_MAX_BYTES'),
+});
+
+export const blockUserOptionsSchema = Joi.object({
+  userId: userIdSchema.required().description('The user to block / unblock'),
+});
+
+// Moderation (admin only)
+export const SANCTION_TYPES = Object.freeze(['ban', 'mute']);
+export const AUDIT_ACTIONS = Object.freeze(['kick', 'mute', 'unmute', 'ban', 'unban', 'removePublicMessage', 'revokeToken', 'revokeUserTokens']);
+const moderationReasonSchema = Joi.string().trim().max(500).allow('').default('').description('Shown to the user and kept in the audit log');
+export const kickUserOptionsSchema = Joi.object({
+  userId: userIdSchema.required(),
+  reason: moderationReasonSchema,
+});
+export const muteUserOptionsSchema = Joi.object({
+  userId: userIdSchema.required(),
+  minutes: Joi.number().integer().min(1).max(365 * 24 * 60).default(15),
+  reason: moderationReasonSchema,
+});
+export const banUserOptionsSchema = Joi.object({
+  userId: userIdSchema.required(),
+  minutes: Joi.number().integer().min(1).allow(null).default(null).description('null bans until unbanUser'),
+  reason: moderationReasonSchema,
+});
+export const liftSanctionOptionsSchema = Joi.object({
+  userId: userIdSchema.required(),
+});
+export const removePublicMessageOptionsSchema = Joi.object({
+  messageId: messageIdSchema.required(),
+  reason: moderationReasonSchema,
+});
+export const getAuditLogOptionsSchema = Joi.object({
+  action: Joi.string().valid(...AUDIT_ACTIONS).optional(),
+  targetId: Joi.string().max(100).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+// Token revocation (admin only), by token id or for every token of a user issued so far
+export const REVOCATION_KINDS = Object.freeze(['jti', 'sub']);
+export const revokeTokenOptionsSchema = Joi.object({
+  jti: Joi.string().trim().min(1).max(255).required(),
+  expiresAt: Joi.date().iso().optional().description('Token exp, the revocation can be dropped after it'),
+  reason: moderationReasonSchema,
+});
+export const revokeUserTokensOptionsSchema = Joi.object({
+  userId: userIdSchema.required(),
+  reason: moderationReasonSchema,
+});
+
+// Keyset page of a conversation, see getUserConversation before/after
+export const conversationPageOptionsSchema = Joi.object({
+  type: messageTypeSchema.required(),
+  otherPartyId: userIdSchema.required().description('The other user, the groupId or PUBLIC_MESSAGE_USER_ID'),
+  threadOf: messageIdSchema.optional().allow(null).default(null),
+  before: messageCursorSchema.optional().allow(null),
+  after: messageCursorSchema.optional().allow(null),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+}).oxor('before', 'after');
+
+// Message search
+// Matched words are wrapped with these markers in the result snippets, the rest of the
+// snippet is HTML escaped message content, in both persistence backends
+export const SEARCH_HIGHLIGHT = Object.freeze({ start: '<mark>', stop: '</mark>' });
+export const searchMessagesOptionsSchema = Joi.object({
+  query: Joi.string().trim().min(1).max(200).required().description('Words to find, all of them must match'),
+  otherPartyId: userIdSchema.optional().allow(null).default(null).description('Only messages exchanged with this user (or sent to this group)'),
+  type: messageTypeSchema.optional().allow(null).default(null),
+  since: timestampSchema.optional().allow(null).default(null),
+  until: timestampSchema.optional().allow(null).default(null),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
 });
 
 // Validation Wrapper Function
@@ -0,0 +1,36 @@
+import { jest, describe, expect, test } from '@jest/globals';
+
+// Outside tests, without the TEST_MIDDLEWARE_CLAIMS opt-in
+const config = await import('a-socket/config.mjs');
+jest.unstable_mockModule('a-socket/config.mjs', () => ({ ...config, TEST_MIDDLEWARE_CLAIMS: false }));
+
+const { testMiddleware, testReauthenticate } = await import('a-socket/middleware-auth.mjs');
+
+describe('Test Middleware without TEST_MIDDLEWARE_CLAIMS', () => {
+  test('should ignore the userId and claims of the handshake auth', async () => {
+    const socket = {
+      id: 'socket-123',
+      handshake: { auth: { userId: 'admin-user', roles: ['admin'], tenant: 'tenant-a', exp: 1 } },
+    };
+    const next = jest.fn();
+
+    await testMiddleware(socket, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(socket.user).toMatchObject({
+      userId: 'test-user',
+      tenant: config.DEFAULT_TENANT,
+      roles: ['user'],
+      expiresAt: null,
+    });
+  });
+
+  test('should ignore the userId and claims of a re-authentication', async () => {
+    const socket = { id: 'socket-123', handshake: { auth: {} } };
+    await testMiddleware(socket, jest.fn());
+
+    await testReauthenticate(socket, { userId: 'admin-user', roles: ['admin'] });
+
+    expect(socket.user).toMatchObject({ userId: 'test-user', roles: ['user'] });
+  });
+});
@@ -0,0 +1,90 @@
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createPassportStore, validatePassports } from 'a-socket/passportStore.mjs';
+import { getClient } from 'a-socket/jwt-passport/index.mjs';
+
+const passport = (iss, extra = {}) => ({ iss, roles: ['user'], algorithms: ['RS256'], ...extra });
+
+describe('createPassportStore', () => {
+  let dir, path, store;
+
+  const writePassport = (data) => writeFile(path, typeof data === 'string' ? data : JSON.stringify(data));
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'passport-'));
+    path = join(dir, 'passport.json');
+    await writePassport(passport('https://issuer-a.example.com'));
+    store = createPassportStore({ path, debounceMs: 10 });
+  });
+
+  afterEach(async () => {
+    store.unwatch();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should read the passport file once', async () => {
+    const first = await store.get();
+    await writePassport(passport('https://issuer-b.example.com'));
+
+    expect(first.iss).toBe('https://issuer-a.example.com');
+    expect(await store.get()).toBe(first);
+  });
+
+  test('should swap in the new passport on reload', async () => {
+    await store.get();
+    await writePassport([passport('https://issuer-b.example.com'), passport('https://issuer-c.example.com')]);
+
+    const result = await store.reload();
+    expect(result).toEqual({
+      issuers: ['https://issuer-b.example.com', 'https://issuer-c.example.com'],
+      reloadedAt: expect.any(String),
+    });
+    expect(await store.get()).toHaveLength(2);
+  });
+
+  test('should keep the previous passport when the new one is invalid', async () => {
+    const previous = await store.get();
+
+    await writePassport(passport('not an uri'));
+    await expect(store.reload()).rejects.toThrow(/^Invalid passport: /);
+    await writePassport([passport('https://issuer-a.example.com'), passport('https://issuer-a.example.com')]);
+    await expect(store.reload()).rejects.toThrow('Invalid passports: Each passport must have its own issuer (iss)');
+    await writePassport('{ "iss": ');
+    await expect(store.reload()).rejects.toThrow(SyntaxError);
+
+    expect(await store.tryReload('test')).toBe(false);
+    expect(await store.get()).toBe(previous);
+  });
+
+  test('should flush the JWKS clients only when the issuers change', async () => {
+    await store.get();
+    const client = await getClient('https://issuer-a.example.com');
+
+    await writePassport(passport('https://issuer-a.example.com', { roles: ['user', 'admin'] }));
+    await store.reload();
+    expect(await getClient('https://issuer-a.example.com')).toBe(client);
+
+    await writePassport(passport('https://issuer-b.example.com'));
+    await store.reload();
+    expect(await getClient('https://issuer-a.example.com')).not.toBe(client);
+  });
+
+  test('should reload when the watched file changes', async () => {
+    await store.get();
+    store.watch();
+
+    await writePassport(passport('https://issuer-b.example.com'));
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    expect((await store.get()).iss).toBe('https://issuer-b.example.com');
+  });
+});
+
+describe('validatePassports', () => {
+  test('should accept one passport or a list of them', () => {
+    expect(() => validatePassports(passport('https://issuer-a.example.com'))).not.toThrow();
+    expect(() => validatePassports([passport('https://issuer-a.example.com')])).not.toThrow();
+    expect(() => validatePassports({ roles: ['user'] })).toThrow(/must contain at least one of \[keys, iss\]/);
+  });
+});
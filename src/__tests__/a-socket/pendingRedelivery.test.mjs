@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import { createPendingRedelivery } from 'a-socket/pendingRedelivery.mjs';
+
+describe('createPendingRedelivery', () => {
+  let redelivery, redeliver;
+
+  const remaining = (count) => ({ total: count, delivered: 0, remaining: count });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    redeliver = jest.fn(async () => remaining(1));
+    redelivery = createPendingRedelivery({ redeliver, baseDelayMs: 100, maxDelayMs: 300, maxAttempts: 3 });
+  });
+
+  afterEach(() => {
+    redelivery.clear();
+    jest.useRealTimers();
+  });
+
+  test('should retry with an exponential backoff while messages remain', async () => {
+    expect(await redelivery.deliver('s1')).toEqual(remaining(1));
+    expect(redeliver).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(99);
+    expect(redeliver).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(redeliver).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(200);
+    expect(redeliver).toHaveBeenCalledTimes(3);
+
+    // capped by maxDelayMs, then maxAttempts retries were made
+    await jest.advanceTimersByTimeAsync(300);
+    expect(redeliver).toHaveBeenCalledTimes(4);
+    expect(redelivery.size()).toBe(0);
+
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(redeliver).toHaveBeenCalledTimes(4);
+  });
+
+  test('should stop once everything was delivered', async () => {
+    redeliver.mockResolvedValueOnce(remaining(2)).mockResolvedValueOnce({ total: 2, delivered: 2, remaining: 0 });
+
+    await redelivery.deliver('s1');
+    await jest.advanceTimersByTimeAsync(100);
+    expect(redeliver).toHaveBeenCalledTimes(2);
+    expect(redelivery.size()).toBe(0);
+  });
+
+  test('should retry after a failure and stop on cancel', async () => {
+    redeliver.mockRejectedValueOnce(new Error('database down'));
+
+    expect(await redelivery.deliver('s1')).toBeNull();
+    await jest.advanceTimersByTimeAsync(100);
+    expect(redeliver).toHaveBeenCalledTimes(2);
+
+    redelivery.cancel('s1');
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(redeliver).toHaveBeenCalledTimes(2);
+  });
+
+  test('should only schedule a later run and run once at a time', async () => {
+    redelivery.schedule('s1');
+    redelivery.schedule('s1');
+    expect(redeliver).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(100);
+    expect(redeliver).toHaveBeenCalledTimes(1);
+
+    const [first, second] = await Promise.all([redelivery.deliver('s2'), redelivery.deliver('s2')]);
+    expect(second).toBe(first);
+    expect(redeliver).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,110 @@
+import dotenv from 'dotenv';
+import { PostgresPresenceStore } from 'a-socket/userManager/presencePostgres.mjs';
+import { MemoryPresenceStore } from 'a-socket/userManager/presenceMemory.mjs';
+
+// Load test environment
+dotenv.config({ path: '.env.test' });
+
+const waitFor = async (predicate, timeout = 5000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for presence');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+describe('MemoryPresenceStore', () => {
+  test('should behave as plain maps', async () => {
+    const store = new MemoryPresenceStore();
+    await store.init();
+
+    store.users.set('alice', { userId: 'alice', sockets: [] });
+    store.sockets.set('sock-1', 'alice');
+    await store.flush();
+
+    expect(store.users.get('alice')).toEqual({ userId: 'alice', sockets: [] });
+    expect(Array.from(store.sockets.values())).toEqual(['alice']);
+    await store.close();
+  });
+});
+
+// Two stores with their own node id stand for two server processes
+const describeWithDatabase = process.env.DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('PostgresPresenceStore across nodes', () => {
+  let nodeA, nodeB;
+
+  beforeAll(async () => {
+    nodeA = new PostgresPresenceStore({ nodeId: 'node-a' });
+    nodeB = new PostgresPresenceStore({ nodeId: 'node-b' });
+    await nodeA.init();
+    await nodeB.init();
+    nodeA.users.clear();
+    nodeA.sockets.clear();
+    await nodeA.flush();
+  });
+
+  afterAll(async () => {
+    await nodeA?.close();
+    await nodeB?.close();
+  });
+
+  test('should share users and sockets written on another node', async () => {
+    nodeA.users.set('alice', { userId: 'alice', state: 'authenticated', sockets: [{ socketId: 'sock-a' }] });
+    nodeA.sockets.set('sock-a', 'alice');
+    await nodeA.flush();
+
+    await waitFor(() => nodeB.sockets.get('sock-a') === 'alice');
+    expect(nodeB.users.get('alice')).toMatchObject({ state: 'authenticated' });
+
+    nodeB.sockets.delete('sock-a');
+    await nodeB.flush();
+    await waitFor(() => !nodeA.sockets.has('sock-a'));
+  });
+
+  test('should keep the sockets of one user written by two nodes', async () => {
+    nodeA.users.set('carol', { userId: 'carol', state: 'authenticated', sockets: [{ socketId: 'sock-c1' }] });
+    nodeA.sockets.set('sock-c1', 'carol');
+    nodeB.users.set('carol', { userId: 'carol', state: 'authenticated', sockets: [{ socketId: 'sock-c2' }] });
+    nodeB.sockets.set('sock-c2', 'carol');
+    await nodeA.flush();
+    await nodeB.flush();
+
+    for (const node of [nodeA, nodeB]) {
+      await waitFor(() => (node.users.get('carol')?.sockets || []).length === 2);
+      expect(node.users.get('carol').sockets.map(s => s.socketId).sort()).toEqual(['sock-c1', 'sock-c2']);
+    }
+    expect(nodeA.isLocalSocket('sock-c1')).toBe(true);
+    expect(nodeA.isLocalSocket('sock-c2')).toBe(false);
+  });
+
+  test('should purge the sockets of a node that stopped', async () => {
+    const nodeD = new PostgresPresenceStore({ nodeId: 'node-d' });
+    await nodeD.init();
+    nodeD.users.set('dave', { userId: 'dave', state: 'authenticated', sockets: [{ socketId: 'sock-d' }] });
+    nodeD.sockets.set('sock-d', 'dave');
+    await nodeD.flush();
+    await waitFor(() => nodeA.sockets.get('sock-d') === 'dave');
+
+    // a crash: no close, no more heartbeats
+    clearInterval(nodeD.heartbeat);
+    await nodeD.pool.query(`UPDATE presence_nodes SET heartbeat_at = NOW() - INTERVAL '1 hour' WHERE node_id = 'node-d'`);
+    await nodeA._beat();
+
+    expect(nodeA.sockets.has('sock-d')).toBe(false);
+    expect(nodeA.users.has('dave')).toBe(false);
+    await waitFor(() => !nodeB.users.has('dave'));
+    nodeD.listener.release();
+    await nodeD.pool.end();
+  });
+
+  test('should load the existing presence on init', async () => {
+    nodeA.users.set('bob', { userId: 'bob', state: 'connected', sockets: [] });
+    await nodeA.flush();
+
+    const nodeC = new PostgresPresenceStore({ nodeId: 'node-c' });
+    await nodeC.init();
+    expect(nodeC.users.get('bob')).toMatchObject({ userId: 'bob' });
+    await nodeC.close();
+  });
+});
@@ -0,0 +1,53 @@
+import { createRateLimiter, resolveLimit, MemoryRateLimitStore } from 'a-socket/rateLimit/index.mjs';
+
+const limits = {
+  '*': { '*': { capacity: 5, refillPerSecond: 1 } },
+  broadcastPublicMessage: { '*': { capacity: 1, refillPerSecond: 0.5 }, admin: { capacity: 3, refillPerSecond: 1 } },
+  getUsersList: { admin: null },
+};
+
+describe('resolveLimit', () => {
+  test('should prefer the event rule of the first matching role', () => {
+    expect(resolveLimit(limits, 'broadcastPublicMessage', ['admin'])).toEqual({ capacity: 3, refillPerSecond: 1 });
+    expect(resolveLimit(limits, 'broadcastPublicMessage', ['member'])).toEqual({ capacity: 1, refillPerSecond: 0.5 });
+    expect(resolveLimit(limits, 'sendMessage', [])).toEqual({ capacity: 5, refillPerSecond: 1 });
+    expect(resolveLimit(limits, 'getUsersList', ['admin'])).toBeNull();
+  });
+});
+
+describe('createRateLimiter', () => {
+  let limiter;
+
+  beforeEach(async () => {
+    limiter = createRateLimiter({
+      store: new MemoryRateLimitStore(),
+      limits,
+      maxViolations: 2,
+      violationWindowMs: 60000,
+    });
+    await limiter.init();
+  });
+
+  test('should limit each user separately and tell when to retry', async () => {
+    expect(await limiter.check('broadcastPublicMessage', 'alice')).toMatchObject({ allowed: true });
+    const limited = await limiter.check('broadcastPublicMessage', 'alice');
+    expect(limited).toMatchObject({ allowed: false, disconnect: false });
+    expect(limited.retryAfter).toBeGreaterThan(1900);
+    expect(limited.retryAfter).toBeLessThanOrEqual(2000);
+
+    expect(await limiter.check('broadcastPublicMessage', 'bob')).toMatchObject({ allowed: true });
+  });
+
+  test('should ask to disconnect once the violations are exhausted', async () => {
+    await limiter.check('broadcastPublicMessage', 'alice');
+    expect(await limiter.check('broadcastPublicMessage', 'alice')).toMatchObject({ disconnect: false });
+    expect(await limiter.check('broadcastPublicMessage', 'alice')).toMatchObject({ disconnect: false });
+    expect(await limiter.check('broadcastPublicMessage', 'alice')).toMatchObject({ allowed: false, disconnect: true });
+  });
+
+  test('should not limit unlimited roles', async () => {
+    for (let i = 0; i < 10; i++) {
+      expect(await limiter.check('getUsersList', 'root', ['admin'])).toMatchObject({ allowed: true });
+    }
+  });
+});
@@ -1,14 +1,22 @@
+import crypto from 'crypto';
 
 import generateTestPKI from '../../../../scripts/gen-test-tokens.mjs';
 
 // Generate test data first
 const { testTokens, passportData, testKeys } = await generateTestPKI();
 
+// JWKS public key of each test kid, RSA by default
+const jwksPublicKeys = {
+  'test-key-es256': testKeys.es256.publicKey,
+  'test-key-es384': testKeys.es384.publicKey,
+  'test-key-ed25519': testKeys.eddsa.publicKey,
+};
+
 
 jest.unstable_mockModule('jwks-rsa', () => ({
   default: jest.fn(() => ({
     getSigningKey: jest.fn((kid, callback) => {
-      process.nextTick(() => callback(null, { getPublicKey: () => testKeys.publicKey }));
+      process.nextTick(() => callback(null, { getPublicKey: () => jwksPublicKeys[kid] || testKeys.publicKey }));
     }),
     getSigningKeyxxx: jest.fn((kid, callback) => {
       if (!passportData.keys || passportData.keys.length === 0) {
@@ -29,7 +37,8 @@ jest.unstable_mockModule('jwks-rsa', () => ({
 const { default: jwksClient } = await import('jwks-rsa');
 
 // Import the module after mocking
-const { verifyTokenLegacy, cryptVerify, clearJwksClientCache, getClient } = await import('a-socket/jwt-passport');
+const { verifyTokenLegacy, cryptVerify, clearJwksClientCache, getClient, tokenRoles, selectPassport, mapClaims } = await import('a-socket/jwt-passport');
+const { passportsSchema } = await import('a-socket/jwt-passport/schemas.mjs');
 
 describe('JWT Clerk Complete Test Suite', () => {
   beforeEach(() => {
@@ -111,6 +120,151 @@ describe('JWT Clerk Complete Test Suite', () => {
 
   });
 
+  describe('Roles', () => {
+    test('should read roles from the token claims', () => {
+      expect(tokenRoles({ roles: ['admin', 'user'] })).toEqual(['admin', 'user']);
+      expect(tokenRoles({ role: 'admin' })).toEqual(['admin']);
+      expect(tokenRoles({})).toEqual(['user']);
+    });
+
+    test('should keep the token roles allowed by the passport', async () => {
+      const admin = await verifyTokenLegacy(testTokens.adminUser, passportData);
+      expect(admin.roles).toEqual(['admin']);
+
+      const user = await verifyTokenLegacy(testTokens.validUser, passportData);
+      expect(user.roles).toEqual(['user']);
+    });
+
+    test('should reject a role the passport does not allow', async () => {
+      const usersOnly = { ...passportData, roles: ['user'] };
+      expect(await verifyTokenLegacy(testTokens.adminUser, usersOnly)).toBe(false);
+      await expect(verifyTokenLegacy(testTokens.adminUser, usersOnly, true)).rejects.toMatchObject({
+        reason: 'Role not allowed',
+      });
+    });
+  });
+
+  describe('Claims', () => {
+    test('should map claims by dotted path, template and fallback', () => {
+      const payload = { sub: 'user-1', given_name: 'Ada', family_name: 'Lovelace', org: { member: { id: 7 } } };
+
+      expect(mapClaims(payload).user).toEqual({ userId: 'user-1', userName: undefined });
+      expect(mapClaims(payload, {
+        userId: 'org.member.id',
+        userName: ['{{given_name}} {{nickname}}', '{{given_name}} {{family_name}}'],
+      }).user).toEqual({ userId: '7', userName: 'Ada Lovelace' });
+      expect(mapClaims(payload, { userName: 'nickname', required: ['userId', 'userName'] }).missing).toEqual(['userName']);
+    });
+
+    test('should expose the mapped user of a verified token', async () => {
+      const admin = await verifyTokenLegacy(testTokens.adminUser, {
+        ...passportData,
+        claims: { userId: 'sub', userName: '{{userName}} ({{role}})' },
+      });
+      expect(admin.user).toEqual({ userId: 'admin-user-789', userName: 'Admin User (admin)' });
+
+      // sub is the default fallback of userId
+      const minimal = await verifyTokenLegacy(testTokens.minimalUser, passportData);
+      expect(minimal.user).toEqual({ userId: 'minimal-user-000', userName: undefined });
+    });
+
+    test('should reject a token missing a required claim', async () => {
+      const namesRequired = { ...passportData, claims: { userName: ['userName', 'email'], required: ['userId', 'userName'] } };
+      await expect(verifyTokenLegacy(testTokens.minimalUser, namesRequired, true)).rejects.toMatchObject({
+        reason: 'Missing required claim: userName',
+        details: { missing: ['userName'], expected: { userName: ['userName', 'email'] } },
+      });
+    });
+
+    test('should reject an invalid claim mapping', async () => {
+      const invalidPassport = { ...passportData, claims: { userId: '{{sub' } };
+      await expect(verifyTokenLegacy(testTokens.validUser, invalidPassport, true)).rejects.toMatchObject({
+        reason: 'Passport validation failed',
+        details: { errors: ['"claims.userId" must be a dotted claim path or a template of claim paths'] },
+      });
+    });
+  });
+
+  describe('Issuers', () => {
+    const staging = { ...passportData, iss: 'https://staging.com-socket.dev', tenant: 'staging' };
+    const prod = { ...passportData, tenant: 'prod' };
+
+    test('should pick the passport of the token issuer', async () => {
+      expect(selectPassport([staging, prod], testTokens.validUser)).toBe(prod);
+      expect(selectPassport([staging], testTokens.validUser)).toBeNull();
+      expect(selectPassport([staging, prod], 'not.a.token')).toBeNull();
+      // a single passport is kept, its iss checked by verifyToken
+      expect(selectPassport(staging, testTokens.validUser)).toBe(staging);
+
+      const result = await verifyTokenLegacy(testTokens.validUser, selectPassport([staging, prod], testTokens.validUser));
+      expect(result.payload.userId).toBe('test-user-123');
+    });
+
+    test('should require a distinct issuer per passport', () => {
+      expect(passportsSchema.validate([staging, prod]).error).toBeUndefined();
+      expect(passportsSchema.validate([prod, { ...prod, tenant: 'other' }]).error.message)
+        .toBe('Each passport must have its own issuer (iss)');
+      expect(passportsSchema.validate([{ ...prod, iss: undefined }]).error.message).toMatch(/"\[0\].iss" is required/);
+    });
+  });
+
+  describe('EC and EdDSA keys', () => {
+    test.each([
+      ['es256User', 'ES256', 'test-key-es256'],
+      ['es384User', 'ES384', 'test-key-es384'],
+      ['eddsaUser', 'EdDSA', 'test-key-ed25519'],
+    ])('should verify %s signed with %s', async (tokenName, alg, kid) => {
+      const result = await verifyTokenLegacy(testTokens[tokenName], passportData);
+
+      expect(result).toBeDefined();
+      expect(result.header).toMatchObject({ alg, kid });
+      expect(result.payload.userId).toBe(tokenName.replace('User', '-user-222'));
+    });
+
+    test('should verify EC and EdDSA tokens with JWKS keys', async () => {
+      clearJwksClientCache();
+      const jwksPassport = { ...passportData, keys: undefined };
+
+      for (const tokenName of ['es256User', 'es384User', 'eddsaUser']) {
+        const result = await verifyTokenLegacy(testTokens[tokenName], jwksPassport);
+        expect(result.payload.sub).toBe(tokenName.replace('User', '-user-222'));
+      }
+    });
+
+    test('should reject an algorithm the passport does not allow', async () => {
+      const rsaOnly = { ...passportData, algorithms: ['RS256'] };
+      await expect(verifyTokenLegacy(testTokens.es256User, rsaOnly, true)).rejects.toMatchObject({
+        reason: 'Algorithm mismatch',
+      });
+    });
+
+    test('should refuse a key of another type than the algorithm', () => {
+      expect(() => cryptVerify(testTokens.es256User, testKeys.publicKey, 'ES256'))
+        .toThrow('Key type mismatch: ES256 cannot be verified with a rsa key');
+      expect(() => cryptVerify(testTokens.es256User, testKeys.es384.publicKey, 'ES256'))
+        .toThrow('Key type mismatch');
+      expect(() => cryptVerify(testTokens.eddsaUser, testKeys.es256.publicKey, 'EdDSA'))
+        .toThrow('Key type mismatch');
+    });
+
+    test('should reject an EC token signed with another key', () => {
+      const otherKeys = crypto.generateKeyPairSync('ec', {
+        namedCurve: 'P-256',
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      });
+      expect(() => cryptVerify(testTokens.es256User, otherKeys.publicKey, 'ES256')).toThrow('Invalid token signature');
+    });
+
+    test('should reject a passport EC key without its coordinates', async () => {
+      const ecKey = passportData.keys.find(key => key.kty === 'EC');
+      const invalidPassport = { ...passportData, keys: [{ ...ecKey, y: undefined }] };
+      await expect(verifyTokenLegacy(testTokens.es256User, invalidPassport, true)).rejects.toMatchObject({
+        reason: 'Passport validation failed',
+      });
+    });
+  });
+
   describe('cryptVerify Function', () => {
     test('should verify valid token signature', () => {
       const result = cryptVerify(testTokens.validUser, testKeys.publicKey, 'RS256');
@@ -0,0 +1,188 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+describe('Group conversations', () => {
+  let ownerSocket, memberSocket, outsiderSocket;
+
+  beforeEach(async () => {
+    ownerSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(ownerSocket.id, { userId: 'owner', userName: 'Owner' }, true);
+
+    memberSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(memberSocket.id, { userId: 'member', userName: 'Member' }, true);
+
+    outsiderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(outsiderSocket.id, { userId: 'outsider', userName: 'Outsider' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [ownerSocket, memberSocket, outsiderSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should create a group with the creator as owner', async () => {
+    const group = await userManager.createGroup(ownerSocket.id, { name: 'Team', memberIds: ['member'] });
+
+    expect(group.groupId).toMatch(/^grp-/);
+    expect(group.name).toBe('Team');
+    expect(group.ownerId).toBe('owner');
+    expect(group.members).toEqual(expect.arrayContaining([
+      expect.objectContaining({ userId: 'owner', role: 'owner' }),
+      expect.objectContaining({ userId: 'member', role: 'member' }),
+    ]));
+
+    const memberGroups = await userManager.getUserGroups(memberSocket.id);
+    expect(memberGroups.map(g => g.groupId)).toContain(group.groupId);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should enforce roles on membership changes', async () => {
+    const group = await userManager.createGroup(ownerSocket.id, { name: 'Roles', memberIds: ['member'] });
+
+    await expect(
+      userManager.addGroupMembers(memberSocket.id, { groupId: group.groupId, memberIds: ['outsider'] })
+    ).rejects.toThrow(/requires role "admin"/);
+
+    await userManager.setGroupMemberRole(ownerSocket.id, { groupId: group.groupId, userId: 'member', role: 'admin' });
+    const updated = await userManager.addGroupMembers(memberSocket.id, { groupId: group.groupId, memberIds: ['outsider'] });
+    expect(updated.members.map(m => m.userId)).toContain('outsider');
+
+    await expect(
+      userManager.removeGroupMembers(memberSocket.id, { groupId: group.groupId, memberIds: ['owner'] })
+    ).rejects.toThrow(/owner cannot be removed/);
+
+    await expect(
+      userManager.deleteGroup(memberSocket.id, { groupId: group.groupId })
+    ).rejects.toThrow(/requires role "owner"/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should let a member leave the group', async () => {
+    const group = await userManager.createGroup(ownerSocket.id, { name: 'Leave', memberIds: ['member'] });
+
+    const res = await userManager.removeGroupMembers(memberSocket.id, { groupId: group.groupId, memberIds: ['member'] });
+    expect(res.removed).toEqual(['member']);
+
+    const memberGroups = await userManager.getUserGroups(memberSocket.id);
+    expect(memberGroups.map(g => g.groupId)).not.toContain(group.groupId);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should send the updated group to the remaining members', async () => {
+    const group = await userManager.createGroup(ownerSocket.id, { name: 'Shrink', memberIds: ['member', 'outsider'] });
+
+    const ownerUpdate = new Promise(resolve => ownerSocket.once('groupUpdated', resolve));
+    const memberUpdate = new Promise(resolve => memberSocket.once('groupUpdated', resolve));
+    const outsiderDeleted = new Promise(resolve => outsiderSocket.once('groupDeleted', resolve));
+    const ack = await ownerSocket.timeout(5000).emitWithAck('removeGroupMembers', { groupId: group.groupId, memberIds: ['outsider'] });
+    expect(ack).toMatchObject({ success: true, result: { removed: ['outsider'] } });
+
+    expect(await outsiderDeleted).toEqual({ groupId: group.groupId });
+    for (const update of [await ownerUpdate, await memberUpdate]) {
+      expect(update.groupId).toBe(group.groupId);
+      expect(update.members.map(m => m.userId).sort()).toEqual(['member', 'owner']);
+    }
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should send a group message readable by members only', async () => {
+    const group = await userManager.createGroup(ownerSocket.id, { name: 'Chat', memberIds: ['member'] });
+
+    const msg = await userManager.sendGroupMessage(ownerSocket.id, { groupId: group.groupId, content: 'Hello team' });
+    expect(msg).toMatchObject({
+      type: 'group',
+      status: 'sent',
+      recipientId: group.groupId,
+      direction: 'outgoing',
+      sender: { userId: 'owner', userName: 'Owner' },
+    });
+
+    const sockets = await userManager.getGroupSockets(group.groupId, 'owner');
+    expect(sockets.map(s => s.socketId)).toEqual([memberSocket.id]);
+
+    const history = await userManager.getUserConversation(memberSocket.id, {
+      type: 'group',
+      otherPartyId: group.groupId,
+    });
+    expect(history.total).toBe(1);
+    expect(history.messages[0]).toMatchObject({ content: 'Hello team', direction: 'incoming' });
+
+    await expect(
+      userManager.sendGroupMessage(outsiderSocket.id, { groupId: group.groupId, content: 'Let me in' })
+    ).rejects.toThrow(/is not a member/);
+    await expect(
+      userManager.getUserConversation(outsiderSocket.id, { type: 'group', otherPartyId: group.groupId })
+    ).rejects.toThrow(/is not a member/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should list the stats of every group, past the 100th', async () => {
+    const groups = [];
+    for (let i = 0; i < 101; i++) {
+      const group = await userManager.createGroup(outsiderSocket.id, { name: `Many ${i}` });
+      await userManager.sendGroupMessage(outsiderSocket.id, { groupId: group.groupId, content: `Message ${i}` });
+      groups.push(group);
+    }
+
+    // the group with the oldest message comes last
+    const [last] = await userManager.getUserConversationsList(outsiderSocket.id, { type: 'group', limit: 1, offset: 100 });
+    expect(last).toMatchObject({ otherPartyId: groups[0].groupId, outgoing: { sent: 1 } });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should list groups in the conversations list', async () => {
+    const group = await userManager.createGroup(ownerSocket.id, { name: 'Listed', memberIds: ['member'] });
+    await userManager.sendGroupMessage(ownerSocket.id, { groupId: group.groupId, content: 'First!' });
+
+    const list = await userManager.getUserConversationsList(ownerSocket.id, { type: 'group' });
+    const entry = list.find(c => c.otherPartyId === group.groupId);
+
+    expect(entry).toMatchObject({
+      userId: 'owner',
+      otherPartyName: 'Listed',
+      group: { groupId: group.groupId, role: 'owner' },
+    });
+    expect(entry.outgoing.sent).toBe(1);
+
+    const memberList = await userManager.getUserConversationsList(memberSocket.id, { type: 'group' });
+    expect(memberList.find(c => c.otherPartyId === group.groupId).group.role).toBe('member');
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should delete the group and its messages', async () => {
+    const group = await userManager.createGroup(ownerSocket.id, { name: 'Gone', memberIds: ['member'] });
+    await userManager.sendGroupMessage(ownerSocket.id, { groupId: group.groupId, content: 'Bye' });
+
+    const res = await userManager.deleteGroup(ownerSocket.id, { groupId: group.groupId });
+    expect(res).toMatchObject({ groupId: group.groupId, deleted: true });
+
+    await expect(
+      userManager.getUserConversation(memberSocket.id, { type: 'group', otherPartyId: group.groupId })
+    ).rejects.toThrow(/not found/);
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,129 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+describe('Message editing', () => {
+  let senderSocket, recipientSocket, outsiderSocket;
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(senderSocket.id, { userId: 'sender', userName: 'Sender' }, true);
+
+    recipientSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(recipientSocket.id, { userId: 'recipient', userName: 'Recipient' }, true);
+
+    outsiderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(outsiderSocket.id, { userId: 'outsider', userName: 'Outsider' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket, outsiderSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should edit both copies and keep the previous version', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Helo');
+
+    const edited = await userManager.editMessage(senderSocket.id, { messageId: sent.messageId, content: 'Hello' });
+    expect(edited).toMatchObject({ messageId: sent.messageId, content: 'Hello', direction: 'outgoing' });
+    expect(edited.editedAt).toBeDefined();
+
+    const history = await userManager.getUserConversation(recipientSocket.id, {
+      type: 'private',
+      otherPartyId: 'sender',
+    });
+    const incoming = history.messages.find(m => m.messageId === sent.messageId);
+    expect(incoming).toMatchObject({ content: 'Hello', direction: 'incoming' });
+    expect(incoming.editedAt).toBeDefined();
+
+    await userManager.editMessage(senderSocket.id, { messageId: sent.messageId, content: 'Hello!' });
+    const edits = await userManager.getMessageEditHistory(recipientSocket.id, { messageId: sent.messageId });
+    expect(edits.map(e => e.content)).toEqual(['Helo', 'Hello']);
+    expect(edits[0]).toMatchObject({ editedBy: 'sender', recipientId: 'recipient' });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should only let the sender edit', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Mine');
+
+    await expect(
+      userManager.editMessage(recipientSocket.id, { messageId: sent.messageId, content: 'Yours' })
+    ).rejects.toThrow(/not found or no longer editable/);
+    await expect(
+      userManager.editMessage(senderSocket.id, { messageId: 'msg-unknown', content: 'Nothing' })
+    ).rejects.toThrow(/not found or no longer editable/);
+    await expect(
+      userManager.editMessage(senderSocket.id, { messageId: sent.messageId })
+    ).rejects.toThrow(/Invalid options/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should answer refused edits over the socket and keep the server running', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    try {
+      const refused = await outsiderSocket.timeout(5000).emitWithAck('editMessage', { messageId: 'nope', content: 'Hi' });
+      expect(refused).toMatchObject({ success: false, event: 'editMessage', error: expect.stringMatching(/not found or no longer editable/) });
+      const invalid = await outsiderSocket.timeout(5000).emitWithAck('editMessage', { messageId: 'nope' });
+      expect(invalid).toMatchObject({ success: false, error: expect.stringMatching(/Invalid options/) });
+
+      await new Promise(resolve => setTimeout(resolve, 50)); // unhandled rejections are reported after a tick
+      expect(exit).not.toHaveBeenCalled();
+    } finally {
+      exit.mockRestore();
+    }
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should hide the edit history from other users', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Secret');
+    await userManager.editMessage(senderSocket.id, { messageId: sent.messageId, content: 'Top secret' });
+
+    await expect(
+      userManager.getMessageEditHistory(outsiderSocket.id, { messageId: sent.messageId })
+    ).rejects.toThrow(/not found/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should emit messageEdited to both parties', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Before');
+
+    const recipientEvent = new Promise(resolve => recipientSocket.once('messageEdited', resolve));
+    const senderEvent = new Promise(resolve => senderSocket.once('messageEdited', resolve));
+
+    // client sockets are created with ackTimeout, so acks come as (err, response)
+    const ack = await new Promise(resolve =>
+      senderSocket.emit('editMessage', { messageId: sent.messageId, content: 'After' }, (err, response) => resolve(response))
+    );
+    expect(ack).toMatchObject({ success: true, event: 'editMessage' });
+
+    expect(await recipientEvent).toMatchObject({ messageId: sent.messageId, content: 'After', direction: 'incoming' });
+    expect(await senderEvent).toMatchObject({ messageId: sent.messageId, content: 'After', direction: 'outgoing' });
+  }, SOCKET_TEST_TIMEOUT);
+});
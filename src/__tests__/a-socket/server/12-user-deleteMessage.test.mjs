@@ -0,0 +1,111 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+describe('Message deletion', () => {
+  let senderSocket, recipientSocket;
+
+  const conversationOf = (socket, otherPartyId) =>
+    userManager.getUserConversation(socket.id, { type: 'private', otherPartyId });
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(senderSocket.id, { userId: 'sender', userName: 'Sender' }, true);
+
+    recipientSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(recipientSocket.id, { userId: 'recipient', userName: 'Recipient' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should delete only the caller copy with scope "me"', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Only for me');
+
+    const res = await userManager.deleteMessage(recipientSocket.id, { messageId: sent.messageId });
+    expect(res).toMatchObject({ messageId: sent.messageId, scope: 'me', direction: 'incoming' });
+
+    const recipientView = await conversationOf(recipientSocket, 'sender');
+    expect(recipientView.messages.find(m => m.messageId === sent.messageId)).toBeUndefined();
+
+    const senderView = await conversationOf(senderSocket, 'recipient');
+    expect(senderView.messages.find(m => m.messageId === sent.messageId)).toMatchObject({ content: 'Only for me' });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should tombstone both copies with scope "everyone"', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Oops');
+
+    const res = await userManager.deleteMessage(senderSocket.id, { messageId: sent.messageId, scope: 'everyone' });
+    expect(res).toMatchObject({ messageId: sent.messageId, scope: 'everyone', content: '' });
+    expect(res.deletedAt).toBeTruthy();
+
+    for (const [socket, otherPartyId] of [[senderSocket, 'recipient'], [recipientSocket, 'sender']]) {
+      const view = await conversationOf(socket, otherPartyId);
+      const tombstone = view.messages.find(m => m.messageId === sent.messageId);
+      expect(tombstone).toMatchObject({ content: '' });
+      expect(tombstone.deletedAt).toBeTruthy();
+    }
+
+    await expect(
+      userManager.editMessage(senderSocket.id, { messageId: sent.messageId, content: 'Back' })
+    ).rejects.toThrow(/no longer editable/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should only let the sender delete for everyone', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Not yours');
+
+    await expect(
+      userManager.deleteMessage(recipientSocket.id, { messageId: sent.messageId, scope: 'everyone' })
+    ).rejects.toThrow(/not found/);
+    await expect(
+      userManager.deleteMessage(senderSocket.id, { messageId: sent.messageId, scope: 'nobody' })
+    ).rejects.toThrow(/Invalid options/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should emit messageDeleted to both parties', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Retract me');
+
+    const recipientEvent = new Promise(resolve => recipientSocket.once('messageDeleted', resolve));
+
+    // client sockets are created with ackTimeout, so acks come as (err, response)
+    const ack = await new Promise(resolve =>
+      senderSocket.emit('deleteMessage', { messageId: sent.messageId, scope: 'everyone' }, (err, response) => resolve(response))
+    );
+    expect(ack).toMatchObject({ success: true, event: 'deleteMessage' });
+
+    expect(await recipientEvent).toMatchObject({ messageId: sent.messageId, scope: 'everyone', direction: 'incoming' });
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,110 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+describe('Message reactions', () => {
+  let senderSocket, recipientSocket, outsiderSocket;
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(senderSocket.id, { userId: 'sender', userName: 'Sender' }, true);
+
+    recipientSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(recipientSocket.id, { userId: 'recipient', userName: 'Recipient' }, true);
+
+    outsiderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(outsiderSocket.id, { userId: 'outsider', userName: 'Outsider' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket, outsiderSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should toggle one reaction per emoji and user', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'React to me');
+
+    const first = await userManager.toggleReaction(recipientSocket.id, { messageId: sent.messageId, emoji: '👍' });
+    expect(first).toMatchObject({ added: true, reactions: [{ emoji: '👍', count: 1, userIds: ['recipient'] }] });
+
+    await userManager.toggleReaction(senderSocket.id, { messageId: sent.messageId, emoji: '👍' });
+    await userManager.toggleReaction(senderSocket.id, { messageId: sent.messageId, emoji: '❤️' });
+
+    const view = await userManager.getUserConversation(recipientSocket.id, { type: 'private', otherPartyId: 'sender' });
+    const msg = view.messages.find(m => m.messageId === sent.messageId);
+    expect(msg.reactions).toEqual(expect.arrayContaining([
+      expect.objectContaining({ emoji: '👍', count: 2 }),
+      expect.objectContaining({ emoji: '❤️', count: 1 }),
+    ]));
+
+    const off = await userManager.toggleReaction(recipientSocket.id, { messageId: sent.messageId, emoji: '👍' });
+    expect(off.added).toBe(false);
+    expect(off.reactions.find(r => r.emoji === '👍')).toMatchObject({ count: 1, userIds: ['sender'] });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should reject unknown emoji and invisible messages', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Private');
+
+    await expect(
+      userManager.toggleReaction(recipientSocket.id, { messageId: sent.messageId, emoji: '🦄' })
+    ).rejects.toThrow(/Invalid options/);
+    await expect(
+      userManager.toggleReaction(outsiderSocket.id, { messageId: sent.messageId, emoji: '👍' })
+    ).rejects.toThrow(/not found/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should react to public messages', async () => {
+    const sent = await userManager.broadcastPublicMessage(senderSocket.id, 'Hello everyone');
+
+    await userManager.toggleReaction(outsiderSocket.id, { messageId: sent.messageId, emoji: '😂' });
+
+    const publicMessages = await userManager.getPublicMessages(recipientSocket.id);
+    const msg = publicMessages.messages.find(m => m.messageId === sent.messageId);
+    expect(msg.reactions).toEqual([{ emoji: '😂', count: 1, userIds: ['outsider'] }]);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should emit messageReaction to both parties', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Live');
+
+    const senderEvent = new Promise(resolve => senderSocket.once('messageReaction', resolve));
+
+    // client sockets are created with ackTimeout, so acks come as (err, response)
+    const ack = await new Promise(resolve =>
+      recipientSocket.emit('toggleReaction', { messageId: sent.messageId, emoji: '🙏' }, (err, response) => resolve(response))
+    );
+    expect(ack).toMatchObject({ success: true, event: 'toggleReaction' });
+
+    expect(await senderEvent).toMatchObject({ messageId: sent.messageId, userId: 'recipient', emoji: '🙏', added: true });
+  }, SOCKET_TEST_TIMEOUT);
+});
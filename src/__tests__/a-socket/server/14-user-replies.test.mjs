@@ -0,0 +1,119 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+describe('Threaded replies', () => {
+  let senderSocket, recipientSocket, outsiderSocket;
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(senderSocket.id, { userId: 'sender', userName: 'Sender' }, true);
+
+    recipientSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(recipientSocket.id, { userId: 'recipient', userName: 'Recipient' }, true);
+
+    outsiderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(outsiderSocket.id, { userId: 'outsider', userName: 'Outsider' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket, outsiderSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should reply to a private message and count the replies', async () => {
+    const parent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Lunch?');
+
+    const reply = await userManager.sendMessage(recipientSocket.id, 'sender', 'Sure', { replyTo: parent.messageId });
+    expect(reply).toMatchObject({ replyTo: parent.messageId, direction: 'outgoing' });
+    await userManager.sendMessage(senderSocket.id, 'recipient', 'At noon', { replyTo: parent.messageId });
+
+    const view = await userManager.getUserConversation(senderSocket.id, { type: 'private', otherPartyId: 'recipient' });
+    expect(view.messages.find(m => m.messageId === parent.messageId)).toMatchObject({ replyCount: 2 });
+    expect(view.messages.find(m => m.messageId === reply.messageId)).toMatchObject({ replyTo: parent.messageId, replyCount: 0 });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should return only one thread with threadOf', async () => {
+    const parent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Thread root');
+    await userManager.sendMessage(senderSocket.id, 'recipient', 'Unrelated');
+    const reply = await userManager.sendMessage(recipientSocket.id, 'sender', 'In thread', { replyTo: parent.messageId });
+
+    const thread = await userManager.getUserConversation(senderSocket.id, {
+      type: 'private',
+      otherPartyId: 'recipient',
+      threadOf: parent.messageId,
+    });
+    expect(thread.messages.map(m => m.messageId)).toEqual([reply.messageId]);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should stop counting the replies deleted for everyone', async () => {
+    const parent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Count me');
+    const kept = await userManager.sendMessage(recipientSocket.id, 'sender', 'Kept', { replyTo: parent.messageId });
+    const retracted = await userManager.sendMessage(recipientSocket.id, 'sender', 'Oops', { replyTo: parent.messageId });
+    await userManager.deleteMessage(recipientSocket.id, { messageId: retracted.messageId, scope: 'everyone' });
+
+    const view = await userManager.getUserConversation(senderSocket.id, { type: 'private', otherPartyId: 'recipient' });
+    expect(view.messages.find(m => m.messageId === parent.messageId)).toMatchObject({ replyCount: 1 });
+
+    const thread = await userManager.getUserConversation(senderSocket.id, {
+      type: 'private',
+      otherPartyId: 'recipient',
+      threadOf: parent.messageId,
+    });
+    expect(thread.messages.map(m => m.messageId)).toEqual([kept.messageId, retracted.messageId]);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should reject parents the sender cannot see', async () => {
+    const parent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Between us');
+
+    await expect(
+      userManager.sendMessage(outsiderSocket.id, 'sender', 'Sneaky', { replyTo: parent.messageId })
+    ).rejects.toThrow(/Parent message .* not found/);
+    await expect(
+      userManager.broadcastPublicMessage(senderSocket.id, 'Public reply', { replyTo: parent.messageId })
+    ).rejects.toThrow(/Parent message .* not found/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should thread public replies', async () => {
+    const parent = await userManager.broadcastPublicMessage(senderSocket.id, 'Hello everyone');
+    const reply = await userManager.broadcastPublicMessage(outsiderSocket.id, 'Hi!', { replyTo: parent.messageId });
+
+    const thread = await userManager.getUserConversation(recipientSocket.id, { type: 'public', threadOf: parent.messageId });
+    expect(thread.messages.map(m => m.messageId)).toEqual([reply.messageId]);
+
+    const publicMessages = await userManager.getPublicMessages(recipientSocket.id);
+    expect(publicMessages.messages.find(m => m.messageId === parent.messageId)).toMatchObject({ replyCount: 1 });
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,126 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+describe('Message search', () => {
+  let senderSocket, recipientSocket, outsiderSocket;
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(senderSocket.id, { userId: 'sender', userName: 'Sender' }, true);
+
+    recipientSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(recipientSocket.id, { userId: 'recipient', userName: 'Recipient' }, true);
+
+    outsiderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(outsiderSocket.id, { userId: 'outsider', userName: 'Outsider' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket, outsiderSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should find owned messages with highlighted snippets', async () => {
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'The quarterly Report is ready');
+    await userManager.sendMessage(senderSocket.id, 'recipient', 'Nothing to see here');
+
+    const result = await userManager.searchMessages(recipientSocket.id, { query: 'report' });
+    expect(result).toMatchObject({ total: 1, hasMore: false, query: 'report' });
+    expect(result.messages[0]).toMatchObject({ messageId: sent.messageId, direction: 'incoming' });
+    expect(result.messages[0].snippet).toContain('<mark>Report</mark>');
+
+    const outsider = await userManager.searchMessages(outsiderSocket.id, { query: 'report' });
+    expect(outsider.total).toBe(0);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should escape the message content of the snippets', async () => {
+    await userManager.sendMessage(senderSocket.id, 'recipient', '<img src=x onerror=alert(1)> payload & "more"');
+
+    const result = await userManager.searchMessages(recipientSocket.id, { query: 'payload' });
+    expect(result.messages[0].snippet)
+      .toBe('&lt;img src=x onerror=alert(1)&gt; <mark>payload</mark> &amp; &quot;more&quot;');
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should cut long snippets around the first match', async () => {
+    const words = Array.from({ length: 30 }, (_, i) => `word${i}`);
+    await userManager.sendMessage(senderSocket.id, 'recipient', [...words.slice(0, 10), 'needle', ...words.slice(10)].join(' '));
+
+    // the same snippet with both backends
+    const result = await userManager.searchMessages(recipientSocket.id, { query: 'needle' });
+    expect(result.messages[0].snippet)
+      .toBe(`... ${words.slice(5, 10).join(' ')} <mark>needle</mark> ${words.slice(10, 24).join(' ')} ...`);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should require every word and filter by other party', async () => {
+    await userManager.sendMessage(senderSocket.id, 'recipient', 'budget meeting tomorrow');
+    await userManager.sendMessage(senderSocket.id, 'outsider', 'budget meeting moved');
+    await userManager.sendMessage(senderSocket.id, 'outsider', 'budget only');
+
+    const both = await userManager.searchMessages(senderSocket.id, { query: 'budget meeting' });
+    expect(both.total).toBe(2);
+
+    const withOutsider = await userManager.searchMessages(senderSocket.id, { query: 'budget', otherPartyId: 'outsider' });
+    expect(withOutsider.messages.map(m => m.content).sort()).toEqual(['budget meeting moved', 'budget only']);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should paginate and follow edits and deletions', async () => {
+    const first = await userManager.sendMessage(senderSocket.id, 'recipient', 'paging one');
+    await userManager.sendMessage(senderSocket.id, 'recipient', 'paging two');
+    await userManager.sendMessage(senderSocket.id, 'recipient', 'paging three');
+
+    const page = await userManager.searchMessages(senderSocket.id, { query: 'paging', limit: 2 });
+    expect(page).toMatchObject({ total: 3, hasMore: true });
+    expect(page.messages).toHaveLength(2);
+
+    await userManager.editMessage(senderSocket.id, { messageId: first.messageId, content: 'renamed' });
+    expect((await userManager.searchMessages(senderSocket.id, { query: 'renamed' })).total).toBe(1);
+
+    await userManager.deleteMessage(senderSocket.id, { messageId: first.messageId, scope: 'everyone' });
+    expect((await userManager.searchMessages(recipientSocket.id, { query: 'renamed' })).total).toBe(0);
+
+    await expect(userManager.searchMessages(senderSocket.id, { query: '' })).rejects.toThrow(/Invalid options/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should answer the searchMessages event', async () => {
+    await userManager.sendMessage(senderSocket.id, 'recipient', 'socket search works');
+
+    // client sockets are created with ackTimeout, so acks come as (err, response)
+    const ack = await new Promise(resolve =>
+      recipientSocket.emit('searchMessages', { query: 'search', type: 'private' }, (err, response) => resolve(response))
+    );
+    expect(ack).toMatchObject({ success: true, event: 'searchMessages', result: { total: 1 } });
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,129 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+describe('Conversation keyset pagination', () => {
+  let senderSocket, recipientSocket;
+
+  const sendMany = async (count, prefix) => {
+    const sent = [];
+    for (let i = 0; i < count; i++) {
+      const [from, to] = i % 2 ? [recipientSocket, 'sender'] : [senderSocket, 'recipient'];
+      sent.push(await userManager.sendMessage(from.id, to, `${prefix} ${i}`));
+    }
+    return sent;
+  };
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(senderSocket.id, { userId: 'sender', userName: 'Sender' }, true);
+
+    recipientSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(recipientSocket.id, { userId: 'recipient', userName: 'Recipient' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should walk back through stable pages with prevCursor', async () => {
+    const sent = await sendMany(5, 'page');
+    const options = { type: 'private', otherPartyId: 'recipient', limit: 2 };
+
+    const latest = await userManager.getUserConversation(senderSocket.id, { ...options, before: null });
+    expect(latest.messages.map(m => m.content)).toEqual(['page 3', 'page 4']);
+    expect(latest.nextCursor).toBeNull();
+    expect(latest.hasMore).toBe(true);
+
+    // New messages must not shift the older pages
+    await sendMany(2, 'late');
+
+    const older = await userManager.getUserConversation(senderSocket.id, { ...options, before: latest.prevCursor });
+    expect(older.messages.map(m => m.content)).toEqual(['page 1', 'page 2']);
+
+    const oldest = await userManager.getUserConversation(senderSocket.id, { ...options, before: older.prevCursor });
+    expect(oldest.messages.map(m => m.messageId)).toEqual([sent[0].messageId]);
+    expect(oldest.hasMore).toBe(false);
+    expect(oldest.prevCursor).toBeNull();
+    expect(oldest.nextCursor).toBeTruthy();
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should fetch newer messages with after', async () => {
+    await sendMany(2, 'before');
+    const latest = await userManager.getUserConversation(recipientSocket.id, {
+      type: 'private', otherPartyId: 'sender', before: null,
+    });
+    const lastCursor = latest.messages[latest.messages.length - 1].cursor;
+
+    await sendMany(3, 'after');
+
+    const newer = await userManager.getUserConversation(recipientSocket.id, {
+      type: 'private', otherPartyId: 'sender', after: lastCursor, limit: 2,
+    });
+    expect(newer.messages.map(m => m.content)).toEqual(['after 0', 'after 1']);
+    expect(newer.nextCursor).toBeTruthy();
+
+    const rest = await userManager.getUserConversation(recipientSocket.id, {
+      type: 'private', otherPartyId: 'sender', after: newer.nextCursor, limit: 2,
+    });
+    expect(rest.messages.map(m => m.content)).toEqual(['after 2']);
+    expect(rest.nextCursor).toBeNull();
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should reject malformed or conflicting cursors', async () => {
+    await expect(userManager.getUserConversation(senderSocket.id, {
+      type: 'private', otherPartyId: 'recipient', before: 'not-a-cursor',
+    })).rejects.toThrow(/Invalid cursor/);
+
+    const latest = await userManager.getUserConversation(senderSocket.id, {
+      type: 'private', otherPartyId: 'recipient', before: null,
+    });
+    await expect(userManager.getUserConversation(senderSocket.id, {
+      type: 'private', otherPartyId: 'recipient', before: latest.prevCursor || 'x', after: 'y',
+    })).rejects.toThrow(/Invalid options/);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should page public messages with cursors', async () => {
+    for (let i = 0; i < 3; i++) {
+      await userManager.broadcastPublicMessage(senderSocket.id, `public ${i}`);
+    }
+
+    const latest = await userManager.getUserConversation(recipientSocket.id, { type: 'public', limit: 2, before: null });
+    expect(latest.messages.map(m => m.content).slice(-2)).toEqual(['public 1', 'public 2']);
+    expect(latest.messages.every(m => m.direction === 'incoming')).toBe(true);
+    expect(latest.prevCursor).toBeTruthy();
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,155 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import sharp from 'sharp';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+// Reserve then upload a file, resolves with the upload response
+const uploadAttachment = async (socketId, { fileName, mimeType, data }) => {
+  const upload = await userManager.createAttachmentUpload(socketId, { fileName, mimeType, size: data.length });
+  const response = await fetch(`${BASE_URL}${upload.uploadUrl}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': mimeType, Authorization: `Bearer ${upload.uploadToken}` },
+    body: data,
+  });
+  return { upload, response, body: await response.json() };
+};
+
+describe('Message attachments', () => {
+  let senderSocket, recipientSocket, outsiderSocket;
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({
+      create: { width: 640, height: 320, channels: 3, background: { r: 200, g: 30, b: 30 } },
+    }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(senderSocket.id, { userId: 'sender', userName: 'Sender' }, true);
+
+    recipientSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(recipientSocket.id, { userId: 'recipient', userName: 'Recipient' }, true);
+
+    outsiderSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(outsiderSocket.id, { userId: 'outsider', userName: 'Outsider' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket, outsiderSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should upload an image, make a thumbnail and send it with a message', async () => {
+    const { upload, response, body } = await uploadAttachment(senderSocket.id, {
+      fileName: 'photo.png', mimeType: 'image/png', data: png,
+    });
+    expect(response.status).toBe(201);
+    expect(body).toMatchObject({
+      attachmentId: upload.attachmentId,
+      size: png.length,
+      thumbnailUrl: `/attachments/${upload.attachmentId}/thumbnail`,
+    });
+
+    const thumbnail = await fetch(`${BASE_URL}${body.thumbnailUrl}`);
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers.get('content-type')).toBe('image/webp');
+    const { width, height } = await sharp(Buffer.from(await thumbnail.arrayBuffer())).metadata();
+    expect(Math.max(width, height)).toBe(256);
+
+    const original = await fetch(`${BASE_URL}${body.url}`);
+    expect(original.headers.get('content-type')).toBe('image/png');
+    expect(original.headers.get('x-content-type-options')).toBe('nosniff');
+    expect(Buffer.from(await original.arrayBuffer()).equals(png)).toBe(true);
+
+    const sent = await userManager.sendMessage(senderSocket.id, 'recipient', 'Look', {
+      attachments: [upload.attachmentId],
+    });
+    expect(sent.attachments).toEqual([expect.objectContaining({ fileName: 'photo.png', mimeType: 'image/png' })]);
+
+    const view = await userManager.getUserConversation(recipientSocket.id, { type: 'private', otherPartyId: 'sender' });
+    const msg = view.messages.find(m => m.messageId === sent.messageId);
+    expect(msg.attachments[0]).toMatchObject({ attachmentId: upload.attachmentId, url: body.url });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should serve other files as downloads without thumbnail', async () => {
+    const data = Buffer.from('a,b\n1,2\n');
+    const { body } = await uploadAttachment(senderSocket.id, { fileName: 'data.csv', mimeType: 'text/csv', data });
+    expect(body.thumbnailUrl).toBeNull();
+
+    const download = await fetch(`${BASE_URL}${body.url}`);
+    expect(download.headers.get('content-disposition')).toMatch(/^attachment;/);
+    expect((await fetch(`${BASE_URL}${body.url}/thumbnail`)).status).toBe(404);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should reject invalid uploads', async () => {
+    await expect(
+      userManager.createAttachmentUpload(senderSocket.id, { fileName: 'page.html', mimeType: 'text/html', size: 10 })
+    ).rejects.toThrow(/Invalid options/);
+    await expect(
+      userManager.createAttachmentUpload(senderSocket.id, { fileName: 'big.bin', mimeType: 'application/octet-stream', size: 1024 * 1024 * 1024 })
+    ).rejects.toThrow(/Attachment too large/);
+
+    // content not matching the declared type
+    const fake = await uploadAttachment(senderSocket.id, {
+      fileName: 'fake.png', mimeType: 'image/png', data: Buffer.from('<script>alert(1)</script>'),
+    });
+    expect(fake.response.status).toBe(415);
+
+    // wrong token, and a token is only good once
+    const upload = await userManager.createAttachmentUpload(senderSocket.id, { fileName: 'a.png', mimeType: 'image/png', size: png.length });
+    const put = (token) => fetch(`${BASE_URL}${upload.uploadUrl}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'image/png', Authorization: `Bearer ${token}` },
+      body: png,
+    });
+    expect((await put('not-the-token')).status).toBe(403);
+    expect((await put(upload.uploadToken)).status).toBe(201);
+    expect((await put(upload.uploadToken)).status).toBe(403);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should only send attachments uploaded by the sender', async () => {
+    const { upload } = await uploadAttachment(senderSocket.id, { fileName: 'photo.png', mimeType: 'image/png', data: png });
+    await expect(
+      userManager.sendMessage(outsiderSocket.id, 'recipient', 'Not mine', { attachments: [upload.attachmentId] })
+    ).rejects.toThrow(/Attachment .* not found/);
+
+    // reserved but never uploaded
+    const pending = await userManager.createAttachmentUpload(senderSocket.id, { fileName: 'b.png', mimeType: 'image/png', size: 10 });
+    await expect(
+      userManager.broadcastPublicMessage(senderSocket.id, 'Pending', { attachments: [pending.attachmentId] })
+    ).rejects.toThrow(/Attachment .* not found/);
+  }, SOCKET_TEST_TIMEOUT);
+});
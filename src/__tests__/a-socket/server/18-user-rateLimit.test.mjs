@@ -0,0 +1,79 @@
+import { startServer, stopServer, users as userManager, rateLimiter } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+describe('Rate limiting', () => {
+  let socket;
+
+  beforeEach(async () => {
+    await rateLimiter.reset();
+    socket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(socket.id, { userId: 'flooder', userName: 'Flooder' }, true);
+  });
+
+  afterEach(async () => {
+    if (socket) {
+      await userManager.disconnectUser(socket.id);
+      socket.disconnect();
+      socket.close();
+    }
+  });
+
+  test('should answer RATE_LIMITED with retryAfter once the bucket is empty', async () => {
+    const send = (i) => socket.timeout(5000).emitWithAck('broadcastPublicMessage', { content: `Hello ${i}` });
+
+    // capacity of broadcastPublicMessage is 10
+    for (let i = 0; i < 10; i++) {
+      expect(await send(i)).toMatchObject({ success: true });
+    }
+
+    const limited = await send(10);
+    expect(limited).toMatchObject({ success: false, event: 'broadcastPublicMessage', error: 'RATE_LIMITED' });
+    expect(limited.retryAfter).toBeGreaterThan(0);
+    expect(limited.retryAfter).toBeLessThanOrEqual(2000);
+
+    // other events have their own bucket
+    expect(await socket.timeout(5000).emitWithAck('searchMessages', { query: 'hello' })).toMatchObject({ success: true });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should disconnect repeat offenders', async () => {
+    const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+    const responses = [];
+    socket.on('response', response => responses.push(response));
+
+    // 30 typing events fit in the bucket, then 20 violations are tolerated
+    for (let i = 0; i < 80 && socket.connected; i++) {
+      socket.emit('typing', { recipientId: 'nobody' });
+    }
+
+    expect(await disconnected).toBe('io server disconnect');
+    expect(responses.some(r => r.error === 'RATE_LIMITED')).toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,90 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { passportStore } from 'a-socket/middleware-auth.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+describe('Role based permissions', () => {
+  let userSocket, adminSocket;
+
+  beforeEach(async () => {
+    userSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(userSocket.id, { userId: 'member', userName: 'Member' }, true);
+
+    adminSocket = await createClientSocket(BASE_URL, 5000, { roles: ['admin'] });
+    await userManager.storeUser(adminSocket.id, { userId: 'moderator', userName: 'Moderator' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [userSocket, adminSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should let users read their own connection metrics only', async () => {
+    const own = await userSocket.timeout(5000).emitWithAck('getUserConnectionMetrics', {});
+    expect(own).toMatchObject({ success: true, result: { totalConnections: 1 } });
+
+    const other = await userSocket.timeout(5000).emitWithAck('getUserConnectionMetrics', { userId: 'moderator' });
+    expect(other).toEqual({
+      success: false,
+      event: 'getUserConnectionMetrics',
+      error: 'Permission denied: getUserConnectionMetrics requires role admin',
+    });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should let admins read the connection metrics of anyone', async () => {
+    const other = await adminSocket.timeout(5000).emitWithAck('getUserConnectionMetrics', { userId: 'member' });
+    expect(other).toMatchObject({ success: true, result: { totalConnections: 1 } });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should answer an invalid passport reload and keep the server running', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    const reload = jest.spyOn(passportStore, 'reload').mockRejectedValueOnce(new Error('Invalid passport: "iss" is required'));
+    try {
+      const response = await adminSocket.timeout(5000).emitWithAck('reloadPassport', {});
+      expect(response).toEqual({
+        success: true,
+        event: 'reloadPassport',
+        result: { reloaded: false, error: 'Invalid passport: "iss" is required' },
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 50)); // unhandled rejections are reported after a tick
+      expect(exit).not.toHaveBeenCalled();
+      expect(adminSocket.connected).toBe(true);
+    } finally {
+      reload.mockRestore();
+      exit.mockRestore();
+    }
+  }, SOCKET_TEST_TIMEOUT);
+});
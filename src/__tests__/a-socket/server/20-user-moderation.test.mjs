@@ -0,0 +1,146 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+import { waitForEvent } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+describe('Admin moderation', () => {
+  let adminSocket, trollSocket, bystanderSocket;
+
+  const admin = (event, options = {}) => adminSocket.timeout(5000).emitWithAck(event, options);
+
+  beforeEach(async () => {
+    adminSocket = await createClientSocket(BASE_URL, 5000, { userId: 'moderator', roles: ['admin'] });
+    await userManager.storeUser(adminSocket.id, { userId: 'moderator', userName: 'Moderator' }, true);
+
+    trollSocket = await createClientSocket(BASE_URL, 5000, { userId: 'troll' });
+    await userManager.storeUser(trollSocket.id, { userId: 'troll', userName: 'Troll' }, true);
+
+    bystanderSocket = await createClientSocket(BASE_URL, 5000, { userId: 'bystander' });
+    await userManager.storeUser(bystanderSocket.id, { userId: 'bystander', userName: 'Bystander' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [adminSocket, trollSocket, bystanderSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should refuse moderation events to non admins', async () => {
+    const response = await bystanderSocket.timeout(5000).emitWithAck('kickUser', { userId: 'troll' });
+    expect(response).toMatchObject({ success: false, event: 'kickUser', error: expect.stringMatching(/Permission denied/) });
+    expect(trollSocket.connected).toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should kick every socket of a user', async () => {
+    const trollPhone = await createClientSocket(BASE_URL, 5000, { userId: 'troll' });
+    const socketIds = [trollSocket.id, trollPhone.id];
+    const notices = [trollSocket, trollPhone].map(socket => waitForEvent(socket, 'moderation'));
+    const disconnects = [trollSocket, trollPhone].map(socket => waitForEvent(socket, 'disconnect'));
+
+    const response = await admin('kickUser', { userId: 'troll', reason: 'Spam' });
+    expect(response).toMatchObject({ success: true, result: { userId: 'troll' } });
+    expect(response.result.sockets.sort()).toEqual(socketIds.sort());
+
+    expect(await Promise.all(notices)).toEqual([{ action: 'kick', reason: 'Spam' }, { action: 'kick', reason: 'Spam' }]);
+    expect(await Promise.all(disconnects)).toEqual(['io server disconnect', 'io server disconnect']);
+    expect(await userManager.getUserSockets('troll')).toEqual([]);
+    expect(bystanderSocket.connected).toBe(true);
+    trollPhone.close();
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should block the messages of a muted user until unmuted', async () => {
+    const muted = await admin('muteUser', { userId: 'troll', minutes: 5, reason: 'Flood' });
+    expect(muted).toMatchObject({ success: true, result: { userId: 'troll', type: 'mute', reason: 'Flood' } });
+
+    await expect(userManager.sendMessage(trollSocket.id, 'bystander', 'Hi')).rejects.toThrow(/muted until/);
+    await expect(userManager.broadcastPublicMessage(trollSocket.id, 'Hi all')).rejects.toThrow(/muted until/);
+
+    expect(await admin('unmuteUser', { userId: 'troll' })).toMatchObject({ success: true });
+    await expect(userManager.sendMessage(trollSocket.id, 'bystander', 'Hi')).resolves.toMatchObject({ content: 'Hi' });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should answer the messages of a muted user over the socket and keep the server running', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    try {
+      await admin('muteUser', { userId: 'troll', minutes: 5 });
+
+      const refused = await trollSocket.timeout(5000).emitWithAck('broadcastPublicMessage', { content: 'Hi all' });
+      expect(refused).toMatchObject({ success: false, event: 'broadcastPublicMessage', error: expect.stringMatching(/muted until/) });
+
+      await new Promise(resolve => setTimeout(resolve, 50)); // unhandled rejections are reported after a tick
+      expect(exit).not.toHaveBeenCalled();
+      expect(trollSocket.connected).toBe(true);
+    } finally {
+      exit.mockRestore();
+      await admin('unmuteUser', { userId: 'troll' });
+    }
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should refuse the handshake of a banned user', async () => {
+    const disconnected = waitForEvent(trollSocket, 'disconnect');
+    expect(await admin('banUser', { userId: 'troll', reason: 'Abuse' })).toMatchObject({
+      success: true,
+      result: { type: 'ban', until: null },
+    });
+    await disconnected;
+
+    await expect(createClientSocket(BASE_URL, 5000, { userId: 'troll' })).rejects.toThrow(/User banned/);
+
+    expect(await admin('unbanUser', { userId: 'troll' })).toMatchObject({ success: true });
+    trollSocket = await createClientSocket(BASE_URL, 5000, { userId: 'troll' });
+    expect(trollSocket.connected).toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should remove public messages and keep an audit log', async () => {
+    const msg = await userManager.broadcastPublicMessage(trollSocket.id, 'Bad words');
+    const deleted = waitForEvent(bystanderSocket, 'messageDeleted');
+
+    const response = await admin('removePublicMessage', { messageId: msg.messageId, reason: 'Insults' });
+    expect(response).toMatchObject({ success: true, result: { messageId: msg.messageId, content: '', scope: 'everyone' } });
+    expect(await deleted).toMatchObject({ messageId: msg.messageId, direction: 'incoming' });
+
+    const log = await admin('getAuditLog', { targetId: msg.messageId });
+    expect(log.result.entries).toEqual([
+      expect.objectContaining({
+        action: 'removePublicMessage',
+        actorId: 'moderator',
+        reason: 'Insults',
+        details: { senderId: 'troll' },
+      }),
+    ]);
+
+    const overview = await admin('getModerationOverview');
+    expect(overview.result.users.map(u => u.userId)).toEqual(expect.arrayContaining(['troll', 'bystander']));
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,121 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+// Resolves true when the event arrives within the delay
+const receives = (socket, eventName, delayMs = 500) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    socket.off(eventName, onEvent);
+    resolve(false);
+  }, delayMs);
+  const onEvent = () => {
+    clearTimeout(timer);
+    resolve(true);
+  };
+  socket.once(eventName, onEvent);
+});
+
+describe('Block list', () => {
+  let blockerSocket, pestSocket;
+
+  const blocker = (event, options = {}) => blockerSocket.timeout(5000).emitWithAck(event, options);
+
+  beforeEach(async () => {
+    blockerSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(blockerSocket.id, { userId: 'blocker', userName: 'Blocker' }, true);
+
+    pestSocket = await createClientSocket(BASE_URL);
+    await userManager.storeUser(pestSocket.id, { userId: 'pest', userName: 'Pest' }, true);
+  });
+
+  afterEach(async () => {
+    await userManager.unblockUser(blockerSocket.id, { userId: 'pest' });
+    for (const socket of [blockerSocket, pestSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should reject private messages from a blocked user', async () => {
+    expect(await blocker('blockUser', { userId: 'pest' })).toMatchObject({ success: true, result: { userId: 'pest', blocked: true } });
+
+    await expect(userManager.sendMessage(pestSocket.id, 'blocker', 'Hey')).rejects.toThrow(/does not accept messages from you/);
+    // the other way round still works
+    await expect(userManager.sendMessage(blockerSocket.id, 'pest', 'Stop it')).resolves.toMatchObject({ content: 'Stop it' });
+
+    expect(await blocker('unblockUser', { userId: 'pest' })).toMatchObject({ success: true, result: { blocked: false } });
+    await expect(userManager.sendMessage(pestSocket.id, 'blocker', 'Sorry')).resolves.toMatchObject({ content: 'Sorry' });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should answer the refused sendMessage with success false', async () => {
+    await blocker('blockUser', { userId: 'pest' });
+
+    const refused = await pestSocket.timeout(5000).emitWithAck('sendMessage', { recipientId: 'blocker', content: 'Hey', clientMessageId: 'cm-pest-1' });
+    expect(refused).toMatchObject({ success: false, event: 'sendMessage', error: expect.stringMatching(/does not accept messages from you/) });
+    expect(refused.result).toBeUndefined();
+
+    const invalid = await pestSocket.timeout(5000).emitWithAck('sendMessage', { recipientId: 'blocker' });
+    expect(invalid).toMatchObject({ success: false, error: expect.stringMatching(/Recipient ID and message content are required/) });
+    expect(pestSocket.connected).toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should suppress typing indicators from a blocked user', async () => {
+    let typing = receives(blockerSocket, 'typing');
+    pestSocket.emit('typing', { recipientId: 'blocker' });
+    expect(await typing).toBe(true);
+
+    await blocker('blockUser', { userId: 'pest' });
+    typing = receives(blockerSocket, 'typing');
+    const stopTyping = receives(blockerSocket, 'stopTyping');
+    pestSocket.emit('typing', { recipientId: 'blocker' });
+    pestSocket.emit('stopTyping', { recipientId: 'blocker' });
+    expect(await typing).toBe(false);
+    expect(await stopTyping).toBe(false);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should list and hide blocked users', async () => {
+    await blocker('blockUser', { userId: 'pest' });
+
+    const blocked = await blocker('getBlockedUsers');
+    expect(blocked.result).toEqual([{ userId: 'pest', blockedAt: expect.any(String) }]);
+
+    const list = await userManager.getUsersList(blockerSocket.id);
+    expect(list.map(u => u.userId)).not.toContain('pest');
+    const pestList = await userManager.getUsersList(pestSocket.id);
+    expect(pestList.map(u => u.userId)).toContain('blocker');
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should not block oneself', async () => {
+    await expect(userManager.blockUser(blockerSocket.id, { userId: 'blocker' })).rejects.toThrow(/cannot block themselves/);
+  }, SOCKET_TEST_TIMEOUT);
+});
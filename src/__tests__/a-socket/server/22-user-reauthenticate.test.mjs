@@ -0,0 +1,83 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket, waitForEvent } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+const inSeconds = (seconds) => Math.floor(Date.now() / 1000) + seconds;
+
+describe('Token expiration and reauthenticate', () => {
+  let clientSocket;
+
+  const client = (event, options = {}) => clientSocket.timeout(5000).emitWithAck(event, options);
+
+  beforeEach(async () => {
+    clientSocket = await createClientSocket(BASE_URL, 5000, { userId: 'renewing', exp: inSeconds(3600) });
+    await userManager.storeUser(clientSocket.id, { userId: 'renewing', userName: 'Renewing' }, true);
+  });
+
+  afterEach(async () => {
+    if (clientSocket) {
+      await userManager.disconnectUser(clientSocket.id);
+      clientSocket.disconnect();
+      clientSocket.close();
+    }
+  });
+
+  test('should warn ahead of expiration and accept a fresh token', async () => {
+    const exp = inSeconds(10); // within TOKEN_EXPIRY_WARNING_SECONDS
+    const expiring = waitForEvent(clientSocket, 'token_expiring');
+
+    const renewed = await client('reauthenticate', { userId: 'renewing', exp });
+    expect(renewed).toMatchObject({
+      success: true,
+      result: { userId: 'renewing', expiresAt: new Date(exp * 1000).toISOString() },
+    });
+    expect(await expiring).toEqual({ expiresAt: new Date(exp * 1000).toISOString() });
+
+    expect(await client('reauthenticate', { userId: 'renewing', exp: inSeconds(3600) })).toMatchObject({ success: true });
+    expect(clientSocket.connected).toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should refuse the token of another user', async () => {
+    const response = await client('reauthenticate', { userId: 'someone-else', exp: inSeconds(3600) });
+    expect(response).toMatchObject({ success: false, error: 'Authentication failed: Token belongs to another user' });
+    expect(clientSocket.connected).toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should disconnect a socket whose token lapsed', async () => {
+    const expired = waitForEvent(clientSocket, 'token_expired');
+    const disconnected = waitForEvent(clientSocket, 'disconnect');
+
+    // past exp and the grace period
+    await client('reauthenticate', { userId: 'renewing', exp: inSeconds(-3600) }).catch(() => null);
+
+    expect(await expired).toHaveProperty('expiresAt');
+    expect(await disconnected).toBe('io server disconnect');
+  }, SOCKET_TEST_TIMEOUT);
+});
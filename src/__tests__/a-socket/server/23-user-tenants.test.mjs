@@ -0,0 +1,85 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket, waitForEvent } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+describe('Tenants', () => {
+  const sockets = [];
+
+  const connect = async (userId, tenant) => {
+    const socket = await createClientSocket(BASE_URL, 5000, { userId, tenant });
+    sockets.push(socket);
+    return socket;
+  };
+
+  afterEach(async () => {
+    for (const socket of sockets.splice(0)) {
+      await userManager.disconnectUser(socket.id);
+      socket.disconnect();
+      socket.close();
+    }
+  });
+
+  test('should tag users with the tenant of their passport', async () => {
+    const socket = await connect('tenant-a-user', 'tenant-a');
+    const user = await userManager.getUserBySocketId(socket.id);
+    expect(user).toMatchObject({ userId: 'tenant-a:tenant-a-user', tenant: 'tenant-a' });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should keep the same subject of two tenants apart', async () => {
+    const staging = await connect('same-sub', 'staging');
+    const prod = await connect('same-sub', 'prod');
+
+    expect(await userManager.getUserBySocketId(staging.id)).toMatchObject({ userId: 'staging:same-sub', tenant: 'staging' });
+    expect(await userManager.getUserBySocketId(prod.id)).toMatchObject({ userId: 'prod:same-sub', tenant: 'prod' });
+    expect((await userManager.getUserSockets('prod:same-sub')).map(s => s.socketId)).toEqual([prod.id]);
+
+    const sent = await userManager.sendMessage(prod.id, 'prod:same-sub', 'Note to self');
+    const stagingHistory = await userManager.getUserConversation(staging.id, { type: 'private', otherPartyId: 'prod:same-sub' });
+    expect(stagingHistory.messages.map(m => m.messageId)).not.toContain(sent.messageId);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should only list the users of the same tenant', async () => {
+    const alice = await connect('tenant-a-alice', 'tenant-a');
+    await connect('tenant-a-bob', 'tenant-a');
+    await connect('tenant-b-carol', 'tenant-b');
+
+    const usersList = waitForEvent(alice, 'usersList');
+    alice.emit('getUsersList', { states: ['authenticated'], limit: 100 });
+    const userIds = (await usersList).map(u => u.userId);
+    expect(userIds).toEqual(expect.arrayContaining(['tenant-a:tenant-a-alice', 'tenant-a:tenant-a-bob']));
+    expect(userIds).not.toContain('tenant-b:tenant-b-carol');
+
+    const tenantBList = await userManager.getUsersList(sockets[2].id, { states: ['authenticated'], limit: 100 });
+    expect(tenantBList.map(u => u.userId)).toEqual(['tenant-b:tenant-b-carol']);
+
+    const activeUsers = await userManager.getActiveUsers(alice.id);
+    expect(activeUsers.map(u => u.userId).sort()).toEqual(['tenant-a:tenant-a-alice', 'tenant-a:tenant-a-bob']);
+  }, SOCKET_TEST_TIMEOUT);
+});
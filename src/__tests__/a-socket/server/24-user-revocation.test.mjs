@@ -0,0 +1,118 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket, waitForEvent } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+
+const inSeconds = (seconds) => Math.floor(Date.now() / 1000) + seconds;
+
+describe('Token revocation', () => {
+  let adminSocket;
+  const sockets = [];
+
+  const admin = (event, options = {}) => adminSocket.timeout(5000).emitWithAck(event, options);
+
+  const connect = async (auth) => {
+    const socket = await createClientSocket(BASE_URL, 5000, auth);
+    await userManager.storeUser(socket.id, { userId: auth.userId, userName: auth.userId }, true);
+    sockets.push(socket);
+    return socket;
+  };
+
+  beforeEach(async () => {
+    adminSocket = await connect({ userId: 'revoker', roles: ['admin'] });
+  });
+
+  afterEach(async () => {
+    for (const socket of sockets.splice(0)) {
+      await userManager.disconnectUser(socket.id);
+      socket.disconnect();
+      socket.close();
+    }
+  });
+
+  test('should refuse revocation events to non admins', async () => {
+    const user = await connect({ userId: 'curious', jti: 'tok-curious' });
+    const response = await user.timeout(5000).emitWithAck('revokeToken', { jti: 'tok-curious' });
+    expect(response).toMatchObject({ success: false, error: expect.stringMatching(/Permission denied/) });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should disconnect the sockets of a revoked token and refuse it afterwards', async () => {
+    const stolen = await connect({ userId: 'stolen', jti: 'tok-stolen', iat: inSeconds(-60) });
+    const other = await connect({ userId: 'stolen', jti: 'tok-other', iat: inSeconds(-60) });
+    const stolenSocketId = stolen.id;
+    const notice = waitForEvent(stolen, 'moderation');
+    const disconnected = waitForEvent(stolen, 'disconnect');
+
+    const response = await admin('revokeToken', { jti: 'tok-stolen', reason: 'Leaked' });
+    expect(response).toMatchObject({
+      success: true,
+      result: { kind: 'jti', key: 'tok-stolen', revokedBy: 'revoker', sockets: [stolenSocketId] },
+    });
+    expect(await notice).toEqual({ action: 'revoke', reason: 'Leaked' });
+    expect(await disconnected).toBe('io server disconnect');
+    expect(other.connected).toBe(true);
+
+    await expect(createClientSocket(BASE_URL, 5000, { userId: 'stolen', jti: 'tok-stolen' }))
+      .rejects.toThrow('Authentication failed: Token revoked');
+
+    const reused = await other.timeout(5000).emitWithAck('reauthenticate', { jti: 'tok-stolen' });
+    expect(reused).toMatchObject({ success: false, error: 'Authentication failed: Token revoked' });
+    expect(other.connected).toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should revoke every token of a user issued before the revocation', async () => {
+    const laptop = await connect({ userId: 'lost-laptop', jti: 'tok-laptop', iat: inSeconds(-60) });
+    const phone = await connect({ userId: 'lost-laptop', jti: 'tok-phone', iat: inSeconds(-60) });
+    const socketIds = [laptop.id, phone.id];
+    const disconnects = [laptop, phone].map(socket => waitForEvent(socket, 'disconnect'));
+
+    const response = await admin('revokeUserTokens', { userId: 'lost-laptop' });
+    expect(response).toMatchObject({ success: true, result: { kind: 'sub', key: 'lost-laptop' } });
+    expect(response.result.sockets.sort()).toEqual(socketIds.sort());
+    expect(await Promise.all(disconnects)).toEqual(['io server disconnect', 'io server disconnect']);
+    expect(adminSocket.connected).toBe(true);
+
+    await expect(createClientSocket(BASE_URL, 5000, { userId: 'lost-laptop', iat: inSeconds(-30) }))
+      .rejects.toThrow('Authentication failed: Token revoked');
+    await expect(connect({ userId: 'lost-laptop', iat: inSeconds(5) })).resolves.toHaveProperty('connected', true);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should refuse admins revoking their own tokens', async () => {
+    await expect(userManager.revokeUserTokens(adminSocket.id, { userId: 'revoker' }))
+      .rejects.toThrow('Admins cannot moderate themselves');
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should accept a one-time token once', async () => {
+    const expiresAt = Date.now() + 60000;
+    await expect(userManager.consumeOneTimeToken('tok-once', expiresAt)).resolves.toBe(true);
+    await expect(userManager.consumeOneTimeToken('tok-once', expiresAt)).resolves.toBe(false);
+    await expect(userManager.consumeOneTimeToken('tok-twice', expiresAt)).resolves.toBe(true);
+  }, SOCKET_TEST_TIMEOUT);
+});
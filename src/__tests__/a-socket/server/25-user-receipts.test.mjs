@@ -0,0 +1,131 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket, waitForEvent } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+
+describe('Delivery receipts', () => {
+  let senderSocket, aliceSocket, bobSocket, groupId;
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL, 5000, { userId: 'receipts-sender' });
+    await userManager.storeUser(senderSocket.id, { userId: 'receipts-sender', userName: 'Sender' }, true);
+
+    aliceSocket = await createClientSocket(BASE_URL, 5000, { userId: 'receipts-alice' });
+    await userManager.storeUser(aliceSocket.id, { userId: 'receipts-alice', userName: 'Alice' }, true);
+    bobSocket = await createClientSocket(BASE_URL, 5000, { userId: 'receipts-bob' });
+    await userManager.storeUser(bobSocket.id, { userId: 'receipts-bob', userName: 'Bob' }, true);
+
+    for (const socket of [aliceSocket, bobSocket]) {
+      socket.on('receiveMessage', (msg, ack) => ack('received'));
+    }
+
+    const group = await userManager.createGroup(senderSocket.id, { name: 'Receipts', memberIds: ['receipts-alice', 'receipts-bob'] });
+    groupId = group.groupId;
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, aliceSocket, bobSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  const send = async (content) => {
+    const response = await senderSocket.timeout(5000).emitWithAck('sendGroupMessage', { groupId, content });
+    expect(response).toMatchObject({ success: true });
+    return response.result;
+  };
+
+  test('should store one receipt per recipient socket', async () => {
+    const notified = waitForEvent(senderSocket, 'messageReceipts');
+    const msg = await send('Hello devices');
+
+    // the test environment refuses the receiveMessage acks
+    expect(await notified).toEqual({ messageId: msg.messageId, delivered: 0, devices: 2 });
+
+    const response = await senderSocket.timeout(5000).emitWithAck('getMessageReceipts', { messageId: msg.messageId });
+    expect(response).toMatchObject({ success: true, result: { messageId: msg.messageId, delivered: 0, devices: 2 } });
+    const receipts = Object.fromEntries(response.result.receipts.map(r => [r.recipientId, r]));
+    expect(receipts['receipts-alice']).toEqual({
+      recipientId: 'receipts-alice',
+      socketId: aliceSocket.id,
+      sessionId: expect.any(String),
+      status: 'failed',
+      reason: 'not_acknowledged',
+      updatedAt: expect.any(String),
+    });
+    expect(receipts['receipts-bob']).toMatchObject({ socketId: bobSocket.id, status: 'failed' });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should deliver to every connected device of a recipient', async () => {
+    const alicePhone = await createClientSocket(BASE_URL, 5000, { userId: 'receipts-alice' });
+    await userManager.storeUser(alicePhone.id, { userId: 'receipts-alice', userName: 'Alice' }, true);
+    alicePhone.on('receiveMessage', (msg, ack) => ack('received'));
+    try {
+      const sockets = await userManager.getUserSockets('receipts-alice');
+      expect(sockets.map(s => s.socketId).sort()).toEqual([aliceSocket.id, alicePhone.id].sort());
+
+      const notified = waitForEvent(senderSocket, 'messageReceipts');
+      const msg = await send('Hello phones');
+      expect(await notified).toEqual({ messageId: msg.messageId, delivered: 0, devices: 3 });
+    } finally {
+      await userManager.disconnectUser(alicePhone.id);
+      alicePhone.close();
+    }
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should keep a delivered receipt delivered', async () => {
+    const msg = await send('Hello again');
+    const receipt = (recipientId, socket, status) => ({ recipientId, socketId: socket.id, status });
+
+    const delivered = await userManager.storeMessageReceipts(senderSocket.id, msg.messageId, [
+      receipt('receipts-alice', aliceSocket, 'delivered'),
+    ]);
+    expect(delivered).toMatchObject({ delivered: 1, devices: 2 });
+
+    const retried = await userManager.storeMessageReceipts(senderSocket.id, msg.messageId, [
+      receipt('receipts-alice', aliceSocket, 'failed'),
+      receipt('receipts-bob', bobSocket, 'delivered'),
+    ]);
+    expect(retried).toMatchObject({ delivered: 2, devices: 2 });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should only show the receipts to the sender', async () => {
+    const msg = await send('Secret receipts');
+
+    await expect(userManager.getMessageReceipts(aliceSocket.id, { messageId: msg.messageId }))
+      .rejects.toThrow(`Message ${msg.messageId} not found`);
+    await expect(userManager.storeMessageReceipts(senderSocket.id, msg.messageId, [{ socketId: aliceSocket.id, status: 'read' }]))
+      .rejects.toThrow(/Invalid receipt/);
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,96 @@
+import { startServer, stopServer, users as userManager } from 'a-socket/server.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+
+
+describe('Idempotent sendMessage', () => {
+  let senderSocket, recipientSocket;
+
+  const send = (options) => senderSocket.timeout(5000).emitWithAck('sendMessage', { recipientId: 'idem-recipient', ...options });
+  const conversation = async () => (await userManager.getUserConversation(senderSocket.id, {
+    type: 'private',
+    otherPartyId: 'idem-recipient',
+  })).messages;
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL, 5000, { userId: 'idem-sender' });
+    await userManager.storeUser(senderSocket.id, { userId: 'idem-sender', userName: 'Sender' }, true);
+    recipientSocket = await createClientSocket(BASE_URL, 5000, { userId: 'idem-recipient' });
+    await userManager.storeUser(recipientSocket.id, { userId: 'idem-recipient', userName: 'Recipient' }, true);
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket]) {
+      if (socket) {
+        await userManager.disconnectUser(socket.id);
+        socket.disconnect();
+        socket.close();
+      }
+    }
+  });
+
+  test('should return the stored message on a retry', async () => {
+    const first = await send({ content: 'Once', clientMessageId: 'client-msg-1' });
+    expect(first).toMatchObject({ success: true, result: { clientMessageId: 'client-msg-1' } });
+    const retry = await send({ content: 'Once', clientMessageId: 'client-msg-1' });
+
+    expect(retry).toMatchObject({
+      success: true,
+      result: { messageId: first.result.messageId, status: first.result.status, duplicate: true },
+    });
+    // the same message as the first ack, whatever the backend
+    expect(retry.result).toEqual({ ...first.result, duplicate: true });
+    expect((await conversation()).filter(m => m.messageId === first.result.messageId)).toHaveLength(1);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should store concurrent retries once', async () => {
+    const sent = await Promise.all([1, 2, 3].map(() =>
+      userManager.sendMessage(senderSocket.id, 'idem-recipient', 'Racing', { clientMessageId: 'client-msg-race' })));
+
+    expect(new Set(sent.map(m => m.messageId)).size).toBe(1);
+    expect((await conversation()).filter(m => m.clientMessageId === 'client-msg-race')).toHaveLength(1);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should keep messages without or with other clientMessageIds apart', async () => {
+    const a = await userManager.sendMessage(senderSocket.id, 'idem-recipient', 'Same', { clientMessageId: 'client-msg-a' });
+    const b = await userManager.sendMessage(senderSocket.id, 'idem-recipient', 'Same', { clientMessageId: 'client-msg-b' });
+    const c = await userManager.sendMessage(senderSocket.id, 'idem-recipient', 'Same');
+    const d = await userManager.sendMessage(senderSocket.id, 'idem-recipient', 'Same');
+
+    expect(new Set([a, b, c, d].map(m => m.messageId)).size).toBe(4);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should refuse a clientMessageId reused for another recipient', async () => {
+    await userManager.sendMessage(senderSocket.id, 'idem-recipient', 'Hi', { clientMessageId: 'client-msg-other' });
+
+    await expect(userManager.sendMessage(senderSocket.id, 'idem-sender', 'Hi me', { clientMessageId: 'client-msg-other' }))
+      .rejects.toThrow('clientMessageId client-msg-other was already used for another recipient');
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,153 @@
+import { startServer, stopServer, users as userManager, pendingRedelivery, io } from 'a-socket/server.mjs';
+import { PENDING_MESSAGES_PAGE_SIZE } from 'a-socket/config.mjs';
+import { createClientSocket } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+describe('Pending messages redelivery', () => {
+  let senderSocket, recipientSocket, recipientId, pending;
+  let run = 0;
+
+  const connectRecipient = async () => {
+    const socket = await createClientSocket(BASE_URL, 5000, { userId: recipientId });
+    await userManager.storeUser(socket.id, { userId: recipientId, userName: 'Recipient' }, true);
+    return socket;
+  };
+
+  const disconnect = async (socket) => {
+    await userManager.disconnectUser(socket.id);
+    socket.disconnect();
+    socket.close();
+  };
+
+  beforeEach(async () => {
+    senderSocket = await createClientSocket(BASE_URL, 5000, { userId: 'redelivery-sender' });
+    await userManager.storeUser(senderSocket.id, { userId: 'redelivery-sender', userName: 'Sender' }, true);
+
+    // sent while the recipient is offline, a new one per test
+    recipientId = `redelivery-recipient-${++run}`;
+    await disconnect(await connectRecipient());
+    pending = [];
+    for (const content of ['First', 'Second']) {
+      const response = await senderSocket.timeout(5000).emitWithAck('sendMessage', { recipientId, content });
+      expect(response).toMatchObject({ success: true, result: { status: 'pending' } });
+      pending.push(response.result);
+    }
+  });
+
+  afterEach(async () => {
+    for (const socket of [senderSocket, recipientSocket]) {
+      if (socket?.connected) await disconnect(socket);
+    }
+  });
+
+  test('should push the pending backlog after authentication, oldest first', async () => {
+    recipientSocket = await connectRecipient();
+    const received = [];
+    recipientSocket.on('receiveMessage', (msg, ack) => {
+      received.push(msg);
+      ack('received');
+    });
+    // the push on connection may still be running, its pushes arrive before the ack of a first call
+    await recipientSocket.timeout(5000).emitWithAck('getAndDeliverPendingMessages', {});
+    received.length = 0;
+
+    const response = await recipientSocket.timeout(5000).emitWithAck('getAndDeliverPendingMessages', {});
+    // the test environment refuses the receiveMessage acks, they stay pending
+    expect(response).toMatchObject({ success: true, result: { total: 2, delivered: 0, remaining: 2 } });
+    expect(received.map(msg => msg.content)).toEqual(['First', 'Second']);
+    expect(received[0]).toMatchObject({ messageId: pending[0].messageId, direction: 'incoming', status: 'delivery' });
+
+    // retried later with the backoff
+    expect(pendingRedelivery.size()).toBeGreaterThan(0);
+    const receipts = await senderSocket.timeout(5000).emitWithAck('getMessageReceipts', { messageId: pending[0].messageId });
+    expect(receipts.result.receipts).toEqual([expect.objectContaining({
+      recipientId,
+      socketId: recipientSocket.id,
+      status: 'failed',
+      reason: 'not_acknowledged',
+    })]);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should push a long backlog PENDING_MESSAGES_PAGE_SIZE messages at a time', async () => {
+    for (let i = pending.length; i <= PENDING_MESSAGES_PAGE_SIZE; i++) {
+      const msg = await userManager.sendMessage(senderSocket.id, recipientId, `Backlog ${i}`);
+      pending.push(await userManager.updateMessageStatus(senderSocket.id, msg.messageId, 'pending'));
+    }
+
+    // the receiveMessage pushes to the recipient, and the receipts stored once their acks are in
+    const steps = [];
+    const to = io.to.bind(io);
+    const toSpy = jest.spyOn(io, 'to').mockImplementation((room) => {
+      if (io.sockets.sockets.get(room)?.user?.userId === recipientId) steps.push('push');
+      return to(room);
+    });
+    const storeReceipt = userManager.storePendingMessageReceipt;
+    const receiptSpy = jest.spyOn(userManager, 'storePendingMessageReceipt').mockImplementation((...args) => {
+      steps.push('receipt');
+      return storeReceipt(...args);
+    });
+    try {
+      recipientSocket = await connectRecipient();
+      const response = await recipientSocket.timeout(5000).emitWithAck('getAndDeliverPendingMessages', {});
+      expect(response).toMatchObject({ success: true, result: { total: PENDING_MESSAGES_PAGE_SIZE + 1 } });
+
+      // never more than a page pushed before the receipts of the previous pushes
+      const bursts = steps.join(' ').split('receipt').map(burst => burst.split('push').length - 1);
+      expect(Math.max(...bursts)).toBe(PENDING_MESSAGES_PAGE_SIZE);
+    } finally {
+      toSpy.mockRestore();
+      receiptSpy.mockRestore();
+    }
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should mark an acknowledged pending message delivered', async () => {
+    recipientSocket = await connectRecipient();
+    expect((await userManager.getPendingMessages(recipientSocket.id)).map(msg => msg.messageId))
+      .toEqual(pending.map(msg => msg.messageId));
+
+    const result = await userManager.storePendingMessageReceipt(recipientSocket.id, pending[0].messageId, { status: 'delivered' });
+    expect(result).toMatchObject({
+      messageId: pending[0].messageId,
+      delivered: 1,
+      message: { messageId: pending[0].messageId, direction: 'outgoing', status: 'delivered' },
+    });
+    expect((await userManager.getPendingMessages(recipientSocket.id)).map(msg => msg.messageId))
+      .toEqual([pending[1].messageId]);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should stop retrying once the socket is gone', async () => {
+    recipientSocket = await connectRecipient();
+    await recipientSocket.timeout(5000).emitWithAck('getAndDeliverPendingMessages', {});
+    const retried = pendingRedelivery.size();
+
+    await disconnect(recipientSocket);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(pendingRedelivery.size()).toBe(retried - 1);
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,101 @@
+import { startServer, stopServer, users as userManager, expireUndeliveredMessages } from 'a-socket/server.mjs';
+import { createClientSocket, waitForEvent } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+describe('Undeliverable messages expiry', () => {
+  let senderSocket, recipientSocket;
+
+  const connect = async (userId, userName) => {
+    const socket = await createClientSocket(BASE_URL, 5000, { userId });
+    await userManager.storeUser(socket.id, { userId, userName }, true);
+    return socket;
+  };
+
+  const disconnect = async (socket) => {
+    await userManager.disconnectUser(socket.id);
+    socket.disconnect();
+    socket.close();
+  };
+
+  // Only Date moves, the sockets keep their real timers
+  const travelDays = (days) => jest.useFakeTimers({
+    now: Date.now() + days * 24 * 60 * 60 * 1000,
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'],
+  });
+
+  beforeEach(async () => {
+    senderSocket = await connect('expiry-sender', 'Sender');
+    await disconnect(await connect('expiry-recipient', 'Recipient'));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    for (const socket of [senderSocket, recipientSocket]) {
+      if (socket?.connected) await disconnect(socket);
+    }
+  });
+
+  test('should fail the messages pending past the delivery window and let the sender resend them', async () => {
+    const sent = await senderSocket.timeout(5000).emitWithAck('sendMessage', { recipientId: 'expiry-recipient', content: 'Anyone there?' });
+    expect(sent).toMatchObject({ success: true, result: { status: 'pending' } });
+    const { messageId } = sent.result;
+
+    expect(await expireUndeliveredMessages()).toBe(0);
+
+    travelDays(31);
+    const notified = waitForEvent(senderSocket, 'updateMessageStatus');
+    expect(await expireUndeliveredMessages()).toBe(1);
+    expect(await notified).toMatchObject({ messageId, status: 'failed', direction: 'outgoing' });
+    expect(await expireUndeliveredMessages()).toBe(0);
+    jest.useRealTimers();
+
+    recipientSocket = await connect('expiry-recipient', 'Recipient');
+    const received = waitForEvent(recipientSocket, 'receiveMessage');
+    recipientSocket.on('receiveMessage', (msg, ack) => ack('received'));
+
+    const resent = await senderSocket.timeout(5000).emitWithAck('resendMessage', { messageId });
+    expect(resent).toMatchObject({ success: true, result: { messageId, content: 'Anyone there?' } });
+    expect(await received).toMatchObject({ messageId, content: 'Anyone there?', direction: 'incoming' });
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should only resend failed messages of the sender', async () => {
+    const sent = await senderSocket.timeout(5000).emitWithAck('sendMessage', { recipientId: 'expiry-recipient', content: 'Still pending' });
+    const { messageId } = sent.result;
+
+    await expect(userManager.resendMessage(senderSocket.id, { messageId }))
+      .rejects.toThrow('only failed messages can be resent');
+
+    recipientSocket = await connect('expiry-recipient', 'Recipient');
+    await expect(userManager.resendMessage(recipientSocket.id, { messageId }))
+      .rejects.toThrow(`Message ${messageId} not found`);
+    await expect(userManager.resendMessage(senderSocket.id, {}))
+      .rejects.toThrow(/Invalid options/);
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,134 @@
+import { startServer, stopServer, users as userManager, expireDisappearingMessages } from 'a-socket/server.mjs';
+import { createClientSocket, waitForEvent } from '../utils.mjs';
+
+const PORT = process.env.PORT || 3001; // Use a different port to avoid conflicts
+const BASE_URL = `http://localhost:${PORT}`;
+
+const SERVER_START_TIMEOUT = 10000; // Increased timeout for server startup
+const SOCKET_TEST_TIMEOUT = 10000;
+
+jest.setTimeout(10000); // Increase global timeout
+
+let httpServer;
+
+beforeAll(async () => {
+  // Start the server
+  httpServer = await startServer();
+
+  // Small delay to ensure server is fully ready
+  await new Promise(resolve => setTimeout(resolve, 500));
+}, SERVER_START_TIMEOUT);
+
+afterAll(async () => {
+  // Stop the server
+  await stopServer();
+
+  if (httpServer) {
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+// Reserve then upload a file, resolves with the upload response body
+const uploadAttachment = async (socketId, { fileName, mimeType, data }) => {
+  const upload = await userManager.createAttachmentUpload(socketId, { fileName, mimeType, size: data.length });
+  const response = await fetch(`${BASE_URL}${upload.uploadUrl}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': mimeType, Authorization: `Bearer ${upload.uploadToken}` },
+    body: data,
+  });
+  return response.json();
+};
+
+describe('Disappearing messages', () => {
+  let aliceSocket, bobSocket;
+
+  const connect = async (userId, userName) => {
+    const socket = await createClientSocket(BASE_URL, 5000, { userId });
+    await userManager.storeUser(socket.id, { userId, userName }, true);
+    return socket;
+  };
+
+  const disconnect = async (socket) => {
+    await userManager.disconnectUser(socket.id);
+    socket.disconnect();
+    socket.close();
+  };
+
+  // Only Date moves, the sockets keep their real timers
+  const travelHours = (hours) => jest.useFakeTimers({
+    now: Date.now() + hours * 60 * 60 * 1000,
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'],
+  });
+
+  const conversation = async (socket, otherPartyId) =>
+    (await userManager.getUserConversation(socket.id, { type: 'private', otherPartyId })).messages.map(m => m.messageId);
+
+  beforeEach(async () => {
+    aliceSocket = await connect('ttl-alice', 'Alice');
+    bobSocket = await connect('ttl-bob', 'Bob');
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    for (const socket of [aliceSocket, bobSocket]) {
+      if (socket?.connected) await disconnect(socket);
+    }
+  });
+
+  test('should delete both copies of the messages past the conversation TTL and notify both parties', async () => {
+    const kept = await userManager.sendMessage(aliceSocket.id, 'ttl-bob', 'Before the TTL');
+    expect(kept.expiresAt).toBeNull();
+
+    const bobNotified = waitForEvent(bobSocket, 'conversationTtl');
+    const set = await aliceSocket.timeout(5000).emitWithAck('setConversationTtl', { otherPartyId: 'ttl-bob', ttlSeconds: 3600 });
+    expect(set).toMatchObject({ success: true, result: { otherPartyId: 'ttl-bob', ttlSeconds: 3600, setBy: 'ttl-alice' } });
+    expect(await bobNotified).toMatchObject({ otherPartyId: 'ttl-alice', ttlSeconds: 3600, setBy: 'ttl-alice' });
+    expect(await userManager.getConversationTtl(bobSocket.id, { otherPartyId: 'ttl-alice' }))
+      .toMatchObject({ otherPartyId: 'ttl-alice', ttlSeconds: 3600 });
+
+    const msg = await userManager.sendMessage(bobSocket.id, 'ttl-alice', 'Gone in an hour');
+    expect(new Date(msg.expiresAt).getTime()).toBeGreaterThan(Date.now() + 3590 * 1000);
+    expect(await expireDisappearingMessages()).toBe(0);
+
+    travelHours(2);
+    const aliceExpired = waitForEvent(aliceSocket, 'messagesExpired');
+    const bobExpired = waitForEvent(bobSocket, 'messagesExpired');
+    expect(await expireDisappearingMessages()).toBe(1);
+    expect(await aliceExpired).toEqual({ messageIds: [msg.messageId] });
+    expect(await bobExpired).toEqual({ messageIds: [msg.messageId] });
+
+    expect(await conversation(aliceSocket, 'ttl-bob')).toEqual([kept.messageId]);
+    expect(await conversation(bobSocket, 'ttl-alice')).toEqual([kept.messageId]);
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should delete the attachments only the expired messages used', async () => {
+    const shared = await uploadAttachment(aliceSocket.id, { fileName: 'shared.csv', mimeType: 'text/csv', data: Buffer.from('a,b\n') });
+    const secret = await uploadAttachment(aliceSocket.id, { fileName: 'secret.csv', mimeType: 'text/csv', data: Buffer.from('c,d\n') });
+    await userManager.setConversationTtl(aliceSocket.id, { otherPartyId: 'ttl-bob', ttlSeconds: null });
+    await userManager.sendMessage(aliceSocket.id, 'ttl-bob', 'Kept', { attachments: [shared.attachmentId] });
+
+    await userManager.setConversationTtl(aliceSocket.id, { otherPartyId: 'ttl-bob', ttlSeconds: 3600 });
+    await userManager.sendMessage(aliceSocket.id, 'ttl-bob', 'Gone', { attachments: [shared.attachmentId, secret.attachmentId] });
+
+    travelHours(2);
+    expect(await expireDisappearingMessages()).toBe(1);
+
+    expect(await userManager.getAttachment(secret.attachmentId)).toBeNull();
+    expect((await fetch(`${BASE_URL}${secret.url}`)).status).toBe(404);
+    expect(await userManager.getAttachment(shared.attachmentId)).toMatchObject({ fileName: 'shared.csv' });
+    expect(await (await fetch(`${BASE_URL}${shared.url}`)).text()).toBe('a,b\n');
+  }, SOCKET_TEST_TIMEOUT);
+
+  test('should turn the TTL off and only accept the supported durations', async () => {
+    await userManager.setConversationTtl(bobSocket.id, { otherPartyId: 'ttl-alice', ttlSeconds: null });
+    expect(await userManager.getConversationTtl(aliceSocket.id, { otherPartyId: 'ttl-bob' }))
+      .toMatchObject({ ttlSeconds: null, setBy: 'ttl-bob' });
+    expect((await userManager.sendMessage(aliceSocket.id, 'ttl-bob', 'Kept')).expiresAt).toBeNull();
+
+    await expect(userManager.setConversationTtl(aliceSocket.id, { otherPartyId: 'ttl-bob', ttlSeconds: 60 }))
+      .rejects.toThrow(/Invalid options/);
+    await expect(userManager.setConversationTtl(aliceSocket.id, { otherPartyId: 'ttl-alice', ttlSeconds: 3600 }))
+      .rejects.toThrow('No user found for userId: ttl-alice');
+  }, SOCKET_TEST_TIMEOUT);
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { createTokenExpiryWatcher } from 'a-socket/tokenExpiry.mjs';
+
+describe('createTokenExpiryWatcher', () => {
+  let watcher, onExpiring, onExpired;
+
+  const socketExpiringIn = (id, ms) => ({ id, user: { expiresAt: Date.now() + ms } });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onExpiring = jest.fn();
+    onExpired = jest.fn();
+    watcher = createTokenExpiryWatcher({ warnBeforeMs: 1000, graceMs: 500, onExpiring, onExpired });
+  });
+
+  afterEach(() => {
+    watcher.clear();
+    jest.useRealTimers();
+  });
+
+  test('should warn before and expire after the grace period', () => {
+    const socket = socketExpiringIn('s1', 3000);
+    watcher.watch(socket);
+
+    jest.advanceTimersByTime(1999);
+    expect(onExpiring).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onExpiring).toHaveBeenCalledWith(socket, socket.user.expiresAt);
+
+    jest.advanceTimersByTime(1499);
+    expect(onExpired).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onExpired).toHaveBeenCalledWith(socket, socket.user.expiresAt);
+    expect(watcher.size()).toBe(0);
+  });
+
+  test('should reschedule on renewal and stop on unwatch', () => {
+    const socket = socketExpiringIn('s1', 3000);
+    watcher.watch(socket);
+
+    socket.user = { expiresAt: Date.now() + 60000 };
+    watcher.watch(socket);
+    jest.advanceTimersByTime(10000);
+    expect(onExpiring).not.toHaveBeenCalled();
+    expect(onExpired).not.toHaveBeenCalled();
+
+    watcher.unwatch(socket);
+    jest.advanceTimersByTime(60000);
+    expect(onExpired).not.toHaveBeenCalled();
+  });
+
+  test('should ignore sockets without expiration', () => {
+    watcher.watch({ id: 's1', user: { expiresAt: null } });
+    expect(watcher.size()).toBe(0);
+  });
+
+  test('should not overflow timers of far expirations', () => {
+    watcher.watch(socketExpiringIn('s1', 365 * 24 * 3600 * 1000));
+    jest.advanceTimersByTime(1000);
+    expect(onExpiring).not.toHaveBeenCalled();
+    expect(onExpired).not.toHaveBeenCalled();
+  });
+});
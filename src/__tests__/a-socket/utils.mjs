@@ -7,13 +7,15 @@ import {
  * Utility function to create and connect a client socket.
  * @param {string} baseUrl - The base URL of the server (e.g., `http://localhost:3001`).
  * @param {number} timeoutMs - Timeout in milliseconds for the connection (default: 5000ms).
+ * @param {Object} [auth] - Handshake auth, e.g. `{ roles: ['admin'] }` with the test middleware.
  * @returns {Promise<Socket>} A promise that resolves to the connected socket.
  */
-export const createClientSocket = (baseUrl, timeoutMs = 5000) => {
+export const createClientSocket = (baseUrl, timeoutMs = 5000, auth = undefined) => {
   return new Promise((resolve, reject) => {
     const clientSocket = ClientIO(baseUrl, {
       transports: ['websocket', 'polling'],
       forceNew: true,
+      auth,
       timeout: timeoutMs,
       reconnection: false,
       ackTimeout: MESSAGE_ACKNOWLEDGEMENT_TIMEOUT,  // Must match server
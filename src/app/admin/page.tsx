@@ -0,0 +1,15 @@
+// app/admin/page.tsx
+'use client';
+
+import { SocketProvider } from '../context/SocketContext';
+import AdminConsole from '../components/AdminConsole';
+
+export const dynamic = 'force-dynamic';
+
+export default function AdminPage() {
+  return (
+    <SocketProvider>
+      <AdminConsole />
+    </SocketProvider>
+  );
+}
@@ -0,0 +1,154 @@
+// components/AdminConsole.tsx
+import { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { useSocket, type SocketAck, type ModeratedUser, type Sanction, type AuditEntry } from '../context/SocketContext';
+
+const MUTE_MINUTES = 15;
+
+// Online users with kick / mute / ban, public message removal and the audit log.
+// Every event is refused by the server unless the token has the admin role.
+const AdminConsole = () => {
+  const { socket, isAuthenticated } = useSocket();
+  const [users, setUsers] = useState<ModeratedUser[]>([]);
+  const [sanctions, setSanctions] = useState<Sanction[]>([]);
+  const [auditLog, setAuditLog] = useState<AuditEntry[]>([]);
+  const [reason, setReason] = useState('');
+  const [messageId, setMessageId] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const emit = useCallback(<T,>(event: string, options: object = {}): Promise<T | null> => {
+    return new Promise((resolve) => {
+      if (!socket) return resolve(null);
+      socket.emit(event, options, (ack: SocketAck<T>) => {
+        if (!ack || !ack.success) {
+          setError(ack?.error || `Failed: ${event}`);
+          return resolve(null);
+        }
+        resolve(ack.result ?? null);
+      });
+    });
+  }, [socket]);
+
+  const refresh = useCallback(async () => {
+    const overview = await emit<{ users: ModeratedUser[]; sanctions: Sanction[] }>('getModerationOverview');
+    if (overview) {
+      setUsers(overview.users);
+      setSanctions(overview.sanctions);
+    }
+    const log = await emit<{ entries: AuditEntry[]; total: number }>('getAuditLog', { limit: 50 });
+    if (log) setAuditLog(log.entries);
+  }, [emit]);
+
+  useEffect(() => {
+    if (isAuthenticated) refresh();
+  }, [isAuthenticated, refresh]);
+
+  const act = async (event: string, options: object) => {
+    setError(null);
+    await emit(event, { ...options, reason });
+    await refresh();
+  };
+
+  const lift = async (event: 'unmuteUser' | 'unbanUser', userId: string) => {
+    setError(null);
+    await emit(event, { userId });
+    await refresh();
+  };
+
+  const handleRemoveMessage = async () => {
+    if (!messageId.trim()) return;
+    await act('removePublicMessage', { messageId: messageId.trim() });
+    setMessageId('');
+  };
+
+  const formatUntil = (until: string | null) => (until ? format(new Date(until), 'PPpp') : 'permanent');
+
+  if (!isAuthenticated) {
+    return <p className="p-4">Connecting...</p>;
+  }
+
+  return (
+    <div className="admin-console p-4 space-y-6">
+      <h1 className="text-2xl font-bold">Moderation</h1>
+      {error && (
+        <div className="error-message" style={{ color: 'red' }}>
+          Error: {error}
+          <button className="ml-2 underline" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      <label className="block">
+        Reason{' '}
+        <input className="border rounded px-1" value={reason} onChange={(e) => setReason(e.target.value)} />
+      </label>
+
+      <section>
+        <h2 className="text-xl font-semibold">Online users</h2>
+        <table className="text-sm">
+          <thead>
+            <tr><th className="text-left pr-4">User</th><th className="text-left pr-4">Sockets</th><th className="text-left pr-4">Sanctions</th><th /></tr>
+          </thead>
+          <tbody>
+            {users.map(user => (
+              <tr key={user.userId}>
+                <td className="pr-4">{user.userName} <small className="text-gray-500">({user.userId})</small></td>
+                <td className="pr-4">{user.connections}</td>
+                <td className="pr-4">
+                  {user.sanctions.map(s => `${s.type} (${formatUntil(s.until)})`).join(', ') || '-'}
+                </td>
+                <td className="space-x-2">
+                  <button className="underline" onClick={() => act('kickUser', { userId: user.userId })}>Kick</button>
+                  <button className="underline" onClick={() => act('muteUser', { userId: user.userId, minutes: MUTE_MINUTES })}>
+                    Mute {MUTE_MINUTES} min
+                  </button>
+                  <button className="underline text-red-700" onClick={() => act('banUser', { userId: user.userId })}>Ban</button>
+                  <button className="underline" onClick={() => act('revokeUserTokens', { userId: user.userId })}>Revoke sessions</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section>
+        <h2 className="text-xl font-semibold">Active sanctions</h2>
+        {sanctions.length === 0 && <p className="text-sm">None</p>}
+        <ul className="text-sm">
+          {sanctions.map(s => (
+            <li key={`${s.userId}-${s.type}`}>
+              {s.userId}: {s.type} until {formatUntil(s.until)} {s.reason && `(${s.reason})`}
+              <button className="ml-2 underline" onClick={() => lift(s.type === 'mute' ? 'unmuteUser' : 'unbanUser', s.userId)}>
+                Lift
+              </button>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section>
+        <h2 className="text-xl font-semibold">Remove a public message</h2>
+        <input
+          className="border rounded px-1"
+          placeholder="messageId"
+          value={messageId}
+          onChange={(e) => setMessageId(e.target.value)}
+        />
+        <button className="ml-2 underline" onClick={handleRemoveMessage}>Remove</button>
+      </section>
+
+      <section>
+        <h2 className="text-xl font-semibold">Audit log</h2>
+        <ul className="text-sm">
+          {auditLog.map(entry => (
+            <li key={entry.auditId}>
+              {format(new Date(entry.createdAt), 'PPpp')}: {entry.actorId} {entry.action} {entry.targetId}
+              {entry.reason && ` (${entry.reason})`}
+            </li>
+          ))}
+        </ul>
+      </section>
+    </div>
+  );
+};
+
+export default AdminConsole;
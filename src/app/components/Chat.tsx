@@ -1,6 +1,6 @@
 // components/Chat.tsx
-import { useEffect, useState, useCallback } from 'react';
-import { useSocket, type Message, type FetchGetUserConversationOptions } from '../context/SocketContext';
+import { useEffect, useState, useCallback, useMemo, useRef, type UIEvent, type ChangeEvent } from 'react';
+import { useSocket, type Message, type MessageEdit, type SocketAck, type DeleteMessageScope, type ReactionEmoji, type MessageReactionEvent, type MessageReceipts, type DeliveredTo, type FetchGetUserConversationOptions, type MessageAttachment, type AttachmentUpload, type ConversationTtl, attachmentHref, CONVERSATION_TTL_SECONDS } from '../context/SocketContext';
 import Input from './Input';
 import { MessageItem } from './MessageItem';
 
@@ -8,21 +8,26 @@ interface ChatProps {
   recipientId: string;
 }
 
+const TTL_LABELS: Record<number, string> = { 3600: '1 hour', 86400: '24 hours', 604800: '7 days' };
+
 const Chat = ({ recipientId }: ChatProps) => {
-  const { socket, isAuthenticated, getUserConversation, socketUser } = useSocket();
+  const { socket, isAuthenticated, getUserConversation, socketUser, outbox, sendMessage, discardQueuedMessage } = useSocket();
   const [messages, setMessages] = useState<Message[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [hasMore, setHasMore] = useState(false);
-  const [offset, setOffset] = useState(0);
+  const [prevCursor, setPrevCursor] = useState<string | null>(null);
+  const [replyingTo, setReplyingTo] = useState<Message | null>(null);
+  const [attachments, setAttachments] = useState<MessageAttachment[]>([]);
+  const [uploading, setUploading] = useState(false);
+  const [isBlocked, setIsBlocked] = useState(false);
+  const [conversationTtl, setConversationTtl] = useState<ConversationTtl | null>(null);
   const limit = 50;
 
-  // Load conversation messages
+  // Load the latest page, or the older one before prevCursor (keyset pagination)
   const loadConversation = useCallback(async (loadMore = false) => {
     if (!isAuthenticated || !socketUser || !socketUser.userId) return;
 
-    const currentOffset = loadMore ? offset : 0;
-
     setLoading(true);
     setError(null);
 
@@ -34,24 +39,21 @@ const Chat = ({ recipientId }: ChatProps) => {
         userId,
         otherPartyId: recipientId,
         limit: limit,
-        offset: currentOffset,
-        since: null,
-        until: null,
-        //unreadOnly: false
+        before: loadMore ? prevCursor : null,
       };
 
       const response = await getUserConversation(options);
 
       if (loadMore) {
-        // Append messages when loading more
-        setMessages(prev => [...prev, ...response.messages]);
+        // Older messages go on top
+        setMessages(prev => [...response.messages, ...prev]);
       } else {
         // Replace messages for initial load
         setMessages(response.messages);
       }
 
       setHasMore(response.hasMore);
-      setOffset(currentOffset + response.messages.length);
+      setPrevCursor(response.prevCursor || null);
 
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load messages');
@@ -59,11 +61,54 @@ const Chat = ({ recipientId }: ChatProps) => {
     } finally {
       setLoading(false);
     }
-  }, [isAuthenticated, getUserConversation, recipientId, offset, limit]);
+  }, [isAuthenticated, getUserConversation, recipientId, prevCursor, limit]);
+
+  // Append the messages newer than the last loaded one, without dropping the older pages
+  const loadNewer = useCallback(async () => {
+    const after = [...messages].reverse().find(msg => msg.cursor)?.cursor;
+    if (!after || !socketUser?.userId) return loadConversation(false);
+
+    try {
+      const response = await getUserConversation({
+        type: 'private',
+        userId: socketUser.userId,
+        otherPartyId: recipientId,
+        limit: limit,
+        after,
+      });
+      setMessages(prev => [
+        ...prev.filter(msg => msg.cursor), // drop the unconfirmed ack copies
+        ...response.messages.filter(msg => !prev.some(p => p.messageId && p.messageId === msg.messageId)),
+      ]);
+    } catch (err) {
+      console.error('Error loading new messages:', err);
+    }
+  }, [messages, socketUser, getUserConversation, recipientId, limit, loadConversation]);
+
+  // Whether this user blocked the other party
+  useEffect(() => {
+    if (!socket || !isAuthenticated) return;
+    socket.emit('getBlockedUsers', {}, (ack: SocketAck<{ userId: string }[]>) => {
+      if (ack && ack.success) {
+        setIsBlocked((ack.result || []).some(blocked => blocked.userId === recipientId));
+      }
+    });
+  }, [socket, isAuthenticated, recipientId]);
+
+  // Disappearing messages setting of this conversation
+  useEffect(() => {
+    if (!socket || !isAuthenticated) return;
+    socket.emit('getConversationTtl', { otherPartyId: recipientId }, (ack: SocketAck<ConversationTtl>) => {
+      if (ack && ack.success && ack.result) {
+        setConversationTtl(ack.result);
+      }
+    });
+  }, [socket, isAuthenticated, recipientId]);
 
   // Load initial messages
   useEffect(() => {
-    setOffset(0);
+    setPrevCursor(null);
+    setReplyingTo(null);
     loadConversation(false);
   }, [recipientId, isAuthenticated]);
 
@@ -83,45 +128,290 @@ const Chat = ({ recipientId }: ChatProps) => {
           return [...prevMessages, message];
         });
 
-        // Reload conversation to ensure we have the latest state
+        // Fetch what arrived after the last loaded message
         // This handles message ordering and updates lastMessageAt
-        loadConversation(false);
+        loadNewer();
+      }
+    };
+
+    // Both parties get the new content of an edited message
+    const handleMessageEdited = (edited: Message) => {
+      setMessages(prevMessages => prevMessages.map(msg =>
+        (msg.messageId || msg.id) === edited.messageId
+          ? { ...msg, content: edited.content, editedAt: edited.editedAt }
+          : msg
+      ));
+    };
+
+    // "me": the copy is gone from this user devices, "everyone": it becomes a tombstone
+    const handleMessageDeleted = (deleted: Message & { scope: DeleteMessageScope }) => {
+      setMessages(prevMessages => deleted.scope === 'me'
+        ? prevMessages.filter(msg => (msg.messageId || msg.id) !== deleted.messageId)
+        : prevMessages.map(msg =>
+          (msg.messageId || msg.id) === deleted.messageId
+            ? { ...msg, content: '', deletedAt: deleted.deletedAt }
+            : msg
+        ));
+    };
+
+    const handleMessageReaction = (event: MessageReactionEvent) => {
+      setMessages(prevMessages => prevMessages.map(msg =>
+        (msg.messageId || msg.id) === event.messageId ? { ...msg, reactions: event.reactions } : msg
+      ));
+    };
+
+    // Delivered, or failed once the delivery window expired ('error' only reports a delivery attempt)
+    const handleMessageStatus = (update: Message) => {
+      if (!update.status || (update.status as string) === 'error') return;
+      setMessages(prevMessages => prevMessages.map(msg =>
+        (msg.messageId || msg.id) === update.messageId ? { ...msg, status: update.status } : msg
+      ));
+    };
+
+    // Sender only: how many recipient devices got the message
+    const handleMessageReceipts = ({ messageId, delivered, devices }: MessageReceipts) => {
+      setMessages(prevMessages => prevMessages.map(msg =>
+        (msg.messageId || msg.id) === messageId ? { ...msg, deliveredTo: { delivered, devices } } : msg
+      ));
+    };
+
+    // Either party changed the disappearing messages setting
+    const handleConversationTtl = (setting: ConversationTtl) => {
+      if (setting.otherPartyId === recipientId) {
+        setConversationTtl(setting);
       }
     };
 
+    // Disappearing messages past their expiresAt, deleted on the server
+    const handleMessagesExpired = ({ messageIds }: { messageIds: string[] }) => {
+      setMessages(prevMessages => prevMessages.filter(msg => !messageIds.includes(msg.messageId || msg.id || '')));
+    };
+
+    // Kick, mute or ban by an admin
+    const handleModeration = (notice: { action: string; until?: string | null; reason?: string }) => {
+      const until = notice.until ? ` until ${new Date(notice.until).toLocaleString()}` : '';
+      const reason = notice.reason ? `: ${notice.reason}` : '';
+      if (notice.action === 'revoke') {
+        setError(`Your session was revoked${reason}`);
+        return;
+      }
+      setError(`You were ${notice.action === 'kick' ? 'kicked' : `${notice.action}d`}${until}${reason}`);
+    };
+
     socket.on('receivedMessage', handleIncomingMessage);
+    // pending messages pushed again after authentication
+    socket.on('receiveMessage', handleIncomingMessage);
+    socket.on('messageEdited', handleMessageEdited);
+    socket.on('messageDeleted', handleMessageDeleted);
+    socket.on('messageReaction', handleMessageReaction);
+    socket.on('messageReceipts', handleMessageReceipts);
+    socket.on('updateMessageStatus', handleMessageStatus);
+    socket.on('moderation', handleModeration);
+    socket.on('conversationTtl', handleConversationTtl);
+    socket.on('messagesExpired', handleMessagesExpired);
 
     // Cleanup listeners on unmount
     return () => {
       socket.off('receivedMessage', handleIncomingMessage);
+      socket.off('receiveMessage', handleIncomingMessage);
+      socket.off('messageEdited', handleMessageEdited);
+      socket.off('messageDeleted', handleMessageDeleted);
+      socket.off('messageReaction', handleMessageReaction);
+      socket.off('messageReceipts', handleMessageReceipts);
+      socket.off('updateMessageStatus', handleMessageStatus);
+      socket.off('moderation', handleModeration);
+      socket.off('conversationTtl', handleConversationTtl);
+      socket.off('messagesExpired', handleMessagesExpired);
     };
-  }, [socket, recipientId, loadConversation]);
+  }, [socket, recipientId, loadNewer]);
+
+  // Queued in the outbox, sent right away when online, after the next authentication otherwise
+  const handleSendMessage = (content: string) => {
+    if (!content.trim()) return;
+
+    sendMessage({
+      recipientId,
+      content: content,
+      replyTo: replyingTo ? replyingTo.messageId || replyingTo.id || null : null,
+      attachments: attachments.map(attachment => attachment.attachmentId),
+    });
+    setReplyingTo(null);
+    setAttachments([]);
+  };
 
-  const handleSendMessage = async (content: string) => {
-    if (!content.trim() || !socket) return;
+  // Outbox entries of this conversation, listed after the stored messages until acknowledged
+  const queuedMessages = useMemo((): Message[] => outbox
+    .filter(entry => entry.recipientId === recipientId)
+    .map(entry => ({
+      id: `queued-${entry.clientMessageId}`,
+      clientMessageId: entry.clientMessageId,
+      senderId: socketUser?.userId || '',
+      senderName: socketUser?.userName || '',
+      recipientId: entry.recipientId,
+      content: entry.content,
+      replyTo: entry.replyTo,
+      direction: 'outgoing',
+      createdAt: new Date(entry.queuedAt),
+      status: entry.status === 'failed' ? 'failed' : isAuthenticated ? 'sending' : 'queued',
+    })), [outbox, recipientId, socketUser, isAuthenticated]);
 
+  // An acknowledged entry left the outbox, fetch the stored message
+  const queuedCountRef = useRef(queuedMessages.length);
+  useEffect(() => {
+    if (queuedMessages.length < queuedCountRef.current && isAuthenticated) {
+      loadNewer();
+    }
+    queuedCountRef.current = queuedMessages.length;
+  }, [queuedMessages.length, isAuthenticated, loadNewer]);
+
+  // Reserve the attachment, then upload the file, it goes with the next message
+  const handleAttachFile = async (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !socket) return;
+
+    setUploading(true);
     try {
-      // Emit the message to the server and wait for acknowledgement
-      socket.emit('sendMessage', {
-        recipientId,
-        content: content
-      }, (ack: any) => {
+      const ack = await new Promise<SocketAck<AttachmentUpload>>((resolve) => {
+        socket.emit('createAttachmentUpload', {
+          fileName: file.name,
+          mimeType: file.type || 'application/octet-stream',
+          size: file.size,
+        }, resolve);
+      });
+      if (!ack || !ack.success || !ack.result) {
+        throw new Error(ack?.error || 'Failed to attach file');
+      }
+
+      const response = await fetch(attachmentHref(ack.result.uploadUrl), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream',
+          Authorization: `Bearer ${ack.result.uploadToken}`,
+        },
+        body: file,
+      });
+      const uploaded = await response.json();
+      if (!response.ok) {
+        throw new Error(uploaded.error || 'Failed to upload file');
+      }
+      setAttachments(prev => [...prev, uploaded]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to attach file');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleToggleBlock = () => {
+    if (!socket) return;
+    socket.emit(isBlocked ? 'unblockUser' : 'blockUser', { userId: recipientId }, (ack: SocketAck<{ blocked: boolean }>) => {
+      if (ack && ack.success && ack.result) {
+        setIsBlocked(ack.result.blocked);
+      } else {
+        setError(ack?.error || 'Failed to update the block list');
+      }
+    });
+  };
+
+  // Applies to the messages sent from now on, both parties get conversationTtl
+  const handleChangeTtl = (event: ChangeEvent<HTMLSelectElement>) => {
+    if (!socket) return;
+    const ttlSeconds = event.target.value ? Number(event.target.value) : null;
+    socket.emit('setConversationTtl', { otherPartyId: recipientId, ttlSeconds }, (ack: SocketAck<ConversationTtl>) => {
+      if (!ack || !ack.success) {
+        setError(ack?.error || 'Failed to update disappearing messages');
+      }
+    });
+  };
+
+  const handleEditMessage = (message: Message, content: string): Promise<void> => {
+    return new Promise((resolve) => {
+      if (!socket) return resolve();
+      socket.emit('editMessage', { messageId: message.messageId || message.id, content }, (ack: SocketAck<Message>) => {
+        // The new content comes back through the messageEdited event
+        if (!ack || !ack.success) {
+          setError(ack?.error || 'Failed to edit message');
+        }
+        resolve();
+      });
+    });
+  };
+
+  const handleLoadHistory = (message: Message): Promise<MessageEdit[]> => {
+    return new Promise((resolve) => {
+      if (!socket) return resolve([]);
+      socket.emit('getMessageEditHistory', { messageId: message.messageId || message.id }, (ack: SocketAck<MessageEdit[]>) => {
         if (ack && ack.success) {
-          console.log('Message sent successfully with ack:', ack);
-          // The real message will come via receivedMessage or we can reload
-          // not optimistic message immediately
-          setMessages(prevMessages => [...prevMessages, ack]);
-          loadConversation(false);
+          resolve(ack.result || []);
         } else {
-          // Handle send failure
-          setError('Failed to send message');
+          setError(ack?.error || 'Failed to load edit history');
+          resolve([]);
         }
       });
+    });
+  };
 
-    } catch (err) {
-      console.error('Error sending message:', err);
-      setError('Failed to send message');
-    }
+  const handleLoadReceipts = (message: Message): Promise<DeliveredTo | null> => {
+    return new Promise((resolve) => {
+      if (!socket) return resolve(null);
+      socket.emit('getMessageReceipts', { messageId: message.messageId || message.id }, (ack: SocketAck<MessageReceipts>) => {
+        if (ack && ack.success && ack.result) {
+          const { delivered, devices } = ack.result;
+          setMessages(prevMessages => prevMessages.map(msg =>
+            msg === message ? { ...msg, deliveredTo: { delivered, devices } } : msg
+          ));
+          resolve({ delivered, devices });
+        } else {
+          setError(ack?.error || 'Failed to load delivery receipts');
+          resolve(null);
+        }
+      });
+    });
+  };
+
+  // Failed messages expired undelivered, the sender may send them again
+  const handleResendMessage = (message: Message): Promise<void> => {
+    return new Promise((resolve) => {
+      if (!socket) return resolve();
+      socket.emit('resendMessage', { messageId: message.messageId || message.id }, (ack: SocketAck<Message>) => {
+        if (ack && ack.success && ack.result) {
+          const resent = ack.result;
+          setMessages(prevMessages => prevMessages.map(msg =>
+            msg === message ? { ...msg, status: resent.status, deliveredTo: resent.deliveredTo } : msg
+          ));
+        } else {
+          setError(ack?.error || 'Failed to resend message');
+        }
+        resolve();
+      });
+    });
+  };
+
+  const handleDeleteMessage = (message: Message, scope: DeleteMessageScope): Promise<void> => {
+    return new Promise((resolve) => {
+      if (!socket) return resolve();
+      socket.emit('deleteMessage', { messageId: message.messageId || message.id, scope }, (ack: SocketAck<Message>) => {
+        // The list is updated through the messageDeleted event
+        if (!ack || !ack.success) {
+          setError(ack?.error || 'Failed to delete message');
+        }
+        resolve();
+      });
+    });
+  };
+
+  const handleReact = (message: Message, emoji: ReactionEmoji): Promise<void> => {
+    return new Promise((resolve) => {
+      if (!socket) return resolve();
+      socket.emit('toggleReaction', { messageId: message.messageId || message.id, emoji }, (ack: SocketAck<MessageReactionEvent>) => {
+        // Counts are updated through the messageReaction event
+        if (!ack || !ack.success) {
+          setError(ack?.error || 'Failed to react to message');
+        }
+        resolve();
+      });
+    });
   };
 
   const handleLoadMore = () => {
@@ -130,6 +420,16 @@ const Chat = ({ recipientId }: ChatProps) => {
     }
   };
 
+  // Infinite scroll: reaching the top loads the previous page
+  const handleScroll = (event: UIEvent<HTMLDivElement>) => {
+    if (event.currentTarget.scrollTop === 0) {
+      handleLoadMore();
+    }
+  };
+
+  // Parents quoted by replies, looked up in the loaded messages
+  const messagesById = new Map(messages.map(msg => [msg.messageId || msg.id, msg]));
+
   // Generate a unique key for each message
   const getMessageKey = (message: Message, index: number) => {
     // Use message.id if available and not a temp ID, otherwise fall back to index
@@ -154,6 +454,24 @@ const Chat = ({ recipientId }: ChatProps) => {
       <div className="chat-header">
         <h1>Chat with {recipientId}</h1>
         <p>Status: {isAuthenticated ? 'Connected' : 'Disconnected'}</p>
+        <button className="underline text-sm" onClick={handleToggleBlock} disabled={!isAuthenticated}>
+          {isBlocked ? 'Unblock user' : 'Block user'}
+        </button>
+        <label className="text-sm">
+          Disappearing messages:{' '}
+          <select value={conversationTtl?.ttlSeconds ?? ''} onChange={handleChangeTtl} disabled={!isAuthenticated}>
+            <option value="">Off</option>
+            {CONVERSATION_TTL_SECONDS.map(ttl => (
+              <option key={ttl} value={ttl}>{TTL_LABELS[ttl]}</option>
+            ))}
+          </select>
+        </label>
+        {conversationTtl?.setBy && (
+          <p className="text-xs">
+            {conversationTtl.ttlSeconds ? `New messages disappear after ${TTL_LABELS[conversationTtl.ttlSeconds]}` : 'Disappearing messages off'}
+            {` (set by ${conversationTtl.setBy === socketUser?.userId ? 'you' : conversationTtl.setBy})`}
+          </p>
+        )}
         {error && (
           <div className="error-message" style={{ color: 'red' }}>
             Error: {error}
@@ -163,7 +481,7 @@ const Chat = ({ recipientId }: ChatProps) => {
       </div>
 
       {/* Messages Area */}
-      <div className="messages-area">
+      <div className="messages-area" onScroll={handleScroll}>
         {hasMore && (
           <div className="load-more">
             <button
@@ -175,7 +493,7 @@ const Chat = ({ recipientId }: ChatProps) => {
           </div>
         )}
 
-        {messages.length === 0 ? (
+        {messages.length === 0 && queuedMessages.length === 0 ? (
           <div className="no-messages">
             <p>No messages yet. Start the conversation!</p>
           </div>
@@ -186,6 +504,24 @@ const Chat = ({ recipientId }: ChatProps) => {
                 key={getMessageKey(message, index)}
                 message={message}
                 index={index}
+                onEdit={handleEditMessage}
+                onLoadHistory={handleLoadHistory}
+                onLoadReceipts={handleLoadReceipts}
+                onResend={handleResendMessage}
+                onDelete={handleDeleteMessage}
+                onReact={handleReact}
+                onReply={setReplyingTo}
+                replyParent={message.replyTo ? messagesById.get(message.replyTo) : undefined}
+                currentUserId={socketUser?.userId}
+              />
+            ))}
+            {queuedMessages.map((message, index) => (
+              <MessageItem
+                key={message.id}
+                message={message}
+                index={messages.length + index}
+                onDiscard={message.status === 'sending' ? undefined : (queued) => discardQueuedMessage(queued.clientMessageId || '')}
+                currentUserId={socketUser?.userId}
               />
             ))}
           </ul>
@@ -198,12 +534,37 @@ const Chat = ({ recipientId }: ChatProps) => {
         )}
       </div>
 
+      {replyingTo && (
+        <div className="reply-banner flex items-center text-sm text-gray-600 px-2">
+          <span className="truncate">Replying to: {replyingTo.content}</span>
+          <button className="ml-2 underline" onClick={() => setReplyingTo(null)}>Cancel</button>
+        </div>
+      )}
+
+      <div className="attachments-bar flex flex-wrap items-center gap-2 text-sm text-gray-600 px-2">
+        {attachments.map(attachment => (
+          <span key={attachment.attachmentId}>
+            📎 {attachment.fileName}
+            <button
+              className="ml-1 underline"
+              onClick={() => setAttachments(prev => prev.filter(a => a.attachmentId !== attachment.attachmentId))}
+            >
+              Remove
+            </button>
+          </span>
+        ))}
+        <label className="underline cursor-pointer">
+          {uploading ? 'Uploading...' : 'Attach file'}
+          <input type="file" hidden disabled={!isAuthenticated || uploading} onChange={handleAttachFile} />
+        </label>
+      </div>
+
       {/* Input Component */}
       <Input
         recipientId={recipientId}
         onSendMessage={handleSendMessage}
-        disableSystem={!isAuthenticated}
-        disableEvents={loading}
+        disableSystem={!socket}
+        disableEvents={loading || !isAuthenticated}
       />
     </div>
   );
@@ -1,20 +1,41 @@
-import React from 'react';
+import React, { useState } from 'react';
+import Image from 'next/image';
 import { format } from 'date-fns';
-import { Message } from '../context/SocketContext';
+import { Message, MessageEdit, DeleteMessageScope, DeliveredTo, REACTION_EMOJIS, ReactionEmoji, attachmentHref } from '../context/SocketContext';
 
 
 
 
+const THUMBNAIL_SIZE = 256; // px, ATTACHMENT_THUMBNAIL_SIZE in socket.io/config.mjs
+
 interface MessageItemProps {
   message: Message;
   index: number;
+  onEdit?: (message: Message, content: string) => Promise<void>;
+  onLoadHistory?: (message: Message) => Promise<MessageEdit[]>;
+  onLoadReceipts?: (message: Message) => Promise<DeliveredTo | null>;
+  onDelete?: (message: Message, scope: DeleteMessageScope) => Promise<void>;
+  onReact?: (message: Message, emoji: ReactionEmoji) => Promise<void>;
+  onReply?: (message: Message) => void;
+  onDiscard?: (message: Message) => void; // outbox entries not sent yet
+  onResend?: (message: Message) => Promise<void>; // failed messages, expired undelivered
+  replyParent?: Message; // the quoted parent, when loaded
+  currentUserId?: string;
 }
 
-export const MessageItem = React.memo(({ message, index }: MessageItemProps) => {
+export const MessageItem = React.memo(({ message, index, onEdit, onLoadHistory, onLoadReceipts, onDelete, onReact, onReply, onDiscard, onResend, replyParent, currentUserId }: MessageItemProps) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  const [draft, setDraft] = useState(message.content);
+  const [history, setHistory] = useState<MessageEdit[] | null>(null);
+
   // Determine if the message is sent by the current user
   const isSentByCurrentUser = message.direction === 'outgoing' || message.senderId === 'currentUser';
   const displayName = isSentByCurrentUser ? 'You' : message.senderName || 'Unknown User';
   const content = message.content || '[No content]';
+  const formatSize = (size: number) => size < 1024 * 1024
+    ? `${Math.ceil(size / 1024)} KB`
+    : `${(size / (1024 * 1024)).toFixed(1)} MB`;
   const createdAt = message.createdAt
     ? format(new Date(message.createdAt), 'hh:mm a') // Format createdAt with date-fns
     : 'Unknown time';
@@ -28,24 +49,194 @@ export const MessageItem = React.memo(({ message, index }: MessageItemProps) =>
     ? 'bg-green-200 text-green-800 text-right rounded-lg p-3 max-w-[70%] shadow-md' // Outgoing: dark green text on light green
     : 'bg-gray-200 text-gray-900 text-left rounded-lg p-3 max-w-[70%] shadow-md'; // Incoming: dark gray text on light gray
 
+  const handleSaveEdit = async () => {
+    if (!onEdit || !draft.trim() || draft === message.content) {
+      setIsEditing(false);
+      return;
+    }
+    await onEdit(message, draft);
+    setIsEditing(false);
+    setHistory(null); // history changed, reload on next view
+  };
+
+  const handleToggleHistory = async () => {
+    if (history) {
+      setHistory(null);
+    } else if (onLoadHistory) {
+      setHistory(await onLoadHistory(message));
+    }
+  };
+
   return (
     <div className={`${containerClass} mb-4`}>
       <div className={messageClass}>
+        {/* Quoted parent of a threaded reply */}
+        {message.replyTo && (
+          <blockquote className="message-reply-quote border-l-4 border-gray-400 pl-2 mb-1 text-xs text-gray-600 text-left truncate">
+            {!replyParent
+              ? 'Reply to an earlier message'
+              : replyParent.deletedAt
+                ? 'Message deleted'
+                : <><strong>{replyParent.direction === 'outgoing' ? 'You' : replyParent.senderName || 'Unknown User'}:</strong> {replyParent.content}</>}
+          </blockquote>
+        )}
+
         {/* Message Content */}
         <div className="message-content">
           <strong className="text-sm font-medium">{displayName}:</strong>
-          <span className="block mt-1 text-base">{content}</span>
+          {isEditing ? (
+            <span className="block mt-1">
+              <input
+                className="text-base border rounded px-1"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSaveEdit()}
+              />
+              <button className="ml-1 text-xs underline" onClick={handleSaveEdit}>Save</button>
+              <button className="ml-1 text-xs underline" onClick={() => setIsEditing(false)}>Cancel</button>
+            </span>
+          ) : message.deletedAt ? (
+            <span className="block mt-1 text-base italic text-gray-600">Message deleted</span>
+          ) : (
+            <span className="block mt-1 text-base">{content}</span>
+          )}
         </div>
 
+        {/* Attachments: image previews, a download link for other files */}
+        {!message.deletedAt && !!message.attachments?.length && (
+          <div className="message-attachments flex flex-wrap gap-2 mt-1">
+            {message.attachments.map(attachment => (
+              <a
+                key={attachment.attachmentId}
+                href={attachmentHref(attachment.url)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm underline"
+              >
+                {attachment.thumbnailUrl ? (
+                  // served already resized by the socket server, no need for the Next.js optimizer
+                  <Image
+                    src={attachmentHref(attachment.thumbnailUrl)}
+                    alt={attachment.fileName}
+                    width={THUMBNAIL_SIZE}
+                    height={THUMBNAIL_SIZE}
+                    unoptimized
+                    className="max-h-32 w-auto rounded"
+                  />
+                ) : (
+                  <span>📎 {attachment.fileName} ({formatSize(attachment.size)})</span>
+                )}
+              </a>
+            ))}
+          </div>
+        )}
+
+        {/* Edit history (previous versions, oldest first) */}
+        {history && (
+          <ul className="message-history text-xs text-gray-600 mt-1">
+            {history.length === 0 && <li>No previous versions</li>}
+            {history.map((edit, i) => (
+              <li key={`${edit.messageId}-${i}`}>
+                {format(new Date(edit.editedAt), 'hh:mm a')}: <s>{edit.content}</s>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Reactions (one per emoji and user, click to toggle) */}
+        {!message.deletedAt && (
+          <div className="message-reactions flex flex-wrap items-center gap-1 mt-1 text-sm">
+            {(message.reactions || []).map(reaction => (
+              <button
+                key={reaction.emoji}
+                className={`rounded-full px-2 border ${currentUserId && reaction.userIds.includes(currentUserId) ? 'border-blue-500' : 'border-gray-400'}`}
+                onClick={() => onReact?.(message, reaction.emoji)}
+              >
+                {reaction.emoji} {reaction.count}
+              </button>
+            ))}
+            {onReact && (
+              <button className="text-gray-600 px-1" onClick={() => setShowReactionPicker(!showReactionPicker)}>
+                <small>+</small>
+              </button>
+            )}
+            {showReactionPicker && REACTION_EMOJIS.map(emoji => (
+              <button key={emoji} onClick={() => { setShowReactionPicker(false); onReact?.(message, emoji); }}>
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Message Meta (createdAt and Status) */}
         <div className="message-meta flex items-center text-xs mt-1">
           <small className="text-gray-800">{createdAt}</small>
           {message.status === 'sending' && (
             <small className="text-blue-500 ml-2">Sending...</small>
           )}
+          {message.status === 'queued' && (
+            <small className="text-gray-600 ml-2">Queued</small>
+          )}
+          {message.status === 'failed' && (
+            <small className="text-red-600 ml-2">Not sent</small>
+          )}
+          {isSentByCurrentUser && message.status === 'failed' && onResend && (
+            <button className="text-gray-600 ml-2 underline" onClick={() => onResend(message)}>
+              <small>Resend</small>
+            </button>
+          )}
+          {onDiscard && (
+            <button className="text-gray-600 ml-2 underline" onClick={() => onDiscard(message)}>
+              <small>Discard</small>
+            </button>
+          )}
           {message.status === 'read' && (
             <small className="text-green-800 ml-2">Read</small>
           )}
+          {isSentByCurrentUser && message.status === 'delivered' && (message.deliveredTo ? (
+            <small className="text-gray-600 ml-2">
+              Delivered to {message.deliveredTo.delivered} of {message.deliveredTo.devices} {message.deliveredTo.devices === 1 ? 'device' : 'devices'}
+            </small>
+          ) : onLoadReceipts && (
+            <button className="text-gray-600 ml-2 underline" onClick={() => onLoadReceipts(message)}>
+              <small>Delivered</small>
+            </button>
+          ))}
+          {!!message.replyCount && (
+            <small className="text-gray-600 ml-2">
+              {message.replyCount} {message.replyCount === 1 ? 'reply' : 'replies'}
+            </small>
+          )}
+          {message.expiresAt && (
+            <small className="text-gray-600 ml-2" title={`Disappears ${new Date(message.expiresAt).toLocaleString()}`}>
+              disappearing
+            </small>
+          )}
+          {message.editedAt && !message.deletedAt && (
+            <button className="text-gray-600 ml-2 italic" onClick={handleToggleHistory}>
+              <small>edited</small>
+            </button>
+          )}
+          {onReply && !isEditing && !message.deletedAt && (
+            <button className="text-gray-600 ml-2 underline" onClick={() => onReply(message)}>
+              <small>Reply</small>
+            </button>
+          )}
+          {isSentByCurrentUser && onEdit && !isEditing && !message.deletedAt && (
+            <button className="text-gray-600 ml-2 underline" onClick={() => { setDraft(message.content); setIsEditing(true); }}>
+              <small>Edit</small>
+            </button>
+          )}
+          {onDelete && !isEditing && (
+            <button className="text-gray-600 ml-2 underline" onClick={() => onDelete(message, 'me')}>
+              <small>Delete for me</small>
+            </button>
+          )}
+          {isSentByCurrentUser && onDelete && !isEditing && !message.deletedAt && (
+            <button className="text-gray-600 ml-2 underline" onClick={() => onDelete(message, 'everyone')}>
+              <small>Delete for everyone</small>
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,7 +1,11 @@
 // context/SocketContext.tsx
-import { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import { io, Socket } from 'socket.io-client';
 import { useUser, useAuth } from '@clerk/nextjs';
+import { loadOutbox, saveOutbox, type OutboxEntry } from '../utils/outbox';
+
+// sendMessage waits for the recipient acks (MESSAGE_ACKNOWLEDGEMENT_TIMEOUT on the server) before answering
+const SEND_ACK_TIMEOUT_MS = 15000;
 
 export interface User {
   userId: string;
@@ -42,10 +46,11 @@ export interface UserRenderData extends User, UserConversationMetrics {
   types: string[];
 };
 
-export type MessageStatus = 'sent' | 'pending' | 'delivered' | 'read';
+export type MessageStatus = 'sent' | 'pending' | 'delivered' | 'read' | 'sending' | 'queued' | 'failed';
 
 export interface Message {
   id?: string;
+  messageId?: string;
   senderId: string;
   senderName: string;
   recipientId: string;
@@ -56,13 +61,154 @@ export interface Message {
   createdAt?: Date;
   updatedAt?: Date;
   readdAt?: Date;
+  editedAt?: Date | null;
+  deletedAt?: Date | null;
+  reactions?: MessageReaction[];
+  replyTo?: string | null; // parent messageId of a threaded reply
+  replyCount?: number;
+  attachments?: MessageAttachment[];
+  cursor?: string | null; // keyset pagination position of the message
+  deliveredTo?: DeliveredTo | null; // outgoing only, recipient devices that got the message
+  clientMessageId?: string | null; // sender generated, identifies the retries of one message
+  expiresAt?: string | null; // disappearing messages, deleted past this date
+}
+
+// A message to send, queued in the outbox until the server acknowledges it
+export interface OutgoingMessage {
+  recipientId: string;
+  content: string;
+  replyTo: string | null;
+  attachments: string[];
+}
+
+// Recipient devices (sockets) a message was delivered to, e.g. 2 of 3
+export interface DeliveredTo {
+  delivered: number;
+  devices: number;
+}
+
+export interface MessageReceipt {
+  recipientId: string;
+  socketId: string;
+  sessionId: string | null;
+  status: 'delivered' | 'failed';
+  reason: string | null; // e.g. 'timeout' when failed
+  updatedAt: string;
+}
+
+// getMessageReceipts result, and the messageReceipts event without the receipts
+export interface MessageReceipts extends DeliveredTo {
+  messageId: string;
+  receipts?: MessageReceipt[];
+}
+
+// File sent with a message, urls are relative to the socket server
+export interface MessageAttachment {
+  attachmentId: string;
+  fileName: string;
+  mimeType: string;
+  size: number;
+  url: string;
+  thumbnailUrl?: string | null; // only for images
+}
+
+// createAttachmentUpload result: PUT the file to uploadUrl with the uploadToken as bearer
+export interface AttachmentUpload {
+  attachmentId: string;
+  uploadUrl: string;
+  uploadToken: string;
+  expiresAt: string;
+}
+
+export const attachmentHref = (url: string) =>
+  `${process.env.NEXT_PUBLIC_SOCKET_URL || 'http://localhost:3001'}${url}`;
+
+export type DeleteMessageScope = 'me' | 'everyone';
+
+// Must match CONVERSATION_TTL_SECONDS in socket.io/userManager/schemas.mjs, null turns it off
+export const CONVERSATION_TTL_SECONDS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60] as const;
+
+export interface ConversationTtl {
+  otherPartyId: string;
+  ttlSeconds: number | null;
+  setBy: string | null;
+  updatedAt: string | null;
+}
+
+// Must match REACTION_EMOJIS in socket.io/userManager/schemas.mjs
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'] as const;
+export type ReactionEmoji = typeof REACTION_EMOJIS[number];
+
+export interface MessageReaction {
+  emoji: ReactionEmoji;
+  count: number;
+  userIds: string[];
+}
+
+// messageReaction event
+export interface MessageReactionEvent {
+  messageId: string;
+  userId: string;
+  emoji: ReactionEmoji;
+  added: boolean;
+  reactions: MessageReaction[];
+}
+
+// Previous version of an edited message
+export interface MessageEdit {
+  messageId: string;
+  content: string;
+  editedBy: string;
+  recipientId: string;
+  editedAt: Date;
+}
+
+// Response of socket events emitted with an acknowledgment callback
+export interface SocketAck<T = unknown> {
+  success: boolean;
+  event: string;
+  result?: T;
+  error?: string; // 'RATE_LIMITED' when the event was sent too often
+  retryAfter?: number; // ms, with RATE_LIMITED
+}
+
+// Moderation (admin only)
+export interface Sanction {
+  userId: string;
+  type: 'ban' | 'mute';
+  until: string | null; // null: until lifted
+  reason: string;
+  createdBy: string;
+  createdAt: string;
+}
+
+export interface ModeratedUser {
+  userId: string;
+  userName: string;
+  state: string;
+  connections: number;
+  sanctions: Sanction[];
+}
+
+export interface AuditEntry {
+  auditId: string;
+  action: 'kick' | 'mute' | 'unmute' | 'ban' | 'unban' | 'removePublicMessage' | 'revokeToken' | 'revokeUserTokens';
+  actorId: string;
+  targetId: string;
+  reason: string;
+  details: Record<string, unknown>;
+  createdAt: string;
 }
 
 export interface GetUserConversationResponse {
   data: Message[];
+  messages: Message[];
   total: number;
   hasMore: boolean;
   context?: unknown;
+  // keyset pagination, set while older / newer messages remain
+  prevCursor?: string | null;
+  nextCursor?: string | null;
 }
 
 export interface FetchGetUserConversationOptions {
@@ -77,6 +223,11 @@ export interface FetchGetUserConversationOptions {
   // message user Ids
   userId: string | null;
   otherPartyId: string | null;
+  // only the replies to this parent messageId
+  threadOf?: string | null;
+  // keyset pagination (before: null for the latest page), instead of offset
+  before?: string | null;
+  after?: string | null;
 }
 
 // In SocketContext.tsx - update the interface
@@ -161,6 +312,9 @@ const SocketContext = createContext<{
   getUsersList: (options?: FetchGetUsersListOptions) => Promise<UserRenderData[]>;
   getUserConversationsList: (options?: FetchGetUserConversationsListOptions) => Promise<void>;
   getUserConversation: (options: FetchGetUserConversationOptions) => Promise<GetUserConversationResponse>;
+  outbox: OutboxEntry[];
+  sendMessage: (message: OutgoingMessage) => void;
+  discardQueuedMessage: (clientMessageId: string) => void;
   connect: () => void;
   disconnect: () => void;
 }>({
@@ -178,6 +332,9 @@ const SocketContext = createContext<{
   getUserConversation: async () => {
     throw new Error('Socket not initialized'); // Default implementation throws an error
   },
+  outbox: [],
+  sendMessage: () => { },
+  discardQueuedMessage: () => { },
   connect: () => { },
   disconnect: () => { },
 });
@@ -200,6 +357,10 @@ export const SocketProvider = ({ children }: { children: React.ReactNode }) => {
   const [usersState, setUsersState] = useState<User[]>([]);
   const [conversationsList, setConversationsList] = useState<UserRenderData[]>([]);
   const { getToken } = useAuth();
+  const [outbox, setOutbox] = useState<OutboxEntry[]>([]);
+  // the flush loop reads the latest entries, not the ones of its render
+  const outboxRef = useRef<OutboxEntry[]>([]);
+  const flushingRef = useRef(false);
 
   // Function to get user conversations list
   const getUserConversationsList = useCallback(async (options?: FetchGetUserConversationsListOptions): Promise<void> => {
@@ -284,6 +445,80 @@ export const SocketProvider = ({ children }: { children: React.ReactNode }) => {
     });
   }, [socket, isAuthenticated]);
 
+  // Outbox, per signed in user: survives page reloads and offline periods
+  useEffect(() => {
+    outboxRef.current = user?.id ? loadOutbox(user.id) : [];
+    setOutbox(outboxRef.current);
+  }, [user?.id]);
+
+  const updateOutbox = useCallback((update: (entries: OutboxEntry[]) => OutboxEntry[]) => {
+    if (!user?.id) return;
+    outboxRef.current = update(outboxRef.current);
+    saveOutbox(user.id, outboxRef.current);
+    setOutbox(outboxRef.current);
+  }, [user?.id]);
+
+  // Send the queued messages one at a time, in order. An entry leaves the outbox once the server
+  // acknowledged it; a lost ack resends it with the same clientMessageId, stored once by the server.
+  const flushOutbox = useCallback(async () => {
+    if (!socket || !isAuthenticated || flushingRef.current) return;
+    flushingRef.current = true;
+
+    try {
+      let entry: OutboxEntry | undefined;
+      while (socket.connected && (entry = outboxRef.current.find(e => e.status === 'queued'))) {
+        const { clientMessageId, recipientId, content, replyTo, attachments } = entry;
+        const ack = await socket.timeout(SEND_ACK_TIMEOUT_MS)
+          .emitWithAck('sendMessage', { clientMessageId, recipientId, content, replyTo, attachments })
+          .catch(() => null) as SocketAck<Message> | null;
+
+        if (!ack) continue; // no answer: again while connected, on the next authentication otherwise
+
+        if (ack.success) {
+          updateOutbox(entries => entries.filter(e => e.clientMessageId !== clientMessageId));
+        } else if (ack.error === 'RATE_LIMITED') {
+          await new Promise(resolve => setTimeout(resolve, ack.retryAfter || 1000));
+        } else {
+          // refused by the server (blocked, muted, invalid): kept until discarded, the next ones go on
+          updateOutbox(entries => entries.map(e => e.clientMessageId === clientMessageId
+            ? { ...e, status: 'failed', error: ack.error || 'Failed to send message' }
+            : e));
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [socket, isAuthenticated, updateOutbox]);
+
+  // After every (re)authentication
+  useEffect(() => {
+    if (isAuthenticated) flushOutbox();
+  }, [isAuthenticated, flushOutbox]);
+
+  // Back online: no need to wait for the next reconnection attempt
+  useEffect(() => {
+    const handleOnline = () => {
+      if (socket && !socket.connected) socket.connect();
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [socket]);
+
+  // Messages always go through the outbox, offline they wait there for the next authentication
+  const sendMessage = useCallback((message: OutgoingMessage) => {
+    updateOutbox(entries => [...entries, {
+      ...message,
+      clientMessageId: crypto.randomUUID(),
+      queuedAt: new Date().toISOString(),
+      status: 'queued',
+    }]);
+    flushOutbox();
+  }, [updateOutbox, flushOutbox]);
+
+  const discardQueuedMessage = useCallback((clientMessageId: string) => {
+    updateOutbox(entries => entries.filter(e => e.clientMessageId !== clientMessageId));
+  }, [updateOutbox]);
+
   const connect = () => {
     if (socket && !socket.connected) {
       socket.connect();
@@ -314,9 +549,6 @@ export const SocketProvider = ({ children }: { children: React.ReactNode }) => {
       }
 
       try {
-        // Fetch the authentication token from Clerk
-        const token = await getToken({ template: 'socket-auth' });
-
         // Validate the environment variable
         const socketUrl = process.env.NEXT_PUBLIC_SOCKET_URL || 'http://localhost:3001';
         if (!socketUrl) {
@@ -327,9 +559,16 @@ export const SocketProvider = ({ children }: { children: React.ReactNode }) => {
         newSocket = io(socketUrl, {
           autoConnect: true,
           transports: ['websocket'],
-          reconnectionAttempts: 5,
+          // keep trying, queued messages are sent once back online
+          reconnectionAttempts: Infinity,
           reconnectionDelay: 1000,
-          auth: { token },
+          reconnectionDelayMax: 30000,
+          // a fresh Clerk token on every (re)connection, the previous one may have expired
+          auth: (cb) => {
+            getToken({ template: 'socket-auth', skipCache: true })
+              .then(token => cb({ token }))
+              .catch(() => cb({}));
+          },
         });
 
         // Set the socket instance
@@ -348,6 +587,32 @@ export const SocketProvider = ({ children }: { children: React.ReactNode }) => {
 
         });
 
+        // Renew the token before the server disconnects the socket
+        newSocket.on('token_expiring', async () => {
+          try {
+            const token = await getToken({ template: 'socket-auth', skipCache: true });
+            newSocket?.emit('reauthenticate', { token }, (ack: SocketAck<{ expiresAt: string | null }>) => {
+              if (!ack || !ack.success) {
+                console.error('Re-authentication failed:', ack?.error);
+              }
+            });
+          } catch (error) {
+            console.error('Failed to refresh the token:', error);
+          }
+        });
+
+        // The server drops the socket right after, connect again with a fresh token
+        newSocket.on('token_expired', () => {
+          console.warn('Session token expired, reconnecting...');
+          newSocket?.once('disconnect', () => newSocket?.connect());
+        });
+
+        // Messages pushed with an ack (live ones and the pending backlog after authentication),
+        // the server marks them delivered once acknowledged
+        newSocket.on('receiveMessage', (_message: Message, ack?: (status: string) => void) => {
+          ack?.('received');
+        });
+
         // Listen for user conversations list
         newSocket.on('userConversationsList', (conversationsData: UserRenderData[]) => {
           console.log('Received conversations:', conversationsData);
@@ -394,6 +659,9 @@ export const SocketProvider = ({ children }: { children: React.ReactNode }) => {
       getUsersList,
       getUserConversationsList,
       getUserConversation,
+      outbox,
+      sendMessage,
+      discardQueuedMessage,
       connect,
       disconnect
     }}>
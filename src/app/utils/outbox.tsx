@@ -0,0 +1,41 @@
+// utils/outbox.tsx
+// Messages sent while offline, kept in localStorage until the server acknowledges them
+
+export type OutboxStatus = 'queued' | 'failed';
+
+export interface OutboxEntry {
+  clientMessageId: string; // same id on every attempt, the server stores the message once
+  recipientId: string;
+  content: string;
+  replyTo: string | null;
+  attachments: string[];
+  queuedAt: string;
+  status: OutboxStatus;
+  error?: string; // with 'failed', the server refused the message
+}
+
+const storageKey = (userId: string) => `chat-outbox:${userId}`;
+
+export const loadOutbox = (userId: string): OutboxEntry[] => {
+  if (typeof window === 'undefined') return [];
+  try {
+    const stored = window.localStorage.getItem(storageKey(userId));
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Failed to read the outbox:', error);
+    return [];
+  }
+};
+
+export const saveOutbox = (userId: string, entries: OutboxEntry[]) => {
+  if (typeof window === 'undefined') return;
+  try {
+    if (entries.length) {
+      window.localStorage.setItem(storageKey(userId), JSON.stringify(entries));
+    } else {
+      window.localStorage.removeItem(storageKey(userId));
+    }
+  } catch (error) {
+    console.error('Failed to save the outbox:', error);
+  }
+};